@@ -133,7 +133,7 @@ const config = {
       // Algolia search (optional - configure when ready)
       // algolia: {
       //   appId: 'YOUR_APP_ID',
-      //   apiKey: 'YOUR_API_KEY',
+      //   apiKey: 'YOUR_API_KEY', // docflow:allow-secret
       //   indexName: 'YOUR_INDEX_NAME',
       // },
 
@@ -3,47 +3,106 @@
  * Add new documentation from templates
  */
 
-import { Command } from 'commander';
+import { Command, InvalidArgumentError } from 'commander';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import ora from 'ora';
 import fse from 'fs-extra';
-import { join } from 'path';
+import { join, relative, resolve } from 'path';
+import { glob } from 'glob';
 import { loadConfig } from '../utils/config.js';
-import { substituteVariables } from '../utils/template.js';
+import { processTemplate } from '../utils/template.js';
+import { resolveTemplateContext, documentVariables } from '../utils/variables.js';
+import { parseAdr, updateAdr, getAdrSettings, listAdrs, resolveAdr, ADR_STATUSES } from '../utils/adr.js';
+import { getFeatureSettings, linkFeatureToAdrs } from '../utils/features.js';
+import { getRunbookSettings, normalizeSeverity, RUNBOOK_SEVERITIES } from '../utils/runbooks.js';
+import { setMetadataValue } from '../utils/metadata.js';
+import { setFrontmatter } from '../utils/frontmatter.js';
+import { getCustomTypes, answerQuestions, getCustomTemplate } from '../utils/doc-types.js';
+import { resolveTemplate, templateStamp } from '../utils/packs.js';
+import { updateAdrIndex } from '../../generators/adr-index.js';
+
+/**
+ * Config keys under `templates` for types whose CLI name is singular
+ */
+const CONFIG_KEYS = {
+  runbook: 'runbooks',
+  feature: 'features',
+};
 
 export const addCommand = new Command('add')
   .description('Add new documentation from templates')
-  .argument('<type>', 'Template type (adr, runbook, feature, api, database)')
+  .argument('<type>', 'Template type (adr, runbook, feature, api, database, or a templates.custom type)')
   .option('-n, --name <name>', 'Name/title for the document')
   .option('-o, --output <path>', 'Output path')
+  .option('--category <category>', 'Runbook category (from templates.runbooks.categories)')
+  .option('--severity <severity>', `Runbook severity (${RUNBOOK_SEVERITIES.join(', ')})`)
+  .option('--owner <owner>', 'Runbook owning team or person')
+  .option('--adr <ids>', 'Related ADRs for a feature spec (comma-separated, e.g. 3,ADR-007)')
+  .option('--var <KEY=VALUE>', 'Set a template variable (repeatable)', collectVariable, {})
+  .option('--from-json <file>', 'Read template variables from a JSON object file (- for stdin)')
+  .option('--status <status>', 'Initial status (ADRs: one of the ADR statuses)')
+  .option('--tags <tags>', 'Comma-separated tags')
+  .option('--dry-run', 'Print the rendered document instead of writing it')
+  .option('--json', 'Output the result as JSON')
   .action(async (type, options) => {
-    console.log(chalk.cyan(`\n  DocFlow Add: ${type}\n`));
+    // Machine-readable modes keep stdout for the document or JSON result
+    const quiet = Boolean(options.json || options.dryRun);
+
+    if (!quiet) {
+      console.log(chalk.cyan(`\n  DocFlow Add: ${type}\n`));
+    }
 
     const cwd = process.cwd();
-    const spinner = ora('Loading configuration...').start();
+    const spinner = ora({ text: 'Loading configuration...', isSilent: quiet }).start();
+
+    const fail = (message) => {
+      if (quiet) {
+        console.error(chalk.red(message));
+      } else {
+        spinner.fail(message);
+      }
+      process.exit(1);
+    };
 
     try {
       const config = await loadConfig(cwd);
 
       if (!config) {
-        spinner.fail('No docflow.config.json found. Run `docflow init` first.');
-        process.exit(1);
+        fail('No docflow.config.json found. Run `docflow init` first.');
       }
 
       spinner.succeed('Configuration loaded');
 
-      // Get template settings
-      const templateConfig = config.templates?.[type === 'runbook' ? 'runbooks' : type];
+      // Get template settings (built-in types first, then templates.custom)
+      const customTypes = getCustomTypes(config);
+      const customType = customTypes[type];
+      const templateConfig = customType || (type !== 'custom' ? config.templates?.[CONFIG_KEYS[type] || type] : null);
 
       if (!templateConfig?.enabled) {
-        console.log(chalk.yellow(`  Template type '${type}' is not enabled in config.`));
-        process.exit(1);
+        fail(`Template type '${type}' is not enabled in config. Available: ${availableTypes(config, customTypes).join(', ') || 'none'}`);
       }
 
+      // Variables from --from-json, overridden by --var
+      const input = {
+        ...(options.fromJson ? await readJsonVariables(cwd, options.fromJson) : {}),
+        ...options.var,
+      };
+
+      const status = options.status ? resolveStatus(type, options.status) : null;
+      const tags = options.tags ? options.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [];
+
       // Prompt for details if not provided
-      let name = options.name;
-      let description = '';
+      let name = options.name || input.NAME || input.TITLE || input.name || input.title;
+      let description = input.DESCRIPTION || input.description || '';
+
+      if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        fail('The name must be a non-empty string (check NAME or TITLE in --from-json)');
+      }
+
+      if (!name && !process.stdin.isTTY) {
+        fail('A name is required: use --name, --var NAME=... or --from-json');
+      }
 
       if (!name) {
         const answers = await inquirer.prompt([
@@ -63,42 +122,113 @@ export const addCommand = new Command('add')
         description = answers.description;
       }
 
+      // Template file, from the project or a registered template pack
+      const template = await resolveTemplate(cwd, config, templateConfig.template);
+
+      // Answers to a custom type's own questions and the template pack's prompts
+      const questions = [...(customType?.questions || []), ...(template?.prompts || [])];
+      const answers = questions.length ? await answerQuestions({ questions }, input, inquirer.prompt) : {};
+
+      // Runbook category, severity and owner
+      const runbook = type === 'runbook' ? await resolveRunbookDetails(config, options) : null;
+
+      // Related ADRs for feature specs (resolved up front so a bad --adr writes nothing)
+      const related = type === 'feature' && getFeatureSettings(config).linkToAdr
+        ? await selectRelatedAdrs(cwd, config, options.adr)
+        : null;
+
       // Generate filename
       const prefix = templateConfig.prefix || type.toUpperCase();
-      const number = await getNextNumber(cwd, templateConfig.directory, prefix);
+      const baseDirectory = templateConfig.directory || (type === 'adr' ? getAdrSettings(config).directory : `docs/${type}`);
+      const directory = runbook?.category ? `${baseDirectory}/${runbook.category}` : baseDirectory;
+      const autoNumber = customType ? customType.autoNumber : true;
+      const number = autoNumber ? await getNextNumber(cwd, baseDirectory, prefix) : null;
       const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
-      const filename = `${prefix}-${number.toString().padStart(3, '0')}-${slug}.md`;
+      const filename = autoNumber ? `${prefix}-${number.toString().padStart(3, '0')}-${slug}.md` : `${slug}.md`;
 
       // Get output path
-      const outputDir = options.output || templateConfig.directory || `docs/${type}`;
+      const outputDir = options.output || directory;
       const outputPath = join(cwd, outputDir, filename);
 
       spinner.start(`Creating ${filename}...`);
 
       // Load and process template
-      const templatePath = templateConfig.template;
       let content;
+      let templateName = `default ${type} template`;
 
-      if (templatePath && await fse.pathExists(join(cwd, templatePath))) {
-        content = await fse.readFile(join(cwd, templatePath), 'utf-8');
+      if (template && await fse.pathExists(template.path)) {
+        content = await fse.readFile(template.path, 'utf-8');
+        templateName = template.pack ? templateConfig.template : relative(cwd, template.path);
       } else {
         // Use default template
-        content = getDefaultTemplate(type);
+        content = customType ? getCustomTemplate(customType) : getDefaultTemplate(type);
       }
 
-      // Substitute variables
+      // Substitute variables over the resolved project, git and config values
+      const context = await resolveTemplateContext(cwd, config);
       const variables = {
-        ...config.templates?.variables,
-        NAME: name,
-        TITLE: name,
-        DESCRIPTION: description,
-        NUMBER: number.toString().padStart(3, '0'),
-        PREFIX: prefix,
-        DATE: new Date().toISOString().split('T')[0],
-        AUTHOR: process.env.USER || process.env.USERNAME || 'Unknown',
+        ...context.variables,
+        ...input,
+        ...answers,
+        ...documentVariables({ name, description, number, prefix, status, tags, runbook }),
       };
 
-      content = substituteVariables(content, variables);
+      content = processTemplate(content, { ...context, variables }, {
+        name: templateName,
+        partialsDir: template?.pack ? template.pack.root : join(cwd, 'docs', 'templates'),
+      });
+
+      // The runbook templates list severities as a hint rather than a placeholder
+      if (runbook) {
+        for (const [field, value] of [['Category', runbook.category], ['Severity', runbook.severity], ['Owner', runbook.owner]]) {
+          if (value) content = setMetadataValue(content, field, value) ?? content;
+        }
+      }
+
+      // New decisions start as Proposed (the template lists every status as a hint)
+      if (type === 'adr' && (status || parseAdr(content).status === 'Unknown')) {
+        content = updateAdr(content, { status: status || 'Proposed' });
+      } else if (status) {
+        content = setMetadataValue(content, 'Status', status) ?? content;
+      }
+
+      // Tags go in the metadata table, or under the title when the template has none
+      if (tags.length) {
+        content = setMetadataValue(content, 'Tags', tags.join(', '))
+          ?? content.replace(/^(#\s+.+)$/m, `$1\n\n**Tags:** ${tags.join(', ')}`);
+      }
+
+      const id = number ? `${prefix}-${number.toString().padStart(3, '0')}` : null;
+
+      content = setFrontmatter(content, {
+        id,
+        type,
+        title: name,
+        status: type === 'adr' ? parseAdr(content).status : status,
+        date: variables.DATE,
+        author: variables.AUTHOR,
+        tags,
+        owner: runbook?.owner,
+        category: runbook?.category,
+        severity: runbook?.severity,
+        template: template?.pack ? templateStamp(template.pack, template.key) : undefined,
+      });
+
+      const result = {
+        type,
+        id,
+        number,
+        title: name,
+        file: relative(cwd, outputPath).replace(/\\/g, '/'),
+        path: outputPath,
+        dryRun: Boolean(options.dryRun),
+      };
+
+      if (options.dryRun) {
+        spinner.stop();
+        console.log(options.json ? JSON.stringify({ ...result, content }, null, 2) : content);
+        return;
+      }
 
       // Write file
       await fse.ensureDir(join(cwd, outputDir));
@@ -106,14 +236,182 @@ export const addCommand = new Command('add')
 
       spinner.succeed(`Created ${outputDir}/${filename}`);
 
-      console.log(chalk.green(`\n  Created: ${outputPath}\n`));
+      // Keep the ADR index in step (only when written to the configured ADR directory)
+      if (type === 'adr' && !options.output) {
+        await updateAdrIndex(cwd, config);
+      }
+
+      // Link feature specs and ADRs both ways
+      if (related?.length) {
+        await linkFeatureToAdrs(cwd, config, outputPath, related);
+        result.linkedAdrs = related.map(adr => adr.id);
+        if (!quiet) console.log(chalk.gray(`  Linked ${result.linkedAdrs.join(', ')}`));
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        console.log(chalk.green(`\n  Created: ${outputPath}\n`));
+      }
 
     } catch (error) {
-      spinner.fail(`Error: ${error.message}`);
-      process.exit(1);
+      fail(`Error: ${error.message}`);
     }
   });
 
+/**
+ * Commander collector for repeated --var KEY=VALUE options
+ */
+function collectVariable(value, variables) {
+  const index = value.indexOf('=');
+  if (index < 1) {
+    throw new InvalidArgumentError(`Expected KEY=VALUE, got "${value}"`);
+  }
+  return { ...variables, [value.slice(0, index).trim()]: value.slice(index + 1) };
+}
+
+/**
+ * Template variables from a JSON object in a file, or stdin when source is "-"
+ */
+async function readJsonVariables(cwd, source) {
+  let text;
+
+  if (source === '-') {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    text = Buffer.concat(chunks).toString('utf-8');
+  } else {
+    text = await fse.readFile(resolve(cwd, source), 'utf-8');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${source === '-' ? 'stdin' : source}: ${error.message}`);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${source === '-' ? 'stdin' : source} must contain a JSON object of variables`);
+  }
+
+  return data;
+}
+
+/**
+ * Validate --status (ADRs only accept the ADR lifecycle statuses)
+ */
+function resolveStatus(type, value) {
+  if (type !== 'adr') return value;
+
+  const status = ADR_STATUSES.find(s => s.toLowerCase() === value.toLowerCase());
+  if (!status) {
+    throw new Error(`Unknown ADR status "${value}". Use one of: ${ADR_STATUSES.join(', ')}`);
+  }
+  return status;
+}
+
+/**
+ * Enabled built-in and custom types, as accepted by `docflow add <type>`
+ */
+function availableTypes(config, customTypes) {
+  const cliNames = Object.fromEntries(Object.entries(CONFIG_KEYS).map(([type, key]) => [key, type]));
+  const builtIn = Object.entries(config.templates || {})
+    .filter(([key, settings]) => key !== 'custom' && settings?.enabled)
+    .map(([key]) => cliNames[key] || key);
+  const custom = Object.values(customTypes).filter(type => type.enabled).map(type => type.name);
+  return [...builtIn, ...custom];
+}
+
+/**
+ * Collect runbook category, severity and owner from options, prompting for any that are missing
+ */
+async function resolveRunbookDetails(config, options) {
+  const { categories } = getRunbookSettings(config);
+  const details = {
+    category: options.category?.toLowerCase(),
+    severity: options.severity ? normalizeSeverity(options.severity) : undefined,
+    owner: options.owner,
+  };
+
+  if (options.severity && !details.severity) {
+    throw new Error(`Unknown severity "${options.severity}". Use one of: ${RUNBOOK_SEVERITIES.join(', ')}`);
+  }
+
+  if (details.category && categories.length && !categories.includes(details.category)) {
+    throw new Error(`Unknown category "${options.category}". Configured categories: ${categories.join(', ')}`);
+  }
+
+  // Only prompt when someone is there to answer
+  if (process.stdin.isTTY) {
+    const answers = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'category',
+        message: 'Category:',
+        choices: categories,
+        when: !details.category && categories.length > 0,
+      },
+      {
+        type: 'list',
+        name: 'severity',
+        message: 'Severity:',
+        choices: RUNBOOK_SEVERITIES,
+        when: !details.severity,
+      },
+      {
+        type: 'input',
+        name: 'owner',
+        message: 'Owning team or person:',
+        when: !details.owner,
+      },
+    ]);
+    Object.assign(details, Object.fromEntries(Object.entries(answers).filter(([, value]) => value)));
+  }
+
+  return details;
+}
+
+/**
+ * ADRs to link to a new feature spec, from --adr or an interactive checklist
+ */
+async function selectRelatedAdrs(cwd, config, adrOption) {
+  const adrs = await listAdrs(cwd, config);
+
+  if (adrOption) {
+    return adrOption.split(',').map(ref => ref.trim()).filter(Boolean).map(ref => {
+      const adr = resolveAdr(adrs, ref);
+      if (!adr) throw new Error(`ADR not found: ${ref}`);
+      if (adr.status === 'Superseded') {
+        throw new Error(`${adr.id} is superseded${adr.supersededBy ? ` by ${adr.supersededBy}` : ''}; link the current decision instead`);
+      }
+      return adr;
+    });
+  }
+
+  if (adrs.length === 0 || !process.stdin.isTTY) {
+    return [];
+  }
+
+  const { selected } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'selected',
+      message: 'Related ADRs:',
+      choices: adrs.map(adr => ({
+        name: `${adr.id}: ${adr.title} (${adr.status})`,
+        value: adr.number,
+        disabled: adr.status === 'Superseded' ? `superseded by ${adr.supersededBy || 'a later ADR'}` : false,
+      })),
+    },
+  ]);
+
+  return adrs.filter(adr => selected.includes(adr.number));
+}
+
+/**
+ * Next free number for a prefix, counting files in subfolders too
+ */
 async function getNextNumber(cwd, directory, prefix) {
   const dir = join(cwd, directory || 'docs');
 
@@ -121,7 +419,7 @@ async function getNextNumber(cwd, directory, prefix) {
     return 1;
   }
 
-  const files = await fse.readdir(dir);
+  const files = (await glob(`**/${prefix}-*.md`, { cwd: dir })).map(file => file.split(/[/\\]/).pop());
   const pattern = new RegExp(`^${prefix}-(\\d+)`);
 
   let maxNumber = 0;
@@ -180,9 +478,10 @@ Proposed
 
 | Property | Value |
 |----------|-------|
-| Category | |
-| Severity | |
-| On-Call | |
+| Category | {{CATEGORY}} |
+| Severity | {{SEVERITY}} |
+| Owner | {{OWNER}} |
+| Last Updated | {{DATE}} |
 
 ## Prerequisites
 
@@ -0,0 +1,252 @@
+/**
+ * DocFlow ADR Command
+ * Manage the Architecture Decision Record lifecycle
+ */
+
+import { Command } from 'commander';
+import chalk from 'chalk';
+import ora from 'ora';
+import fse from 'fs-extra';
+import { relative } from 'path';
+import { loadConfig } from '../utils/config.js';
+import { listAdrs, resolveAdr, updateAdr, ADR_STATUSES } from '../utils/adr.js';
+import { updateAdrIndex } from '../../generators/adr-index.js';
+
+export const adrCommand = new Command('adr')
+  .description('Manage Architecture Decision Records');
+
+// Supersede Subcommand
+adrCommand
+  .command('supersede <old> <new>')
+  .description('Mark an ADR as superseded by another and link both records')
+  .action(async (oldRef, newRef) => {
+    console.log(chalk.cyan('\n  DocFlow ADR: Supersede\n'));
+
+    const cwd = process.cwd();
+    const spinner = ora('Loading ADRs...').start();
+
+    try {
+      const config = await loadConfig(cwd);
+      const adrs = await listAdrs(cwd, config);
+
+      const oldAdr = findAdr(adrs, oldRef, spinner);
+      const newAdr = findAdr(adrs, newRef, spinner);
+
+      if (oldAdr.number === newAdr.number) {
+        spinner.fail('An ADR cannot supersede itself');
+        process.exit(1);
+      }
+
+      if (supersessionChain(adrs, newAdr).includes(oldAdr.id)) {
+        spinner.fail(`${newAdr.id} is already superseded (directly or indirectly) by ${oldAdr.id}`);
+        process.exit(1);
+      }
+
+      spinner.text = `Updating ${oldAdr.id} and ${newAdr.id}...`;
+
+      // Read both before writing either so a failure leaves neither half-updated
+      const oldContent = updateAdr(await fse.readFile(oldAdr.path, 'utf-8'), {
+        status: 'Superseded',
+        supersededBy: adrLink(newAdr)
+      });
+      const newContent = updateAdr(await fse.readFile(newAdr.path, 'utf-8'), {
+        supersedes: adrLink(oldAdr)
+      });
+
+      // Re-superseding moves the link; clear the back-reference on the previous successor
+      const previous = oldAdr.supersededBy && oldAdr.supersededBy !== newAdr.id
+        ? resolveAdr(adrs, oldAdr.supersededBy)
+        : null;
+      const previousContent = previous && previous.supersedes === oldAdr.id
+        ? updateAdr(await fse.readFile(previous.path, 'utf-8'), { supersedes: null })
+        : null;
+
+      await fse.writeFile(oldAdr.path, oldContent);
+      await fse.writeFile(newAdr.path, newContent);
+      if (previousContent) {
+        await fse.writeFile(previous.path, previousContent);
+      }
+
+      spinner.succeed(`${oldAdr.id} superseded by ${newAdr.id}`);
+
+      await refreshIndex(cwd, config, spinner);
+      console.log('');
+
+    } catch (error) {
+      spinner.fail(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Status Subcommand
+adrCommand
+  .command('status <adr> <status>')
+  .description(`Set an ADR status (${ADR_STATUSES.join(', ')})`)
+  .action(async (ref, statusArg) => {
+    console.log(chalk.cyan('\n  DocFlow ADR: Status\n'));
+
+    const cwd = process.cwd();
+    const spinner = ora('Loading ADRs...').start();
+
+    try {
+      const status = ADR_STATUSES.find(s => s.toLowerCase() === statusArg.toLowerCase());
+
+      if (!status) {
+        spinner.fail(`Unknown status "${statusArg}". Use one of: ${ADR_STATUSES.join(', ')}`);
+        process.exit(1);
+      }
+
+      if (status === 'Superseded') {
+        spinner.fail('Use `docflow adr supersede <old> <new>` so both ADRs are linked');
+        process.exit(1);
+      }
+
+      const config = await loadConfig(cwd);
+      const adrs = await listAdrs(cwd, config);
+      const adr = findAdr(adrs, ref, spinner);
+
+      const updates = { status };
+
+      // Moving out of Superseded breaks the link on this side; clear it so the records agree
+      if (adr.supersededBy) {
+        updates.supersededBy = null;
+        const successor = resolveAdr(adrs, adr.supersededBy);
+        if (successor && successor.supersedes === adr.id) {
+          await fse.writeFile(successor.path, updateAdr(await fse.readFile(successor.path, 'utf-8'), { supersedes: null }));
+        }
+      }
+
+      await fse.writeFile(adr.path, updateAdr(await fse.readFile(adr.path, 'utf-8'), updates));
+
+      spinner.succeed(`${adr.id}: ${adr.status} → ${status}`);
+
+      await refreshIndex(cwd, config, spinner);
+      console.log('');
+
+    } catch (error) {
+      spinner.fail(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// List Subcommand
+adrCommand
+  .command('list')
+  .description('List ADRs with their status')
+  .option('-s, --status <status>', 'Only show ADRs with this status')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    const cwd = process.cwd();
+
+    try {
+      const config = await loadConfig(cwd);
+      let adrs = await listAdrs(cwd, config);
+
+      if (options.status) {
+        adrs = adrs.filter(adr => adr.status.toLowerCase() === options.status.toLowerCase());
+      }
+
+      if (options.json) {
+        // Absolute paths are machine-specific; `file` is relative to the project
+        console.log(JSON.stringify(adrs.map(adr => ({ ...adr, path: undefined })), null, 2));
+        return;
+      }
+
+      console.log(chalk.cyan('\n  DocFlow ADRs\n'));
+
+      if (adrs.length === 0) {
+        console.log(chalk.gray('  No ADRs found.\n'));
+        return;
+      }
+
+      for (const adr of adrs) {
+        const links = [
+          adr.supersedes ? `supersedes ${adr.supersedes}` : null,
+          adr.supersededBy ? `superseded by ${adr.supersededBy}` : null
+        ].filter(Boolean).join(', ');
+
+        console.log(
+          `  ${chalk.white(adr.id)}  ${statusColor(adr.status)(adr.status.padEnd(10))}  ${adr.title}` +
+          (links ? chalk.gray(`  (${links})`) : '')
+        );
+      }
+      console.log('');
+
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// Index Subcommand
+adrCommand
+  .command('index')
+  .description('Regenerate the ADR index (README.md in the ADR directory)')
+  .action(async () => {
+    const cwd = process.cwd();
+    const spinner = ora('Updating ADR index...').start();
+
+    try {
+      const config = await loadConfig(cwd);
+      await refreshIndex(cwd, config, spinner);
+    } catch (error) {
+      spinner.fail(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Resolve an ADR reference or exit with an error
+ */
+function findAdr(adrs, ref, spinner) {
+  const adr = resolveAdr(adrs, ref);
+  if (!adr) {
+    spinner.fail(`ADR not found: ${ref}`);
+    process.exit(1);
+  }
+  return adr;
+}
+
+/**
+ * IDs of every ADR that (transitively) supersedes the given one
+ */
+function supersessionChain(adrs, adr) {
+  const chain = [];
+  let current = adr;
+
+  while (current?.supersededBy && !chain.includes(current.supersededBy)) {
+    chain.push(current.supersededBy);
+    current = resolveAdr(adrs, current.supersededBy);
+  }
+
+  return chain;
+}
+
+/**
+ * Markdown link to an ADR, relative to the ADR directory
+ */
+function adrLink(adr) {
+  return `[${adr.id}](${adr.file.split('/').pop()})`;
+}
+
+/**
+ * Regenerate the index and report where it was written
+ */
+async function refreshIndex(cwd, config, spinner) {
+  const { indexPath } = await updateAdrIndex(cwd, config);
+  spinner.succeed(`Updated ${relative(cwd, indexPath)}`);
+}
+
+/**
+ * Colour for a status in list output
+ */
+function statusColor(status) {
+  const colors = {
+    Accepted: chalk.green,
+    Proposed: chalk.yellow,
+    Rejected: chalk.red,
+    Deprecated: chalk.gray,
+    Superseded: chalk.gray
+  };
+  return colors[status] || chalk.white;
+}
@@ -0,0 +1,74 @@
+/**
+ * DocFlow Changelog Command
+ * Generate a release section in CHANGELOG.md from conventional commits
+ */
+
+import { Command } from 'commander';
+import chalk from 'chalk';
+import ora from 'ora';
+import { relative } from 'path';
+import { loadConfig } from '../utils/config.js';
+import { isGitRepository } from '../utils/git.js';
+import { generateChangelog } from '../../generators/changelog.js';
+
+export const changelogCommand = new Command('changelog')
+  .description('Generate a CHANGELOG.md release section from conventional commits')
+  .option('--dry-run', 'Print the computed version and section without writing')
+  .option('--from <ref>', 'Start from this git ref instead of the latest version tag')
+  .option('--release-as <version>', 'Use this version instead of the computed bump')
+  .action(async (options) => {
+    console.log(chalk.cyan('\n  DocFlow Changelog\n'));
+
+    const cwd = process.cwd();
+    const spinner = ora('Loading configuration...').start();
+
+    try {
+      const config = await loadConfig(cwd);
+
+      if (!config) {
+        spinner.warn('No docflow.config.json found. Using defaults.');
+      } else {
+        spinner.succeed('Configuration loaded');
+      }
+
+      if (config?.documentation?.changelog?.enabled === false) {
+        spinner.info('Changelog generation disabled (documentation.changelog.enabled is false)');
+        return;
+      }
+
+      if (!await isGitRepository(cwd)) {
+        spinner.fail('Not a git repository');
+        process.exit(1);
+      }
+
+      spinner.start('Reading git history...');
+      const result = await generateChangelog(cwd, config, {
+        from: options.from,
+        releaseAs: options.releaseAs,
+        dryRun: options.dryRun
+      });
+
+      spinner.succeed(`Found ${result.commits.length} commit(s) since ${result.from || 'the first commit'}`);
+
+      if (!result.nextVersion) {
+        console.log(chalk.yellow('\n  No releasable changes (no commits match releases.versioning.bumpRules).\n'));
+        return;
+      }
+
+      const bump = result.bump && !options.releaseAs ? ` (${result.bump})` : '';
+      console.log(chalk.white(`\n  Version: ${result.previousVersion} → ${chalk.bold(result.nextVersion)}${bump}`));
+
+      if (options.dryRun) {
+        console.log(chalk.gray('\n  Dry run - CHANGELOG not modified:\n'));
+        console.log(result.section.split('\n').map(line => `    ${line}`).join('\n'));
+        return;
+      }
+
+      const action = result.replaced ? `Replaced the ${result.nextVersion} section in` : 'Updated';
+      console.log(chalk.green(`\n  ${action} ${relative(cwd, result.outputPath)}\n`));
+
+    } catch (error) {
+      spinner.fail(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
@@ -0,0 +1,65 @@
+/**
+ * DocFlow Diff Command
+ * Compare generated documentation sources between git revisions
+ */
+
+import { Command } from 'commander';
+import chalk from 'chalk';
+import ora from 'ora';
+import fse from 'fs-extra';
+import { dirname, relative, resolve } from 'path';
+import { loadConfig } from '../utils/config.js';
+import { isGitRepository } from '../utils/git.js';
+import { generateSchemaDiff } from '../../generators/schema-diff.js';
+
+export const diffCommand = new Command('diff')
+  .description('Compare documentation sources between git revisions');
+
+// Schema Subcommand
+diffCommand
+  .command('schema')
+  .description('Report database schema changes between two git refs as markdown (for PR comments)')
+  .requiredOption('--from <ref>', 'Base git ref (branch, tag or commit)')
+  .option('--to <ref>', 'Target git ref', 'HEAD')
+  .option('-o, --output <file>', 'Write the markdown report to a file instead of stdout')
+  .option('--json', 'Output the structured diff as JSON')
+  .action(async (options) => {
+    const cwd = process.cwd();
+    const spinner = ora({ text: 'Loading configuration...', stream: process.stderr }).start();
+
+    try {
+      const config = await loadConfig(cwd);
+
+      if (!await isGitRepository(cwd)) {
+        spinner.fail('Not a git repository');
+        process.exit(1);
+      }
+
+      spinner.start(`Reading schemas at ${options.from} and ${options.to}...`);
+      const result = await generateSchemaDiff(cwd, config, { from: options.from, to: options.to });
+
+      const tables = result.schemas.reduce((count, schema) => count + schema.added.length + schema.removed.length + schema.altered.length, 0);
+      spinner.succeed(tables
+        ? `${tables} table(s) changed between ${options.from} and ${options.to}`
+        : `No schema changes between ${options.from} and ${options.to}`);
+
+      if (options.json) {
+        console.log(JSON.stringify({ ...result, markdown: undefined }, null, 2));
+        return;
+      }
+
+      if (options.output) {
+        const outputPath = resolve(cwd, options.output);
+        await fse.ensureDir(dirname(outputPath));
+        await fse.writeFile(outputPath, result.markdown);
+        console.error(chalk.green(`\n  Wrote ${relative(cwd, outputPath)}\n`));
+        return;
+      }
+
+      console.log(result.markdown);
+
+    } catch (error) {
+      spinner.fail(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
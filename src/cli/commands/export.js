@@ -9,10 +9,12 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
 import fse from 'fs-extra';
-import { join, resolve, extname, basename } from 'path';
+import { join, resolve, relative, isAbsolute, extname, basename } from 'path';
 import { glob } from 'glob';
 import { loadConfig } from '../utils/config.js';
 import { generatePDF } from '../../generators/pdf.js';
+import { generateDOCX } from '../../generators/docx.js';
+import { generateHTML, removePreviousExport } from '../../generators/html.js';
 
 export const exportCommand = new Command('export')
   .description('Export documentation to various formats');
@@ -28,6 +30,7 @@ exportCommand
   .option('--cover', 'Include cover page', true)
   .option('--header <text>', 'Custom header text')
   .option('--footer <text>', 'Custom footer text')
+  .option('--no-diagrams', 'Keep Mermaid blocks as code instead of rendering them')
   .option('-f, --force', 'Overwrite existing output file')
   .action(async (options) => {
     console.log(chalk.cyan('\n  DocFlow Export: PDF\n'));
@@ -47,30 +50,7 @@ exportCommand
 
       // Resolve input paths
       spinner.start('Resolving input files...');
-      const inputPaths = options.input.split(',').map(p => p.trim());
-      const inputFiles = [];
-
-      for (const inputPath of inputPaths) {
-        const fullPath = resolve(cwd, inputPath);
-
-        if (await fse.pathExists(fullPath)) {
-          const stat = await fse.stat(fullPath);
-
-          if (stat.isDirectory()) {
-            // Find all markdown files in directory
-            const files = await glob('**/*.md', {
-              cwd: fullPath,
-              absolute: true,
-              ignore: ['node_modules/**', '.git/**', 'dist/**', 'build/**']
-            });
-            inputFiles.push(...files);
-          } else if (stat.isFile() && extname(fullPath) === '.md') {
-            inputFiles.push(fullPath);
-          }
-        } else {
-          spinner.warn(`Path not found: ${inputPath}`);
-        }
-      }
+      const inputFiles = await resolveInputFiles(cwd, options.input, spinner);
 
       if (inputFiles.length === 0) {
         spinner.fail('No markdown files found to export');
@@ -109,11 +89,12 @@ exportCommand
         includeCover: options.cover,
         customHeader: options.header,
         customFooter: options.footer,
+        renderDiagrams: options.diagrams ? undefined : false,
         config,
         cwd
       };
 
-      await generatePDF(pdfOptions);
+      const result = await generatePDF(pdfOptions);
 
       spinner.succeed(`PDF generated: ${outputPath}`);
 
@@ -123,6 +104,12 @@ exportCommand
       console.log(chalk.gray(`  File size: ${sizeMB} MB`));
       console.log(chalk.gray(`  Template: ${options.template}`));
       console.log(chalk.gray(`  Files processed: ${inputFiles.length}`));
+      if (result.diagrams) {
+        console.log(chalk.gray(`  Diagrams rendered: ${result.diagrams}`));
+      }
+      if (result.diagramError) {
+        console.log(chalk.yellow(`  Diagrams left as code: ${result.diagramError.split('\n')[0]}`));
+      }
 
       console.log(chalk.green('\n  Export complete!\n'));
 
@@ -135,24 +122,230 @@ exportCommand
     }
   });
 
-// DOCX Export Subcommand (placeholder for future)
+// DOCX Export Subcommand
 exportCommand
   .command('docx')
-  .description('Generate DOCX reports from documentation (coming soon)')
-  .option('-i, --input <path>', 'Input directory or specific files', 'docs')
+  .description('Generate DOCX reports from documentation')
+  .option('-i, --input <path>', 'Input directory or specific files (comma-separated)', 'docs')
   .option('-o, --output <path>', 'Output DOCX path', 'documentation.docx')
-  .action(() => {
-    console.log(chalk.yellow('\n  DOCX export is not yet implemented.\n'));
-    console.log(chalk.gray('  Use `docflow export pdf` instead.\n'));
+  .option('-t, --template <type>', 'Report template (executive, technical, full)', 'technical')
+  .option('--toc', 'Include table of contents', false)
+  .option('--cover', 'Include cover page', true)
+  .option('--header <text>', 'Custom header text')
+  .option('--footer <text>', 'Custom footer text')
+  .option('-f, --force', 'Overwrite existing output file')
+  .action(async (options) => {
+    console.log(chalk.cyan('\n  DocFlow Export: DOCX\n'));
+
+    const cwd = process.cwd();
+    const spinner = ora('Loading configuration...').start();
+
+    try {
+      // Load configuration
+      const config = await loadConfig(cwd);
+
+      if (!config) {
+        spinner.warn('No docflow.config.json found. Using defaults.');
+      } else {
+        spinner.succeed('Configuration loaded');
+      }
+
+      // Resolve input paths
+      spinner.start('Resolving input files...');
+      const inputFiles = await resolveInputFiles(cwd, options.input, spinner);
+
+      if (inputFiles.length === 0) {
+        spinner.fail('No markdown files found to export');
+        process.exit(1);
+      }
+
+      spinner.succeed(`Found ${inputFiles.length} file(s) to export`);
+
+      // Resolve output path
+      const outputPath = resolve(cwd, options.output);
+
+      if (await fse.pathExists(outputPath) && !options.force) {
+        spinner.fail(`Output file exists: ${outputPath}\nUse --force to overwrite`);
+        process.exit(1);
+      }
+
+      await fse.ensureDir(resolve(outputPath, '..'));
+
+      // Validate template
+      const validTemplates = ['executive', 'technical', 'full'];
+      if (!validTemplates.includes(options.template)) {
+        spinner.fail(`Invalid template: ${options.template}\nValid options: ${validTemplates.join(', ')}`);
+        process.exit(1);
+      }
+
+      // Generate DOCX
+      spinner.start('Generating DOCX report...');
+
+      await generateDOCX({
+        inputFiles,
+        outputPath,
+        template: options.template,
+        includeToc: options.toc,
+        includeCover: options.cover,
+        customHeader: options.header,
+        customFooter: options.footer,
+        config,
+        cwd
+      });
+
+      spinner.succeed(`DOCX generated: ${outputPath}`);
+
+      const stat = await fse.stat(outputPath);
+      const sizeKB = (stat.size / 1024).toFixed(1);
+      console.log(chalk.gray(`  File size: ${sizeKB} KB`));
+      console.log(chalk.gray(`  Template: ${options.template}`));
+      console.log(chalk.gray(`  Files processed: ${inputFiles.length}`));
+
+      console.log(chalk.green('\n  Export complete!\n'));
+
+    } catch (error) {
+      spinner.fail(`Error: ${error.message}`);
+      if (process.env.DEBUG) {
+        console.error(error);
+      }
+      process.exit(1);
+    }
   });
 
-// HTML Export Subcommand (placeholder for future)
+// HTML Export Subcommand
 exportCommand
   .command('html')
-  .description('Generate static HTML documentation (coming soon)')
-  .option('-i, --input <path>', 'Input directory', 'docs')
+  .description('Generate standalone static HTML documentation')
+  .option('-i, --input <path>', 'Input directory or specific files (comma-separated)', 'docs')
   .option('-o, --output <path>', 'Output directory', 'docs-html')
-  .action(() => {
-    console.log(chalk.yellow('\n  HTML export is not yet implemented.\n'));
-    console.log(chalk.gray('  Use `docflow export pdf` instead.\n'));
+  .option('--no-diagrams', 'Keep Mermaid blocks as code instead of rendering them')
+  .option('-f, --force', 'Replace the files of a previous export in the output directory')
+  .action(async (options) => {
+    console.log(chalk.cyan('\n  DocFlow Export: HTML\n'));
+
+    const cwd = process.cwd();
+    const spinner = ora('Loading configuration...').start();
+
+    try {
+      // Load configuration
+      const config = await loadConfig(cwd);
+
+      if (!config) {
+        spinner.warn('No docflow.config.json found. Using defaults.');
+      } else {
+        spinner.succeed('Configuration loaded');
+      }
+
+      // Resolve input paths
+      spinner.start('Resolving input files...');
+      const inputFiles = await resolveInputFiles(cwd, options.input, spinner);
+
+      if (inputFiles.length === 0) {
+        spinner.fail('No markdown files found to export');
+        process.exit(1);
+      }
+
+      spinner.succeed(`Found ${inputFiles.length} file(s) to export`);
+
+      // A single input directory becomes the site root; otherwise paths stay relative to cwd
+      const inputPaths = options.input.split(',').map(p => p.trim());
+      let inputDir = cwd;
+      if (inputPaths.length === 1) {
+        const fullPath = resolve(cwd, inputPaths[0]);
+        if ((await fse.stat(fullPath)).isDirectory()) {
+          inputDir = fullPath;
+        }
+      }
+
+      // Resolve output directory; it must not hold the project or the docs being exported
+      const outputDir = resolve(cwd, options.output);
+
+      const overlapping = [cwd, ...inputPaths.map(p => resolve(cwd, p))].find(path => isWithin(outputDir, path));
+      if (overlapping) {
+        spinner.fail(`Output directory ${outputDir} contains ${overlapping === cwd ? 'the working directory' : `the input ${overlapping}`}; choose a separate folder`);
+        process.exit(1);
+      }
+
+      if (await fse.pathExists(outputDir)) {
+        const existing = await fse.readdir(outputDir);
+        if (existing.length > 0 && !options.force) {
+          spinner.fail(`Output directory is not empty: ${outputDir}\nUse --force to overwrite`);
+          process.exit(1);
+        }
+        await removePreviousExport(outputDir);
+      }
+
+      // Generate HTML
+      spinner.start('Generating HTML site...');
+
+      const result = await generateHTML({
+        inputFiles,
+        inputDir,
+        outputDir,
+        renderDiagrams: options.diagrams ? undefined : false,
+        config,
+        cwd
+      });
+
+      spinner.succeed(`HTML generated: ${outputDir}`);
+
+      console.log(chalk.gray(`  Pages: ${result.pages}`));
+      if (result.diagrams) {
+        console.log(chalk.gray(`  Diagrams rendered: ${result.diagrams}`));
+      }
+      if (result.diagramError) {
+        console.log(chalk.yellow(`  Diagrams left as code: ${result.diagramError.split('\n')[0]}`));
+      }
+      console.log(chalk.gray(`  Assets copied: ${result.assets}`));
+      console.log(chalk.gray(`  Open ${join(options.output, 'index.html')} in a browser`));
+
+      console.log(chalk.green('\n  Export complete!\n'));
+
+    } catch (error) {
+      spinner.fail(`Error: ${error.message}`);
+      if (process.env.DEBUG) {
+        console.error(error);
+      }
+      process.exit(1);
+    }
   });
+
+/**
+ * Whether path is dir itself or somewhere inside it
+ */
+function isWithin(dir, path) {
+  const rel = relative(dir, path);
+  return !rel.startsWith('..') && !isAbsolute(rel);
+}
+
+/**
+ * Resolve comma-separated input paths to markdown files
+ */
+async function resolveInputFiles(cwd, input, spinner) {
+  const inputPaths = input.split(',').map(p => p.trim());
+  const inputFiles = [];
+
+  for (const inputPath of inputPaths) {
+    const fullPath = resolve(cwd, inputPath);
+
+    if (await fse.pathExists(fullPath)) {
+      const stat = await fse.stat(fullPath);
+
+      if (stat.isDirectory()) {
+        // Find all markdown files in directory
+        const files = await glob('**/*.md', {
+          cwd: fullPath,
+          absolute: true,
+          ignore: ['node_modules/**', '.git/**', 'dist/**', 'build/**']
+        });
+        inputFiles.push(...files);
+      } else if (stat.isFile() && extname(fullPath) === '.md') {
+        inputFiles.push(fullPath);
+      }
+    } else {
+      spinner.warn(`Path not found: ${inputPath}`);
+    }
+  }
+
+  return inputFiles;
+}
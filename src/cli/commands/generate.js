@@ -10,20 +10,29 @@ import fse from 'fs-extra';
 import { join } from 'path';
 import { glob } from 'glob';
 import { loadConfig } from '../utils/config.js';
-import { detectProjectType, detectTechStack, detectFrameworks } from '../utils/detect.js';
+import { detectProjectType, detectTechStack, detectFrameworks, getCommonCommands } from '../utils/detect.js';
 import { generateERD, saveERD } from '../../generators/erd.js';
 import { generateDependencyGraph, saveDependencyGraph } from '../../generators/dependency-graph.js';
 import { generateAllWorkflowDiagrams, saveWorkflowDiagrams } from '../../generators/workflow-diagram.js';
+import { resolveDiagramFormat } from '../../generators/diagram-renderers.js';
+import { resolveImageFormats, renderDiagramImages } from '../../generators/diagram-images.js';
+import { generateReadme } from '../../generators/readme.js';
+import { generateDataDictionary } from '../../generators/data-dictionary.js';
+import { generateApiReference } from '../../generators/api-reference.js';
+import { generateAsBuilt } from '../../generators/as-built.js';
 
 export const generateCommand = new Command('generate')
   .description('Generate documentation')
-  .argument('[type]', 'What to generate (claude, readme, diagrams, all)', 'all')
+  .argument('[type]', 'What to generate (claude, readme, diagrams, data-dictionary, api-reference, as-built, all)', 'all')
   .option('-o, --output <path>', 'Output path')
   .option('-f, --force', 'Overwrite existing files')
   .option('--format <format>', 'Output format (markdown, separate)', 'markdown')
   .option('--diagram-type <type>', 'Diagram type (erd, dependencies, workflows, all)', 'all')
+  .option('--diagram-format <format>', 'Diagram language (mermaid, plantuml, dot, d2); defaults to diagrams.<type>.format')
+  .option('--images [formats]', 'Render Mermaid diagrams to images next to them (svg, png; default both)')
   .option('--entry <files...>', 'Entry points for dependency graph')
   .option('--max-depth <depth>', 'Maximum depth for dependency graph', '5')
+  .option('--spec <path>', 'OpenAPI spec for api-reference (defaults to documentation.apiReference.openApiSpec)')
   .action(async (type, options) => {
     console.log(chalk.cyan(`\n  DocFlow Generate: ${type}\n`));
 
@@ -47,13 +56,63 @@ export const generateCommand = new Command('generate')
       }
 
       if (type === 'readme' || type === 'all') {
-        spinner.start('Updating README.md...');
-        // README generation would go here
-        spinner.succeed('README.md is up to date');
+        if (config?.readme?.generate === false) {
+          spinner.info('README generation disabled (readme.generate is false)');
+        } else {
+          spinner.start('Updating README.md...');
+          const result = await generateReadme(cwd, config, {
+            output: type === 'readme' ? options.output : undefined,
+            force: options.force
+          });
+          const summary = [
+            result.updated.length ? `${result.updated.length} updated` : null,
+            result.added.length ? `${result.added.length} added` : null
+          ].filter(Boolean).join(', ');
+          spinner.succeed(`Generated README.md (${summary || 'no sections'})`);
+        }
       }
 
       if (type === 'diagrams' || type === 'all') {
-        await generateDiagrams(cwd, options, spinner);
+        await generateDiagrams(cwd, config, options, spinner);
+      }
+
+      if (type === 'data-dictionary' || (type === 'all' && config?.documentation?.dataDictionary?.enabled !== false)) {
+        spinner.start('Generating data dictionary...');
+        try {
+          const result = await generateDataDictionary(cwd, config, {
+            output: type === 'data-dictionary' ? options.output : undefined,
+            force: options.force
+          });
+          const tableFiles = result.tableFiles.length ? `, ${result.tableFiles.length} table file(s)` : '';
+          spinner.succeed(`Generated data dictionary (${result.tables} table(s)${tableFiles})`);
+        } catch (error) {
+          if (type === 'data-dictionary') throw error;
+          spinner.warn(`Data dictionary skipped: ${error.message}`);
+        }
+      }
+
+      if (type === 'api-reference' || (type === 'all' && config?.documentation?.apiReference?.enabled !== false)) {
+        spinner.start('Generating API reference...');
+        try {
+          const result = await generateApiReference(cwd, config, {
+            output: type === 'api-reference' ? options.output : undefined,
+            spec: options.spec,
+            force: options.force
+          });
+          const endpointFiles = result.endpointFiles.length ? `, ${result.endpointFiles.length} endpoint file(s)` : '';
+          spinner.succeed(`Generated API reference (${result.endpoints} endpoint(s) in ${result.groups} group(s)${endpointFiles})`);
+        } catch (error) {
+          if (type === 'api-reference') throw error;
+          spinner.warn(`API reference skipped: ${error.message}`);
+        }
+      }
+
+      if (type === 'as-built' || (type === 'all' && config?.documentation?.asBuilt?.enabled !== false)) {
+        spinner.start('Generating as-built document...');
+        const result = await generateAsBuilt(cwd, config, {
+          output: type === 'as-built' ? options.output : undefined
+        });
+        spinner.succeed(`Generated as-built document (${result.sections.length} section(s) with content)`);
       }
 
       console.log(chalk.green('\n  Generation complete!\n'));
@@ -205,54 +264,25 @@ async function getFolderStructure(cwd, depth = 3) {
   return lines.join('\n');
 }
 
-function getCommonCommands(projectType, techStack) {
-  const commands = [];
-
-  if (techStack.includes('npm') || projectType === 'node') {
-    commands.push(
-      { command: 'npm install', description: 'Install dependencies' },
-      { command: 'npm run dev', description: 'Start development server' },
-      { command: 'npm test', description: 'Run tests' },
-      { command: 'npm run build', description: 'Build for production' },
-    );
-  }
-
-  if (techStack.includes('pip') || projectType === 'python') {
-    commands.push(
-      { command: 'pip install -r requirements.txt', description: 'Install dependencies' },
-      { command: 'python -m pytest', description: 'Run tests' },
-    );
-  }
-
-  if (projectType === 'powershell') {
-    commands.push(
-      { command: 'Invoke-Pester', description: 'Run Pester tests' },
-      { command: 'Invoke-ScriptAnalyzer -Path .', description: 'Lint PowerShell scripts' },
-    );
-  }
-
-  if (projectType === 'dotnet') {
-    commands.push(
-      { command: 'dotnet restore', description: 'Restore dependencies' },
-      { command: 'dotnet build', description: 'Build solution' },
-      { command: 'dotnet test', description: 'Run tests' },
-    );
-  }
-
-  // Git commands (always useful)
-  commands.push(
-    { command: 'git status', description: 'Check git status' },
-    { command: 'git pull', description: 'Pull latest changes' },
-  );
-
-  return commands;
-}
-
-async function generateDiagrams(cwd, options, spinner) {
+async function generateDiagrams(cwd, config, options, spinner) {
   const diagramType = options.diagramType || 'all';
   const format = options.format || 'markdown';
   const docsDir = join(cwd, 'docs', 'diagrams');
 
+  // Fail before generating anything when a format is misspelled
+  const diagramFormats = {
+    erd: resolveDiagramFormat(config, 'erd', options.diagramFormat),
+    dependencies: resolveDiagramFormat(config, 'dependencies', options.diagramFormat),
+    workflows: resolveDiagramFormat(config, 'workflows', options.diagramFormat)
+  };
+  const imageFormats = resolveImageFormats(config, options.images);
+
+  // Mermaid output files to render images for
+  const mermaidFiles = [];
+  const collect = (type, files) => {
+    if (diagramFormats[type] === 'mermaid') mermaidFiles.push(...files);
+  };
+
   await fse.ensureDir(docsDir);
 
   // Generate ERD
@@ -261,11 +291,12 @@ async function generateDiagrams(cwd, options, spinner) {
       spinner.start('Generating Entity Relationship Diagram...');
       const result = await generateERD(cwd, {
         format,
+        diagramFormat: diagramFormats.erd,
         output: options.output || join(docsDir, 'erd.md')
       });
 
       const outputPath = options.output || join(docsDir, 'erd.md');
-      await saveERD(result, outputPath, format);
+      collect('erd', await saveERD(result, outputPath, format));
 
       spinner.succeed(`Generated ERD (${result.diagrams.length} diagram(s))`);
     } catch (error) {
@@ -281,11 +312,12 @@ async function generateDiagrams(cwd, options, spinner) {
         entryPoints: options.entry,
         maxDepth: parseInt(options.maxDepth, 10),
         format,
+        diagramFormat: diagramFormats.dependencies,
         output: options.output || join(docsDir, 'dependencies.md')
       });
 
       const outputPath = options.output || join(docsDir, 'dependencies.md');
-      await saveDependencyGraph(result, outputPath, format);
+      collect('dependencies', await saveDependencyGraph(result, outputPath, format));
 
       spinner.succeed(`Generated Dependency Graph (${result.graph.nodes.size} modules)`);
     } catch (error) {
@@ -299,15 +331,39 @@ async function generateDiagrams(cwd, options, spinner) {
       spinner.start('Generating Workflow Diagrams...');
       const result = await generateAllWorkflowDiagrams(cwd, {
         format,
+        diagramFormat: diagramFormats.workflows,
         output: options.output || join(docsDir, 'workflows.md')
       });
 
       const outputPath = options.output || join(docsDir, 'workflows.md');
-      await saveWorkflowDiagrams(result, outputPath, format);
+      collect('workflows', await saveWorkflowDiagrams(result, outputPath, format));
 
       spinner.succeed(`Generated Workflow Diagrams (${result.diagrams.length} workflow(s))`);
     } catch (error) {
       spinner.warn(`Workflow diagram generation skipped: ${error.message}`);
     }
   }
+
+  // Render images offline (PlantUML, DOT and D2 need their own tooling)
+  if (imageFormats.length > 0) {
+    if (mermaidFiles.length === 0) {
+      spinner.warn('Image rendering skipped: only Mermaid diagrams can be rendered');
+      return;
+    }
+
+    try {
+      spinner.start('Rendering diagram images...');
+      const { images, errors } = await renderDiagramImages([...new Set(mermaidFiles)], {
+        formats: imageFormats,
+        theme: config?.diagrams?.mermaid?.theme
+      });
+
+      spinner.succeed(`Rendered ${images.length} image(s) (${imageFormats.join(', ')})`);
+      for (const { file, error } of errors) {
+        console.log(chalk.yellow(`  ! ${file}: ${error}`));
+      }
+    } catch (error) {
+      spinner.warn(`Image rendering skipped: ${error.message}`);
+    }
+  }
 }
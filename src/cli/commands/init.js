@@ -11,6 +11,8 @@ import fse from 'fs-extra';
 import { join, basename } from 'path';
 import { detectProjectType } from '../utils/detect.js';
 import { copyTemplates, createConfig, createDirectories } from '../utils/scaffold.js';
+import { loadConfig } from '../utils/config.js';
+import { resolveTemplateContext } from '../utils/variables.js';
 
 export const initCommand = new Command('init')
   .description('Initialize DocFlow in your project')
@@ -117,7 +119,8 @@ export const initCommand = new Command('init')
 
       // Copy templates
       spinner.start('Copying documentation templates...');
-      await copyTemplates(cwd, answers.features);
+      const { variables } = await resolveTemplateContext(cwd, await loadConfig(cwd));
+      await copyTemplates(cwd, answers.features, false, variables);
       spinner.succeed('Copied templates');
 
       // Copy workflows if requested
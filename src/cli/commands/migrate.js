@@ -0,0 +1,59 @@
+/**
+ * DocFlow Migrate Command
+ * Bring existing documentation up to current DocFlow conventions
+ */
+
+import { Command } from 'commander';
+import chalk from 'chalk';
+import ora from 'ora';
+import { loadConfig } from '../utils/config.js';
+import { migrateFrontmatter } from '../../generators/frontmatter-migration.js';
+
+export const migrateCommand = new Command('migrate')
+  .description('Migrate existing documentation');
+
+// Frontmatter Subcommand
+migrateCommand
+  .command('frontmatter [files...]')
+  .description('Add YAML frontmatter to documents from their metadata tables (default: docs/**/*.md)')
+  .option('--dry-run', 'List the changes without writing them')
+  .action(async (files, options) => {
+    console.log(chalk.cyan('\n  DocFlow Migrate: Frontmatter\n'));
+
+    const cwd = process.cwd();
+    const spinner = ora('Loading configuration...').start();
+
+    try {
+      const config = await loadConfig(cwd);
+
+      if (!config) {
+        spinner.warn('No docflow.config.json found. Using defaults.');
+      } else {
+        spinner.succeed('Configuration loaded');
+      }
+
+      spinner.start('Converting metadata tables...');
+      const result = await migrateFrontmatter(cwd, config, { files, dryRun: options.dryRun });
+
+      const verb = options.dryRun ? 'Would add' : 'Added';
+      spinner.succeed(`${verb} frontmatter to ${result.migrated.length} document(s), ${result.skipped} unchanged`);
+
+      for (const { file, data } of result.migrated) {
+        console.log(chalk.white(`    ${file}`) + chalk.gray(`  ${Object.keys(data).join(', ')}`));
+      }
+
+      if (result.errors.length) {
+        console.log(chalk.red(`\n  ${result.errors.length} document(s) have invalid frontmatter:`));
+        for (const { file, message } of result.errors) {
+          console.log(chalk.red(`    ${file}: ${message}`));
+        }
+        console.log('');
+        process.exit(1);
+      }
+      console.log('');
+
+    } catch (error) {
+      spinner.fail(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
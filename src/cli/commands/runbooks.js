@@ -0,0 +1,63 @@
+/**
+ * DocFlow Runbooks Command
+ * Maintain the operational runbook catalogue
+ */
+
+import { Command } from 'commander';
+import chalk from 'chalk';
+import ora from 'ora';
+import { relative } from 'path';
+import { loadConfig } from '../utils/config.js';
+import { updateRunbookIndex } from '../../generators/runbook-index.js';
+
+export const runbooksCommand = new Command('runbooks')
+  .description('Manage operational runbooks');
+
+// Index Subcommand
+runbooksCommand
+  .command('index')
+  .description('Regenerate the runbook catalogue grouped by category and severity')
+  .option('--stale-days <days>', 'Flag runbooks not updated within this many days (default: templates.runbooks.staleAfterDays or 90)')
+  .action(async (options) => {
+    console.log(chalk.cyan('\n  DocFlow Runbooks: Index\n'));
+
+    const cwd = process.cwd();
+    const spinner = ora('Loading configuration...').start();
+
+    try {
+      const config = await loadConfig(cwd);
+
+      if (!config) {
+        spinner.warn('No docflow.config.json found. Using defaults.');
+      } else {
+        spinner.succeed('Configuration loaded');
+      }
+
+      let staleAfterDays;
+      if (options.staleDays !== undefined) {
+        staleAfterDays = parseInt(options.staleDays, 10);
+        if (isNaN(staleAfterDays) || staleAfterDays < 1) {
+          spinner.fail(`Invalid --stale-days value: ${options.staleDays}`);
+          process.exit(1);
+        }
+      }
+
+      spinner.start('Building runbook catalogue...');
+      const result = await updateRunbookIndex(cwd, config, { staleAfterDays });
+
+      spinner.succeed(`Catalogued ${result.runbooks.length} runbook(s) in ${relative(cwd, result.indexPath)}`);
+
+      if (result.stale.length) {
+        console.log(chalk.yellow(`\n  ${result.stale.length} stale runbook(s):`));
+        for (const runbook of result.stale) {
+          const age = runbook.ageDays === null ? 'no date recorded' : `${runbook.ageDays} days old`;
+          console.log(chalk.yellow(`    - ${runbook.id} ${runbook.title}`) + chalk.gray(` (${age})`));
+        }
+      }
+      console.log('');
+
+    } catch (error) {
+      spinner.fail(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
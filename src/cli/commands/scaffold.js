@@ -9,11 +9,15 @@ import ora from 'ora';
 import fse from 'fs-extra';
 import { join } from 'path';
 import { loadConfig } from '../utils/config.js';
-import { createDirectories, copyTemplates } from '../utils/scaffold.js';
+import { createDirectories, copyTemplates, upgradeTemplates } from '../utils/scaffold.js';
+import { resolveTemplateContext } from '../utils/variables.js';
+import { getCustomTypes } from '../utils/doc-types.js';
+import { resolveTemplate, templateStamp } from '../utils/packs.js';
 
 export const scaffoldCommand = new Command('scaffold')
   .description('Generate documentation structure from config')
   .option('-f, --force', 'Overwrite existing files')
+  .option('-u, --upgrade', 'Merge template updates into existing files, keeping local edits')
   .option('-p, --preset <preset>', 'Use a preset (full, minimal, architecture, api, security)')
   .action(async (options) => {
     console.log(chalk.cyan('\n  DocFlow Scaffold\n'));
@@ -22,6 +26,11 @@ export const scaffoldCommand = new Command('scaffold')
     const spinner = ora('Loading configuration...').start();
 
     try {
+      if (options.force && options.upgrade) {
+        spinner.fail('Use either --force or --upgrade, not both');
+        process.exit(1);
+      }
+
       // Load config
       const config = await loadConfig(cwd);
 
@@ -53,17 +62,45 @@ export const scaffoldCommand = new Command('scaffold')
 
       // Create directories
       spinner.start('Creating directory structure...');
-      await createDirectories(cwd, features);
+      const customTypes = Object.values(getCustomTypes(config)).filter(type => type.enabled);
+      await createDirectories(cwd, features, customTypes.map(type => type.directory));
       spinner.succeed('Created directories');
 
       // Copy templates
       spinner.start('Copying templates...');
-      await copyTemplates(cwd, features, options.force);
+      const { variables } = await resolveTemplateContext(cwd, config);
+
+      // Templates selected from packs replace the built-in ones
+      const sources = {};
+      for (const feature of features) {
+        const resolved = await resolveTemplate(cwd, config, config.templates?.[feature]?.template);
+        if (resolved?.pack) {
+          sources[feature] = { path: resolved.path, stamp: templateStamp(resolved.pack, resolved.key), version: resolved.pack.version };
+        }
+      }
+
+      if (options.upgrade) {
+        spinner.text = 'Merging template updates...';
+        const report = await upgradeTemplates(cwd, features, variables, sources);
+        const conflicts = report.filter(entry => entry.status === 'conflict');
+
+        if (conflicts.length) {
+          spinner.warn(`Templates upgraded with conflicts in ${conflicts.length} file(s)`);
+          process.exitCode = 1;
+        } else {
+          spinner.succeed('Templates upgraded');
+        }
+        printUpgradeReport(report);
+        return;
+      }
+
+      await copyTemplates(cwd, features, options.force, variables, sources);
       spinner.succeed('Templates copied');
 
       console.log(chalk.green('\n  Scaffold complete!\n'));
       console.log(chalk.gray('  Created documentation structure for:'));
       features.forEach(f => console.log(chalk.white(`    - ${f}`)));
+      customTypes.forEach(type => console.log(chalk.white(`    - ${type.name}`) + chalk.gray(` (${type.directory})`)));
       console.log('');
 
     } catch (error) {
@@ -71,3 +108,32 @@ export const scaffoldCommand = new Command('scaffold')
       process.exit(1);
     }
   });
+
+/**
+ * Print the outcome of `scaffold --upgrade` for each file
+ */
+function printUpgradeReport(report) {
+  const styles = {
+    created: chalk.green,
+    updated: chalk.green,
+    merged: chalk.green,
+    conflict: chalk.red,
+    unchanged: chalk.gray,
+    skipped: chalk.yellow,
+  };
+
+  console.log('');
+  for (const entry of report) {
+    const change = entry.from && entry.from !== entry.to ? `${entry.from} → ${entry.to}` : entry.to;
+    console.log(`  ${styles[entry.status](entry.status.padEnd(9))} ${chalk.white(entry.file)}` + chalk.gray(`  ${change}`));
+  }
+
+  if (report.some(entry => entry.status === 'conflict')) {
+    console.log(chalk.red('\n  Resolve the <<<<<<< / >>>>>>> conflict markers in the files above.'));
+  }
+  if (report.some(entry => entry.status === 'skipped')) {
+    console.log(chalk.yellow('\n  Skipped files were edited before DocFlow recorded their template;'));
+    console.log(chalk.yellow('  compare them with the template by hand, or use --force to overwrite.'));
+  }
+  console.log('');
+}
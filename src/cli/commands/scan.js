@@ -0,0 +1,119 @@
+/**
+ * DocFlow Scan Command
+ * Scan the repository for security issues
+ */
+
+import { Command } from 'commander';
+import chalk from 'chalk';
+import ora from 'ora';
+import fse from 'fs-extra';
+import { readFileSync } from 'fs';
+import { stripVTControlCharacters } from 'util';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { loadConfig } from '../utils/config.js';
+import { scanSecrets, formatSarif, ALLOW_SECRET_MARKER } from '../../generators/secrets.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const pkg = JSON.parse(readFileSync(join(__dirname, '../../../package.json'), 'utf-8'));
+
+export const scanCommand = new Command('scan')
+  .description('Scan the repository for security issues');
+
+// Secret Scanning Subcommand
+scanCommand
+  .command('secrets [files...]')
+  .description('Scan for hard-coded secrets using security.secretScanning patterns')
+  .option('-f, --format <type>', 'Output format (text, json, sarif)', 'text')
+  .option('-o, --output <path>', 'Write the report to a file')
+  .option('--no-entropy', 'Skip the high-entropy string check')
+  .action(async (files, options) => {
+    const cwd = process.cwd();
+    const format = options.format.toLowerCase();
+
+    if (!['text', 'json', 'sarif'].includes(format)) {
+      console.error(chalk.red(`Unknown format: ${options.format}. Use text, json or sarif.`));
+      process.exit(1);
+    }
+
+    // Keep stdout clean for machine-readable output
+    const quiet = format !== 'text' && !options.output;
+    if (!quiet) {
+      console.log(chalk.cyan('\n  DocFlow Secret Scan\n'));
+    }
+
+    const spinner = ora({ text: 'Loading configuration...', isSilent: quiet }).start();
+
+    try {
+      const config = await loadConfig(cwd);
+
+      if (config?.security?.secretScanning?.enabled === false) {
+        spinner.info('Secret scanning disabled (security.secretScanning.enabled is false)');
+        return;
+      }
+
+      spinner.start(files.length ? `Scanning ${files.length} file(s)...` : 'Scanning repository...');
+      const result = await scanSecrets(cwd, config, {
+        files,
+        entropy: options.entropy,
+        configPath: join(cwd, 'docflow.config.json')
+      });
+
+      if (result.findings.length === 0) {
+        spinner.succeed(`No secrets found in ${result.files} file(s)`);
+      } else {
+        spinner.fail(`Found ${result.findings.length} potential secret(s) in ${result.files} file(s)`);
+      }
+
+      let report;
+      if (format === 'sarif') {
+        report = JSON.stringify(formatSarif(result, pkg.version), null, 2);
+      } else if (format === 'json') {
+        report = JSON.stringify({ files: result.files, findings: result.findings }, null, 2);
+      } else {
+        report = formatText(result);
+      }
+
+      if (options.output) {
+        const outputPath = resolve(cwd, options.output);
+        await fse.ensureDir(dirname(outputPath));
+        await fse.writeFile(outputPath, format === 'text' ? stripVTControlCharacters(report) : report);
+        console.log(chalk.green(`\n  Report written to ${options.output}\n`));
+      } else if (report) {
+        console.log(report);
+      }
+
+      if (result.findings.length > 0) {
+        process.exit(1);
+      }
+
+    } catch (error) {
+      spinner.fail(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Human-readable findings grouped by file
+ */
+function formatText(result) {
+  if (result.findings.length === 0) return '';
+
+  const lines = [''];
+  let currentFile = null;
+
+  for (const finding of result.findings) {
+    if (finding.file !== currentFile) {
+      currentFile = finding.file;
+      lines.push(chalk.white(`  ${finding.file}`));
+    }
+    lines.push(chalk.red(`    ${finding.line}:${finding.column}  ${finding.match}`) + chalk.gray(`  ${finding.description}`));
+  }
+
+  lines.push('');
+  lines.push(chalk.gray(`  False positive? Add a "${ALLOW_SECRET_MARKER}" comment on or above the line,`));
+  lines.push(chalk.gray('  or exclude the file in security.secretScanning.exclude.'));
+  lines.push('');
+
+  return lines.join('\n');
+}
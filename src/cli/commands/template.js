@@ -0,0 +1,256 @@
+/**
+ * DocFlow Template Command
+ * Register, list and compare template packs
+ */
+
+import { Command } from 'commander';
+import chalk from 'chalk';
+import ora from 'ora';
+import fse from 'fs-extra';
+import { glob } from 'glob';
+import { relative, isAbsolute, resolve } from 'path';
+import { loadConfig, saveConfig } from '../utils/config.js';
+import { loadPack, registerPack, getRegisteredPacks, packReference, parseTemplateStamp } from '../utils/packs.js';
+import { parseFrontmatter } from '../utils/frontmatter.js';
+import { substituteVariables, processTemplate } from '../utils/template.js';
+import { resolveTemplateContext, documentVariables } from '../utils/variables.js';
+import { loadScaffoldManifest } from '../utils/scaffold.js';
+import { diffLines, hasChanges, formatUnifiedDiff } from '../utils/diff.js';
+
+export const templateCommand = new Command('template')
+  .description('Manage template packs');
+
+// Add Subcommand
+templateCommand
+  .command('add <source>')
+  .description('Register a template pack from a local directory or an installed npm package')
+  .action(async (source) => {
+    console.log(chalk.cyan('\n  DocFlow Template: Add\n'));
+
+    const cwd = process.cwd();
+    const spinner = ora('Loading configuration...').start();
+
+    try {
+      const config = await loadConfig(cwd);
+
+      if (!config) {
+        spinner.fail('No docflow.config.json found. Run `docflow init` first.');
+        process.exit(1);
+      }
+
+      spinner.start(`Loading pack from ${source}...`);
+
+      // Keep local paths relative so the config works on other machines
+      const isPath = source.startsWith('.') || isAbsolute(source) || await fse.pathExists(resolve(cwd, source));
+      const pack = await loadPack(cwd, isPath ? relative(cwd, resolve(cwd, source)).replace(/\\/g, '/') || '.' : source);
+
+      const previous = getRegisteredPacks(config).find(entry => entry.name === pack.name);
+      await saveConfig(cwd, registerPack(config, pack));
+
+      spinner.succeed(previous
+        ? `Updated ${pack.name} ${previous.version} → ${pack.version}`
+        : `Registered ${pack.name} ${pack.version}`);
+
+      console.log(chalk.gray('\n  Select a template in docflow.config.json, e.g.:'));
+      for (const key of Object.keys(pack.templates)) {
+        console.log(chalk.white(`    "template": "${packReference(pack.name, key)}"`));
+      }
+      console.log('');
+
+    } catch (error) {
+      spinner.fail(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// List Subcommand
+templateCommand
+  .command('list')
+  .description('List registered template packs')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    const cwd = process.cwd();
+
+    try {
+      const config = await loadConfig(cwd);
+      const packs = [];
+
+      for (const entry of getRegisteredPacks(config)) {
+        let pack = null;
+        let error = null;
+        try {
+          pack = await loadPack(cwd, entry.source);
+        } catch (e) {
+          error = e.message;
+        }
+
+        packs.push({
+          name: entry.name,
+          source: entry.source,
+          registeredVersion: entry.version,
+          installedVersion: pack?.version || null,
+          templates: pack ? Object.keys(pack.templates) : [],
+          usedBy: usedBy(config, entry.name),
+          error
+        });
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(packs, null, 2));
+        return;
+      }
+
+      console.log(chalk.cyan('\n  DocFlow Template Packs\n'));
+
+      if (packs.length === 0) {
+        console.log(chalk.gray('  No template packs registered. Add one with `docflow template add <path|package>`.\n'));
+        return;
+      }
+
+      for (const pack of packs) {
+        const version = pack.installedVersion && pack.installedVersion !== pack.registeredVersion
+          ? chalk.yellow(`${pack.registeredVersion} (installed ${pack.installedVersion})`)
+          : pack.registeredVersion;
+
+        console.log(`  ${chalk.white(pack.name)} ${version}` + chalk.gray(`  ${pack.source}`));
+        if (pack.error) {
+          console.log(chalk.red(`    ${pack.error}`));
+          continue;
+        }
+        console.log(chalk.gray(`    templates: ${pack.templates.join(', ') || 'none'}`));
+        if (pack.usedBy.length) {
+          console.log(chalk.gray(`    used by: ${pack.usedBy.join(', ')}`));
+        }
+      }
+      console.log('');
+
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// Diff Subcommand
+templateCommand
+  .command('diff [pack]')
+  .description('Show how the current pack templates differ from files already created from them')
+  .action(async (packName) => {
+    const cwd = process.cwd();
+
+    try {
+      const config = await loadConfig(cwd);
+      const context = await resolveTemplateContext(cwd, config);
+      const scaffolded = (await loadScaffoldManifest(cwd)).files;
+      const packs = new Map();
+
+      const files = (await glob('docs/**/*.md', { cwd, nodir: true, ignore: ['docs/templates/**', '**/node_modules/**'] })).sort();
+      let compared = 0;
+      let changed = 0;
+
+      for (const file of files) {
+        const content = await fse.readFile(resolve(cwd, file), 'utf-8');
+        const { data, body } = parseFrontmatter(content);
+        const stamp = parseTemplateStamp(data.template);
+
+        if (!stamp || (packName && stamp.name !== packName)) continue;
+
+        const registered = getRegisteredPacks(config).find(entry => entry.name === stamp.name);
+        if (!registered) {
+          console.log(chalk.yellow(`  ${file}: pack ${stamp.name} is no longer registered`));
+          continue;
+        }
+
+        if (!packs.has(stamp.name)) {
+          packs.set(stamp.name, await loadPack(cwd, registered.source));
+        }
+        const pack = packs.get(stamp.name);
+        const template = pack.templates[stamp.key];
+
+        if (!template) {
+          console.log(chalk.yellow(`  ${file}: ${pack.name} ${pack.version} no longer has a "${stamp.key}" template`));
+          continue;
+        }
+
+        // Render the current template as it would have been when the file was created:
+        // scaffold fills project values only, `docflow add` also the document's own
+        const source = await fse.readFile(template.path, 'utf-8');
+        const variables = {
+          ...context.variables,
+          DATE: data.date ?? context.variables.DATE,
+          AUTHOR: data.author ?? context.variables.AUTHOR
+        };
+        const rendered = scaffolded[file]
+          ? substituteVariables(source, variables)
+          : processTemplate(source, { ...context, variables: { ...variables, ...frontmatterVariables(data) } }, {
+            name: `${pack.name}:${stamp.key}`,
+            partialsDir: pack.root
+          });
+
+        const ops = diffLines(body.trimStart(), parseFrontmatter(rendered).body.trimStart());
+        compared++;
+
+        const versions = stamp.version === pack.version ? pack.version : `${stamp.version} → ${pack.version}`;
+        if (!hasChanges(ops)) {
+          console.log(chalk.green(`  ${file}`) + chalk.gray(`  ${pack.name}:${stamp.key} ${versions}, no differences`));
+          continue;
+        }
+
+        changed++;
+        console.log(chalk.white(`\n  ${file}`) + chalk.gray(`  ${pack.name}:${stamp.key} ${versions}\n`));
+        const diff = formatUnifiedDiff(ops, { fromFile: file, toFile: `${pack.name}/${template.file}` });
+        for (const line of diff.split('\n')) {
+          console.log(colorDiffLine(line));
+        }
+      }
+
+      if (compared === 0) {
+        console.log(chalk.gray(`\n  No documentation files come from ${packName ? `pack ${packName}` : 'a template pack'}.\n`));
+        return;
+      }
+      console.log(chalk.gray(`\n  ${compared} file(s) compared, ${changed} with differences\n`));
+
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+/**
+ * Rebuild the document variables `docflow add` used from a file's frontmatter
+ */
+function frontmatterVariables(data) {
+  const id = String(data.id || '').match(/^(.+)-(\d+)$/);
+  return documentVariables({
+    name: data.title,
+    number: id ? Number(id[2]) : null,
+    prefix: id?.[1],
+    status: data.status,
+    tags: Array.isArray(data.tags) ? data.tags : [],
+    runbook: data.type === 'runbook' ? { category: data.category, severity: data.severity, owner: data.owner } : null
+  });
+}
+
+/**
+ * Config types whose template points into a pack
+ */
+function usedBy(config, packName) {
+  const types = [
+    ...Object.entries(config?.templates || {}),
+    ...Object.entries(config?.templates?.custom || {})
+  ];
+
+  return types
+    .filter(([, settings]) => typeof settings?.template === 'string' && settings.template.startsWith(`pack:${packName}:`))
+    .map(([type]) => type);
+}
+
+/**
+ * Colour a unified diff line
+ */
+function colorDiffLine(line) {
+  if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+  if (line.startsWith('@@')) return chalk.cyan(line);
+  if (line.startsWith('+')) return chalk.green(line);
+  if (line.startsWith('-')) return chalk.red(line);
+  return line;
+}
@@ -10,22 +10,32 @@ import fse from 'fs-extra';
 import { join } from 'path';
 import Ajv from 'ajv';
 import { loadConfig, loadSchema } from '../utils/config.js';
+import { checkNaming } from '../../generators/naming.js';
+import { lintDocumentation, groupIssuesByFile, checkFeatureAdrLinks } from '../../generators/content-lint.js';
 
 export const validateCommand = new Command('validate')
   .description('Validate DocFlow configuration and structure')
   .option('-c, --config-only', 'Only validate configuration file')
   .option('-s, --structure-only', 'Only validate folder structure')
+  .option('-n, --naming', 'Check file, folder and identifier names against naming.rules')
+  .option('--content', 'Lint markdown under docs/ for broken links, missing metadata and leftover placeholders')
+  .option('--json', 'Output results as JSON')
   .option('-v, --verbose', 'Show detailed validation results')
   .action(async (options) => {
-    console.log(chalk.cyan('\n  DocFlow Validation\n'));
+    if (!options.json) {
+      console.log(chalk.cyan('\n  DocFlow Validation\n'));
+    }
 
     const cwd = process.cwd();
-    const spinner = ora('Validating...').start();
+    const spinner = ora({ text: 'Validating...', isSilent: options.json }).start();
 
     const results = {
       config: { valid: false, errors: [] },
       schema: { valid: false, errors: [] },
       structure: { valid: false, errors: [] },
+      naming: { valid: true, errors: [] },
+      adrLinks: { valid: true, errors: [] },
+      content: { valid: true, errors: [], issues: [] },
     };
 
     try {
@@ -84,8 +94,56 @@ export const validateCommand = new Command('validate')
         }
       }
 
+      // Feature specs linking missing or superseded ADRs (--content reports these itself)
+      if (!options.configOnly && !options.content) {
+        spinner.text = 'Checking feature ADR links...';
+
+        const issues = await checkFeatureAdrLinks(cwd, config);
+        results.adrLinks.valid = issues.length === 0;
+        results.adrLinks.errors = issues.map(i => `${i.file}:${i.line}  ${i.message}`);
+      }
+
+      // Naming conventions
+      if (options.naming) {
+        spinner.text = 'Checking naming conventions...';
+
+        const { violations } = await checkNaming(cwd, config);
+        results.naming.valid = violations.length === 0;
+        results.naming.errors = violations.map(v =>
+          `${v.file}${v.line ? `:${v.line}` : ''}  ${v.message}`
+        );
+      }
+
+      // Documentation content
+      if (options.content) {
+        spinner.text = 'Linting documentation content...';
+
+        const { files, issues } = await lintDocumentation(cwd, config);
+        results.content.files = files;
+        results.content.issues = issues;
+        results.content.valid = issues.length === 0;
+        results.content.errors = issues.map(i =>
+          `${i.file}${i.line ? `:${i.line}` : ''}  ${i.message} (${i.rule})`
+        );
+      }
+
       spinner.stop();
 
+      const namingEnforced = config.naming?.enforce !== false;
+
+      const allValid = results.config.valid &&
+        (options.configOnly || results.structure.valid) &&
+        (options.structureOnly || results.schema.valid || results.schema.errors.length === 0) &&
+        (results.naming.valid || !namingEnforced) &&
+        results.adrLinks.valid &&
+        results.content.valid;
+
+      if (options.json) {
+        console.log(JSON.stringify({ valid: allValid, ...results }, null, 2));
+        if (!allValid) process.exit(1);
+        return;
+      }
+
       // Output results
       console.log(chalk.bold('  Results:\n'));
 
@@ -113,12 +171,39 @@ export const validateCommand = new Command('validate')
         }
       }
 
-      console.log('');
+      // Feature ADR links
+      if (!options.configOnly && !options.content) {
+        const linksIcon = results.adrLinks.valid ? chalk.green('✓') : chalk.red('✗');
+        console.log(`  ${linksIcon} Feature ADR links: ${results.adrLinks.valid ? 'Valid' : `${results.adrLinks.errors.length} issue(s)`}`);
 
-      // Exit code
-      const allValid = results.config.valid &&
-        (options.configOnly || results.structure.valid) &&
-        (options.structureOnly || results.schema.valid || results.schema.errors.length === 0);
+        results.adrLinks.errors.forEach(e => console.log(chalk.yellow(`      - ${e}`)));
+      }
+
+      // Naming
+      if (options.naming) {
+        const namingIcon = results.naming.valid ? chalk.green('✓') : (namingEnforced ? chalk.red('✗') : chalk.yellow('⚠'));
+        console.log(`  ${namingIcon} Naming: ${results.naming.valid ? 'Valid' : `${results.naming.errors.length} violation(s)`}`);
+
+        results.naming.errors.forEach(e => console.log(chalk.yellow(`      - ${e}`)));
+      }
+
+      // Content, grouped by file
+      if (options.content) {
+        const contentIcon = results.content.valid ? chalk.green('✓') : chalk.red('✗');
+        const summary = results.content.valid
+          ? `Valid (${results.content.files} file(s))`
+          : `${results.content.issues.length} issue(s) in ${results.content.files} file(s)`;
+        console.log(`  ${contentIcon} Content: ${summary}`);
+
+        for (const [file, issues] of groupIssuesByFile(results.content.issues)) {
+          console.log(chalk.white(`      ${file}`));
+          issues.forEach(i => console.log(
+            chalk.yellow(`        ${i.line ? `${i.line}: ` : ''}${i.message}`) + chalk.gray(` (${i.rule})`)
+          ));
+        }
+      }
+
+      console.log('');
 
       if (allValid) {
         console.log(chalk.green('  All validations passed!\n'));
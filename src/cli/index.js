@@ -20,6 +20,13 @@ import { aggregateCommand } from './commands/aggregate.js';
 import { exportCommand } from './commands/export.js';
 import { coverageCommand } from './commands/coverage.js';
 import { siteCommand } from './commands/site.js';
+import { changelogCommand } from './commands/changelog.js';
+import { scanCommand } from './commands/scan.js';
+import { adrCommand } from './commands/adr.js';
+import { runbooksCommand } from './commands/runbooks.js';
+import { migrateCommand } from './commands/migrate.js';
+import { templateCommand } from './commands/template.js';
+import { diffCommand } from './commands/diff.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -53,6 +60,13 @@ program.addCommand(aggregateCommand);
 program.addCommand(exportCommand);
 program.addCommand(siteCommand);
 program.addCommand(coverageCommand);
+program.addCommand(changelogCommand);
+program.addCommand(scanCommand);
+program.addCommand(adrCommand);
+program.addCommand(runbooksCommand);
+program.addCommand(migrateCommand);
+program.addCommand(templateCommand);
+program.addCommand(diffCommand);
 
 // Parse arguments
 program.parse(process.argv);
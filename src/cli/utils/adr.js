@@ -0,0 +1,171 @@
+/**
+ * DocFlow ADR Utilities
+ * Locate and read Architecture Decision Records
+ */
+
+import fse from 'fs-extra';
+import { join, relative } from 'path';
+import { glob } from 'glob';
+import { readMetadata, getMetadataValue, setMetadataValue } from './metadata.js';
+import { setFrontmatter } from './frontmatter.js';
+import { cleanValue } from './markdown.js';
+
+/**
+ * Recognised ADR statuses, in lifecycle order
+ */
+export const ADR_STATUSES = ['Proposed', 'Accepted', 'Rejected', 'Deprecated', 'Superseded'];
+
+/**
+ * Metadata cells left as template placeholders ("ADR-XXX (if applicable)") are unset
+ */
+const CELL = { markdown: true, hint: /XXX|if applicable/i };
+
+/**
+ * Directory and prefix for ADRs from config
+ */
+export function getAdrSettings(config) {
+  const adr = config?.templates?.adr || {};
+  return {
+    directory: adr.directory || 'docs/architecture/adr',
+    prefix: adr.prefix || 'ADR',
+    index: adr.index || 'index.md'
+  };
+}
+
+/**
+ * List ADRs ordered by number
+ * @returns {Promise<object[]>} ADRs: { number, id, title, status, date, supersedes, supersededBy, file, path }
+ */
+export async function listAdrs(cwd, config) {
+  const { directory, prefix } = getAdrSettings(config);
+  const dir = join(cwd, directory);
+
+  if (!await fse.pathExists(dir)) {
+    return [];
+  }
+
+  const files = await glob(`${prefix}-*.md`, { cwd: dir, absolute: true });
+  const adrs = [];
+
+  for (const file of files) {
+    const name = file.split(/[/\\]/).pop();
+    if (/TEMPLATE/i.test(name)) continue;
+
+    const match = name.match(new RegExp(`^${prefix}-(\\d+)`));
+    if (!match) continue;
+
+    const content = await fse.readFile(file, 'utf-8');
+    adrs.push({
+      ...parseAdr(content),
+      number: parseInt(match[1], 10),
+      id: `${prefix}-${match[1]}`,
+      file: relative(cwd, file).replace(/\\/g, '/'),
+      path: file
+    });
+  }
+
+  return adrs.sort((a, b) => a.number - b.number || a.file.localeCompare(b.file));
+}
+
+/**
+ * Read title, status, date and supersession links from ADR content
+ * Supports the metadata table template and the `## Status` section format
+ */
+export function parseAdr(content) {
+  const metadata = readMetadata(content);
+
+  const heading = content.match(/^#\s+(.+)$/m)?.[1].trim() || '';
+  const title = heading.replace(/^[A-Z]+-\d+:\s*/, '');
+
+  const statusSection = content.match(/^##\s*Status\s*\n+([\s\S]*?)(?=^#|(?![\s\S]))/im)?.[1] || '';
+  const status = normalizeStatus(getMetadataValue(metadata, 'Status') || statusSection.trim().split('\n')[0]);
+
+  // The `## Status` format records links as "Supersedes ADR-001" / "Superseded by ADR-005" lines
+  const sectionLink = (pattern) => statusSection.match(pattern)?.[1] || null;
+
+  return {
+    title,
+    status,
+    date: cleanValue(getMetadataValue(metadata, 'Date'), CELL),
+    supersedes: cleanValue(getMetadataValue(metadata, 'Supersedes'), CELL) ||
+      cleanValue(sectionLink(/^Supersedes\s+(.+)$/im), CELL),
+    supersededBy: cleanValue(getMetadataValue(metadata, 'Superseded by'), CELL) ||
+      cleanValue(sectionLink(/^Superseded by\s+(.+)$/im), CELL)
+  };
+}
+
+/**
+ * Find an ADR by number or id ("3", "003", "ADR-003")
+ */
+export function resolveAdr(adrs, ref) {
+  const match = String(ref).match(/(\d+)$/);
+  if (!match) return null;
+
+  const number = parseInt(match[1], 10);
+  return adrs.find(adr => adr.number === number) || null;
+}
+
+/**
+ * Apply status and supersession changes to ADR content
+ * Updates the metadata table when there is one, otherwise rewrites the `## Status` section.
+ * A frontmatter `status` is kept in step.
+ * @param {string} content - ADR markdown
+ * @param {object} updates - { status, supersedes, supersededBy }; links are markdown link strings
+ */
+export function updateAdr(content, updates) {
+  const updated = updateAdrBody(content, updates);
+  return updates.status ? setFrontmatter(updated, { status: updates.status }, { create: false }) : updated;
+}
+
+/**
+ * Apply updateAdr changes to the metadata table or `## Status` section
+ */
+function updateAdrBody(content, updates) {
+  const fields = [
+    ['Status', updates.status],
+    ['Supersedes', updates.supersedes],
+    ['Superseded by', updates.supersededBy]
+  ].filter(([, value]) => value !== undefined);
+
+  let updated = content;
+  let hasTable = true;
+  for (const [field, value] of fields) {
+    const next = setMetadataValue(updated, field, value || '-');
+    if (next === null) {
+      hasTable = false;
+      break;
+    }
+    updated = next;
+  }
+  if (hasTable) return updated;
+
+  // `## Status` section format
+  const current = parseAdr(content);
+  const status = updates.status ?? current.status;
+  const supersedes = updates.supersedes !== undefined ? updates.supersedes : current.supersedes;
+  const supersededBy = updates.supersededBy !== undefined ? updates.supersededBy : current.supersededBy;
+
+  const body = [status];
+  if (supersedes) body.push('', `Supersedes ${supersedes}`);
+  if (supersededBy) body.push('', `Superseded by ${supersededBy}`);
+  const section = `## Status\n\n${body.join('\n')}\n\n`;
+
+  const pattern = /^##\s*Status\s*\n[\s\S]*?(?=^#|(?![\s\S]))/im;
+  if (pattern.test(content)) {
+    return content.replace(pattern, section);
+  }
+
+  // No status anywhere: add the section after the title
+  return content.replace(/^(#\s+.+\n)/m, `$1\n${section}`);
+}
+
+/**
+ * Map a raw status value onto ADR_STATUSES
+ * Unfilled template values ("Proposed / Accepted / ...") become "Unknown"
+ */
+export function normalizeStatus(value) {
+  if (!value) return 'Unknown';
+
+  const found = ADR_STATUSES.filter(status => new RegExp(`\\b${status}\\b`, 'i').test(value));
+  return found.length === 1 ? found[0] : 'Unknown';
+}
@@ -72,6 +72,26 @@ export async function detectProjectType(cwd) {
   return 'generic';
 }
 
+/**
+ * Human-readable project type
+ */
+export function formatProjectType(type) {
+  const names = {
+    node: 'Node.js',
+    python: 'Python',
+    dotnet: '.NET',
+    powershell: 'PowerShell',
+    go: 'Go',
+    rust: 'Rust',
+    java: 'Java',
+    ruby: 'Ruby',
+    php: 'PHP',
+    generic: 'Generic'
+  };
+
+  return names[type] || type;
+}
+
 /**
  * Detect tech stack from project files
  */
@@ -186,3 +206,107 @@ export async function detectEntryPoints(cwd) {
 
   return entryPoints;
 }
+
+/**
+ * Get common commands for the detected project type and tech stack
+ */
+export function getCommonCommands(projectType, techStack) {
+  const commands = [];
+
+  if (techStack.includes('npm') || projectType === 'node') {
+    commands.push(
+      { command: 'npm install', description: 'Install dependencies' },
+      { command: 'npm run dev', description: 'Start development server' },
+      { command: 'npm test', description: 'Run tests' },
+      { command: 'npm run build', description: 'Build for production' },
+    );
+  }
+
+  if (techStack.includes('pip') || projectType === 'python') {
+    commands.push(
+      { command: 'pip install -r requirements.txt', description: 'Install dependencies' },
+      { command: 'python -m pytest', description: 'Run tests' },
+    );
+  }
+
+  if (projectType === 'powershell') {
+    commands.push(
+      { command: 'Invoke-Pester', description: 'Run Pester tests' },
+      { command: 'Invoke-ScriptAnalyzer -Path .', description: 'Lint PowerShell scripts' },
+    );
+  }
+
+  if (projectType === 'dotnet') {
+    commands.push(
+      { command: 'dotnet restore', description: 'Restore dependencies' },
+      { command: 'dotnet build', description: 'Build solution' },
+      { command: 'dotnet test', description: 'Run tests' },
+    );
+  }
+
+  // Git commands (always useful)
+  commands.push(
+    { command: 'git status', description: 'Check git status' },
+    { command: 'git pull', description: 'Pull latest changes' },
+  );
+
+  return commands;
+}
+
+/**
+ * Detect the project version from its manifest
+ * package.json for node, pyproject.toml ([project] or [tool.poetry]) for python,
+ * Cargo.toml ([package]) for rust.
+ * @param {string} cwd - Project root
+ * @param {string} projectType - Type from detectProjectType (detected when omitted)
+ * @returns {Promise<string|null>} Version, or null when none is declared
+ */
+export async function detectProjectVersion(cwd, projectType) {
+  const type = projectType || await detectProjectType(cwd);
+
+  if (type === 'node') {
+    const pkgPath = join(cwd, 'package.json');
+    if (await fse.pathExists(pkgPath)) {
+      try {
+        return (await fse.readJson(pkgPath)).version || null;
+      } catch (e) {
+        return null;
+      }
+    }
+  }
+
+  const manifests = {
+    python: { file: 'pyproject.toml', sections: ['project', 'tool.poetry'] },
+    rust: { file: 'Cargo.toml', sections: ['package', 'workspace.package'] },
+  };
+
+  const manifest = manifests[type];
+  if (manifest && await fse.pathExists(join(cwd, manifest.file))) {
+    const content = await fse.readFile(join(cwd, manifest.file), 'utf-8');
+    return readTomlString(content, manifest.sections, 'version');
+  }
+
+  return null;
+}
+
+/**
+ * Read a quoted string key from the first matching TOML section
+ */
+function readTomlString(content, sections, key) {
+  let section = '';
+
+  for (const line of content.split('\n')) {
+    const header = line.match(/^\s*\[([^\]]+)\]\s*$/);
+    if (header) {
+      section = header[1].trim();
+      continue;
+    }
+
+    const value = line.match(new RegExp(`^\\s*${key}\\s*=\\s*["']([^"']*)["']`));
+    if (value && sections.includes(section)) {
+      return value[1];
+    }
+  }
+
+  return null;
+}
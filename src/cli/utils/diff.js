@@ -0,0 +1,193 @@
+/**
+ * DocFlow Diff Utilities
+ * Line diffs (longest common subsequence), unified diff output and three-way merges
+ */
+
+/**
+ * Line-by-line diff of two texts
+ * @returns {object[]} Operations in order: { type: 'equal' | 'remove' | 'add', line }
+ */
+export function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'equal', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push({ type: 'remove', line: a[i++] });
+    } else {
+      ops.push({ type: 'add', line: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: 'remove', line: a[i++] });
+  while (j < b.length) ops.push({ type: 'add', line: b[j++] });
+
+  return ops;
+}
+
+/**
+ * Whether a diff contains any change
+ */
+export function hasChanges(ops) {
+  return ops.some(op => op.type !== 'equal');
+}
+
+/**
+ * Format diff operations as a unified diff
+ * @param {object[]} ops - Operations from diffLines
+ * @param {object} options - { fromFile, toFile, context (default 3) }
+ * @returns {string} Unified diff, or an empty string when nothing changed
+ */
+export function formatUnifiedDiff(ops, options = {}) {
+  if (!hasChanges(ops)) return '';
+
+  const context = options.context ?? 3;
+  const lines = [`--- ${options.fromFile || 'a'}`, `+++ ${options.toFile || 'b'}`];
+
+  // Line numbers of every op in the old and new text
+  let oldLine = 1;
+  let newLine = 1;
+  const numbered = ops.map(op => {
+    const entry = { ...op, oldLine, newLine };
+    if (op.type !== 'add') oldLine++;
+    if (op.type !== 'remove') newLine++;
+    return entry;
+  });
+
+  // Group changes that are within 2 * context lines of each other into hunks
+  let index = 0;
+  while (index < numbered.length) {
+    const first = numbered.findIndex((op, i) => i >= index && op.type !== 'equal');
+    if (first === -1) break;
+
+    let last = first;
+    for (let i = first + 1; i < numbered.length && i <= last + context * 2; i++) {
+      if (numbered[i].type !== 'equal') last = i;
+    }
+
+    const start = Math.max(0, first - context);
+    const end = Math.min(numbered.length - 1, last + context);
+    const hunk = numbered.slice(start, end + 1);
+
+    const oldCount = hunk.filter(op => op.type !== 'add').length;
+    const newCount = hunk.filter(op => op.type !== 'remove').length;
+    const oldStart = oldCount ? hunk.find(op => op.type !== 'add').oldLine : hunk[0].oldLine - 1;
+    const newStart = newCount ? hunk.find(op => op.type !== 'remove').newLine : hunk[0].newLine - 1;
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of hunk) {
+      const prefix = op.type === 'add' ? '+' : op.type === 'remove' ? '-' : ' ';
+      lines.push(`${prefix}${op.line}`);
+    }
+
+    index = end + 1;
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Three-way merge of two edited versions of a common base
+ * Changes made on only one side are taken; the same change on both sides is
+ * taken once; different changes to the same lines become a conflict block.
+ * @param {string} base - Original text
+ * @param {string} ours - Locally edited text
+ * @param {string} theirs - Updated text
+ * @param {object} options - { oursLabel, theirsLabel } for conflict markers
+ * @returns {object} { content, conflicts } - conflicts is the number of conflict blocks
+ */
+export function mergeLines(base, ours, theirs, options = {}) {
+  const o = splitLines(base);
+  const a = splitLines(ours);
+  const b = splitLines(theirs);
+  const matchA = matchBaseLines(diffLines(base, ours));
+  const matchB = matchBaseLines(diffLines(base, theirs));
+
+  const lines = [];
+  let conflicts = 0;
+  let i = 0;
+  let ia = 0;
+  let ib = 0;
+
+  const resolveChunk = (j, ja, jb) => {
+    const chunkO = o.slice(i, j);
+    const chunkA = a.slice(ia, ja);
+    const chunkB = b.slice(ib, jb);
+
+    if (sameLines(chunkA, chunkO) || sameLines(chunkA, chunkB)) {
+      lines.push(...chunkB);
+    } else if (sameLines(chunkB, chunkO)) {
+      lines.push(...chunkA);
+    } else {
+      conflicts++;
+      lines.push(`<<<<<<< ${options.oursLabel || 'ours'}`, ...chunkA, '=======', ...chunkB, `>>>>>>> ${options.theirsLabel || 'theirs'}`);
+    }
+  };
+
+  // Walk the base lines kept by both sides; everything between them is a changed chunk
+  for (let j = 0; j < o.length; j++) {
+    if (matchA[j] === undefined || matchB[j] === undefined) continue;
+
+    resolveChunk(j, matchA[j], matchB[j]);
+    lines.push(o[j]);
+    i = j + 1;
+    ia = matchA[j] + 1;
+    ib = matchB[j] + 1;
+  }
+  resolveChunk(o.length, a.length, b.length);
+
+  const newline = /\n$/.test(ours) || (!ours && /\n$/.test(theirs)) ? '\n' : '';
+  return { content: lines.length ? lines.join('\n') + newline : '', conflicts };
+}
+
+/**
+ * Number of conflict blocks mergeLines left in a text that are not yet resolved
+ */
+export function countConflictMarkers(text) {
+  return (text.match(/^<<<<<<<(?: .*)?$/gm) || []).length;
+}
+
+/**
+ * Index in the edited text of every base line it kept, by base line index
+ */
+function matchBaseLines(ops) {
+  const matches = [];
+  let baseLine = 0;
+  let editedLine = 0;
+
+  for (const op of ops) {
+    if (op.type === 'equal') matches[baseLine] = editedLine;
+    if (op.type !== 'add') baseLine++;
+    if (op.type !== 'remove') editedLine++;
+  }
+
+  return matches;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+/**
+ * Split text into lines, ignoring the newline at the end of the file
+ */
+function splitLines(text) {
+  if (!text) return [];
+  return text.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+}
@@ -0,0 +1,120 @@
+/**
+ * DocFlow Custom Document Types
+ * User-defined types declared under `templates.custom` (postmortems, RFCs, ...)
+ */
+
+/**
+ * Keys under `templates` that are built-in types or settings, not custom types
+ */
+const RESERVED_TYPES = ['adr', 'runbook', 'runbooks', 'feature', 'features', 'api', 'database', 'packs',
+  'architecture', 'security', 'deployment', 'custom', 'variables', 'scaffold'];
+
+/**
+ * Custom document types with defaults applied, keyed by type name
+ * @returns {object} Types: { [name]: { name, enabled, description, directory, template, prefix, autoNumber, questions } }
+ */
+export function getCustomTypes(config) {
+  const custom = config?.templates?.custom || {};
+  const types = {};
+
+  for (const [name, settings] of Object.entries(custom)) {
+    if (RESERVED_TYPES.includes(name)) {
+      throw new Error(`Custom document type "${name}" clashes with a built-in type; choose another name`);
+    }
+
+    types[name] = {
+      name,
+      enabled: settings.enabled !== false,
+      description: settings.description || '',
+      directory: settings.directory || `docs/${name}`,
+      template: settings.template,
+      prefix: settings.prefix || name.toUpperCase(),
+      autoNumber: settings.autoNumber !== false,
+      questions: settings.questions || [],
+    };
+  }
+
+  return types;
+}
+
+/**
+ * Answers for a custom type's questions, keyed by question name
+ * Prompts only when a terminal is attached; otherwise `provided` values and defaults are used.
+ * @param {object} type - Custom type from getCustomTypes
+ * @param {object} provided - Values already supplied (skipped when prompting)
+ * @param {Function} prompt - inquirer.prompt
+ */
+export async function answerQuestions(type, provided, prompt) {
+  const answers = {};
+  const pending = [];
+
+  for (const question of type.questions) {
+    if (provided[question.name] !== undefined) {
+      answers[question.name] = provided[question.name];
+    } else if (process.stdin.isTTY) {
+      pending.push({
+        type: question.type || (question.choices ? 'list' : 'input'),
+        name: question.name,
+        message: question.message,
+        choices: question.choices,
+        default: question.default,
+        validate: question.required ? (input) => String(input).length > 0 || `${question.name} is required` : undefined,
+      });
+    } else if (question.default !== undefined) {
+      answers[question.name] = question.default;
+    } else if (question.required) {
+      throw new Error(`Missing value for "${question.name}" (${question.message})`);
+    } else {
+      answers[question.name] = '';
+    }
+  }
+
+  if (pending.length) {
+    Object.assign(answers, await prompt(pending));
+  }
+
+  return answers;
+}
+
+/**
+ * Starter content for a custom type without a template file
+ * Lists each question as a metadata row.
+ */
+export function getCustomTemplate(type) {
+  const heading = type.autoNumber ? '# {{PREFIX}}-{{NUMBER}}: {{TITLE}}' : '# {{TITLE}}';
+  const rows = type.questions.map(question => `| **${titleFromName(question.name)}** | {{${question.name}}} |`);
+
+  return `${heading}
+
+> {{DESCRIPTION}}
+
+---
+
+## Metadata
+
+| Field | Value |
+|-------|-------|
+| **Created** | {{DATE}} |
+| **Author** | {{AUTHOR}} |
+${rows.join('\n')}${rows.length ? '\n' : ''}
+---
+
+## Details
+
+<!-- ${type.description || `Describe the ${type.name}`} -->
+
+---
+
+*Created: {{DATE}} by {{AUTHOR}}*
+`;
+}
+
+/**
+ * "rootCause" / "root_cause" -> "Root Cause"
+ */
+function titleFromName(name) {
+  return name
+    .replace(/_/g, ' ')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/\b\w/g, char => char.toUpperCase());
+}
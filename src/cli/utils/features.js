@@ -0,0 +1,126 @@
+/**
+ * DocFlow Feature Spec Utilities
+ * Locate feature specs and maintain their links to ADRs
+ */
+
+import fse from 'fs-extra';
+import { join, relative, dirname } from 'path';
+import { glob } from 'glob';
+import { getAdrSettings, listAdrs } from './adr.js';
+import { upsertRegion } from './markers.js';
+
+const FEATURE_REGION = 'related-adrs';
+const ADR_REGION = 'related-features';
+const RELATED_HEADING = 'Related Documents';
+
+/**
+ * Directory for feature specs and whether ADR linking is enabled
+ */
+export function getFeatureSettings(config) {
+  const features = config?.templates?.features || {};
+  return {
+    directory: features.directory || 'docs/features',
+    linkToAdr: features.linkToAdr === true
+  };
+}
+
+/**
+ * List feature specs with the ADRs they reference
+ * @returns {Promise<object[]>} Features: { title, file, path, adrs: [{ id, number, line }] }
+ */
+export async function listFeatures(cwd, config) {
+  const { directory } = getFeatureSettings(config);
+  const { prefix } = getAdrSettings(config);
+  const dir = join(cwd, directory);
+
+  if (!await fse.pathExists(dir)) {
+    return [];
+  }
+
+  const files = (await glob('**/*.md', { cwd: dir, absolute: true, nodir: true })).sort();
+  const features = [];
+
+  for (const file of files) {
+    const name = file.split(/[/\\]/).pop();
+    if (/TEMPLATE/i.test(name) || /^README\.md$/i.test(name)) continue;
+
+    const content = await fse.readFile(file, 'utf-8');
+    features.push({
+      title: content.match(/^#\s+(.+)$/m)?.[1].trim() || name.replace(/\.md$/, ''),
+      file: relative(cwd, file).replace(/\\/g, '/'),
+      path: file,
+      adrs: findAdrReferences(content, prefix)
+    });
+  }
+
+  return features;
+}
+
+/**
+ * ADR ids referenced in content (e.g. ADR-7, ADR-007), normalised to three digits
+ * Fenced code blocks are ignored.
+ * @returns {object[]} References: { id, number, line }, first occurrence of each
+ */
+export function findAdrReferences(content, prefix = 'ADR') {
+  const references = new Map();
+  const pattern = new RegExp(`\\b${prefix}-(\\d+)\\b`, 'g');
+  let inFence = false;
+
+  content.split('\n').forEach((line, index) => {
+    if (/^(```|~~~)/.test(line.trim())) inFence = !inFence;
+    if (inFence) return;
+
+    for (const match of line.matchAll(pattern)) {
+      const number = parseInt(match[1], 10);
+      if (!references.has(number)) {
+        references.set(number, { id: `${prefix}-${String(number).padStart(3, '0')}`, number, line: index + 1 });
+      }
+    }
+  });
+
+  return [...references.values()];
+}
+
+/**
+ * Write links between a feature spec and the chosen ADRs
+ * The feature lists its ADRs; every ADR lists all features that reference it.
+ * @param {string} cwd - Project root
+ * @param {object} config - DocFlow configuration
+ * @param {string} featurePath - Absolute path of the feature spec
+ * @param {object[]} adrs - ADRs from listAdrs to link
+ */
+export async function linkFeatureToAdrs(cwd, config, featurePath, adrs) {
+  const featureContent = await fse.readFile(featurePath, 'utf-8');
+
+  const adrLinks = adrs.map(adr =>
+    `- [${adr.id}: ${adr.title}](${linkPath(featurePath, adr.path)}) - ${adr.status}`
+  );
+  await fse.writeFile(featurePath, upsertRegion(
+    featureContent,
+    FEATURE_REGION,
+    `**Architecture Decisions**\n\n${adrLinks.join('\n')}`,
+    { heading: RELATED_HEADING }
+  ));
+
+  // Rebuild each ADR's feature list from every spec so links stay symmetric
+  const features = await listFeatures(cwd, config);
+  const allAdrs = await listAdrs(cwd, config);
+
+  for (const adr of allAdrs.filter(a => adrs.some(linked => linked.number === a.number))) {
+    const linked = features.filter(feature => feature.adrs.some(ref => ref.number === adr.number));
+
+    const body = `**Feature Specs**\n\n${linked.map(feature =>
+      `- [${feature.title}](${linkPath(adr.path, feature.path)})`
+    ).join('\n')}`;
+
+    const content = await fse.readFile(adr.path, 'utf-8');
+    await fse.writeFile(adr.path, upsertRegion(content, ADR_REGION, body, { heading: RELATED_HEADING }));
+  }
+}
+
+/**
+ * Relative markdown link from one document to another
+ */
+function linkPath(from, to) {
+  return relative(dirname(from), to).replace(/\\/g, '/');
+}
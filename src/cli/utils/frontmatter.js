@@ -0,0 +1,85 @@
+/**
+ * DocFlow Frontmatter Utilities
+ * Read and write the YAML frontmatter block at the top of markdown documents
+ */
+
+import YAML from 'yaml';
+
+const FRONTMATTER_PATTERN = /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Standard document fields, in the order they are written
+ */
+export const DOCUMENT_FIELDS = ['id', 'type', 'title', 'status', 'date', 'author', 'tags', 'owner'];
+
+/**
+ * Split a document into frontmatter data and body
+ * Invalid YAML does not throw: `data` is empty and `error` describes the problem.
+ * @returns {object} { data, body, hasFrontmatter, error }
+ */
+export function parseFrontmatter(content) {
+  const match = content.match(FRONTMATTER_PATTERN);
+  if (!match) {
+    return { data: {}, body: content, hasFrontmatter: false, error: null };
+  }
+
+  const body = content.slice(match[0].length);
+
+  try {
+    const data = YAML.parse(match[1] || '') ?? {};
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      return { data: {}, body, hasFrontmatter: true, error: 'Frontmatter must be a YAML mapping' };
+    }
+    return { data, body, hasFrontmatter: true, error: null };
+  } catch (error) {
+    return { data: {}, body, hasFrontmatter: true, error: `Invalid YAML frontmatter: ${error.message.split('\n')[0]}` };
+  }
+}
+
+/**
+ * Merge values into a document's frontmatter, adding the block when there is none
+ * Null, undefined and empty values are not written; standard fields come first.
+ * @param {string} content - Markdown document
+ * @param {object} values - Fields to set
+ * @param {object} options - { overwrite: false keeps existing values, create: false leaves documents without frontmatter alone }
+ */
+export function setFrontmatter(content, values, options = {}) {
+  const { overwrite = true, create = true } = options;
+  const { data, body, hasFrontmatter, error } = parseFrontmatter(content);
+
+  if (error) {
+    throw new Error(error);
+  }
+  if (!hasFrontmatter && !create) {
+    return content;
+  }
+
+  const merged = { ...data };
+  for (const [key, value] of Object.entries(values)) {
+    if (isEmpty(value)) continue;
+    if (!overwrite && !isEmpty(merged[key])) continue;
+    merged[key] = value;
+  }
+
+  return `${stringifyFrontmatter(merged)}${hasFrontmatter ? body : `\n${body}`}`;
+}
+
+/**
+ * Serialise data as a frontmatter block (tags as a flow list)
+ */
+export function stringifyFrontmatter(data) {
+  const ordered = {};
+  for (const key of [...DOCUMENT_FIELDS, ...Object.keys(data)]) {
+    if (key in data && !(key in ordered)) ordered[key] = data[key];
+  }
+
+  const doc = new YAML.Document(ordered);
+  const tags = doc.get('tags', true);
+  if (tags && YAML.isSeq(tags)) tags.flow = true;
+
+  return `---\n${doc.toString({ lineWidth: 0, flowCollectionPadding: false })}---\n`;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
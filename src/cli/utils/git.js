@@ -0,0 +1,182 @@
+/**
+ * DocFlow Git Utilities
+ * Thin wrappers around the local git CLI
+ */
+
+import { spawn } from 'child_process';
+
+/**
+ * Run a git command and resolve with its stdout
+ * Rejects with git's stderr when the command exits non-zero
+ */
+export function runGit(cwd, args) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('git', args, { cwd });
+
+    let output = '';
+    let errors = '';
+    proc.stdout.on('data', (data) => {
+      output += data.toString();
+    });
+    proc.stderr.on('data', (data) => {
+      errors += data.toString();
+    });
+
+    proc.on('close', (code) => {
+      if (code === 0) {
+        resolve(output);
+      } else {
+        reject(new Error(errors.trim() || `git ${args[0]} exited with code ${code}`));
+      }
+    });
+
+    proc.on('error', (error) => reject(new Error(`Unable to run git: ${error.message}`)));
+  });
+}
+
+/**
+ * Check whether a directory is inside a git work tree
+ */
+export async function isGitRepository(cwd) {
+  try {
+    return (await runGit(cwd, ['rev-parse', '--is-inside-work-tree'])).trim() === 'true';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Most recent semver tag reachable from HEAD (v1.2.3 or 1.2.3), or null
+ */
+export async function getLatestVersionTag(cwd) {
+  const output = await runGit(cwd, ['tag', '--merged', 'HEAD', '--sort=-v:refname']);
+  return output.split('\n')
+    .map(tag => tag.trim())
+    .find(tag => /^v?\d+\.\d+\.\d+/.test(tag)) || null;
+}
+
+/**
+ * Commits after `from` (exclusive) up to HEAD, newest first, without merges
+ * @returns {Promise<object[]>} Commits: { hash, message }
+ */
+export async function getCommitsSince(cwd, from) {
+  const range = from ? `${from}..HEAD` : 'HEAD';
+  const output = await runGit(cwd, ['log', '--no-merges', '--format=%H%x1f%B%x1e', range]);
+
+  return output.split('\x1e')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [hash, message = ''] = entry.split('\x1f');
+      return { hash, message: message.trim() };
+    });
+}
+
+/**
+ * Date (YYYY-MM-DD) of the last commit touching a file, or null if untracked
+ */
+export async function getLastCommitDate(cwd, file) {
+  try {
+    return (await runGit(cwd, ['log', '-1', '--format=%cs', '--', file])).trim() || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Value of a git config key (e.g. user.name), or null when unset
+ */
+export async function getGitConfig(cwd, key) {
+  try {
+    return (await runGit(cwd, ['config', '--get', key])).trim() || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Name of the checked-out branch, or null when detached or not a repository
+ */
+export async function getCurrentBranch(cwd) {
+  try {
+    const branch = (await runGit(cwd, ['rev-parse', '--abbrev-ref', 'HEAD'])).trim();
+    return branch && branch !== 'HEAD' ? branch : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Full commit hash for a ref, or null when it does not name a commit
+ */
+export async function resolveCommit(cwd, ref) {
+  try {
+    return (await runGit(cwd, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`])).trim() || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Top-level directory of the repository containing cwd
+ */
+export async function getRepositoryRoot(cwd) {
+  return (await runGit(cwd, ['rev-parse', '--show-toplevel'])).trim();
+}
+
+/**
+ * Paths of all files in a commit's tree, relative to the repository root
+ */
+export async function listFilesAtRef(cwd, ref) {
+  const output = await runGit(cwd, ['ls-tree', '-r', '-z', '--full-tree', '--name-only', ref]);
+  return output.split('\0').filter(Boolean);
+}
+
+/**
+ * Read files from a commit's tree through one `git cat-file --batch` process
+ * Paths are relative to the repository root, as listFilesAtRef returns them.
+ * @returns {Promise<Map<string, string>>} Path → content, for the paths that exist at the ref
+ */
+export function readFilesAtRef(cwd, ref, paths) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('git', ['cat-file', '--batch'], { cwd });
+
+    const chunks = [];
+    let errors = '';
+    proc.stdout.on('data', (data) => chunks.push(data));
+    proc.stderr.on('data', (data) => {
+      errors += data.toString();
+    });
+
+    proc.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(errors.trim() || `git cat-file exited with code ${code}`));
+        return;
+      }
+
+      // Each object is "<oid> <type> <size>\n<content>\n"; unknown paths print "<name> missing\n"
+      const output = Buffer.concat(chunks);
+      const files = new Map();
+      let offset = 0;
+      for (const path of paths) {
+        const end = output.indexOf(10, offset);
+        if (end === -1) break;
+
+        const header = output.toString('utf-8', offset, end).split(' ');
+        offset = end + 1;
+        if (header[header.length - 1] === 'missing' || header.length !== 3) continue;
+
+        const size = Number(header[2]);
+        if (header[1] === 'blob') {
+          files.set(path, output.toString('utf-8', offset, offset + size));
+        }
+        offset += size + 1;
+      }
+      resolve(files);
+    });
+
+    proc.on('error', (error) => reject(new Error(`Unable to run git: ${error.message}`)));
+
+    proc.stdin.end(paths.map(path => `${ref}:${path}\n`).join(''));
+  });
+}
@@ -0,0 +1,53 @@
+/**
+ * DocFlow Markdown Utilities
+ * Helpers shared by the generators that write markdown tables and tables of contents
+ * and the exporters that render markdown
+ */
+
+/**
+ * Treat empty values, "-" and unfilled {{PLACEHOLDER}} values as unset
+ * @param {string} value - Config value or metadata table cell
+ * @param {object} options - Cleaning options
+ * @param {boolean} options.markdown - Strip code ticks, bold and link syntax first
+ * @param {RegExp} options.hint - Further template hints to treat as unset (e.g. "ADR-XXX (if applicable)")
+ * @returns {string|null} Trimmed value, or null when unset
+ */
+export function cleanValue(value, options = {}) {
+  if (value === undefined || value === null) return null;
+
+  let cleaned = String(value);
+  if (options.markdown) {
+    cleaned = cleaned.replace(/`/g, '').replace(/\*\*/g, '').replace(/\[([^\]]+)\]\([^)]*\)/g, '$1');
+  }
+  cleaned = cleaned.trim();
+
+  if (!cleaned || cleaned === '-' || /\{\{.*\}\}/.test(cleaned) || options.hint?.test(cleaned)) return null;
+  return cleaned;
+}
+
+/**
+ * GitHub-style heading anchor
+ */
+export function anchor(text) {
+  return text.toLowerCase().replace(/[^\w\s-]/g, '').replace(/\s+/g, '-');
+}
+
+/**
+ * Decode the HTML entities marked applies to inline text and code block contents
+ */
+export function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Escape a value for use inside a markdown table cell
+ */
+export function escapeCell(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).replace(/\|/g, '\\|').replace(/\n+/g, ' ').trim();
+}
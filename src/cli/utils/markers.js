@@ -0,0 +1,101 @@
+/**
+ * DocFlow Marker Utilities
+ * Manage auto-generated regions inside hand-maintained markdown files
+ */
+
+/**
+ * Build the start/end marker comments for a region
+ */
+export function regionMarkers(name) {
+  return {
+    start: `<!-- docflow:start ${name} -->`,
+    end: `<!-- docflow:end ${name} -->`,
+  };
+}
+
+/**
+ * Wrap content in region markers
+ */
+export function wrapRegion(name, body) {
+  const { start, end } = regionMarkers(name);
+  return `${start}\n${body.trim()}\n${end}`;
+}
+
+/**
+ * List region names present in content, in document order
+ */
+export function findRegions(content) {
+  const names = [];
+  const pattern = /<!-- docflow:start ([\w-]+) -->/g;
+  let match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    names.push(match[1]);
+  }
+
+  return names;
+}
+
+/**
+ * Check whether a region exists in content
+ */
+export function hasRegion(content, name) {
+  const { start, end } = regionMarkers(name);
+  const startIndex = content.indexOf(start);
+  return startIndex !== -1 && content.indexOf(end, startIndex) !== -1;
+}
+
+/**
+ * Replace the body of an existing region, leaving everything outside it untouched
+ * Returns the content unchanged if the region is not present
+ */
+export function replaceRegion(content, name, body) {
+  const { start, end } = regionMarkers(name);
+  const startIndex = content.indexOf(start);
+  if (startIndex === -1) return content;
+
+  const endIndex = content.indexOf(end, startIndex);
+  if (endIndex === -1) {
+    throw new Error(`Unclosed docflow region "${name}": missing ${end}`);
+  }
+
+  return content.slice(0, startIndex) + wrapRegion(name, body) + content.slice(endIndex + end.length);
+}
+
+/**
+ * Replace a region, or insert it if missing
+ * Missing regions are placed after the region named in `options.after`
+ * (when present), else at the end of the section under the heading text in
+ * `options.heading` (when present), otherwise appended to the end of the content
+ */
+export function upsertRegion(content, name, body, options = {}) {
+  if (hasRegion(content, name)) {
+    return replaceRegion(content, name, body);
+  }
+
+  const block = wrapRegion(name, body);
+
+  if (options.after && hasRegion(content, options.after)) {
+    const { end } = regionMarkers(options.after);
+    const insertAt = content.indexOf(end) + end.length;
+    return `${content.slice(0, insertAt)}\n\n${block}${content.slice(insertAt)}`;
+  }
+
+  if (options.heading) {
+    const lines = content.split('\n');
+    const headingIndex = lines.findIndex(line => /^#{1,6}\s/.test(line) && line.replace(/^#+\s*/, '').trim() === options.heading);
+
+    if (headingIndex !== -1) {
+      // Section ends at the next heading or horizontal rule
+      let end = lines.findIndex((line, i) => i > headingIndex && (/^#{1,6}\s/.test(line) || /^---\s*$/.test(line)));
+      if (end === -1) end = lines.length;
+      while (end > headingIndex + 1 && lines[end - 1].trim() === '') end--;
+
+      lines.splice(end, 0, '', block);
+      return lines.join('\n');
+    }
+  }
+
+  const trimmed = content.replace(/\s+$/, '');
+  return trimmed ? `${trimmed}\n\n${block}\n` : `${block}\n`;
+}
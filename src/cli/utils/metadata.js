@@ -0,0 +1,112 @@
+/**
+ * DocFlow Metadata Utilities
+ * Read the `| Field | Value |` metadata tables used by the document templates
+ */
+
+import { parseFrontmatter } from './frontmatter.js';
+
+const HEADER_PATTERN = /^\|\s*(?:Field|Property|Attribute)\s*\|\s*Value\s*\|\s*$/i;
+
+/**
+ * Parse metadata tables into a { Field: value } object
+ * Bold markers are stripped from field names; the first occurrence of a field wins.
+ */
+export function parseMetadataTable(content) {
+  const metadata = {};
+  const lines = content.split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!HEADER_PATTERN.test(lines[i].trim())) continue;
+
+    // Skip the header and separator rows
+    for (let j = i + 2; j < lines.length; j++) {
+      const row = lines[j].trim();
+      if (!row.startsWith('|')) break;
+
+      const cells = splitRow(row);
+      if (cells.length < 2) continue;
+
+      const field = cells[0].replace(/\*\*/g, '').trim();
+      if (field && !(field in metadata)) {
+        metadata[field] = cells[1].trim();
+      }
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * Metadata from the YAML frontmatter and metadata tables combined
+ * Table rows win; frontmatter fills in fields the tables do not have.
+ */
+export function readMetadata(content) {
+  const table = parseMetadataTable(content);
+  const metadata = {};
+
+  for (const [key, value] of Object.entries(parseFrontmatter(content).data)) {
+    if (value === null || (typeof value === 'object' && !Array.isArray(value))) continue;
+    if (getMetadataValue(table, key) !== undefined) continue;
+    metadata[key] = Array.isArray(value) ? value.join(', ') : String(value);
+  }
+
+  return { ...metadata, ...table };
+}
+
+/**
+ * Case-insensitive metadata lookup
+ */
+export function getMetadataValue(metadata, field) {
+  const key = Object.keys(metadata).find(k => k.toLowerCase() === field.toLowerCase());
+  return key === undefined ? undefined : metadata[key];
+}
+
+/**
+ * Set a field in the first metadata table, adding the row if it is missing
+ * Returns null when the content has no metadata table.
+ */
+export function setMetadataValue(content, field, value) {
+  const lines = content.split('\n');
+  const headerIndex = lines.findIndex(line => HEADER_PATTERN.test(line.trim()));
+  if (headerIndex === -1) return null;
+
+  let lastRow = headerIndex + 1;
+  let bold = false;
+
+  for (let i = headerIndex + 2; i < lines.length; i++) {
+    const row = lines[i].trim();
+    if (!row.startsWith('|')) break;
+    lastRow = i;
+
+    const cells = splitRow(row);
+    const name = cells[0].replace(/\*\*/g, '').trim();
+    bold = bold || cells[0].includes('**');
+
+    if (name.toLowerCase() === field.toLowerCase()) {
+      lines[i] = `|${cells[0]}| ${escapeCell(value)} |`;
+      return lines.join('\n');
+    }
+  }
+
+  const label = bold ? `**${field}**` : field;
+  lines.splice(lastRow + 1, 0, `| ${label} | ${escapeCell(value)} |`);
+  return lines.join('\n');
+}
+
+/**
+ * Escape pipes so a value stays in one table cell
+ */
+function escapeCell(value) {
+  return String(value).replace(/\|/g, '\\|');
+}
+
+/**
+ * Split a markdown table row into cells, honouring escaped pipes
+ */
+function splitRow(row) {
+  return row
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.replace(/\\\|/g, '|'));
+}
@@ -0,0 +1,193 @@
+/**
+ * DocFlow Template Packs
+ * Versioned bundles of templates, prompts and default config, from a local
+ * directory or an installed npm package, registered under `templates.packs`
+ */
+
+import fse from 'fs-extra';
+import { join, resolve, relative, isAbsolute } from 'path';
+import { createRequire } from 'module';
+
+/**
+ * Manifest file at the root of every pack
+ */
+export const PACK_MANIFEST = 'docflow-pack.json';
+
+/**
+ * Prefix for template references into a pack: "pack:<name>:<template>"
+ */
+const PACK_REFERENCE = /^pack:(.+):([\w-]+)$/;
+
+/**
+ * Load and validate a pack from a directory path or package name
+ * @param {string} cwd - Project root (packages are resolved from here)
+ * @param {string} source - Directory path or npm package name
+ * @returns {Promise<object>} Pack: { name, version, description, source, root, templates: { [key]: { file, path, prompts } }, config }
+ */
+export async function loadPack(cwd, source) {
+  const root = await resolvePackRoot(cwd, source);
+  const manifestPath = join(root, PACK_MANIFEST);
+
+  let manifest;
+  try {
+    manifest = await fse.readJson(manifestPath);
+  } catch (error) {
+    throw new Error(`Invalid ${PACK_MANIFEST} in ${source}: ${error.message}`);
+  }
+
+  if (!manifest.name || typeof manifest.name !== 'string') {
+    throw new Error(`${PACK_MANIFEST} in ${source} needs a "name"`);
+  }
+  if (!/^\d+\.\d+\.\d+(?:[-+][\w.-]+)?$/.test(manifest.version || '')) {
+    throw new Error(`${PACK_MANIFEST} in ${source} needs a semver "version" (e.g. 1.0.0)`);
+  }
+
+  const templates = {};
+  for (const [key, entry] of Object.entries(manifest.templates || {})) {
+    const file = typeof entry === 'string' ? entry : entry.file;
+    const path = resolve(root, file || '');
+
+    if (!file || !await fse.pathExists(path)) {
+      throw new Error(`Template "${key}" in pack ${manifest.name} points to a missing file: ${file}`);
+    }
+    templates[key] = { file, path, prompts: entry.prompts || [] };
+  }
+
+  return {
+    name: manifest.name,
+    version: manifest.version,
+    description: manifest.description || '',
+    source,
+    root,
+    templates,
+    config: manifest.config || {}
+  };
+}
+
+/**
+ * Packs registered in the config: [{ name, version, source }]
+ */
+export function getRegisteredPacks(config) {
+  return config?.templates?.packs || [];
+}
+
+/**
+ * Register a pack (replacing any earlier registration with the same name)
+ * and merge its default config fragment without overriding existing settings
+ * @returns {object} Updated config
+ */
+export function registerPack(config, pack) {
+  const packs = getRegisteredPacks(config).filter(entry => entry.name !== pack.name);
+  const updated = mergeDefaults(config, pack.config);
+
+  updated.templates = {
+    ...updated.templates,
+    packs: [...packs, { name: pack.name, version: pack.version, source: pack.source }]
+  };
+
+  return updated;
+}
+
+/**
+ * Reference to a pack template, for `templates.<type>.template`
+ */
+export function packReference(packName, key) {
+  return `pack:${packName}:${key}`;
+}
+
+/**
+ * Frontmatter `template` value recording which pack version a file came from
+ * e.g. "pack:acme-docs:runbooks@1.2.0"
+ */
+export function templateStamp(pack, key) {
+  return `${packReference(pack.name, key)}@${pack.version}`;
+}
+
+/**
+ * Parse a templateStamp value
+ * @returns {object|null} { name, key, version }
+ */
+export function parseTemplateStamp(value) {
+  const match = String(value || '').match(/^pack:(.+):([\w-]+)@([^@]+)$/);
+  return match ? { name: match[1], key: match[2], version: match[3] } : null;
+}
+
+/**
+ * Resolve a `templates.<type>.template` value to a file
+ * Plain paths are relative to the project; "pack:<name>:<template>" is looked up
+ * in the registered pack.
+ * @returns {Promise<object|null>} { path, pack, key, prompts }, or null when no template is set
+ */
+export async function resolveTemplate(cwd, config, template) {
+  if (!template) return null;
+
+  const match = template.match(PACK_REFERENCE);
+  if (!match) {
+    return { path: join(cwd, template), pack: null, key: null, prompts: [] };
+  }
+
+  const [, name, key] = match;
+  const registered = getRegisteredPacks(config).find(entry => entry.name === name);
+  if (!registered) {
+    throw new Error(`Template pack "${name}" is not registered. Run \`docflow template add <path|package>\``);
+  }
+
+  const pack = await loadPack(cwd, registered.source);
+  const entry = pack.templates[key];
+  if (!entry) {
+    throw new Error(`Template pack "${name}" has no "${key}" template (available: ${Object.keys(pack.templates).join(', ')})`);
+  }
+
+  return { path: entry.path, pack, key, prompts: entry.prompts };
+}
+
+/**
+ * Directory for a local path, or the installed package's directory
+ */
+async function resolvePackRoot(cwd, source) {
+  const local = isAbsolute(source) ? source : resolve(cwd, source);
+  if (await fse.pathExists(join(local, PACK_MANIFEST))) {
+    return local;
+  }
+
+  // Only try package resolution for things that look like package names
+  if (/^(@[\w.-]+\/)?[\w.-]+$/.test(source)) {
+    const installed = join(cwd, 'node_modules', source);
+    if (await fse.pathExists(join(installed, PACK_MANIFEST))) {
+      return installed;
+    }
+
+    try {
+      const require = createRequire(join(cwd, 'package.json'));
+      const root = resolve(require.resolve(`${source}/package.json`), '..');
+      if (await fse.pathExists(join(root, PACK_MANIFEST))) {
+        return root;
+      }
+    } catch (e) {
+      // Not installed; reported below
+    }
+  }
+
+  throw new Error(`No ${PACK_MANIFEST} found for "${source}" (looked in ${relative(cwd, local) || '.'} and node_modules)`);
+}
+
+/**
+ * Deep-merge `defaults` under `target`; values already in target win
+ */
+function mergeDefaults(target, defaults) {
+  const result = { ...target };
+
+  for (const [key, value] of Object.entries(defaults || {})) {
+    if (result[key] === undefined) {
+      result[key] = value;
+    } else if (isPlainObject(result[key]) && isPlainObject(value)) {
+      result[key] = mergeDefaults(result[key], value);
+    }
+  }
+
+  return result;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
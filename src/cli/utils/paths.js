@@ -0,0 +1,20 @@
+/**
+ * DocFlow Path Utilities
+ * Helpers for reporting where groups of files live
+ */
+
+import { dirname } from 'path';
+
+/**
+ * Deepest directory containing every file
+ */
+export function commonDirectory(files) {
+  const parts = files.map(file => dirname(file).split(/[/\\]/));
+  const common = [];
+
+  for (let i = 0; parts.every(p => i < p.length && p[i] === parts[0][i]); i++) {
+    common.push(parts[0][i]);
+  }
+
+  return common.join('/') || '/';
+}
@@ -0,0 +1,104 @@
+/**
+ * DocFlow Runbook Utilities
+ * Locate and read operational runbooks
+ */
+
+import fse from 'fs-extra';
+import { join, relative } from 'path';
+import { glob } from 'glob';
+import { readMetadata, getMetadataValue } from './metadata.js';
+import { cleanValue } from './markdown.js';
+
+/**
+ * Runbook severities, most urgent first
+ */
+export const RUNBOOK_SEVERITIES = ['Critical', 'High', 'Medium', 'Low'];
+
+/**
+ * Metadata cells are read without their markdown formatting
+ */
+const CELL = { markdown: true };
+
+/**
+ * Directory, prefix, categories and staleness threshold for runbooks from config
+ */
+export function getRunbookSettings(config) {
+  const runbooks = config?.templates?.runbooks || {};
+  return {
+    directory: runbooks.directory || 'docs/runbooks',
+    prefix: runbooks.prefix || 'RB',
+    categories: runbooks.categories || [],
+    staleAfterDays: runbooks.staleAfterDays || 90
+  };
+}
+
+/**
+ * List runbooks (including category subfolders) ordered by number
+ * @returns {Promise<object[]>} Runbooks: { number, id, title, category, severity, owner, lastUpdated, file, path }
+ */
+export async function listRunbooks(cwd, config) {
+  const { directory, prefix } = getRunbookSettings(config);
+  const dir = join(cwd, directory);
+
+  if (!await fse.pathExists(dir)) {
+    return [];
+  }
+
+  const files = await glob(`**/${prefix}-*.md`, { cwd: dir, absolute: true, nodir: true });
+  const runbooks = [];
+
+  for (const file of files) {
+    const name = file.split(/[/\\]/).pop();
+    if (/TEMPLATE/i.test(name)) continue;
+
+    const match = name.match(new RegExp(`^${prefix}-(\\d+)`));
+    if (!match) continue;
+
+    // A category subfolder is used when the metadata does not name one
+    const folder = relative(dir, file).replace(/\\/g, '/').split('/').slice(0, -1)[0] || null;
+    const parsed = parseRunbook(await fse.readFile(file, 'utf-8'));
+
+    runbooks.push({
+      ...parsed,
+      category: parsed.category || folder,
+      number: parseInt(match[1], 10),
+      id: `${prefix}-${match[1]}`,
+      file: relative(cwd, file).replace(/\\/g, '/'),
+      path: file
+    });
+  }
+
+  return runbooks.sort((a, b) => a.number - b.number || a.file.localeCompare(b.file));
+}
+
+/**
+ * Read title and metadata from runbook content
+ * Supports the metadata table template and the Property/Value overview table.
+ */
+export function parseRunbook(content) {
+  const metadata = readMetadata(content);
+
+  const heading = content.match(/^#\s+(.+)$/m)?.[1].trim() || '';
+  const title = heading.replace(/^[A-Z]+-\d+:\s*/, '');
+
+  const lastUpdated = cleanValue(getMetadataValue(metadata, 'Last Updated'), CELL);
+
+  return {
+    title,
+    category: cleanValue(getMetadataValue(metadata, 'Category'), CELL)?.toLowerCase() || null,
+    severity: normalizeSeverity(getMetadataValue(metadata, 'Severity')),
+    owner: cleanValue(getMetadataValue(metadata, 'Owner') || getMetadataValue(metadata, 'On-Call'), CELL),
+    lastUpdated: lastUpdated && /^\d{4}-\d{2}-\d{2}/.test(lastUpdated) ? lastUpdated.slice(0, 10) : null
+  };
+}
+
+/**
+ * Map a raw severity value onto RUNBOOK_SEVERITIES
+ * Unfilled template values ("Critical / High / Medium / Low") become null
+ */
+export function normalizeSeverity(value) {
+  if (!value) return null;
+
+  const found = RUNBOOK_SEVERITIES.filter(severity => new RegExp(`\\b${severity}\\b`, 'i').test(value));
+  return found.length === 1 ? found[0] : null;
+}
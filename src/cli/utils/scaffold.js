@@ -6,6 +6,9 @@ import fse from 'fs-extra';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { getDefaultConfig, saveConfig } from './config.js';
+import { substituteVariables } from './template.js';
+import { parseFrontmatter, setFrontmatter, stringifyFrontmatter } from './frontmatter.js';
+import { mergeLines, countConflictMarkers } from './diff.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -40,8 +43,9 @@ export async function createConfig(cwd, options) {
 
 /**
  * Create directory structure
+ * @param {string[]} extraDirectories - Further directories, e.g. for custom document types
  */
-export async function createDirectories(cwd, features = []) {
+export async function createDirectories(cwd, features = [], extraDirectories = []) {
   const directories = [
     '.github/workflows',
     '.github/ISSUE_TEMPLATE',
@@ -68,6 +72,8 @@ export async function createDirectories(cwd, features = []) {
     }
   }
 
+  directories.push(...extraDirectories);
+
   // Create all directories
   for (const dir of directories) {
     await fse.ensureDir(join(cwd, dir));
@@ -75,57 +81,246 @@ export async function createDirectories(cwd, features = []) {
 }
 
 /**
- * Copy documentation templates
+ * Records which template (and version) produced each scaffolded file, and the
+ * content it was scaffolded with, so `scaffold --upgrade` can merge template changes
  */
-export async function copyTemplates(cwd, features = [], force = false) {
-  const templateDir = join(__dirname, '../../../docs/templates');
+export const SCAFFOLD_MANIFEST = '.docflow/scaffold.json';
 
-  const templateMap = {
-    adr: 'adr/ADR-000-TEMPLATE.md',
-    runbooks: 'runbooks/RB-000-TEMPLATE.md',
-    security: 'security/README.md',
-    api: 'api/ENDPOINT-TEMPLATE.md',
-    database: 'database/TABLE-TEMPLATE.md',
-    features: 'features/FEATURE-TEMPLATE.md',
-    deployment: 'deployment/README.md',
-    architecture: 'architecture/README.md',
-  };
+const TEMPLATE_MAP = {
+  adr: 'adr/ADR-000-TEMPLATE.md',
+  runbooks: 'runbooks/RB-000-TEMPLATE.md',
+  security: 'security/README.md',
+  api: 'api/ENDPOINT-TEMPLATE.md',
+  database: 'database/TABLE-TEMPLATE.md',
+  features: 'features/FEATURE-TEMPLATE.md',
+  deployment: 'deployment/README.md',
+  architecture: 'architecture/README.md',
+};
 
-  const destMap = {
-    adr: 'docs/architecture/adr/README.md',
-    runbooks: 'docs/runbooks/README.md',
-    security: 'docs/security/README.md',
-    api: 'docs/api/README.md',
-    database: 'docs/database/README.md',
-    features: 'docs/features/README.md',
-    deployment: 'docs/deployment/README.md',
-    architecture: 'docs/architecture/README.md',
-  };
+// Frontmatter `type` per feature, matching `docflow add` and `docflow migrate`
+const DOC_TYPES = {
+  runbooks: 'runbook',
+  features: 'feature',
+};
 
-  for (const feature of features) {
-    const templateFile = templateMap[feature];
-    const destFile = destMap[feature];
+const DEST_MAP = {
+  adr: 'docs/architecture/adr/README.md',
+  runbooks: 'docs/runbooks/README.md',
+  security: 'docs/security/README.md',
+  api: 'docs/api/README.md',
+  database: 'docs/database/README.md',
+  features: 'docs/features/README.md',
+  deployment: 'docs/deployment/README.md',
+  architecture: 'docs/architecture/README.md',
+};
 
-    if (!templateFile || !destFile) continue;
+/**
+ * Copy documentation templates
+ * Project-level placeholders are filled from `variables` (see resolveTemplateContext);
+ * per-document ones such as {{NUMBER}} are left for `docflow add`.
+ * @param {object} sources - Pack templates to use instead, by feature: { path, stamp, version }
+ */
+export async function copyTemplates(cwd, features = [], force = false, variables = {}, sources = {}) {
+  const manifest = await loadScaffoldManifest(cwd);
 
-    const srcPath = join(templateDir, templateFile);
-    const destPath = join(cwd, destFile);
+  for (const target of await getTemplateTargets(features, sources)) {
+    const destPath = join(cwd, target.destFile);
 
     // Skip if exists and not forcing
     if (!force && await fse.pathExists(destPath)) {
       continue;
     }
 
-    // Check if source template exists
-    if (await fse.pathExists(srcPath)) {
-      await fse.ensureDir(dirname(destPath));
-      await fse.copy(srcPath, destPath);
-    } else {
-      // Create placeholder
+    const content = await renderTemplate(target, variables);
+    await fse.ensureDir(dirname(destPath));
+    await fse.writeFile(destPath, withFrontmatter(content, target, variables));
+    manifest.files[target.destFile] = manifestEntry(target, variables, content);
+  }
+
+  await saveScaffoldManifest(cwd, manifest);
+}
+
+/**
+ * Bring scaffolded files up to date with the current templates
+ * Each file is merged three ways: the template it was scaffolded from (recorded
+ * in the manifest), the current template and the file as edited. Edits that
+ * overlap a template change are left between conflict markers.
+ * @param {object} sources - Pack templates by feature, as for copyTemplates
+ * @returns {Promise<object[]>} Report: [{ file, status, conflicts, from, to }], status is
+ *   created | updated | merged | conflict | unchanged | skipped
+ */
+export async function upgradeTemplates(cwd, features = [], variables = {}, sources = {}) {
+  const manifest = await loadScaffoldManifest(cwd);
+  const report = [];
+
+  for (const target of await getTemplateTargets(features, sources)) {
+    const destPath = join(cwd, target.destFile);
+    const entry = manifest.files[target.destFile];
+    const to = `${target.template}@${target.version}`;
+
+    if (!await fse.pathExists(destPath)) {
+      const content = await renderTemplate(target, variables);
       await fse.ensureDir(dirname(destPath));
-      await fse.writeFile(destPath, `# ${feature.charAt(0).toUpperCase() + feature.slice(1)}\n\n> Documentation placeholder\n`);
+      await fse.writeFile(destPath, withFrontmatter(content, target, variables));
+      manifest.files[target.destFile] = manifestEntry(target, variables, content);
+      report.push({ file: target.destFile, status: 'created', conflicts: 0, from: null, to });
+      continue;
+    }
+
+    // Render with the date and author the file was first scaffolded with
+    const fileVariables = { ...variables, ...entry?.variables };
+    const updated = bodyOf(await renderTemplate(target, fileVariables));
+    const current = await fse.readFile(destPath, 'utf-8');
+    const { body } = parseFrontmatter(current);
+    const edited = body.trimStart();
+
+    if (!entry) {
+      // Scaffolded before the manifest existed: only adopt files that still match the template
+      if (edited === updated) {
+        manifest.files[target.destFile] = manifestEntry(target, fileVariables, updated);
+        report.push({ file: target.destFile, status: 'unchanged', conflicts: 0, from: null, to });
+      } else {
+        report.push({ file: target.destFile, status: 'skipped', conflicts: 0, from: null, to });
+      }
+      continue;
+    }
+
+    const from = `${entry.template}@${entry.version}`;
+
+    // Conflicts from an earlier upgrade must be resolved before merging again
+    const unresolved = countConflictMarkers(edited);
+    if (unresolved) {
+      report.push({ file: target.destFile, status: 'conflict', conflicts: unresolved, from, to });
+      continue;
     }
+
+    if (updated === entry.base) {
+      manifest.files[target.destFile] = { ...entry, version: target.version };
+      report.push({ file: target.destFile, status: 'unchanged', conflicts: 0, from, to });
+      continue;
+    }
+
+    const merged = edited === entry.base
+      ? { content: updated, conflicts: 0 }
+      : mergeLines(entry.base, edited, updated, { oursLabel: target.destFile, theirsLabel: to });
+
+    // Keep the file's own frontmatter; only the pack stamp moves to the new version
+    let content = current.slice(0, current.length - body.length) + body.slice(0, body.length - edited.length) + merged.content;
+    if (target.stamp) {
+      content = setFrontmatter(content, { template: target.stamp });
+    }
+    content = refreshTitle(content, documentTitle(entry.base), documentTitle(merged.content));
+
+    await fse.writeFile(destPath, content);
+    manifest.files[target.destFile] = manifestEntry(target, fileVariables, updated);
+    report.push({
+      file: target.destFile,
+      status: edited === entry.base ? 'updated' : merged.conflicts ? 'conflict' : 'merged',
+      conflicts: merged.conflicts,
+      from,
+      to
+    });
+  }
+
+  await saveScaffoldManifest(cwd, manifest);
+  return report;
+}
+
+/**
+ * Scaffold manifest: { files: { [path]: { feature, template, version, variables, base } } }
+ */
+export async function loadScaffoldManifest(cwd) {
+  const manifestPath = join(cwd, SCAFFOLD_MANIFEST);
+  if (!await fse.pathExists(manifestPath)) {
+    return { files: {} };
   }
+
+  const manifest = await fse.readJson(manifestPath);
+  return { ...manifest, files: manifest.files || {} };
+}
+
+async function saveScaffoldManifest(cwd, manifest) {
+  if (Object.keys(manifest.files).length === 0) return;
+
+  await fse.ensureDir(dirname(join(cwd, SCAFFOLD_MANIFEST)));
+  await fse.writeJson(join(cwd, SCAFFOLD_MANIFEST), manifest, { spaces: 2 });
+}
+
+/**
+ * Source template, destination and template version for each feature
+ */
+async function getTemplateTargets(features, sources) {
+  const templateDir = join(__dirname, '../../../docs/templates');
+  const { version } = await fse.readJson(join(__dirname, '../../../package.json'));
+
+  return features
+    .filter(feature => TEMPLATE_MAP[feature] && DEST_MAP[feature])
+    .map(feature => ({
+      feature,
+      srcPath: sources[feature]?.path || join(templateDir, TEMPLATE_MAP[feature]),
+      destFile: DEST_MAP[feature],
+      template: sources[feature]?.stamp?.replace(/@[^@]+$/, '') || `docflow:${TEMPLATE_MAP[feature]}`,
+      version: sources[feature]?.version || version,
+      stamp: sources[feature]?.stamp,
+    }));
+}
+
+/**
+ * Template content with variables filled in, or a placeholder when it is missing
+ */
+async function renderTemplate(target, variables) {
+  return await fse.pathExists(target.srcPath)
+    ? substituteVariables(await fse.readFile(target.srcPath, 'utf-8'), variables)
+    : `# ${target.feature.charAt(0).toUpperCase() + target.feature.slice(1)}\n\n> Documentation placeholder\n`;
+}
+
+function withFrontmatter(content, target, variables) {
+  return setFrontmatter(content, {
+    type: DOC_TYPES[target.feature] || target.feature,
+    title: documentTitle(content),
+    date: variables.DATE,
+    author: variables.AUTHOR,
+    template: target.stamp,
+  }, { overwrite: false });
+}
+
+/**
+ * First H1 outside fenced code; undefined while it still holds placeholders
+ */
+function documentTitle(content) {
+  const heading = content
+    .replace(/^(```|~~~)[^\n]*\n[\s\S]*?^\1[^\n]*$/gm, '')
+    .match(/^#[ \t]+(.+)$/m)?.[1].trim();
+  return heading && !/[{}]/.test(heading) ? heading : undefined;
+}
+
+/**
+ * Follow the template's H1 when the title is still the one scaffold derived from it
+ */
+function refreshTitle(content, previous, next) {
+  const { data, body } = parseFrontmatter(content);
+  if (!previous || data.title !== previous || next === previous) return content;
+
+  const updated = { ...data, title: next };
+  if (!next) delete updated.title;
+  return stringifyFrontmatter(updated) + body;
+}
+
+function manifestEntry(target, variables, content) {
+  return {
+    feature: target.feature,
+    template: target.template,
+    version: target.version,
+    variables: { DATE: variables.DATE, AUTHOR: variables.AUTHOR },
+    base: bodyOf(content),
+  };
+}
+
+/**
+ * Document body without frontmatter or leading blank lines
+ */
+function bodyOf(content) {
+  return parseFrontmatter(content).body.trimStart();
 }
 
 /**
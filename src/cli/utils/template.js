@@ -2,20 +2,53 @@
  * DocFlow Template Utilities
  */
 
+import fse from 'fs-extra';
+import { join } from 'path';
+
+/**
+ * Variable expression: a name or dotted path, an optional `:default` and any `| filter` steps
+ * e.g. {{VAR}}, {{VAR:default}}, {{project.name}}, {{NAME | slug}}, {{date:YYYY-MM-DD}}
+ * Names may contain `/` (e.g. {{TEAM/PERSON}}) but must start with a word character,
+ * so block tags such as {{/if}} are never treated as variables.
+ */
+const EXPRESSION = String.raw`(\w[\w/.]*)(?::([^}|]*))?((?:\s*\|\s*\w+(?::[^}|]*)?)*)\s*`;
+const VARIABLE_PATTERN = new RegExp(`\\{\\{${EXPRESSION}\\}\\}`, 'g');
+const EXPRESSION_PATTERN = new RegExp(`^${EXPRESSION}$`);
+
+/**
+ * Any {{...}} tag that does not span other braces
+ */
+export const TAG_PATTERN = /\{\{([^{}]*)\}\}/g;
+
+/**
+ * Filters usable as {{VAR | filter}} or {{VAR | filter:argument}}
+ */
+const FILTERS = {
+  upper: value => String(value).toUpperCase(),
+  lower: value => String(value).toLowerCase(),
+  slug: value => slugify(String(value)),
+  titleCase: value => titleCase(String(value)),
+  date: (value, format = 'YYYY-MM-DD') => {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return value;
+
+    const formats = getDateFormats(date);
+    if (!(format in formats)) {
+      throw new Error(`Unknown date format "${format}". Use one of: ${Object.keys(formats).join(', ')}`);
+    }
+    return formats[format];
+  },
+};
+
 /**
  * Substitute variables in template content
- * Supports {{VAR}} and {{VAR:default}} syntax
+ * Supports {{VAR}}, {{VAR:default}}, dotted paths, {{date:FORMAT}} and filters.
+ * Unresolved placeholders are kept as they are.
  */
 export function substituteVariables(content, variables) {
-  // Match {{VAR}} or {{VAR:default}}
-  return content.replace(/\{\{(\w+)(?::([^}]*))?\}\}/g, (match, name, defaultValue) => {
-    if (variables[name] !== undefined) {
-      return variables[name];
-    }
-    if (defaultValue !== undefined) {
-      return defaultValue;
-    }
-    return match; // Keep original if not found
+  return content.replace(VARIABLE_PATTERN, (match, name, defaultValue, filters) => {
+    const result = evaluateExpression({ name, defaultValue, filters }, path => resolvePath(variables, path));
+    return result.found ? formatValue(result.value) : match;
   });
 }
 
@@ -23,7 +56,7 @@ export function substituteVariables(content, variables) {
  * Extract variables from template
  */
 export function extractVariables(content) {
-  const matches = content.matchAll(/\{\{(\w+)(?::([^}]*))?\}\}/g);
+  const matches = content.matchAll(VARIABLE_PATTERN);
   const variables = new Map();
 
   for (const match of matches) {
@@ -38,78 +71,280 @@ export function extractVariables(content) {
 
 /**
  * Process template with context
+ * Supports variables (see substituteVariables), {{#if X}}...{{else}}...{{/if}},
+ * {{#each LIST}}...{{else}}...{{/each}} (nestable, with {{.}}, {{item.prop}}, {{@index}},
+ * {{@first}} and {{@last}}) and {{> partial}} includes.
+ * @param {string} template - Template content
+ * @param {object} context - Values; `context.variables` takes precedence over top-level keys
+ * @param {object} options - Processing options
+ * @param {string} options.name - Template name used in error messages
+ * @param {string} options.partialsDir - Directory for {{> partial}} files (default docs/templates)
+ * @param {object} options.partials - Partial sources by name, checked before partialsDir
+ * @returns {string} Rendered content
  */
-export function processTemplate(template, context) {
-  let result = template;
+export function processTemplate(template, context = {}, options = {}) {
+  const state = {
+    partialsDir: options.partialsDir || join(process.cwd(), 'docs', 'templates'),
+    partials: options.partials || {},
+    includes: [],
+  };
+
+  const nodes = parseTemplate(template, options.name);
+  return renderNodes(nodes, [context, context.variables || {}], state);
+}
+
+/**
+ * Parse template content into a tree of text, variable, block and partial nodes
+ * Tags that are not template syntax (e.g. ${{ secrets.TOKEN }}) are kept as text.
+ */
+function parseTemplate(template, name) {
+  const root = [];
+  const stack = [];
+  let nodes = root;
+  let offset = 0;
+  let line = 1;
+
+  const fail = (message) => {
+    throw new Error(`${message} (${name ? `${name}, ` : ''}line ${line})`);
+  };
 
-  // Substitute variables
-  result = substituteVariables(result, context.variables || {});
+  for (const match of template.matchAll(TAG_PATTERN)) {
+    const text = template.slice(offset, match.index);
+    if (text) nodes.push({ type: 'text', value: text });
+    line += countLines(text);
+    offset = match.index + match[0].length;
 
-  // Process conditionals (simple if/endif)
-  result = processConditionals(result, context);
+    const tag = match[1].trim();
+    let parts;
 
-  // Process loops (simple each/endeach)
-  result = processLoops(result, context);
+    if ((parts = tag.match(/^#(\w+)\s*(.*)$/))) {
+      const [, block, expression] = parts;
+      if (block !== 'if' && block !== 'each') fail(`Unknown block {{#${block}}}`);
+      if (!expression) fail(`{{#${block}}} needs a value`);
 
-  return result;
+      const node = { type: block, expression, line, body: [], otherwise: null };
+      nodes.push(node);
+      stack.push({ node, parent: nodes });
+      nodes = node.body;
+    } else if (tag === 'else') {
+      const open = stack[stack.length - 1];
+      if (!open) fail('{{else}} outside an {{#if}} or {{#each}} block');
+      if (open.node.otherwise) fail(`Second {{else}} in {{#${open.node.type} ${open.node.expression}}}`);
+
+      open.node.otherwise = [];
+      nodes = open.node.otherwise;
+    } else if ((parts = tag.match(/^\/(\w+)$/))) {
+      const open = stack.pop();
+      if (!open) fail(`{{/${parts[1]}}} without a matching {{#${parts[1]}}}`);
+      if (open.node.type !== parts[1]) {
+        fail(`{{/${parts[1]}}} closes {{#${open.node.type} ${open.node.expression}}} opened on line ${open.node.line}`);
+      }
+      nodes = open.parent;
+    } else if ((parts = tag.match(/^>\s*([\w./-]+)$/))) {
+      nodes.push({ type: 'partial', name: parts[1], line });
+    } else if (/^(\.|this|@\w+)$/.test(tag) || (parts = match[1].match(EXPRESSION_PATTERN))) {
+      const [, path, defaultValue, filters] = parts || [null, tag];
+      try {
+        parseFilters(filters);
+      } catch (error) {
+        fail(error.message);
+      }
+      nodes.push({ type: 'variable', raw: match[0], expression: { name: path, defaultValue, filters }, line });
+    } else {
+      nodes.push({ type: 'text', value: match[0] });
+    }
+
+    line += countLines(match[0]);
+  }
+
+  if (offset < template.length) nodes.push({ type: 'text', value: template.slice(offset) });
+
+  if (stack.length) {
+    const { node } = stack[stack.length - 1];
+    line = node.line;
+    fail(`Unclosed {{#${node.type} ${node.expression}}}`);
+  }
+
+  return root;
 }
 
 /**
- * Process conditional blocks
- * Syntax: {{#if VAR}}...{{/if}}
+ * Render parsed nodes against a scope chain (innermost scope last)
  */
-function processConditionals(content, context) {
-  const pattern = /\{\{#if\s+(\w+)\}\}([\s\S]*?)\{\{\/if\}\}/g;
+function renderNodes(nodes, scopes, state) {
+  const lookup = path => lookupPath(scopes, path);
+
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
 
-  return content.replace(pattern, (match, varName, innerContent) => {
-    const value = context.variables?.[varName] || context[varName];
-    if (value) {
-      return innerContent;
+      case 'variable': {
+        const result = evaluateExpression(node.expression, lookup);
+        return result.found ? formatValue(result.value) : node.raw;
+      }
+
+      case 'if':
+        return isTruthy(lookup(node.expression))
+          ? renderNodes(node.body, scopes, state)
+          : renderNodes(node.otherwise || [], scopes, state);
+
+      case 'each': {
+        const items = lookup(node.expression);
+        if (!Array.isArray(items) || items.length === 0) {
+          return renderNodes(node.otherwise || [], scopes, state);
+        }
+
+        return items.map((item, index) => renderNodes(node.body, [...scopes, {
+          ...(isObject(item) ? item : {}),
+          item,
+          this: item,
+          '.': item,
+          '@index': index,
+          '@first': index === 0,
+          '@last': index === items.length - 1,
+        }], state)).join('');
+      }
+
+      case 'partial':
+        return renderPartial(node, scopes, state);
+
+      default:
+        return '';
     }
-    return '';
-  });
+  }).join('');
 }
 
 /**
- * Process loop blocks
- * Syntax: {{#each ARRAY}}...{{/each}}
+ * Render a {{> name}} include with the current scope
+ * Looks for `name` then `name.md` in the partials directory.
  */
-function processLoops(content, context) {
-  const pattern = /\{\{#each\s+(\w+)\}\}([\s\S]*?)\{\{\/each\}\}/g;
+function renderPartial(node, scopes, state) {
+  if (state.includes.includes(node.name)) {
+    throw new Error(`Partial "${node.name}" includes itself (${[...state.includes, node.name].join(' → ')})`);
+  }
 
-  return content.replace(pattern, (match, arrayName, innerContent) => {
-    const array = context.variables?.[arrayName] || context[arrayName];
+  let source = state.partials[node.name];
 
-    if (!Array.isArray(array)) {
-      return '';
+  if (source === undefined) {
+    const file = [node.name, `${node.name}.md`]
+      .map(candidate => join(state.partialsDir, candidate))
+      .find(candidate => fse.pathExistsSync(candidate) && fse.statSync(candidate).isFile());
+
+    if (!file) {
+      throw new Error(`Partial "${node.name}" not found in ${state.partialsDir} (line ${node.line})`);
     }
+    source = fse.readFileSync(file, 'utf-8');
+  }
 
-    return array.map((item, index) => {
-      let itemContent = innerContent;
+  state.includes.push(node.name);
+  const rendered = renderNodes(parseTemplate(source, `partial ${node.name}`), scopes, state);
+  state.includes.pop();
 
-      // Replace {{.}} with the item itself (for simple arrays)
-      itemContent = itemContent.replace(/\{\{\.\}\}/g, item);
+  return rendered;
+}
 
-      // Replace {{@index}} with the index
-      itemContent = itemContent.replace(/\{\{@index\}\}/g, index.toString());
+/**
+ * Evaluate a parsed variable expression
+ * {{date:FORMAT}} formats the `date` variable, or today when there is none.
+ * @returns {object} { found, value }
+ */
+function evaluateExpression({ name, defaultValue, filters }, lookup) {
+  const steps = parseFilters(filters);
+  let value;
 
-      // Replace {{@first}} and {{@last}}
-      itemContent = itemContent.replace(/\{\{@first\}\}/g, index === 0 ? 'true' : '');
-      itemContent = itemContent.replace(/\{\{@last\}\}/g, index === array.length - 1 ? 'true' : '');
+  if (name === 'date' && defaultValue !== undefined && defaultValue.trim() in getDateFormats()) {
+    value = FILTERS.date(lookup('date') ?? new Date(), defaultValue.trim());
+  } else {
+    value = lookup(name);
+    if (value === undefined || value === null) {
+      if (defaultValue === undefined) return { found: false };
+      value = defaultValue;
+    }
+  }
 
-      // Replace {{item.property}} for objects
-      if (typeof item === 'object') {
-        for (const [key, value] of Object.entries(item)) {
-          const propPattern = new RegExp(`\\{\\{item\\.${key}\\}\\}`, 'g');
-          itemContent = itemContent.replace(propPattern, String(value));
-        }
-      }
+  for (const filter of steps) {
+    value = FILTERS[filter.name](value, filter.argument);
+  }
+
+  return { found: true, value };
+}
+
+/**
+ * Parse " | upper | date:'MMMM D, YYYY'" into [{ name, argument }]
+ */
+function parseFilters(filters) {
+  if (!filters) return [];
 
-      return itemContent;
-    }).join('');
+  return filters.split('|').slice(1).map(step => {
+    const [, name, argument] = step.trim().match(/^(\w+)(?::(.*))?$/);
+    if (!FILTERS[name]) {
+      throw new Error(`Unknown template filter "${name}". Use one of: ${Object.keys(FILTERS).join(', ')}`);
+    }
+    return { name, argument: argument?.trim().replace(/^(['"])(.*)\1$/, '$2') };
   });
 }
 
+/**
+ * Find a path in the innermost scope that defines it
+ */
+function lookupPath(scopes, path) {
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const value = resolvePath(scopes[i], path);
+    if (value !== undefined) return value;
+  }
+  return undefined;
+}
+
+/**
+ * Resolve a dotted path (e.g. git.user.name) in an object
+ * A key containing the full path (e.g. "project.name") wins over nested lookup.
+ */
+function resolvePath(object, path) {
+  if (!isObject(object)) return undefined;
+  if (Object.hasOwn(object, path)) return object[path];
+
+  let value = object;
+  for (const key of path.split('.')) {
+    if (!isObject(value) || !Object.hasOwn(value, key)) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Text for a resolved value
+ */
+function formatValue(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof Date) return getDateFormats(value)['YYYY-MM-DD'];
+  if (Array.isArray(value)) return value.map(formatValue).join(', ');
+  if (isObject(value)) return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Block truthiness: empty lists are false
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null;
+}
+
+function countLines(text) {
+  return text.split('\n').length - 1;
+}
+
+/**
+ * Escape regex metacharacters
+ */
+export function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 /**
  * Generate slug from string
  */
@@ -134,10 +369,9 @@ export function titleCase(str) {
 }
 
 /**
- * Get current date in various formats
+ * Get a date (default now) in various formats
  */
-export function getDateFormats() {
-  const now = new Date();
+export function getDateFormats(now = new Date()) {
   return {
     'YYYY-MM-DD': now.toISOString().split('T')[0],
     'DD/MM/YYYY': now.toLocaleDateString('en-AU'),
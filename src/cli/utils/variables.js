@@ -0,0 +1,105 @@
+/**
+ * DocFlow Variable Resolution
+ * Build the values templates are rendered with: project config, git identity,
+ * branch and manifest version, plus the evaluated `templates.variables` map
+ */
+
+import { basename } from 'path';
+import { detectProjectType, detectProjectVersion } from './detect.js';
+import { getGitConfig, getCurrentBranch } from './git.js';
+import { substituteVariables, extractVariables, getDateFormats } from './template.js';
+
+/**
+ * Resolve the template context for a project
+ * `templates.variables` entries are expressions such as "{{project.name}}" or
+ * "{{git.user.name}}"; they are evaluated against the context and merged over the
+ * built-in variables. Entries that cannot be resolved are left out so templates keep
+ * their placeholder (or its default).
+ * @param {string} cwd - Project root
+ * @param {object} config - DocFlow configuration (may be null)
+ * @returns {Promise<object>} Context: { project, git: { user: { name, email }, branch }, version, variables }
+ */
+export async function resolveTemplateContext(cwd, config) {
+  const projectType = config?.project?.type && config.project.type !== 'auto'
+    ? config.project.type
+    : await detectProjectType(cwd);
+
+  const [name, email, branch, version] = await Promise.all([
+    getGitConfig(cwd, 'user.name'),
+    getGitConfig(cwd, 'user.email'),
+    getCurrentBranch(cwd),
+    detectProjectVersion(cwd, projectType),
+  ]);
+
+  const project = Object.fromEntries(
+    Object.entries(config?.project || {}).filter(([, value]) => !isPlaceholder(value))
+  );
+
+  const context = {
+    project: { ...project, name: project.name || basename(cwd), type: projectType },
+    git: { user: { name, email }, branch },
+    version,
+  };
+
+  const builtIn = {
+    PROJECT_NAME: context.project.name,
+    PROJECT_DESCRIPTION: project.description,
+    DATE: getDateFormats()['YYYY-MM-DD'],
+    AUTHOR: name || process.env.USER || process.env.USERNAME || 'Unknown',
+    AUTHOR_EMAIL: email,
+    BRANCH: branch,
+    VERSION: version,
+  };
+
+  const variables = Object.fromEntries(
+    Object.entries(builtIn).filter(([, value]) => value !== null && value !== undefined && value !== '')
+  );
+
+  for (const [key, expression] of Object.entries(config?.templates?.variables || {})) {
+    const value = substituteVariables(String(expression), context);
+    if (!isPlaceholder(value) && value !== '') {
+      variables[key] = value;
+    }
+  }
+
+  return { ...context, variables };
+}
+
+/**
+ * Variables for one document, as `docflow add` renders it
+ * @param {object} fields - { name, description, number, prefix, status, tags, runbook: { category, severity, owner } }
+ * @returns {object} NAME, TITLE, NUMBER, PREFIX etc., plus the runbook fields for runbooks
+ */
+export function documentVariables(fields) {
+  const { name, description, number, prefix, status, tags = [], runbook } = fields;
+  const variables = {
+    NAME: name,
+    TITLE: name,
+    FEATURE_NAME: name,
+    DESCRIPTION: description,
+    NUMBER: number ? number.toString().padStart(3, '0') : '',
+    PREFIX: prefix,
+  };
+
+  if (status) variables.STATUS = status;
+  if (tags.length) variables.TAGS = tags;
+
+  if (runbook) {
+    Object.assign(variables, {
+      CATEGORY: runbook.category || '',
+      SEVERITY: runbook.severity || '',
+      OWNER: runbook.owner || '',
+      'TEAM/PERSON': runbook.owner || '',
+      INCIDENT_TYPE: name,
+    });
+  }
+
+  return variables;
+}
+
+/**
+ * Whether a value still contains an unresolved {{placeholder}}
+ */
+function isPlaceholder(value) {
+  return typeof value === 'string' && Object.keys(extractVariables(value)).length > 0;
+}
@@ -0,0 +1,115 @@
+/**
+ * DocFlow ADR Index Generator
+ * Maintain the ADR index (index.md in the ADR directory by default) with a status table
+ * and a Mermaid graph of supersession chains
+ */
+
+import fse from 'fs-extra';
+import { join } from 'path';
+import { listAdrs, getAdrSettings, ADR_STATUSES } from '../cli/utils/adr.js';
+import { upsertRegion } from '../cli/utils/markers.js';
+
+const INDEX_REGION = 'adr-index';
+
+const STATUS_STYLES = {
+  Proposed: 'fill:#fff3cd,stroke:#856404',
+  Accepted: 'fill:#d4edda,stroke:#155724',
+  Rejected: 'fill:#f8d7da,stroke:#721c24',
+  Deprecated: 'fill:#e2e3e5,stroke:#383d41',
+  Superseded: 'fill:#e2e3e5,stroke:#383d41,stroke-dasharray:5',
+  Unknown: 'fill:#ffffff,stroke:#999999'
+};
+
+/**
+ * Regenerate the ADR index
+ * Hand-written content outside the docflow region is preserved.
+ * @param {string} cwd - Project root
+ * @param {object} config - DocFlow configuration
+ * @returns {Promise<object>} Result: { indexPath, adrs }
+ */
+export async function updateAdrIndex(cwd, config) {
+  const { directory, index } = getAdrSettings(config);
+  const indexPath = join(cwd, directory, index);
+  const adrs = await listAdrs(cwd, config);
+
+  const existing = await fse.pathExists(indexPath)
+    ? await fse.readFile(indexPath, 'utf-8')
+    : '# Architecture Decision Records\n\n> Index of architecture decisions. The table below is generated by `docflow adr`.\n';
+
+  await fse.ensureDir(join(cwd, directory));
+  await fse.writeFile(indexPath, upsertRegion(existing, INDEX_REGION, buildAdrIndex(adrs)));
+
+  return { indexPath, adrs };
+}
+
+/**
+ * Build the index body: status summary, ADR table and supersession graph
+ */
+export function buildAdrIndex(adrs) {
+  if (adrs.length === 0) {
+    return '_No ADRs yet. Create one with `docflow add adr`._';
+  }
+
+  const lines = [];
+
+  const counts = [...ADR_STATUSES, 'Unknown']
+    .map(status => [status, adrs.filter(adr => adr.status === status).length])
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${status}: ${count}`);
+  lines.push(`**${adrs.length} decision(s)** - ${counts.join(', ')}\n`);
+
+  lines.push('| ADR | Title | Status | Date | Supersedes | Superseded by |');
+  lines.push('|-----|-------|--------|------|------------|---------------|');
+  for (const adr of adrs) {
+    lines.push(`| [${adr.id}](${adr.file.split('/').pop()}) | ${adr.title.replace(/\|/g, '\\|')} | ${adr.status} | ${adr.date || '-'} | ${adr.supersedes || '-'} | ${adr.supersededBy || '-'} |`);
+  }
+
+  const graph = buildSupersessionGraph(adrs);
+  if (graph) {
+    lines.push('');
+    lines.push('### Supersession Chains\n');
+    lines.push(graph);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Mermaid graph of ADRs linked by Supersedes / Superseded by
+ * Returns null when no ADR has been superseded.
+ */
+export function buildSupersessionGraph(adrs) {
+  const byId = new Map(adrs.map(adr => [adr.id, adr]));
+  const edges = new Set();
+
+  for (const adr of adrs) {
+    if (adr.supersededBy && byId.has(adr.supersededBy)) {
+      edges.add(`${adr.supersededBy}>${adr.id}`);
+    }
+    if (adr.supersedes && byId.has(adr.supersedes)) {
+      edges.add(`${adr.id}>${adr.supersedes}`);
+    }
+  }
+
+  if (edges.size === 0) return null;
+
+  const involved = new Set([...edges].flatMap(edge => edge.split('>')));
+  const nodeId = id => id.replace(/[^\w]/g, '_');
+
+  const lines = ['```mermaid', 'graph LR'];
+  for (const adr of adrs.filter(a => involved.has(a.id))) {
+    const label = `${adr.id}: ${adr.title}`.replace(/"/g, '#quot;');
+    lines.push(`  ${nodeId(adr.id)}["${label}"]:::${adr.status.toLowerCase()}`);
+  }
+  for (const edge of [...edges].sort()) {
+    const [from, to] = edge.split('>');
+    lines.push(`  ${nodeId(from)} -->|supersedes| ${nodeId(to)}`);
+  }
+  lines.push('');
+  for (const [status, style] of Object.entries(STATUS_STYLES)) {
+    lines.push(`  classDef ${status.toLowerCase()} ${style}`);
+  }
+  lines.push('```');
+
+  return lines.join('\n');
+}
@@ -7,6 +7,7 @@ import fse from 'fs-extra';
 import { join, relative, dirname, basename } from 'path';
 import { glob } from 'glob';
 import { execSync } from 'child_process';
+import { parseFrontmatter } from '../cli/utils/frontmatter.js';
 
 /**
  * Clone multiple repositories to a target directory
@@ -149,40 +150,29 @@ function extractMetadata(content, filename) {
     status: null
   };
 
-  // Extract title from first heading
-  const titleMatch = content.match(/^#\s+(.+)$/m);
-  if (titleMatch) {
-    metadata.title = titleMatch[1].trim();
-  }
-
-  // Try to extract frontmatter (YAML)
-  const frontmatterMatch = content.match(/^---\n([\s\S]+?)\n---/);
-  if (frontmatterMatch) {
-    const frontmatter = frontmatterMatch[1];
-
-    const dateMatch = frontmatter.match(/date:\s*(.+)/i);
-    if (dateMatch) metadata.date = dateMatch[1].trim();
+  const { data, body } = parseFrontmatter(content);
 
-    const authorMatch = frontmatter.match(/author:\s*(.+)/i);
-    if (authorMatch) metadata.author = authorMatch[1].trim();
-
-    const tagsMatch = frontmatter.match(/tags:\s*\[([^\]]+)\]/i);
-    if (tagsMatch) {
-      metadata.tags = tagsMatch[1].split(',').map(t => t.trim().replace(/['"]/g, ''));
-    }
+  // Extract title from frontmatter or the first heading
+  const titleMatch = body.match(/^#\s+(.+)$/m);
+  metadata.title = data.title ? String(data.title) : titleMatch?.[1].trim() || '';
 
-    const statusMatch = frontmatter.match(/status:\s*(.+)/i);
-    if (statusMatch) metadata.status = statusMatch[1].trim();
+  if (data.date) metadata.date = String(data.date);
+  if (data.author) metadata.author = String(data.author);
+  if (data.status) metadata.status = String(data.status);
+  if (data.tags) {
+    metadata.tags = Array.isArray(data.tags)
+      ? data.tags.map(String)
+      : String(data.tags).split(',').map(t => t.trim()).filter(Boolean);
   }
 
-  // Extract from ADR format
-  const adrStatusMatch = content.match(/##\s*Status\s*\n\s*(.+)/i);
-  if (adrStatusMatch) {
+  // Extract from ADR format when the frontmatter does not say
+  const adrStatusMatch = body.match(/##\s*Status\s*\n\s*(.+)/i);
+  if (adrStatusMatch && !metadata.status) {
     metadata.status = adrStatusMatch[1].trim();
   }
 
-  const adrDateMatch = content.match(/##\s*Date\s*\n\s*(.+)/i);
-  if (adrDateMatch) {
+  const adrDateMatch = body.match(/##\s*Date\s*\n\s*(.+)/i);
+  if (adrDateMatch && !metadata.date) {
     metadata.date = adrDateMatch[1].trim();
   }
 
@@ -303,8 +293,8 @@ function mergeDocumentContent(docs, filename) {
     lines.push(`## From ${doc.sourceRepoName}`);
     lines.push('');
 
-    // Remove the first heading from original content
-    let content = doc.content;
+    // Remove the frontmatter and first heading from original content
+    let content = parseFrontmatter(doc.content).body.trimStart();
     content = content.replace(/^#\s+.+\n/, '');
 
     lines.push(content);
@@ -0,0 +1,610 @@
+/**
+ * DocFlow API Reference Generator
+ * Build API reference docs from an OpenAPI 3.x specification (YAML or JSON)
+ */
+
+import fse from 'fs-extra';
+import { join, dirname, resolve, extname } from 'path';
+import YAML from 'yaml';
+import { substituteVariables, slugify, titleCase } from '../cli/utils/template.js';
+import { upsertRegion } from '../cli/utils/markers.js';
+import { anchor, escapeCell } from '../cli/utils/markdown.js';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted',
+  204: 'No Content',
+  301: 'Moved Permanently',
+  302: 'Found',
+  304: 'Not Modified',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  422: 'Unprocessable Entity',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  503: 'Service Unavailable'
+};
+
+/**
+ * Fallback introduction when the endpoint template is missing
+ */
+const DEFAULT_ENDPOINT_TEMPLATE = `# API: {{RESOURCE_NAME}}
+
+> API endpoints for managing {{RESOURCE_DESCRIPTION}}.
+
+---
+
+## Base URL
+
+\`\`\`
+{{BASE_URL}}
+\`\`\`
+
+## Authentication
+
+All endpoints require authentication unless marked as \`Public\`.
+
+---
+
+## Endpoints
+`;
+
+/**
+ * Generate the API reference and (optionally) one file per endpoint
+ * @param {string} cwd - Project root
+ * @param {object} config - DocFlow configuration
+ * @param {object} options - Generation options
+ * @param {string} options.output - Reference path (defaults to documentation.apiReference.output)
+ * @param {string} options.spec - Spec path (defaults to documentation.apiReference.openApiSpec)
+ * @param {boolean} options.force - Regenerate endpoint files from scratch instead of updating their regions
+ * @returns {Promise<object>} Result with output path, endpoint count, groups and endpoint files written
+ */
+export async function generateApiReference(cwd, config, options = {}) {
+  const apiReference = config?.documentation?.apiReference || {};
+  const api = config?.templates?.api || {};
+
+  const specPath = resolve(cwd, options.spec || apiReference.openApiSpec || 'openapi/openapi.yaml');
+  const outputPath = options.output || join(cwd, apiReference.output || 'docs/API_REFERENCE.md');
+
+  const spec = await loadOpenAPISpec(specPath);
+  const groups = groupEndpoints(spec, api.groupBy || 'resource');
+  const endpointCount = groups.reduce((sum, group) => sum + group.endpoints.length, 0);
+
+  if (endpointCount === 0) {
+    throw new Error(`No endpoints found in ${specPath}`);
+  }
+
+  await fse.ensureDir(dirname(outputPath));
+  await fse.writeFile(outputPath, buildReference(spec, groups));
+
+  const endpointFiles = [];
+  if (api.enabled !== false && api.directory) {
+    const templatePath = join(cwd, api.template || 'docs/templates/api/ENDPOINT-TEMPLATE.md');
+    const template = await fse.pathExists(templatePath)
+      ? await fse.readFile(templatePath, 'utf-8')
+      : DEFAULT_ENDPOINT_TEMPLATE;
+
+    for (const group of groups) {
+      const groupDir = join(cwd, api.directory, group.slug);
+      await fse.ensureDir(groupDir);
+
+      for (const endpoint of group.endpoints) {
+        const filePath = join(groupDir, `${endpoint.slug}.md`);
+        await writeEndpointFile(filePath, template, spec, group, endpoint, options.force);
+        endpointFiles.push(filePath);
+      }
+    }
+  }
+
+  return { outputPath, endpoints: endpointCount, groups: groups.length, endpointFiles };
+}
+
+/**
+ * Read an OpenAPI 3.x document and resolve every $ref (local and relative-file)
+ */
+export async function loadOpenAPISpec(specPath) {
+  if (!await fse.pathExists(specPath)) {
+    throw new Error(`OpenAPI spec not found at: ${specPath}`);
+  }
+
+  const spec = await readSpecFile(specPath);
+  if (typeof spec?.openapi !== 'string' || !spec.openapi.startsWith('3.')) {
+    throw new Error(`Unsupported OpenAPI version: ${spec?.openapi || spec?.swagger || 'unknown'} (expected 3.x)`);
+  }
+
+  const documents = new Map([[specPath, spec]]);
+  return resolveRefs(spec, specPath, documents, []);
+}
+
+/**
+ * Parse a YAML or JSON spec file
+ */
+async function readSpecFile(filePath) {
+  const content = await fse.readFile(filePath, 'utf-8');
+
+  try {
+    return extname(filePath) === '.json' ? JSON.parse(content) : YAML.parse(content);
+  } catch (error) {
+    throw new Error(`Failed to parse ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Replace $ref objects with the referenced content
+ * Circular references are left as { $ref, circular: true } so rendering can stop there
+ */
+async function resolveRefs(node, file, documents, stack) {
+  if (Array.isArray(node)) {
+    const items = [];
+    for (const item of node) {
+      items.push(await resolveRefs(item, file, documents, stack));
+    }
+    return items;
+  }
+
+  if (!node || typeof node !== 'object') return node;
+
+  if (typeof node.$ref === 'string') {
+    const { $ref, ...siblings } = node;
+    const [refFile, pointer = ''] = $ref.split('#');
+    const targetFile = refFile ? resolve(dirname(file), refFile) : file;
+    const key = `${targetFile}#${pointer}`;
+
+    if (stack.includes(key)) {
+      return { $ref, circular: true, ...siblings };
+    }
+
+    if (!documents.has(targetFile)) {
+      if (!await fse.pathExists(targetFile)) {
+        throw new Error(`Unresolvable $ref: ${$ref} (file not found: ${targetFile})`);
+      }
+      documents.set(targetFile, await readSpecFile(targetFile));
+    }
+
+    const target = resolvePointer(documents.get(targetFile), pointer, $ref);
+    const resolved = await resolveRefs(target, targetFile, documents, [...stack, key]);
+
+    return resolved && typeof resolved === 'object' && !Array.isArray(resolved)
+      ? { ...resolved, ...siblings, refName: pointer.split('/').pop() }
+      : resolved;
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(node)) {
+    result[key] = await resolveRefs(value, file, documents, stack);
+  }
+  return result;
+}
+
+/**
+ * Follow a JSON pointer (#/components/schemas/User) within a document
+ */
+function resolvePointer(document, pointer, ref) {
+  const segments = pointer.split('/').slice(1)
+    .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  let current = document;
+  for (const segment of segments) {
+    if (current === null || typeof current !== 'object' || !(segment in current)) {
+      throw new Error(`Unresolvable $ref: ${ref}`);
+    }
+    current = current[segment];
+  }
+
+  return current;
+}
+
+/**
+ * Flatten paths into endpoints and group them by resource, tag or method
+ */
+export function groupEndpoints(spec, groupBy = 'resource') {
+  const groups = new Map();
+
+  // Declared tags keep their spec order and descriptions
+  if (groupBy === 'tag') {
+    for (const tag of spec.tags || []) {
+      groups.set(tag.name, { name: tag.name, description: tag.description, endpoints: [] });
+    }
+  }
+
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem?.[method];
+      if (!operation) continue;
+
+      const endpoint = {
+        method: method.toUpperCase(),
+        path,
+        operation,
+        parameters: mergeParameters(pathItem.parameters, operation.parameters),
+        slug: slugify(operation.operationId?.replace(/([a-z0-9])([A-Z])/g, '$1 $2') || `${method} ${path.replace(/[^\w]+/g, ' ')}`)
+      };
+
+      const key = groupKey(endpoint, groupBy);
+      if (!groups.has(key)) {
+        groups.set(key, { name: key, endpoints: [] });
+      }
+      groups.get(key).endpoints.push(endpoint);
+    }
+  }
+
+  return [...groups.values()]
+    .filter(group => group.endpoints.length > 0)
+    .map(group => ({
+      ...group,
+      title: groupBy === 'resource' ? titleCase(group.name.replace(/[-_]+/g, ' ')) : group.name,
+      slug: slugify(group.name) || 'default'
+    }));
+}
+
+/**
+ * Group name for an endpoint
+ */
+function groupKey(endpoint, groupBy) {
+  if (groupBy === 'tag') {
+    return endpoint.operation.tags?.[0] || 'default';
+  }
+  if (groupBy === 'method') {
+    return endpoint.method;
+  }
+
+  // First meaningful path segment: /api/v1/users/{id} -> users
+  const segment = endpoint.path.split('/')
+    .find(part => part && !part.startsWith('{') && part !== 'api' && !/^v\d+$/.test(part));
+  return segment || 'root';
+}
+
+/**
+ * Operation parameters override path-level parameters with the same name and location
+ */
+function mergeParameters(pathParameters = [], operationParameters = []) {
+  const merged = new Map();
+  for (const parameter of [...pathParameters, ...operationParameters]) {
+    if (parameter?.name) {
+      merged.set(`${parameter.in}:${parameter.name}`, parameter);
+    }
+  }
+  return [...merged.values()];
+}
+
+/**
+ * Build the combined API_REFERENCE.md content
+ */
+function buildReference(spec, groups) {
+  const lines = [];
+  const info = spec.info || {};
+
+  lines.push(`# ${info.title || 'API'} Reference\n`);
+  lines.push('> Auto-generated by DocFlow from the OpenAPI specification. Run `docflow generate api-reference` to refresh.\n');
+
+  const details = [
+    info.version ? `**Version**: ${info.version}` : null,
+    spec.servers?.length ? `**Base URL**: \`${spec.servers[0].url}\`` : null
+  ].filter(Boolean);
+  if (details.length) {
+    lines.push(details.join('  \n'));
+    lines.push('');
+  }
+
+  if (info.description) {
+    lines.push(info.description.trim());
+    lines.push('');
+  }
+
+  const authentication = buildAuthentication(spec);
+  if (authentication) {
+    lines.push('## Authentication\n');
+    lines.push(authentication);
+    lines.push('');
+  }
+
+  lines.push('## Endpoints\n');
+  for (const group of groups) {
+    lines.push(`- [${group.title}](#${anchor(group.title)})`);
+    for (const endpoint of group.endpoints) {
+      const title = endpointTitle(endpoint);
+      lines.push(`  - [\`${endpoint.method} ${endpoint.path}\`](#${anchor(title)})${title !== `${endpoint.method} ${endpoint.path}` ? ` - ${title}` : ''}`);
+    }
+  }
+  lines.push('');
+
+  for (const group of groups) {
+    lines.push('---\n');
+    lines.push(`## ${group.title}\n`);
+    if (group.description) {
+      lines.push(`${group.description.trim()}\n`);
+    }
+
+    for (const endpoint of group.endpoints) {
+      lines.push(buildEndpoint(spec, endpoint, '###'));
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Write one endpoint file, using the endpoint template's introduction
+ * Existing files keep their hand-written sections; only the endpoint region is refreshed.
+ */
+async function writeEndpointFile(filePath, template, spec, group, endpoint, force) {
+  let content = '';
+  if (!force && await fse.pathExists(filePath)) {
+    content = await fse.readFile(filePath, 'utf-8');
+  }
+
+  if (!content.trim()) {
+    content = buildEndpointSkeleton(template, spec, group);
+  }
+
+  content = upsertRegion(content, 'endpoint', buildEndpoint(spec, endpoint, '###'));
+  await fse.writeFile(filePath, content.endsWith('\n') ? content : `${content}\n`);
+}
+
+/**
+ * Initial endpoint document: the template up to "## Endpoints", with variables filled in
+ */
+function buildEndpointSkeleton(template, spec, group) {
+  const baseUrl = spec.servers?.[0]?.url || '';
+  const [introduction] = template.split(/^## Endpoints[ \t]*$/m);
+
+  let content = substituteVariables(introduction, {
+    RESOURCE_NAME: group.title,
+    RESOURCE_DESCRIPTION: (group.description || group.title).trim().replace(/\.$/, ''),
+    BASE_URL: baseUrl,
+    resource: group.slug,
+    jwt_token: '<token>'
+  });
+
+  // The template's example base URL assumes /api/v1/{resource}; use the spec's server instead
+  content = content.replace(/(## Base URL\s*\n+```[^\n]*\n)[\s\S]*?(\n```)/, `$1${baseUrl || '/'}$2`);
+
+  if (!buildAuthentication(spec)) {
+    content = content.replace(/## Authentication\n[\s\S]*?(?=\n---|\n## |$)/, '## Authentication\n\nThis API does not declare any security schemes.\n');
+  }
+
+  return `${content.trimEnd()}\n\n## Endpoints\n\n<!-- docflow:start endpoint -->\n<!-- docflow:end endpoint -->\n`;
+}
+
+/**
+ * Summarise security schemes
+ */
+function buildAuthentication(spec) {
+  const schemes = Object.entries(spec.components?.securitySchemes || {});
+  if (schemes.length === 0) return '';
+
+  const lines = [];
+  lines.push('| Scheme | Type | Details |');
+  lines.push('|--------|------|---------|');
+  for (const [name, scheme] of schemes) {
+    const details = scheme.type === 'http'
+      ? `\`Authorization: ${titleCase(scheme.scheme || 'bearer')} <token>\``
+      : scheme.type === 'apiKey'
+        ? `\`${scheme.name}\` in ${scheme.in}`
+        : escapeCell(scheme.description) || '-';
+    lines.push(`| \`${name}\` | ${scheme.type} | ${details} |`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render a single endpoint section
+ */
+function buildEndpoint(spec, endpoint, heading) {
+  const { operation } = endpoint;
+  const lines = [];
+
+  lines.push(`${heading} ${endpointTitle(endpoint)}\n`);
+
+  if (operation.deprecated) {
+    lines.push('> **Deprecated**: this endpoint will be removed in a future version.\n');
+  }
+  if (operation.description) {
+    lines.push(`${operation.description.trim()}\n`);
+  }
+
+  lines.push('```http');
+  lines.push(`${endpoint.method} ${endpoint.path}`);
+  lines.push('```\n');
+
+  const security = operation.security || spec.security || [];
+  if (security.length === 0 || security.every(requirement => Object.keys(requirement).length === 0)) {
+    lines.push('**Public**: no authentication required.\n');
+  } else {
+    lines.push(`**Authentication**: ${security.map(requirement => Object.keys(requirement).map(name => `\`${name}\``).join(' + ')).join(' or ')}\n`);
+  }
+
+  const pathParameters = endpoint.parameters.filter(p => p.in === 'path');
+  if (pathParameters.length) {
+    lines.push('**Path Parameters**:\n');
+    lines.push('| Parameter | Type | Description |');
+    lines.push('|-----------|------|-------------|');
+    for (const parameter of pathParameters) {
+      lines.push(`| \`${parameter.name}\` | ${schemaType(parameter.schema)} | ${escapeCell(parameter.description) || '-'} |`);
+    }
+    lines.push('');
+  }
+
+  for (const location of ['query', 'header', 'cookie']) {
+    const parameters = endpoint.parameters.filter(p => p.in === location);
+    if (!parameters.length) continue;
+
+    lines.push(`**${titleCase(location)} Parameters**:\n`);
+    lines.push('| Parameter | Type | Required | Default | Description |');
+    lines.push('|-----------|------|----------|---------|-------------|');
+    for (const parameter of parameters) {
+      const defaultValue = parameter.schema?.default !== undefined ? `\`${JSON.stringify(parameter.schema.default)}\`` : '-';
+      lines.push(`| \`${parameter.name}\` | ${schemaType(parameter.schema)} | ${parameter.required ? 'Yes' : 'No'} | ${defaultValue} | ${escapeCell(parameter.description) || '-'} |`);
+    }
+    lines.push('');
+  }
+
+  const requestBody = operation.requestBody;
+  if (requestBody) {
+    const [mediaType, media] = Object.entries(requestBody.content || {})[0] || [];
+    lines.push(`**Request Body**${mediaType ? ` (\`${mediaType}\`${requestBody.required ? ', required' : ''})` : ''}:\n`);
+    if (requestBody.description) {
+      lines.push(`${requestBody.description.trim()}\n`);
+    }
+    if (media) {
+      lines.push(...buildExample(media, mediaType));
+
+      const fields = schemaFields(media.schema);
+      if (fields.length) {
+        lines.push('| Field | Type | Required | Description |');
+        lines.push('|-------|------|----------|-------------|');
+        for (const field of fields) {
+          lines.push(`| \`${field.name}\` | ${field.type} | ${field.required ? 'Yes' : 'No'} | ${escapeCell(field.description) || '-'} |`);
+        }
+        lines.push('');
+      }
+    }
+  }
+
+  const responses = Object.entries(operation.responses || {});
+  if (responses.length) {
+    lines.push('**Responses**:\n');
+    lines.push('| Status | Description |');
+    lines.push('|--------|-------------|');
+    for (const [status, response] of responses) {
+      lines.push(`| ${status} | ${escapeCell(response?.description) || '-'} |`);
+    }
+    lines.push('');
+
+    // Example for the first success response with a body
+    const success = responses.find(([status, response]) => /^2/.test(status) && response?.content);
+    if (success) {
+      const [status, response] = success;
+      const [mediaType, media] = Object.entries(response.content)[0];
+      lines.push(`**Response** (${status}${STATUS_TEXT[status] ? ` ${STATUS_TEXT[status]}` : ''}):\n`);
+      lines.push(...buildExample(media, mediaType));
+    }
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * Endpoint heading text
+ */
+function endpointTitle(endpoint) {
+  return endpoint.operation.summary?.trim() || `${endpoint.method} ${endpoint.path}`;
+}
+
+/**
+ * Render an example payload for a media type object
+ */
+function buildExample(media, mediaType) {
+  let example = media.example;
+  if (example === undefined && media.examples) {
+    example = Object.values(media.examples)[0]?.value;
+  }
+  if (example === undefined && media.schema) {
+    example = exampleFromSchema(media.schema);
+  }
+  if (example === undefined) return [];
+
+  const isJson = /json/.test(mediaType || '');
+  const body = typeof example === 'string' && !isJson ? example : JSON.stringify(example, null, 2);
+  return [`\`\`\`${isJson ? 'json' : ''}`, body, '```', ''];
+}
+
+/**
+ * Build an example value from a (resolved) schema
+ */
+export function exampleFromSchema(schema, depth = 0) {
+  if (!schema || schema.circular || depth > 6) return undefined;
+  if (schema.example !== undefined) return schema.example;
+  if (schema.default !== undefined) return schema.default;
+  if (schema.enum?.length) return schema.enum[0];
+
+  if (schema.allOf) {
+    return schema.allOf.reduce((merged, part) => {
+      const value = exampleFromSchema(part, depth + 1);
+      return value && typeof value === 'object' && !Array.isArray(value) ? { ...merged, ...value } : merged;
+    }, {});
+  }
+  if (schema.oneOf || schema.anyOf) {
+    return exampleFromSchema((schema.oneOf || schema.anyOf)[0], depth + 1);
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+
+  switch (type || (schema.properties ? 'object' : schema.items ? 'array' : undefined)) {
+    case 'object': {
+      const value = {};
+      for (const [name, property] of Object.entries(schema.properties || {})) {
+        const example = exampleFromSchema(property, depth + 1);
+        if (example !== undefined) value[name] = example;
+      }
+      return value;
+    }
+    case 'array': {
+      const item = exampleFromSchema(schema.items, depth + 1);
+      return item === undefined ? [] : [item];
+    }
+    case 'integer':
+    case 'number':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return true;
+    case 'string':
+      return {
+        'date-time': '2024-01-15T10:30:00Z',
+        date: '2024-01-15',
+        email: 'user@example.com',
+        uuid: '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+        uri: 'https://example.com'
+      }[schema.format] || 'string';
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Top-level fields of an object schema (allOf parts merged)
+ */
+function schemaFields(schema) {
+  if (!schema || schema.circular) return [];
+
+  const parts = schema.allOf || [schema];
+  const fields = [];
+
+  for (const part of parts) {
+    const required = part.required || schema.required || [];
+    for (const [name, property] of Object.entries(part.properties || {})) {
+      fields.push({
+        name,
+        type: schemaType(property),
+        required: required.includes(name),
+        description: property.description
+      });
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Short type label for a schema: string(uuid), User[], integer
+ */
+function schemaType(schema) {
+  if (!schema) return '-';
+  if (schema.circular) return schema.$ref.split('/').pop();
+  if (schema.refName && (schema.properties || schema.allOf)) return schema.refName;
+  if (schema.enum) return `enum (${schema.enum.map(value => `\`${value}\``).join(', ')})`;
+  if (schema.oneOf || schema.anyOf) return (schema.oneOf || schema.anyOf).map(schemaType).join(' \\| ');
+
+  const type = Array.isArray(schema.type) ? schema.type.join(' \\| ') : schema.type;
+  if (type === 'array') return `${schemaType(schema.items)}[]`;
+  if (!type) return schema.properties ? 'object' : '-';
+  return schema.format ? `${type}(${schema.format})` : type;
+}
@@ -0,0 +1,284 @@
+/**
+ * DocFlow As-Built Generator
+ * Assemble a handover document from everything DocFlow can detect about a project
+ *
+ * Output is deterministic: inputs are sorted and no timestamps are written,
+ * so regenerating an unchanged project produces an identical file.
+ */
+
+import fse from 'fs-extra';
+import { join, dirname, relative } from 'path';
+import { detectProjectType, detectTechStack, detectFrameworks, formatProjectType } from '../cli/utils/detect.js';
+import { listAdrs, ADR_STATUSES } from '../cli/utils/adr.js';
+import { collectSchemas, buildMermaidERD, SUPPORTED_SCHEMAS } from './erd.js';
+import { generateDependencyGraph, generateMermaidDiagram, detectCircularDependencies } from './dependency-graph.js';
+import { generateAllWorkflowDiagrams } from './workflow-diagram.js';
+import { cleanValue, anchor, escapeCell } from '../cli/utils/markdown.js';
+
+/**
+ * Generate the as-built document
+ * @param {string} cwd - Project root
+ * @param {object} config - DocFlow configuration
+ * @param {object} options - Generation options
+ * @param {string} options.output - Output path (defaults to documentation.asBuilt.output)
+ * @returns {Promise<object>} Result with output path and the sections that had content
+ */
+export async function generateAsBuilt(cwd, config, options = {}) {
+  const outputPath = options.output ||
+    join(cwd, config?.documentation?.asBuilt?.output || 'docs/AS_BUILT_DOCUMENT.md');
+
+  const sections = [
+    ['overview', await buildOverview(cwd, config)],
+    ['stack', await buildTechnologyStack(cwd)],
+    ['environments', buildEnvironments(config)],
+    ['decisions', await buildDecisions(cwd, config, dirname(outputPath))],
+    ['data-model', await buildDataModel(cwd)],
+    ['dependencies', await buildDependencies(cwd)],
+    ['workflows', await buildWorkflows(cwd)]
+  ];
+
+  const lines = [];
+  lines.push(`# As-Built Document: ${projectName(config, await readPackage(cwd))}\n`);
+  lines.push('> Auto-generated by DocFlow from the current repository state. Run `docflow generate as-built` to refresh.\n');
+
+  lines.push('## Contents\n');
+  for (const [, section] of sections) {
+    lines.push(`- [${section.title}](#${anchor(section.title)})`);
+  }
+  lines.push('');
+
+  for (const [, section] of sections) {
+    lines.push('---\n');
+    lines.push(`## ${section.title}\n`);
+    lines.push(section.body.trim());
+    lines.push('');
+  }
+
+  await fse.ensureDir(dirname(outputPath));
+  await fse.writeFile(outputPath, lines.join('\n'));
+
+  return {
+    outputPath,
+    sections: sections.filter(([, section]) => !section.empty).map(([name]) => name)
+  };
+}
+
+/**
+ * Project overview from config and package metadata
+ */
+async function buildOverview(cwd, config) {
+  const pkg = await readPackage(cwd);
+  const projectType = await detectProjectType(cwd);
+
+  const rows = [
+    ['Name', projectName(config, pkg)],
+    ['Description', cleanValue(config?.project?.description) || pkg?.description],
+    ['Version', pkg?.version],
+    ['Project Type', formatProjectType(projectType)],
+    ['Repository', [cleanValue(config?.project?.owner), cleanValue(config?.project?.repository)].filter(Boolean).join('/')],
+    ['CI/CD Provider', config?.cicd?.provider]
+  ].filter(([, value]) => value);
+
+  const lines = ['| Attribute | Value |', '|-----------|-------|'];
+  for (const [attribute, value] of rows) {
+    lines.push(`| ${attribute} | ${escapeCell(value)} |`);
+  }
+
+  return { title: 'Project Overview', body: lines.join('\n') };
+}
+
+/**
+ * Detected tech stack and frameworks
+ */
+async function buildTechnologyStack(cwd) {
+  const techStack = [...await detectTechStack(cwd)].sort((a, b) => a.localeCompare(b));
+  const frameworks = [...await detectFrameworks(cwd)].sort((a, b) => a.localeCompare(b));
+
+  if (techStack.length === 0 && frameworks.length === 0) {
+    return { title: 'Technology Stack', body: '_No tooling or frameworks detected._', empty: true };
+  }
+
+  const lines = [];
+  if (frameworks.length) {
+    lines.push('### Frameworks\n');
+    lines.push(...frameworks.map(name => `- ${name}`));
+    lines.push('');
+  }
+  if (techStack.length) {
+    lines.push('### Tooling\n');
+    lines.push(...techStack.map(name => `- ${name}`));
+  }
+
+  return { title: 'Technology Stack', body: lines.join('\n') };
+}
+
+/**
+ * Deployment environments from cicd config, in promotion order
+ */
+function buildEnvironments(config) {
+  const cicd = config?.cicd || {};
+  const environments = cicd.environments || [];
+
+  if (environments.length === 0) {
+    return { title: 'Deployment Environments', body: '_No environments configured in `cicd.environments`._', empty: true };
+  }
+
+  const deployment = cicd.deployment || {};
+  const approvals = deployment.requireApproval || [];
+
+  const lines = [];
+  if (deployment.strategy) {
+    lines.push(`**Strategy**: ${deployment.strategy}\n`);
+  }
+
+  lines.push('| Order | Environment | Approval Required |');
+  lines.push('|-------|-------------|-------------------|');
+  environments.forEach((environment, index) => {
+    lines.push(`| ${index + 1} | ${environment} | ${approvals.includes(environment) ? 'Yes' : 'No'} |`);
+  });
+
+  const details = [
+    deployment.healthCheck?.enabled ? `Health checks: ${deployment.healthCheck.timeout}s timeout, ${deployment.healthCheck.retries} retries` : null,
+    deployment.rollback?.enabled ? `Rollback: ${deployment.rollback.automatic ? 'automatic' : 'manual'}` : null
+  ].filter(Boolean);
+
+  if (details.length) {
+    lines.push('');
+    lines.push(...details.map(detail => `- ${detail}`));
+  }
+
+  const gates = Object.entries(cicd.qualityGates || {});
+  if (gates.length) {
+    lines.push('');
+    lines.push('### Quality Gates\n');
+    lines.push('| Gate | Required | Blocking |');
+    lines.push('|------|----------|----------|');
+    for (const [gate, settings] of gates) {
+      lines.push(`| ${gate} | ${settings.required ? 'Yes' : 'No'} | ${settings.blocking ? 'Yes' : 'No'} |`);
+    }
+  }
+
+  return { title: 'Deployment Environments', body: lines.join('\n') };
+}
+
+/**
+ * ADR register with statuses
+ */
+async function buildDecisions(cwd, config, outputDir) {
+  const adrs = await listAdrs(cwd, config);
+
+  if (adrs.length === 0) {
+    return { title: 'Architecture Decisions', body: '_No ADRs found._', empty: true };
+  }
+
+  const counts = [...ADR_STATUSES, 'Unknown']
+    .map(status => [status, adrs.filter(adr => adr.status === status).length])
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${status}: ${count}`);
+
+  const lines = [];
+  lines.push(`**${adrs.length} decision(s)** - ${counts.join(', ')}\n`);
+  lines.push('| ADR | Title | Status | Date |');
+  lines.push('|-----|-------|--------|------|');
+  for (const adr of adrs) {
+    const status = adr.supersededBy ? `${adr.status} by ${adr.supersededBy}` : adr.status;
+    lines.push(`| [${adr.id}](${relative(outputDir, adr.path).replace(/\\/g, '/')}) | ${escapeCell(adr.title)} | ${status} | ${adr.date || '-'} |`);
+  }
+
+  return { title: 'Architecture Decisions', body: lines.join('\n') };
+}
+
+/**
+ * Entity relationship diagrams for each detected schema
+ */
+async function buildDataModel(cwd) {
+  const schemas = await collectSchemas(cwd);
+  const withEntities = schemas.filter(schema => schema.entities.some(entity => entity.fields.length > 0));
+
+  if (withEntities.length === 0) {
+    return { title: 'Data Model', body: `_No database schemas detected (${SUPPORTED_SCHEMAS})._`, empty: true };
+  }
+
+  const lines = [];
+  for (const schema of withEntities) {
+    const entities = [...schema.entities].sort((a, b) => a.name.localeCompare(b.name));
+    lines.push(`### ${schema.name}\n`);
+    lines.push(`Source: \`${schema.source}\` (${entities.length} table(s))\n`);
+    lines.push(buildMermaidERD(entities));
+    lines.push('');
+  }
+
+  return { title: 'Data Model', body: lines.join('\n') };
+}
+
+/**
+ * Internal module dependency graph
+ */
+async function buildDependencies(cwd) {
+  let result;
+  try {
+    result = await generateDependencyGraph(cwd, { includeExternal: false });
+  } catch (error) {
+    return { title: 'Module Dependencies', body: `_Dependency graph unavailable: ${error.message}_`, empty: true };
+  }
+
+  const cycles = detectCircularDependencies(result.graph);
+  // Entry points are not always registered as nodes, so count modules from the edges as well
+  const modules = new Set([
+    ...result.graph.nodes.keys(),
+    ...result.graph.edges.flatMap(edge => [edge.from, edge.to])
+  ]);
+
+  const lines = [];
+  lines.push(`- **Modules**: ${modules.size}`);
+  lines.push(`- **Dependencies**: ${result.graph.edges.length}`);
+  lines.push(`- **Circular Dependencies**: ${cycles.length}\n`);
+  lines.push(generateMermaidDiagram(result.graph, { groupByFolder: true }));
+
+  return { title: 'Module Dependencies', body: lines.join('\n') };
+}
+
+/**
+ * CI/CD workflow flowcharts
+ */
+async function buildWorkflows(cwd) {
+  let result;
+  try {
+    result = await generateAllWorkflowDiagrams(cwd);
+  } catch (error) {
+    return { title: 'CI/CD Workflows', body: `_${error.message}._`, empty: true };
+  }
+
+  const lines = [];
+  for (const wf of result.diagrams) {
+    lines.push(`### ${wf.name}\n`);
+    if (wf.workflow.triggers.length) {
+      lines.push(`**Triggers**: ${wf.workflow.triggers.join(', ')}\n`);
+    }
+    lines.push(wf.diagram);
+    lines.push('');
+  }
+
+  return { title: 'CI/CD Workflows', body: lines.join('\n') };
+}
+
+/**
+ * Read package.json, if present
+ */
+async function readPackage(cwd) {
+  const pkgPath = join(cwd, 'package.json');
+  if (!await fse.pathExists(pkgPath)) return null;
+
+  try {
+    return await fse.readJson(pkgPath);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Project name from config, falling back to package.json
+ */
+function projectName(config, pkg) {
+  return cleanValue(config?.project?.name) || pkg?.name || 'Project';
+}
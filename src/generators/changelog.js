@@ -0,0 +1,244 @@
+/**
+ * DocFlow Changelog Generator
+ * Build CHANGELOG.md release sections from conventional commits
+ */
+
+import fse from 'fs-extra';
+import { join } from 'path';
+import { getLatestVersionTag, getCommitsSince } from '../cli/utils/git.js';
+import { getDateFormats } from '../cli/utils/template.js';
+
+/**
+ * Section titles per commit type, in changelog order
+ */
+export const COMMIT_TYPES = {
+  feat: 'Features',
+  fix: 'Bug Fixes',
+  perf: 'Performance',
+  refactor: 'Refactoring',
+  revert: 'Reverts',
+  docs: 'Documentation',
+  style: 'Styles',
+  test: 'Tests',
+  build: 'Build System',
+  ci: 'Continuous Integration',
+  chore: 'Chores'
+};
+
+const DEFAULT_BUMP_RULES = {
+  breaking: 'major',
+  feat: 'minor',
+  fix: 'patch'
+};
+
+const BUMP_LEVELS = ['patch', 'minor', 'major'];
+
+/**
+ * Compute the next release and (unless dry-run) prepend it to the changelog
+ * @param {string} cwd - Project root
+ * @param {object} config - DocFlow configuration
+ * @param {object} options - Generation options
+ * @param {string} options.from - Start ref (defaults to the latest semver tag)
+ * @param {string} options.releaseAs - Explicit version, skipping bump calculation
+ * @param {boolean} options.dryRun - Compute without writing
+ * @returns {Promise<object>} Release details: previous/next version, bump, commits, section, outputPath
+ */
+export async function generateChangelog(cwd, config, options = {}) {
+  const changelogConfig = config?.documentation?.changelog || {};
+  const outputPath = join(cwd, changelogConfig.file || 'CHANGELOG.md');
+  const conventional = changelogConfig.conventionalCommits !== false;
+  const bumpRules = { ...DEFAULT_BUMP_RULES, ...config?.releases?.versioning?.bumpRules };
+
+  const latestTag = await getLatestVersionTag(cwd);
+  const from = options.from || latestTag;
+  const rawCommits = await getCommitsSince(cwd, from);
+  const commits = rawCommits.map(commit => parseCommit(commit.message, commit.hash));
+
+  const previousVersion = latestTag
+    ? latestTag.replace(/^v/, '')
+    : await readPackageVersion(cwd) || '0.0.0';
+
+  const bump = conventional ? computeBump(commits, bumpRules) : (commits.length ? 'patch' : null);
+  const nextVersion = options.releaseAs
+    ? options.releaseAs.replace(/^v/, '')
+    : bump ? bumpVersion(previousVersion, bump) : null;
+
+  const result = {
+    from,
+    previousVersion,
+    nextVersion,
+    bump,
+    commits,
+    outputPath,
+    section: null,
+    written: false,
+    replaced: false
+  };
+
+  if (!nextVersion) {
+    return result;
+  }
+
+  result.section = buildReleaseSection(nextVersion, getDateFormats()['YYYY-MM-DD'], commits, conventional);
+
+  if (!options.dryRun) {
+    const existing = await fse.pathExists(outputPath) ? await fse.readFile(outputPath, 'utf-8') : '';
+    result.replaced = existing.split('\n').some(line => line.startsWith(`## [${nextVersion}]`));
+    await fse.writeFile(outputPath, insertReleaseSection(existing, result.section));
+    result.written = true;
+  }
+
+  return result;
+}
+
+/**
+ * Parse a conventional commit message
+ * `type(scope)!: subject` with optional `BREAKING CHANGE:` footers
+ */
+export function parseCommit(message, hash = '') {
+  const [header = '', ...rest] = message.split('\n');
+  const body = rest.join('\n').trim();
+  const match = header.match(/^(\w+)(?:\(([^)]+)\))?(!)?:\s*(.+)$/);
+
+  // A BREAKING CHANGE footer runs until a blank line or the next footer token
+  const breakingNotes = [];
+  let note = null;
+  for (const line of body.split('\n')) {
+    const footer = line.match(/^BREAKING[ -]CHANGE:\s*(.*)$/);
+    if (footer) {
+      if (note !== null) breakingNotes.push(note);
+      note = footer[1].trim();
+    } else if (note !== null && (!line.trim() || /^[\w-]+(?:: | #)/.test(line))) {
+      breakingNotes.push(note);
+      note = null;
+    } else if (note !== null) {
+      note = `${note} ${line.trim()}`.trim();
+    }
+  }
+  if (note !== null) breakingNotes.push(note);
+
+  return {
+    hash,
+    shortHash: hash.slice(0, 7),
+    type: match ? match[1].toLowerCase() : null,
+    scope: match ? match[2] || null : null,
+    subject: match ? match[4].trim() : header.trim(),
+    body,
+    breaking: !!match?.[3] || breakingNotes.length > 0,
+    breakingNotes
+  };
+}
+
+/**
+ * Highest bump level required by the commits, or null if nothing is releasable
+ */
+export function computeBump(commits, bumpRules = DEFAULT_BUMP_RULES) {
+  let level = -1;
+
+  for (const commit of commits) {
+    const rule = commit.breaking ? bumpRules.breaking || 'major' : bumpRules[commit.type];
+    level = Math.max(level, BUMP_LEVELS.indexOf(rule));
+  }
+
+  return level === -1 ? null : BUMP_LEVELS[level];
+}
+
+/**
+ * Apply a semver bump (pre-release and build metadata are dropped)
+ */
+export function bumpVersion(version, bump) {
+  const match = String(version).match(/^v?(\d+)\.(\d+)\.(\d+)/);
+  if (!match) {
+    throw new Error(`Invalid semver version: ${version}`);
+  }
+
+  const [major, minor, patch] = match.slice(1).map(Number);
+  switch (bump) {
+    case 'major': return `${major + 1}.0.0`;
+    case 'minor': return `${major}.${minor + 1}.0`;
+    case 'patch': return `${major}.${minor}.${patch + 1}`;
+    default: throw new Error(`Invalid bump level: ${bump}`);
+  }
+}
+
+/**
+ * Render a release section grouped by type, then scope
+ */
+export function buildReleaseSection(version, date, commits, conventional = true) {
+  const lines = [`## [${version}] - ${date}`, ''];
+
+  const breaking = commits.filter(c => c.breaking);
+  if (conventional && breaking.length) {
+    lines.push('### ⚠ BREAKING CHANGES', '');
+    for (const commit of breaking) {
+      const notes = commit.breakingNotes.length ? commit.breakingNotes : [commit.subject];
+      for (const note of notes) {
+        lines.push(`- ${commit.scope ? `**${commit.scope}:** ` : ''}${note}`);
+      }
+    }
+    lines.push('');
+  }
+
+  const groups = conventional
+    ? Object.entries(COMMIT_TYPES).map(([type, title]) => [title, commits.filter(c => c.type === type)])
+    : [['Changes', commits]];
+
+  for (const [title, groupCommits] of groups) {
+    if (groupCommits.length === 0) continue;
+
+    lines.push(`### ${title}`, '');
+
+    // Unscoped commits first, then scopes alphabetically
+    const sorted = [...groupCommits].sort((a, b) => (a.scope || '').localeCompare(b.scope || ''));
+    for (const commit of sorted) {
+      const scope = commit.scope ? `**${commit.scope}:** ` : '';
+      lines.push(`- ${scope}${commit.subject}${commit.shortHash ? ` (${commit.shortHash})` : ''}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Insert a release section below [Unreleased] (or above the newest release)
+ * A section for the same version is replaced, so re-running before tagging does not duplicate it.
+ */
+export function insertReleaseSection(content, section) {
+  if (!content.trim()) {
+    return `# Changelog\n\nAll notable changes to this project will be documented in this file.\n\n${section}`;
+  }
+
+  const headings = [...content.matchAll(/^## .*$/gm)];
+  const version = section.match(/^## \[([^\]]+)\]/)?.[1];
+  const existingIndex = headings.findIndex(h => h[0].startsWith(`## [${version}]`));
+
+  if (version && existingIndex !== -1) {
+    const end = headings[existingIndex + 1]?.index ?? content.length;
+    const rest = content.slice(end);
+    return `${content.slice(0, headings[existingIndex].index)}${section}${rest ? '\n' : ''}${rest}`;
+  }
+
+  const unreleasedIndex = headings.findIndex(h => /^## \[?Unreleased\]?/i.test(h[0]));
+  const next = unreleasedIndex === -1 ? headings[0] : headings[unreleasedIndex + 1];
+
+  if (!next) {
+    return `${content.replace(/\s+$/, '')}\n\n${section}`;
+  }
+
+  return `${content.slice(0, next.index)}${section}\n${content.slice(next.index)}`;
+}
+
+/**
+ * Version from package.json, if present
+ */
+async function readPackageVersion(cwd) {
+  const packagePath = join(cwd, 'package.json');
+  if (!await fse.pathExists(packagePath)) return null;
+
+  try {
+    return (await fse.readJson(packagePath)).version || null;
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,313 @@
+/**
+ * DocFlow Content Linter
+ * Check markdown documentation for broken links, missing metadata, invalid
+ * frontmatter, unsubstituted placeholders, duplicate ADR/runbook numbers and
+ * feature specs that reference missing or superseded ADRs
+ */
+
+import fse from 'fs-extra';
+import { join, dirname, relative, resolve, extname } from 'path';
+import { glob } from 'glob';
+import { extractVariables, escapeRegex, TAG_PATTERN } from '../cli/utils/template.js';
+import { readMetadata, getMetadataValue } from '../cli/utils/metadata.js';
+import { getAdrSettings, listAdrs } from '../cli/utils/adr.js';
+import { listFeatures } from '../cli/utils/features.js';
+import { parseFrontmatter } from '../cli/utils/frontmatter.js';
+import { anchor } from '../cli/utils/markdown.js';
+
+/**
+ * Metadata rows that must be present and filled in, per document type
+ */
+export const REQUIRED_METADATA = {
+  adr: ['Status', 'Date'],
+  runbooks: ['Severity', 'Owner']
+};
+
+/**
+ * Lint every markdown file under the docs directory
+ * Templates are skipped since they are meant to contain placeholders.
+ * @param {string} cwd - Project root
+ * @param {object} config - DocFlow configuration
+ * @param {object} options - Lint options
+ * @param {string} options.directory - Docs directory (default: docs)
+ * @returns {Promise<object>} Result: { files, issues: [{ file, line, rule, message }] }
+ */
+export async function lintDocumentation(cwd, config, options = {}) {
+  const docsDir = options.directory || 'docs';
+  const files = (await glob('**/*.md', {
+    cwd: join(cwd, docsDir),
+    absolute: true,
+    nodir: true,
+    ignore: ['templates/**', '**/node_modules/**']
+  })).sort();
+
+  const documents = new Map();
+  for (const file of files) {
+    documents.set(file, await fse.readFile(file, 'utf-8'));
+  }
+
+  const numbered = getNumberedTypes(config);
+  const issues = [];
+
+  for (const [file, content] of documents) {
+    const relativePath = toPosix(relative(cwd, file));
+    const fileIssues = [
+      ...await checkLinks(file, content, documents),
+      ...checkPlaceholders(content)
+    ];
+
+    const { error } = parseFrontmatter(content);
+    if (error) {
+      fileIssues.push({ line: 1, rule: 'invalid-frontmatter', message: error });
+    }
+
+    const type = numbered.find(t => isNumberedDoc(cwd, file, t));
+    if (type) {
+      fileIssues.push(...checkMetadata(content, type.name));
+    }
+
+    issues.push(...fileIssues.map(issue => ({ file: relativePath, ...issue })));
+  }
+
+  for (const type of numbered) {
+    issues.push(...findDuplicateNumbers(cwd, [...documents.keys()], type));
+  }
+
+  issues.push(...await checkFeatureAdrLinks(cwd, config));
+
+  return {
+    files: documents.size,
+    issues: issues.sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0))
+  };
+}
+
+/**
+ * Group issues by file for reporting
+ */
+export function groupIssuesByFile(issues) {
+  const groups = new Map();
+  for (const issue of issues) {
+    if (!groups.has(issue.file)) groups.set(issue.file, []);
+    groups.get(issue.file).push(issue);
+  }
+  return groups;
+}
+
+/**
+ * Check relative links and anchors
+ */
+async function checkLinks(file, content, documents) {
+  const issues = [];
+  const lines = maskCode(content).split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const linkRegex = /!?\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+    let match;
+
+    while ((match = linkRegex.exec(lines[i])) !== null) {
+      const target = match[1];
+      if (/^([a-z][a-z0-9+.-]*:|\/\/|\/)/i.test(target)) continue;
+
+      const hashIndex = target.indexOf('#');
+      const pathPart = hashIndex === -1 ? target : target.slice(0, hashIndex);
+      const anchor = hashIndex === -1 ? null : decode(target.slice(hashIndex + 1));
+
+      const targetPath = pathPart ? resolve(dirname(file), decode(pathPart)) : file;
+
+      if (pathPart && !await fse.pathExists(targetPath)) {
+        issues.push({ line: i + 1, rule: 'broken-link', message: `Link target not found: ${pathPart}` });
+        continue;
+      }
+
+      if (anchor && extname(targetPath).toLowerCase() === '.md') {
+        const targetContent = documents.get(targetPath) ?? await fse.readFile(targetPath, 'utf-8');
+        if (!collectAnchors(targetContent).has(anchor.toLowerCase())) {
+          issues.push({ line: i + 1, rule: 'broken-anchor', message: `Anchor not found: ${target}` });
+        }
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Heading anchors in a document, in both the DocFlow export and GitHub slug styles
+ */
+function collectAnchors(content) {
+  const anchors = new Set();
+  const seen = new Map();
+
+  for (const line of maskCode(content).split('\n')) {
+    const heading = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      const text = heading[1]
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/[`*_~]/g, '');
+
+      for (const slug of new Set([anchor(text), githubSlug(text)])) {
+        const count = seen.get(slug) || 0;
+        seen.set(slug, count + 1);
+        anchors.add(count === 0 ? slug : `${slug}-${count}`);
+      }
+    }
+
+    for (const explicit of line.matchAll(/<a\s+(?:name|id)=["']([^"']+)["']/gi)) {
+      anchors.add(explicit[1].toLowerCase());
+    }
+  }
+
+  return anchors;
+}
+
+/**
+ * GitHub heading slug: every space becomes a hyphen
+ */
+function githubSlug(text) {
+  return text.trim().toLowerCase().replace(/[^\w\s-]/g, '').replace(/\s/g, '-');
+}
+
+/**
+ * Report {{VAR}} placeholders left over from templates
+ */
+function checkPlaceholders(content) {
+  const masked = maskCode(content);
+  const lines = masked.split('\n');
+  const issues = [];
+
+  for (const name of Object.keys(extractVariables(masked))) {
+    // The name, followed by a default, filters or nothing (e.g. {{TITLE}}, {{TITLE | upper}})
+    const pattern = new RegExp(`^\\s*${escapeRegex(name)}(?![\\w/.])`);
+    lines.forEach((line, index) => {
+      if ([...line.matchAll(TAG_PATTERN)].some(match => pattern.test(match[1]))) {
+        issues.push({ line: index + 1, rule: 'unresolved-placeholder', message: `Unsubstituted placeholder: {{${name}}}` });
+      }
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Check required metadata rows are present and filled in
+ */
+function checkMetadata(content, type) {
+  const metadata = readMetadata(content);
+  const issues = [];
+
+  for (const field of REQUIRED_METADATA[type] || []) {
+    const value = getMetadataValue(metadata, field);
+    if (value === undefined) {
+      issues.push({ line: null, rule: 'missing-metadata', message: `Missing metadata: ${field} (frontmatter or metadata table)` });
+    } else if (!value.trim() || value.trim() === '-') {
+      issues.push({ line: null, rule: 'missing-metadata', message: `Empty metadata value: ${field}` });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Report numbers used by more than one ADR or runbook
+ */
+function findDuplicateNumbers(cwd, files, type) {
+  const byNumber = new Map();
+
+  for (const file of files) {
+    if (!isNumberedDoc(cwd, file, type)) continue;
+
+    const number = parseInt(file.split(/[/\\]/).pop().match(type.pattern)[1], 10);
+    if (!byNumber.has(number)) byNumber.set(number, []);
+    byNumber.get(number).push(toPosix(relative(cwd, file)));
+  }
+
+  const issues = [];
+  for (const [number, paths] of [...byNumber].sort((a, b) => a[0] - b[0])) {
+    if (paths.length < 2) continue;
+
+    const id = `${type.prefix}-${String(number).padStart(3, '0')}`;
+    for (const path of paths) {
+      const others = paths.filter(p => p !== path).join(', ');
+      issues.push({ file: path, line: null, rule: 'duplicate-number', message: `${id} is also used by ${others}` });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Flag feature specs that reference missing or superseded ADRs
+ * Also run by plain `docflow validate`, without the rest of the content lint.
+ * @returns {Promise<object[]>} Issues: [{ file, line, rule, message }]
+ */
+export async function checkFeatureAdrLinks(cwd, config) {
+  const features = await listFeatures(cwd, config);
+  if (features.length === 0) return [];
+
+  const adrs = await listAdrs(cwd, config);
+  const issues = [];
+
+  for (const feature of features) {
+    for (const ref of feature.adrs) {
+      const adr = adrs.find(a => a.number === ref.number);
+
+      if (!adr) {
+        issues.push({ file: feature.file, line: ref.line, rule: 'feature-adr-missing', message: `References ${ref.id}, which does not exist` });
+      } else if (adr.status === 'Superseded') {
+        const replacement = adr.supersededBy ? `; use ${adr.supersededBy}` : '';
+        issues.push({ file: feature.file, line: ref.line, rule: 'feature-adr-superseded', message: `References ${adr.id}, which is superseded${replacement}` });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * ADR and runbook directories and prefixes from config
+ */
+function getNumberedTypes(config) {
+  const adr = getAdrSettings(config);
+  const runbooks = config?.templates?.runbooks || {};
+
+  return [
+    { name: 'adr', directory: adr.directory, prefix: adr.prefix },
+    { name: 'runbooks', directory: runbooks.directory || 'docs/runbooks', prefix: runbooks.prefix || 'RB' }
+  ].map(type => ({ ...type, pattern: new RegExp(`^${type.prefix}-(\\d+)`) }));
+}
+
+/**
+ * Whether a file is a numbered document of the given type (templates excluded)
+ */
+function isNumberedDoc(cwd, file, type) {
+  const path = toPosix(relative(join(cwd, type.directory), file));
+  const name = path.split('/').pop();
+  return !path.startsWith('..') && type.pattern.test(name) && !/TEMPLATE/i.test(name);
+}
+
+/**
+ * Blank out fenced code blocks and inline code, keeping line numbers intact
+ */
+function maskCode(content) {
+  return content
+    .replace(/^(```|~~~)[^\n]*\n[\s\S]*?^\1[^\n]*$/gm, block => block.replace(/[^\n]/g, ' '))
+    .replace(/`[^`\n]+`/g, code => ' '.repeat(code.length));
+}
+
+/**
+ * Decode a URL-encoded link target, leaving malformed input as-is
+ */
+function decode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Normalise path separators
+ */
+function toPosix(path) {
+  return path.replace(/\\/g, '/');
+}
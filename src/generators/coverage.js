@@ -7,43 +7,51 @@ import { glob } from 'glob';
 import { join, extname } from 'path';
 import chalk from 'chalk';
 
+/**
+ * Default patterns covering all major language extensions
+ */
+export const DEFAULT_INCLUDE_PATTERNS = [
+  '**/*.js', '**/*.jsx', '**/*.ts', '**/*.tsx',  // JavaScript/TypeScript
+  '**/*.py',                                       // Python
+  '**/*.ps1', '**/*.psm1', '**/*.psd1',           // PowerShell
+  '**/*.go',                                       // Go
+  '**/*.rs',                                       // Rust
+  '**/*.java',                                     // Java
+  '**/*.rb',                                       // Ruby
+  '**/*.php',                                      // PHP
+  '**/*.cs',                                       // C#
+];
+
+/**
+ * Default patterns for dependency, build and environment directories
+ */
+export const DEFAULT_EXCLUDE_PATTERNS = [
+  '**/node_modules/**',
+  '**/dist/**',
+  '**/build/**',
+  '**/.git/**',
+  '**/coverage/**',
+  '**/*.min.js',
+  '**/*.bundle.js',
+  '**/.venv/**',
+  '**/venv/**',
+  '**/__pycache__/**',
+  '**/target/**',
+  '**/vendor/**',
+];
+
 /**
  * Scan codebase for code files
  * @param {string} dir - Directory to scan
  * @param {object} options - Scan options
  * @param {string[]} options.include - Patterns to include
  * @param {string[]} options.exclude - Patterns to exclude
+ * @param {boolean} options.dot - Match dotfiles such as .env
  * @returns {Promise<string[]>} Array of file paths
  */
 export async function scanCodebase(dir, options = {}) {
-  // Default patterns include all major language extensions
-  const defaultPatterns = [
-    '**/*.js', '**/*.jsx', '**/*.ts', '**/*.tsx',  // JavaScript/TypeScript
-    '**/*.py',                                       // Python
-    '**/*.ps1', '**/*.psm1', '**/*.psd1',           // PowerShell
-    '**/*.go',                                       // Go
-    '**/*.rs',                                       // Rust
-    '**/*.java',                                     // Java
-    '**/*.rb',                                       // Ruby
-    '**/*.php',                                      // PHP
-    '**/*.cs',                                       // C#
-  ];
-
-  const include = options.include || defaultPatterns;
-  const exclude = options.exclude || [
-    '**/node_modules/**',
-    '**/dist/**',
-    '**/build/**',
-    '**/.git/**',
-    '**/coverage/**',
-    '**/*.min.js',
-    '**/*.bundle.js',
-    '**/.venv/**',
-    '**/venv/**',
-    '**/__pycache__/**',
-    '**/target/**',
-    '**/vendor/**',
-  ];
+  const include = options.include || DEFAULT_INCLUDE_PATTERNS;
+  const exclude = options.exclude || DEFAULT_EXCLUDE_PATTERNS;
 
   const files = [];
 
@@ -54,7 +62,7 @@ export async function scanCodebase(dir, options = {}) {
         absolute: true,
         ignore: exclude,
         nodir: true,
-        dot: false,
+        dot: options.dot || false,
         windowsPathsNoEscape: true,  // Better Windows path handling
       });
       files.push(...matches);
@@ -0,0 +1,251 @@
+/**
+ * DocFlow Data Dictionary Generator
+ * Build per-table column documentation from the schemas parsed by the ERD generator
+ */
+
+import fse from 'fs-extra';
+import { join, dirname } from 'path';
+import { collectSchemas, getSchemaSources, SUPPORTED_SCHEMAS } from './erd.js';
+import { upsertRegion } from '../cli/utils/markers.js';
+import { anchor, escapeCell } from '../cli/utils/markdown.js';
+
+/**
+ * Generate the data dictionary and (optionally) one file per table
+ * @param {string} cwd - Project root
+ * @param {object} config - DocFlow configuration
+ * @param {object} options - Generation options
+ * @param {string} options.output - Dictionary path (defaults to documentation.dataDictionary.output)
+ * @param {boolean} options.force - Regenerate per-table files from scratch instead of updating their regions
+ * @returns {Promise<object>} Result with output path, table count and per-table files written
+ */
+export async function generateDataDictionary(cwd, config, options = {}) {
+  const outputPath = options.output ||
+    join(cwd, config?.documentation?.dataDictionary?.output || 'docs/DATA_DICTIONARY.md');
+
+  const database = config?.templates?.database || {};
+  const schemas = await collectSchemas(cwd, getSchemaSources(config));
+
+  const tables = schemas.flatMap(schema => schema.entities
+    .filter(entity => entity.fields.length > 0)
+    .map(entity => ({ ...entity, schemaName: schema.name, source: schema.source, siblings: schema.entities })));
+
+  if (tables.length === 0) {
+    throw new Error(`No database schemas found. Supported: ${SUPPORTED_SCHEMAS}`);
+  }
+
+  await fse.ensureDir(dirname(outputPath));
+  await fse.writeFile(outputPath, buildDictionary(schemas, tables));
+
+  const tableFiles = [];
+  if (database.enabled !== false && database.directory) {
+    const tableDir = join(cwd, database.directory);
+    await fse.ensureDir(tableDir);
+
+    const written = new Set();
+    for (const table of tables) {
+      const fileName = `${tableFileName(table.name)}.md`;
+      if (written.has(fileName)) continue;
+      written.add(fileName);
+
+      const filePath = join(tableDir, fileName);
+      await writeTableFile(filePath, table, options.force);
+      tableFiles.push(filePath);
+    }
+  }
+
+  return { outputPath, tables: tables.length, tableFiles };
+}
+
+/**
+ * Build the combined DATA_DICTIONARY.md content
+ */
+function buildDictionary(schemas, tables) {
+  const lines = [];
+  lines.push('# Data Dictionary\n');
+  lines.push('> Auto-generated by DocFlow. Run `docflow generate data-dictionary` to refresh.\n');
+
+  lines.push('## Tables\n');
+  lines.push('| Table | Source | Columns | Description |');
+  lines.push('|-------|--------|---------|-------------|');
+  for (const table of tables) {
+    lines.push(`| [${table.name}](#${anchor(table.name)}) | \`${table.source}\` | ${table.fields.length} | ${escapeCell(table.description) || '-'} |`);
+  }
+  lines.push('');
+
+  for (const schema of schemas) {
+    const schemaTables = tables.filter(t => t.schemaName === schema.name);
+    if (schemaTables.length === 0) continue;
+
+    lines.push('---\n');
+    lines.push(`## ${schema.name}\n`);
+
+    for (const table of schemaTables) {
+      lines.push(`### ${table.name}\n`);
+      if (table.description) {
+        lines.push(`> ${table.description}\n`);
+      }
+      lines.push(buildColumnTable(table));
+      lines.push('');
+
+      const relationships = buildRelationships(table, { heading: '####', link: name => `#${anchor(name)}` });
+      if (relationships) {
+        lines.push(relationships);
+        lines.push('');
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Write a TABLE-TEMPLATE.md-style file for one table
+ * Existing files keep their hand-written sections; only docflow regions are refreshed.
+ */
+async function writeTableFile(filePath, table, force) {
+  let content = '';
+  if (!force && await fse.pathExists(filePath)) {
+    content = await fse.readFile(filePath, 'utf-8');
+  }
+
+  if (!content.trim()) {
+    content = buildTableSkeleton(table);
+  }
+
+  content = upsertRegion(content, 'columns', buildColumnTable(table));
+  const relationships = buildRelationships(table, { heading: '###', link: name => `./${tableFileName(name)}.md` });
+  content = upsertRegion(content, 'relationships', relationships || '_No foreign keys or relations._', { after: 'columns' });
+
+  await fse.writeFile(filePath, content.endsWith('\n') ? content : `${content}\n`);
+}
+
+/**
+ * Initial per-table document following docs/templates/database/TABLE-TEMPLATE.md
+ */
+function buildTableSkeleton(table) {
+  return `# Table: ${table.name}
+
+> ${table.description || 'Describe what this table stores.'}
+
+---
+
+## Overview
+
+### Purpose
+
+Describe why this table exists and which features depend on it.
+
+### Ownership
+
+| Attribute | Value |
+|-----------|-------|
+| Schema | \`${table.schema || 'default'}\` |
+| Source | \`${table.source}\` |
+
+---
+
+## Column Reference
+
+<!-- docflow:start columns -->
+<!-- docflow:end columns -->
+
+---
+
+## Relationships
+
+<!-- docflow:start relationships -->
+<!-- docflow:end relationships -->
+
+---
+
+## Data Lifecycle
+
+Describe how rows are created, updated, archived and deleted.
+`;
+}
+
+/**
+ * Build the column reference table
+ */
+function buildColumnTable(table) {
+  const lines = [];
+  lines.push('| Column | Type | Nullable | Key | Default | Description |');
+  lines.push('|--------|------|----------|-----|---------|-------------|');
+
+  for (const field of table.fields) {
+    const values = field.enumValues ? ` (${field.enumValues.join(', ')})` : '';
+    const type = `${field.rawType || field.type}${field.isArray ? '[]' : ''}${values}`;
+    const keys = [
+      field.isPrimary ? 'PK' : null,
+      field.isUnique && !field.isPrimary ? 'UK' : null,
+      field.references ? 'FK' : null
+    ].filter(Boolean).join(', ');
+
+    lines.push(`| \`${field.name}\` | ${escapeCell(type)} | ${field.isOptional ? 'Yes' : 'No'} | ${keys || '-'} | ${field.default ? `\`${escapeCell(field.default)}\`` : '-'} | ${escapeCell(field.description) || '-'} |`);
+  }
+
+  // Multi-column unique constraints (composite primary keys are marked per column)
+  for (const keys of table.uniqueConstraints || []) {
+    lines.push('');
+    lines.push(`Unique: ${keys.map(key => `\`${key}\``).join(' + ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build foreign key, relation and referenced-by tables
+ * `link` maps a table name to its href (in-page anchor or sibling file)
+ * Returns an empty string when the table has no relationships
+ */
+function buildRelationships(table, { heading, link }) {
+  const sections = [];
+
+  const foreignKeys = table.fields.filter(f => f.references);
+  if (foreignKeys.length > 0) {
+    const lines = [`${heading} Foreign Keys\n`];
+    lines.push('| Column | References | On Delete |');
+    lines.push('|--------|------------|-----------|');
+    for (const field of foreignKeys) {
+      const { table: target, column, onDelete } = field.references;
+      lines.push(`| \`${field.name}\` | [\`${target}.${column}\`](${link(target)}) | ${onDelete || '-'} |`);
+    }
+    sections.push(lines.join('\n'));
+  }
+
+  if (table.relations.length > 0) {
+    const lines = [`${heading} Relations\n`];
+    lines.push('| Name | Target | Cardinality |');
+    lines.push('|------|--------|-------------|');
+    for (const relation of table.relations) {
+      lines.push(`| \`${relation.name}\` | [${relation.type}](${link(relation.type)}) | ${relation.cardinality} |`);
+    }
+    sections.push(lines.join('\n'));
+  }
+
+  const referencedBy = table.siblings.flatMap(other => other.fields
+    .filter(f => f.references?.table === table.name)
+    .map(f => ({ table: other.name, column: f.name })));
+
+  if (referencedBy.length > 0) {
+    const lines = [`${heading} Referenced By\n`];
+    lines.push('| Table | Column |');
+    lines.push('|-------|--------|');
+    for (const ref of referencedBy) {
+      lines.push(`| [${ref.table}](${link(ref.table)}) | \`${ref.column}\` |`);
+    }
+    sections.push(lines.join('\n'));
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * File name for a table document (snake_case, matching the table template examples)
+ */
+function tableFileName(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^a-zA-Z0-9_]+/g, '_')
+    .toLowerCase();
+}
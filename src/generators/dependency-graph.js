@@ -6,6 +6,7 @@
 import fse from 'fs-extra';
 import { join, relative, dirname } from 'path';
 import { glob } from 'glob';
+import { renderGraph, unfenceDiagram, DIAGRAM_FORMATS } from './diagram-renderers.js';
 
 /**
  * Generate dependency graph for a project
@@ -26,6 +27,7 @@ export async function generateDependencyGraph(cwd, options = {}) {
     ignore: ['**/node_modules/**', '**/dist/**', '**/build/**', '**/*.test.*', '**/*.spec.*'],
     absolute: true
   });
+  files.sort();
 
   if (files.length === 0) {
     throw new Error(`No files found matching pattern: ${filePattern}`);
@@ -46,6 +48,7 @@ export async function generateDependencyGraph(cwd, options = {}) {
   return {
     graph,
     format: options.format || 'markdown',
+    diagramFormat: options.diagramFormat || 'mermaid',
     outputPath: options.output
   };
 }
@@ -266,7 +269,7 @@ function buildDependencyGraph(modules, entryPoints, maxDepth, includeExternal) {
 }
 
 /**
- * Sanitize node ID for Mermaid
+ * Sanitize node ID for diagram identifiers
  */
 function sanitizeNodeId(path) {
   return path
@@ -279,56 +282,44 @@ function sanitizeNodeId(path) {
  * Generate Mermaid diagram from dependency graph
  */
 export function generateMermaidDiagram(graph, options = {}) {
-  const direction = options.direction || 'TD'; // Top to bottom
-  const groupByFolder = options.groupByFolder !== false;
+  return renderDependencyDiagram(graph, { ...options, diagramFormat: 'mermaid' });
+}
 
-  const lines = [];
-  lines.push('```mermaid');
-  lines.push(`graph ${direction}`);
-  lines.push('');
+/**
+ * Render the dependency graph as Mermaid, PlantUML, DOT or D2 (options.diagramFormat)
+ */
+export function renderDependencyDiagram(graph, options = {}) {
+  const groupByFolder = options.groupByFolder !== false;
+  const diagram = {
+    direction: options.direction || 'TD', // Top to bottom
+    groups: [],
+    nodes: [],
+    edges: [],
+    classes: {
+      external: { fill: '#e1e8ed', stroke: '#657786', strokeWidth: 2 }
+    }
+  };
 
   // Group nodes by folder if enabled
   const folders = new Map();
 
-  if (groupByFolder) {
-    for (const [id, node] of graph.nodes) {
-      if (node.isExternal) continue;
-
-      const parts = node.path.split('/');
-      if (parts.length > 1) {
-        const folder = parts.slice(0, -1).join('/');
-        if (!folders.has(folder)) {
-          folders.set(folder, []);
-        }
-        folders.get(folder).push({ id, node });
-      }
-    }
-
-    // Create subgraphs
-    for (const [folder, nodes] of folders) {
-      const subgraphId = sanitizeNodeId(folder);
-      lines.push(`  subgraph ${subgraphId}["${folder}"]`);
-
-      for (const { id, node } of nodes) {
-        const label = node.path.split('/').pop();
-        lines.push(`    ${id}["${label}"]`);
-      }
-
-      lines.push('  end');
-      lines.push('');
-    }
-  }
-
-  // Add ungrouped nodes
   for (const [id, node] of graph.nodes) {
+    const parts = node.path.split('/');
+
     if (node.isExternal) {
-      lines.push(`  ${id}(["${node.path}"])`);
-    } else if (!groupByFolder || node.path.split('/').length === 1) {
-      lines.push(`  ${id}["${node.path}"]`);
+      diagram.nodes.push({ id, label: node.path, shape: 'stadium', className: 'external' });
+    } else if (groupByFolder && parts.length > 1) {
+      const folder = parts.slice(0, -1).join('/');
+      if (!folders.has(folder)) {
+        folders.set(folder, { id: sanitizeNodeId(folder), label: folder, nodes: [] });
+      }
+      folders.get(folder).nodes.push(id);
+      diagram.nodes.push({ id, label: parts.pop(), shape: 'box' });
+    } else {
+      diagram.nodes.push({ id, label: node.path, shape: 'box' });
     }
   }
-
-  lines.push('');
+  diagram.groups = [...folders.values()];
 
   // Add edges
   const addedEdges = new Set();
@@ -338,23 +329,12 @@ export function generateMermaidDiagram(graph, options = {}) {
     if (addedEdges.has(edgeKey)) continue;
 
     addedEdges.add(edgeKey);
-
-    const arrow = edge.isDynamic ? '-.->|dynamic|' : '-->';
-    lines.push(`  ${edge.from} ${arrow} ${edge.to}`);
+    diagram.edges.push(edge.isDynamic
+      ? { from: edge.from, to: edge.to, label: 'dynamic', dashed: true }
+      : { from: edge.from, to: edge.to });
   }
 
-  // Style external modules
-  lines.push('');
-  lines.push('  classDef external fill:#e1e8ed,stroke:#657786,stroke-width:2px');
-
-  for (const [id, node] of graph.nodes) {
-    if (node.isExternal) {
-      lines.push(`  class ${id} external`);
-    }
-  }
-
-  lines.push('```');
-  return lines.join('\n');
+  return renderGraph(diagram, options.diagramFormat || 'mermaid');
 }
 
 /**
@@ -399,12 +379,14 @@ export function detectCircularDependencies(graph) {
 
 /**
  * Save dependency graph to file
+ * @returns {Promise<string[]>} Files holding the diagram (the diagram file in separate mode)
  */
 export async function saveDependencyGraph(result, outputPath, format = 'markdown') {
   const dir = dirname(outputPath);
   await fse.ensureDir(dir);
 
-  const mermaidDiagram = generateMermaidDiagram(result.graph, { groupByFolder: true });
+  const diagramFormat = result.diagramFormat || 'mermaid';
+  const diagram = renderDependencyDiagram(result.graph, { groupByFolder: true, diagramFormat });
   const cycles = detectCircularDependencies(result.graph);
 
   const lines = [];
@@ -427,7 +409,7 @@ export async function saveDependencyGraph(result, outputPath, format = 'markdown
 
   // Diagram
   lines.push('## Dependency Diagram\n');
-  lines.push(mermaidDiagram);
+  lines.push(diagram);
   lines.push('');
 
   // Circular dependencies warning
@@ -445,13 +427,15 @@ export async function saveDependencyGraph(result, outputPath, format = 'markdown
     }
   }
 
-  if (format === 'separate') {
-    // Save diagram to .mmd file
-    const mmdPath = outputPath.replace(/\.md$/, '.mmd');
-    await fse.writeFile(mmdPath, mermaidDiagram.replace(/```mermaid\n|\n```/g, ''));
-    console.log(`  Saved diagram: ${mmdPath}`);
+  const diagramPath = format === 'separate' ? outputPath.replace(/\.md$/, DIAGRAM_FORMATS[diagramFormat].extension) : null;
+  if (diagramPath) {
+    // Save diagram to a .mmd / .puml / .dot / .d2 file
+    await fse.writeFile(diagramPath, unfenceDiagram(diagram));
+    console.log(`  Saved diagram: ${diagramPath}`);
   }
 
   await fse.writeFile(outputPath, lines.join('\n'));
   console.log(`  Saved: ${outputPath}`);
+
+  return [diagramPath || outputPath];
 }
@@ -0,0 +1,180 @@
+/**
+ * DocFlow Diagram Images
+ * Render Mermaid diagrams to SVG and PNG offline: the Mermaid bundle is loaded from
+ * node_modules into the Puppeteer browser already used for PDF export, never from a CDN
+ */
+
+import fse from 'fs-extra';
+import { createRequire } from 'module';
+import puppeteer from 'puppeteer';
+import { decodeEntities } from '../cli/utils/markdown.js';
+
+export const IMAGE_FORMATS = ['svg', 'png'];
+
+const MERMAID_BLOCK = /^```mermaid[ \t]*\r?\n([\s\S]*?)^```[ \t]*$/gm;
+const MERMAID_HTML_BLOCK = /<pre><code class="language-mermaid">([\s\S]*?)<\/code><\/pre>/g;
+
+/**
+ * Mermaid source of every ```mermaid block in a markdown document, in order
+ */
+export function extractMermaidBlocks(markdown) {
+  return [...markdown.matchAll(MERMAID_BLOCK)].map(match => match[1].trim());
+}
+
+/**
+ * Image formats to write for generated diagrams
+ * `--images` overrides diagrams.mermaid.images; `true` (flag without value) means all formats
+ * @returns {string[]} Subset of IMAGE_FORMATS, empty when images are off
+ */
+export function resolveImageFormats(config, override) {
+  const value = override ?? config?.diagrams?.mermaid?.images ?? [];
+  if (value === true) return [...IMAGE_FORMATS];
+  if (value === false) return [];
+
+  const formats = (Array.isArray(value) ? value : String(value).split(','))
+    .map(format => format.trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const format of formats) {
+    if (!IMAGE_FORMATS.includes(format)) {
+      throw new Error(`Unknown image format "${format}". Supported: ${IMAGE_FORMATS.join(', ')}`);
+    }
+  }
+  return [...new Set(formats)];
+}
+
+/**
+ * Render Mermaid sources in one headless browser session
+ * A diagram Mermaid cannot parse yields { error } instead of failing the batch.
+ * @param {string[]} sources - Mermaid diagram sources
+ * @param {object} options - Render options
+ * @param {string[]} options.formats - Image formats to produce (svg, png)
+ * @param {string} options.theme - Mermaid theme (default, dark, forest, neutral)
+ * @returns {Promise<object[]>} One { svg, png, error } per source; png is a Buffer
+ */
+export async function renderMermaidDiagrams(sources, options = {}) {
+  const { formats = IMAGE_FORMATS, theme = 'default' } = options;
+  if (sources.length === 0) return [];
+
+  const browser = await puppeteer.launch({
+    headless: 'new',
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+  });
+
+  try {
+    const page = await browser.newPage();
+    await page.setViewport({ width: 1600, height: 1200, deviceScaleFactor: 2 });
+    await page.setContent('<!DOCTYPE html><html><body style="margin:0;background:#fff"><div id="docflow-diagram" style="display:inline-block"></div></body></html>');
+    await page.addScriptTag({ path: mermaidScriptPath() });
+    await page.evaluate((theme) => {
+      globalThis.mermaid.initialize({ startOnLoad: false, theme, securityLevel: 'strict', suppressErrorRendering: true });
+    }, theme);
+
+    const results = [];
+    for (let i = 0; i < sources.length; i++) {
+      const rendered = await page.evaluate(async (id, source) => {
+        try {
+          const { svg } = await globalThis.mermaid.render(id, source);
+          globalThis.document.getElementById('docflow-diagram').innerHTML = svg;
+          return { svg };
+        } catch (e) {
+          return { error: e.message || String(e) };
+        }
+      }, `docflow-diagram-${i + 1}`, sources[i]);
+
+      if (rendered.svg && formats.includes('png')) {
+        const element = await page.$('#docflow-diagram > svg');
+        rendered.png = await element.screenshot({ type: 'png' });
+      }
+      results.push(rendered);
+    }
+    return results;
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Write an image next to each generated diagram file
+ * Markdown files get `<name>-<n>.svg|png` per Mermaid block, `.mmd` files `<name>.svg|png`
+ * @param {string[]} files - Markdown (.md) and Mermaid (.mmd) file paths
+ * @param {object} options - { formats, theme } as for renderMermaidDiagrams
+ * @returns {Promise<object>} { images: written paths, errors: [{ file, error }] }
+ */
+export async function renderDiagramImages(files, options = {}) {
+  const { formats = IMAGE_FORMATS } = options;
+  const diagrams = [];
+
+  for (const file of files) {
+    const content = await fse.readFile(file, 'utf-8');
+    if (file.endsWith('.mmd')) {
+      if (content.trim()) diagrams.push({ file, base: file.replace(/\.mmd$/, ''), source: content.trim() });
+      continue;
+    }
+
+    const blocks = extractMermaidBlocks(content);
+    blocks.forEach((source, i) => {
+      diagrams.push({ file, base: `${file.replace(/\.md$/, '')}-${i + 1}`, source });
+    });
+  }
+
+  const rendered = await renderMermaidDiagrams(diagrams.map(diagram => diagram.source), options);
+  const images = [];
+  const errors = [];
+
+  for (let i = 0; i < diagrams.length; i++) {
+    const { svg, png, error } = rendered[i];
+    if (error) {
+      errors.push({ file: diagrams[i].file, error });
+      continue;
+    }
+
+    if (formats.includes('svg')) {
+      await fse.writeFile(`${diagrams[i].base}.svg`, svg);
+      images.push(`${diagrams[i].base}.svg`);
+    }
+    if (png) {
+      await fse.writeFile(`${diagrams[i].base}.png`, png);
+      images.push(`${diagrams[i].base}.png`);
+    }
+  }
+
+  return { images, errors };
+}
+
+/**
+ * Replace Mermaid code blocks in rendered documents with inline SVG
+ * Used by the PDF and HTML exporters; blocks that fail to render stay as code.
+ * @param {object[]} documents - Documents from loadDocuments (doc.html is updated in place)
+ * @param {object} config - DocFlow configuration (diagrams.mermaid.theme)
+ * @returns {Promise<number>} Number of diagrams embedded
+ */
+export async function embedMermaidDiagrams(documents, config) {
+  const blocks = documents.flatMap(doc => [...doc.html.matchAll(MERMAID_HTML_BLOCK)]
+    .map(match => decodeEntities(match[1]).trim()));
+  if (blocks.length === 0) return 0;
+
+  const rendered = await renderMermaidDiagrams(blocks, {
+    formats: ['svg'],
+    theme: config?.diagrams?.mermaid?.theme
+  });
+
+  let index = 0;
+  let embedded = 0;
+  for (const doc of documents) {
+    doc.html = doc.html.replace(MERMAID_HTML_BLOCK, (block) => {
+      const { svg } = rendered[index++];
+      if (!svg) return block;
+      embedded++;
+      return `<figure class="diagram">${svg}</figure>`;
+    });
+  }
+  return embedded;
+}
+
+/**
+ * Path of the Mermaid browser bundle installed with DocFlow
+ */
+function mermaidScriptPath() {
+  return createRequire(import.meta.url).resolve('mermaid/dist/mermaid.min.js');
+}
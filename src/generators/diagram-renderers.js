@@ -0,0 +1,464 @@
+/**
+ * DocFlow Diagram Renderers
+ * Emit ERDs and node/edge graphs as Mermaid, PlantUML, Graphviz DOT or D2
+ *
+ * Generators describe what to draw and the renderers decide how:
+ * - ERDs use the entity model from erd.js: [{ name, fields, relations }]
+ * - Graphs (dependencies, workflows) use:
+ *   { direction: 'TD' | 'LR', groups: [{ id, label, nodes: [nodeId] }],
+ *     nodes: [{ id, label, shape: 'box' | 'stadium' | 'diamond', className }],
+ *     edges: [{ from, to, label, dashed }],
+ *     classes: { [className]: { fill, stroke, strokeWidth, color } } }
+ */
+
+/**
+ * Supported diagram formats: markdown fence language and file extension
+ */
+export const DIAGRAM_FORMATS = {
+  mermaid: { fence: 'mermaid', extension: '.mmd' },
+  plantuml: { fence: 'plantuml', extension: '.puml' },
+  dot: { fence: 'dot', extension: '.dot' },
+  d2: { fence: 'd2', extension: '.d2' }
+};
+
+/**
+ * Diagram format for a diagram type: explicit override (--diagram-format),
+ * then `diagrams.<type>.format`, then Mermaid
+ */
+export function resolveDiagramFormat(config, type, override) {
+  const format = override || config?.diagrams?.[type]?.format || 'mermaid';
+
+  if (!DIAGRAM_FORMATS[format]) {
+    throw new Error(`Unknown diagram format "${format}". Supported: ${Object.keys(DIAGRAM_FORMATS).join(', ')}`);
+  }
+
+  return format;
+}
+
+/**
+ * Wrap diagram source in a markdown code fence
+ */
+export function fenceDiagram(source, format = 'mermaid') {
+  return `\`\`\`${DIAGRAM_FORMATS[format].fence}\n${source}\n\`\`\``;
+}
+
+/**
+ * Remove the markdown code fence around a rendered diagram
+ */
+export function unfenceDiagram(content) {
+  return content.replace(/^```[\w-]*\n/, '').replace(/\n```\s*$/, '');
+}
+
+/**
+ * Render an entity relationship diagram (fenced for markdown)
+ */
+export function renderERD(entities, format = 'mermaid') {
+  const renderers = { mermaid: erdMermaid, plantuml: erdPlantUML, dot: erdDot, d2: erdD2 };
+  const drawn = entities.filter(entity => entity.fields.length > 0);
+
+  return fenceDiagram(renderers[format](drawn, erdRelations(entities)), format);
+}
+
+/**
+ * Render a node/edge graph (fenced for markdown)
+ */
+export function renderGraph(graph, format = 'mermaid') {
+  const renderers = { mermaid: graphMermaid, plantuml: graphPlantUML, dot: graphDot, d2: graphD2 };
+  return fenceDiagram(renderers[format](graph), format);
+}
+
+/**
+ * Relationship lines between known entities, with crow's foot ends:
+ * `left` is the source end ('}o' many, '||' one), `right` the target end ('o{' many, '||' one)
+ */
+function erdRelations(entities) {
+  const relations = [];
+
+  for (const entity of entities) {
+    for (const relation of entity.relations) {
+      const target = entities.find(e => e.name === relation.type);
+      if (!target) continue;
+
+      const backRef = target.relations.find(r => r.type === entity.name);
+      const ends = relation.cardinality === 'many'
+        ? { left: '}o', right: backRef ? 'o{' : '||' }
+        : { left: '||', right: backRef?.cardinality === 'many' ? 'o{' : '||' };
+
+      relations.push({ from: entity.name, to: relation.type, label: relation.name, ...ends });
+    }
+  }
+
+  return relations;
+}
+
+function erdMermaid(entities, relations) {
+  const lines = ['erDiagram', ''];
+
+  for (const entity of entities) {
+    lines.push(`  ${entity.name} {`);
+
+    for (const field of entity.fields) {
+      const key = field.isPrimary ? ' PK' : field.isUnique ? ' UK' : '';
+      const comment = `"${field.name}${field.isOptional ? '?' : ''}${field.isArray ? '[]' : ''}"`;
+      lines.push(`    ${mapTypeToMermaid(field.type)} ${field.name}${key} ${comment}`);
+    }
+
+    lines.push('  }');
+    lines.push('');
+  }
+
+  for (const relation of relations) {
+    lines.push(`  ${relation.from} ${relation.left}--${relation.right} ${relation.to} : "${relation.label}"`);
+  }
+
+  return lines.join('\n');
+}
+
+function erdPlantUML(entities, relations) {
+  const lines = ['@startuml', 'hide circle', 'skinparam linetype ortho', ''];
+
+  for (const entity of entities) {
+    lines.push(`entity "${plantumlText(entity.name)}" as ${plainId(entity.name)} {`);
+
+    // Key columns above the separator, as in IE notation
+    const keys = entity.fields.filter(field => field.isPrimary);
+    const others = entity.fields.filter(field => !field.isPrimary);
+    for (const field of [...keys, ...(keys.length && others.length ? ['--'] : []), ...others]) {
+      if (field === '--') {
+        lines.push('  --');
+        continue;
+      }
+      const stereotypes = [field.isPrimary ? 'PK' : field.isUnique ? 'UK' : null, field.references ? 'FK' : null]
+        .filter(Boolean).map(key => ` <<${key}>>`).join('');
+      lines.push(`  ${field.isOptional ? '' : '* '}${field.name} : ${plantumlText(fieldType(field))}${stereotypes}`);
+    }
+
+    lines.push('}');
+    lines.push('');
+  }
+
+  for (const relation of relations) {
+    lines.push(`${plainId(relation.from)} ${relation.left}--${relation.right} ${plainId(relation.to)} : ${plantumlText(relation.label)}`);
+  }
+
+  lines.push('@enduml');
+  return lines.join('\n');
+}
+
+function erdDot(entities, relations) {
+  const ends = { '}o': 'crowodot', 'o{': 'crowodot', '||': 'teetee' };
+  const lines = [
+    'digraph ERD {',
+    '  graph [rankdir=LR];',
+    '  node [shape=plaintext, fontname="Helvetica"];',
+    '  edge [dir=both, fontname="Helvetica", fontsize=10];',
+    ''
+  ];
+
+  for (const entity of entities) {
+    const rows = entity.fields.map(field => {
+      const key = [field.isPrimary ? 'PK' : field.isUnique ? 'UK' : null, field.references ? 'FK' : null].filter(Boolean).join(', ');
+      const name = field.isPrimary ? `<u>${htmlText(field.name)}</u>` : htmlText(field.name);
+      return `<tr><td align="left">${name}${field.isOptional ? '?' : ''}</td><td align="left">${htmlText(fieldType(field))}</td><td>${key}</td></tr>`;
+    });
+
+    lines.push(`  ${dotId(entity.name)} [label=<<table border="0" cellborder="1" cellspacing="0" cellpadding="4">` +
+      `<tr><td colspan="3" bgcolor="#e1e8ed"><b>${htmlText(entity.name)}</b></td></tr>${rows.join('')}</table>>];`);
+  }
+
+  lines.push('');
+  for (const relation of relations) {
+    lines.push(`  ${dotId(relation.from)} -> ${dotId(relation.to)} [label=${dotId(relation.label)}, arrowtail=${ends[relation.left]}, arrowhead=${ends[relation.right]}];`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+function erdD2(entities, relations) {
+  const ends = { '}o': 'cf-many', 'o{': 'cf-many', '||': 'cf-one-required' };
+  const lines = ['direction: right', ''];
+
+  for (const entity of entities) {
+    lines.push(`${d2Key(entity.name)}: {`);
+    lines.push('  shape: sql_table');
+
+    for (const field of entity.fields) {
+      const constraints = [field.isPrimary ? 'primary_key' : field.isUnique ? 'unique' : null, field.references ? 'foreign_key' : null].filter(Boolean);
+      const constraint = constraints.length === 0 ? ''
+        : constraints.length === 1 ? ` {constraint: ${constraints[0]}}` : ` {constraint: [${constraints.join('; ')}]}`;
+      lines.push(`  ${d2Key(field.name)}: ${d2Text(`${fieldType(field)}${field.isOptional ? '?' : ''}`)}${constraint}`);
+    }
+
+    lines.push('}');
+    lines.push('');
+  }
+
+  for (const relation of relations) {
+    lines.push(`${d2Key(relation.from)} -> ${d2Key(relation.to)}: ${d2Text(relation.label)} {`);
+    lines.push(`  source-arrowhead.shape: ${ends[relation.left]}`);
+    lines.push(`  target-arrowhead.shape: ${ends[relation.right]}`);
+    lines.push('}');
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+function graphMermaid(graph) {
+  const shapes = { box: label => `["${label}"]`, stadium: label => `(["${label}"])`, diamond: label => `{"${label}"}` };
+  const node = (n, indent) => `${indent}${n.id}${shapes[n.shape || 'box'](mermaidText(n.label))}`;
+  const grouped = new Set((graph.groups || []).flatMap(group => group.nodes));
+  const lines = [`flowchart ${graph.direction || 'TD'}`, ''];
+
+  for (const group of graph.groups || []) {
+    lines.push(`  subgraph ${group.id}["${mermaidText(group.label)}"]`);
+    for (const id of group.nodes) {
+      lines.push(node(graph.nodes.find(n => n.id === id), '    '));
+    }
+    lines.push('  end');
+    lines.push('');
+  }
+
+  for (const n of graph.nodes.filter(n => !grouped.has(n.id))) {
+    lines.push(node(n, '  '));
+  }
+  lines.push('');
+
+  for (const edge of graph.edges) {
+    const arrow = edge.dashed ? '-.->' : '-->';
+    lines.push(`  ${edge.from} ${arrow}${edge.label ? `|${mermaidText(edge.label)}|` : ''} ${edge.to}`);
+  }
+
+  const classes = Object.entries(graph.classes || {});
+  if (classes.length) lines.push('');
+  for (const [name, style] of classes) {
+    const properties = [
+      style.fill && `fill:${style.fill}`,
+      style.stroke && `stroke:${style.stroke}`,
+      style.strokeWidth && `stroke-width:${style.strokeWidth}px`,
+      style.color && `color:${style.color}`
+    ].filter(Boolean).join(',');
+    lines.push(`  classDef ${name} ${properties}`);
+  }
+  for (const [name] of classes) {
+    const members = graph.nodes.filter(n => n.className === name).map(n => n.id);
+    if (members.length) lines.push(`  class ${members.join(',')} ${name}`);
+  }
+
+  return lines.join('\n');
+}
+
+function graphPlantUML(graph) {
+  const shapes = { box: 'rectangle', stadium: 'usecase', diamond: 'hexagon' };
+  const node = (n, indent) => {
+    const fill = graph.classes?.[n.className]?.fill;
+    return `${indent}${shapes[n.shape || 'box']} "${plantumlText(n.label)}" as ${plainId(n.id)}${fill ? ` ${fill}` : ''}`;
+  };
+  const grouped = new Set((graph.groups || []).flatMap(group => group.nodes));
+  const lines = ['@startuml', graph.direction === 'LR' ? 'left to right direction' : 'top to bottom direction', ''];
+
+  for (const group of graph.groups || []) {
+    lines.push(`package "${plantumlText(group.label)}" {`);
+    for (const id of group.nodes) {
+      lines.push(node(graph.nodes.find(n => n.id === id), '  '));
+    }
+    lines.push('}');
+    lines.push('');
+  }
+
+  for (const n of graph.nodes.filter(n => !grouped.has(n.id))) {
+    lines.push(node(n, ''));
+  }
+  lines.push('');
+
+  for (const edge of graph.edges) {
+    lines.push(`${plainId(edge.from)} ${edge.dashed ? '..>' : '-->'} ${plainId(edge.to)}${edge.label ? ` : ${plantumlText(edge.label)}` : ''}`);
+  }
+
+  lines.push('@enduml');
+  return lines.join('\n');
+}
+
+function graphDot(graph) {
+  const shapes = { box: 'shape=box', stadium: 'shape=box, style="rounded"', diamond: 'shape=diamond' };
+  const node = (n, indent) => {
+    const style = graph.classes?.[n.className];
+    const attributes = [`label=${dotId(n.label)}`, shapes[n.shape || 'box']];
+    if (style) {
+      const styles = [...(n.shape === 'stadium' ? ['rounded'] : []), 'filled'];
+      attributes[1] = attributes[1].replace(/, style="rounded"/, '');
+      attributes.push(`style="${styles.join(',')}"`);
+      if (style.fill) attributes.push(`fillcolor="${style.fill}"`);
+      if (style.stroke) attributes.push(`color="${style.stroke}"`);
+      if (style.strokeWidth) attributes.push(`penwidth=${style.strokeWidth}`);
+      if (style.color) attributes.push(`fontcolor="${style.color}"`);
+    }
+    return `${indent}${dotId(n.id)} [${attributes.join(', ')}];`;
+  };
+  const grouped = new Set((graph.groups || []).flatMap(group => group.nodes));
+  const lines = [
+    'digraph G {',
+    `  rankdir=${graph.direction === 'LR' ? 'LR' : 'TB'};`,
+    '  node [fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10];',
+    ''
+  ];
+
+  for (const group of graph.groups || []) {
+    lines.push(`  subgraph ${dotId(`cluster_${group.id}`)} {`);
+    lines.push(`    label=${dotId(group.label)};`);
+    for (const id of group.nodes) {
+      lines.push(node(graph.nodes.find(n => n.id === id), '    '));
+    }
+    lines.push('  }');
+    lines.push('');
+  }
+
+  for (const n of graph.nodes.filter(n => !grouped.has(n.id))) {
+    lines.push(node(n, '  '));
+  }
+  lines.push('');
+
+  for (const edge of graph.edges) {
+    const attributes = [edge.label ? `label=${dotId(edge.label)}` : null, edge.dashed ? 'style=dashed' : null].filter(Boolean);
+    lines.push(`  ${dotId(edge.from)} -> ${dotId(edge.to)}${attributes.length ? ` [${attributes.join(', ')}]` : ''};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+function graphD2(graph) {
+  const shapes = { box: null, stadium: 'oval', diamond: 'diamond' };
+  const paths = new Map(graph.nodes.map(n => [n.id, d2Key(n.id)]));
+  for (const group of graph.groups || []) {
+    group.nodes.forEach(id => paths.set(id, `${d2Key(group.id)}.${d2Key(id)}`));
+  }
+
+  const node = (n, indent) => {
+    const properties = [
+      shapes[n.shape || 'box'] ? `shape: ${shapes[n.shape || 'box']}` : null,
+      n.className ? `class: ${d2Key(n.className)}` : null
+    ].filter(Boolean);
+    return `${indent}${d2Key(n.id)}: ${d2Text(n.label)}${properties.length ? ` {${properties.join('; ')}}` : ''}`;
+  };
+  const grouped = new Set((graph.groups || []).flatMap(group => group.nodes));
+  const lines = [`direction: ${graph.direction === 'LR' ? 'right' : 'down'}`, ''];
+
+  const classes = Object.entries(graph.classes || {});
+  if (classes.length) {
+    lines.push('classes: {');
+    for (const [name, style] of classes) {
+      const properties = [
+        style.fill && `style.fill: "${style.fill}"`,
+        style.stroke && `style.stroke: "${style.stroke}"`,
+        style.strokeWidth && `style.stroke-width: ${style.strokeWidth}`,
+        style.color && `style.font-color: "${style.color}"`
+      ].filter(Boolean);
+      lines.push(`  ${d2Key(name)}: {${properties.join('; ')}}`);
+    }
+    lines.push('}');
+    lines.push('');
+  }
+
+  for (const group of graph.groups || []) {
+    lines.push(`${d2Key(group.id)}: ${d2Text(group.label)} {`);
+    for (const id of group.nodes) {
+      lines.push(node(graph.nodes.find(n => n.id === id), '  '));
+    }
+    lines.push('}');
+    lines.push('');
+  }
+
+  for (const n of graph.nodes.filter(n => !grouped.has(n.id))) {
+    lines.push(node(n, ''));
+  }
+  lines.push('');
+
+  for (const edge of graph.edges) {
+    const label = edge.label ? `: ${d2Text(edge.label)}` : '';
+    lines.push(`${paths.get(edge.from) || d2Key(edge.from)} -> ${paths.get(edge.to) || d2Key(edge.to)}${label}${edge.dashed ? ' {style.stroke-dash: 3}' : ''}`);
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * Map database types to Mermaid types
+ */
+function mapTypeToMermaid(type) {
+  const typeMap = {
+    'String': 'string',
+    'Int': 'int',
+    'Float': 'float',
+    'Boolean': 'boolean',
+    'DateTime': 'datetime',
+    'Json': 'json',
+    'Decimal': 'decimal',
+    'number': 'int',
+    'string': 'string',
+    'boolean': 'boolean',
+    'Date': 'datetime',
+    'VARCHAR': 'string',
+    'TEXT': 'string',
+    'INTEGER': 'int',
+    'BIGINT': 'bigint',
+    'DECIMAL': 'decimal',
+    'FLOAT': 'float',
+    'BOOLEAN': 'boolean',
+    'TIMESTAMP': 'datetime',
+    'DATETIME': 'datetime',
+    'DATE': 'date'
+  };
+
+  return typeMap[type] || type.toLowerCase();
+}
+
+/**
+ * Column type as written in the schema (formats other than Mermaid allow any text)
+ */
+function fieldType(field) {
+  return `${field.rawType || field.type}${field.isArray ? '[]' : ''}`;
+}
+
+function mermaidText(text) {
+  return String(text)
+    .replace(/"/g, '#quot;')
+    .replace(/\[/g, '#91;')
+    .replace(/\]/g, '#93;')
+    .replace(/\n/g, ' ')
+    .trim();
+}
+
+function plantumlText(text) {
+  return String(text).replace(/"/g, "'").replace(/\n/g, ' ').trim();
+}
+
+function htmlText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Identifier safe for PlantUML aliases
+ */
+function plainId(id) {
+  return String(id).replace(/\W/g, '_');
+}
+
+/**
+ * Quoted DOT identifier
+ */
+function dotId(id) {
+  return `"${String(id).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, ' ')}"`;
+}
+
+/**
+ * D2 key, quoted unless it is a plain identifier
+ */
+function d2Key(key) {
+  return /^\w+$/.test(key) ? key : d2Text(key);
+}
+
+function d2Text(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, ' ')}"`;
+}
@@ -0,0 +1,571 @@
+/**
+ * DocFlow DOCX Generator
+ * Generate native Word documents from markdown documentation
+ *
+ * (c) 2024-2025 Tom Mangano (TomsTech). All Rights Reserved.
+ */
+
+import fse from 'fs-extra';
+import { marked } from 'marked';
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  ExternalHyperlink,
+  Footer,
+  Header,
+  HeadingLevel,
+  LevelFormat,
+  Packer,
+  PageNumber,
+  Paragraph,
+  ShadingType,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType
+} from 'docx';
+import { loadDocuments, applyTemplate, getCoverDetails } from './pdf.js';
+import { decodeEntities } from '../cli/utils/markdown.js';
+
+const HEADING_LEVELS = [
+  HeadingLevel.HEADING_1,
+  HeadingLevel.HEADING_2,
+  HeadingLevel.HEADING_3,
+  HeadingLevel.HEADING_4,
+  HeadingLevel.HEADING_5,
+  HeadingLevel.HEADING_6
+];
+
+const ORDERED_LIST_REFERENCE = 'docflow-ordered-list';
+const MONOSPACE_FONT = 'Courier New';
+
+/**
+ * Generate DOCX from markdown files
+ * Accepts the same options as generatePDF so both exporters stay interchangeable.
+ * @param {Object} options - Generation options
+ * @param {string[]} options.inputFiles - Array of markdown file paths
+ * @param {string} options.outputPath - Output DOCX path
+ * @param {string} options.template - Template type (executive, technical, full)
+ * @param {boolean} options.includeToc - Include table of contents
+ * @param {boolean} options.includeCover - Include cover page
+ * @param {string} options.customHeader - Custom header text
+ * @param {string} options.customFooter - Custom footer text
+ * @param {Object} options.config - DocFlow configuration
+ * @param {string} options.cwd - Current working directory
+ */
+export async function generateDOCX(options) {
+  const {
+    inputFiles,
+    outputPath,
+    template = 'technical',
+    includeToc = true,
+    includeCover = true,
+    customHeader,
+    customFooter,
+    config,
+    cwd
+  } = options;
+
+  // Load and parse markdown files (same pipeline as PDF export)
+  const documents = await loadDocuments(inputFiles, cwd);
+
+  // Apply template filtering
+  const filteredDocs = applyTemplate(documents, template);
+
+  const colors = getBrandColors(config);
+  const state = { listInstance: 0 };
+  const children = [];
+
+  if (includeCover) {
+    children.push(...buildCoverPage(config, template, colors));
+  }
+
+  if (includeToc) {
+    children.push(...buildTableOfContents(filteredDocs, colors));
+  }
+
+  filteredDocs.forEach((doc, index) => {
+    const isFirstContent = index === 0 && !includeCover && !includeToc;
+    children.push(...buildDocumentSection(doc, colors, state, isFirstContent));
+  });
+
+  const document = new Document({
+    creator: 'DocFlow',
+    title: config?.project?.name || 'Documentation',
+    description: config?.project?.description || undefined,
+    styles: buildStyles(colors),
+    numbering: buildNumbering(),
+    sections: [{
+      properties: {
+        page: {
+          margin: { top: '2cm', right: '1.5cm', bottom: '2cm', left: '1.5cm' }
+        }
+      },
+      headers: customHeader ? { default: buildHeader(customHeader) } : undefined,
+      footers: { default: buildFooter(customFooter) },
+      children
+    }]
+  });
+
+  const buffer = await Packer.toBuffer(document);
+  await fse.writeFile(outputPath, buffer);
+}
+
+/**
+ * Get branding colours as DOCX hex values (no leading #)
+ */
+function getBrandColors(config) {
+  const strip = (value, fallback) => (value || fallback).replace('#', '');
+
+  return {
+    primary: strip(config?.branding?.primary, '#072151'),
+    secondary: strip(config?.branding?.secondary, '#2978c7'),
+    accent: strip(config?.branding?.accent, '#14b8a6'),
+    text: '1F2937',
+    muted: '6B7280'
+  };
+}
+
+/**
+ * Build document styles with branded headings
+ */
+function buildStyles(colors) {
+  const heading = (id, name, size, color) => ({
+    id,
+    name,
+    basedOn: 'Normal',
+    next: 'Normal',
+    quickFormat: true,
+    run: { size, bold: true, color },
+    paragraph: { spacing: { before: 240, after: 120 }, keepNext: true }
+  });
+
+  return {
+    default: {
+      document: {
+        run: { font: 'Calibri', size: 22, color: colors.text },
+        paragraph: { spacing: { after: 120, line: 276 } }
+      }
+    },
+    paragraphStyles: [
+      heading('Heading1', 'Heading 1', 48, colors.primary),
+      heading('Heading2', 'Heading 2', 36, colors.secondary),
+      heading('Heading3', 'Heading 3', 28, colors.secondary),
+      heading('Heading4', 'Heading 4', 24, '374151'),
+      heading('Heading5', 'Heading 5', 24, '374151'),
+      heading('Heading6', 'Heading 6', 24, '374151'),
+      {
+        id: 'Title',
+        name: 'Title',
+        basedOn: 'Normal',
+        next: 'Normal',
+        run: { size: 72, bold: true, color: colors.primary },
+        paragraph: { alignment: AlignmentType.CENTER, spacing: { before: 2400, after: 240 } }
+      },
+      {
+        id: 'CodeBlock',
+        name: 'Code Block',
+        basedOn: 'Normal',
+        run: { font: MONOSPACE_FONT, size: 18 },
+        paragraph: {
+          spacing: { after: 0, line: 240 },
+          shading: { type: ShadingType.CLEAR, fill: 'F3F4F6', color: 'auto' }
+        }
+      },
+      {
+        id: 'Quote',
+        name: 'Quote',
+        basedOn: 'Normal',
+        run: { italics: true, color: '4B5563' },
+        paragraph: {
+          indent: { left: 360 },
+          border: { left: { style: BorderStyle.SINGLE, size: 24, color: colors.accent, space: 8 } }
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Build numbering definition for ordered lists
+ */
+function buildNumbering() {
+  return {
+    config: [{
+      reference: ORDERED_LIST_REFERENCE,
+      levels: [0, 1, 2, 3, 4, 5].map(level => ({
+        level,
+        format: [LevelFormat.DECIMAL, LevelFormat.LOWER_LETTER, LevelFormat.LOWER_ROMAN][level % 3],
+        text: `%${level + 1}.`,
+        alignment: AlignmentType.START,
+        style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } }
+      }))
+    }]
+  };
+}
+
+/**
+ * Build page header
+ */
+function buildHeader(text) {
+  return new Header({
+    children: [new Paragraph({
+      alignment: AlignmentType.RIGHT,
+      children: [new TextRun({ text, size: 18, color: '6B7280' })]
+    })]
+  });
+}
+
+/**
+ * Build page footer with page numbers
+ */
+function buildFooter(text) {
+  const runStyle = { size: 18, color: '6B7280' };
+  const runs = [];
+
+  if (text) {
+    runs.push(new TextRun({ text: `${text}    `, ...runStyle }));
+  }
+
+  runs.push(new TextRun({ children: [PageNumber.CURRENT, ' / ', PageNumber.TOTAL_PAGES], ...runStyle }));
+
+  return new Footer({
+    children: [new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: runs
+    })]
+  });
+}
+
+/**
+ * Build cover page
+ */
+function buildCoverPage(config, template, colors) {
+  const { projectName, subtitle, description, date, owner, version } = getCoverDetails(config, template);
+  const centred = (text, runOptions = {}) => new Paragraph({
+    alignment: AlignmentType.CENTER,
+    spacing: { after: 240 },
+    children: [new TextRun({ text, ...runOptions })]
+  });
+
+  const paragraphs = [
+    new Paragraph({ style: 'Title', children: [new TextRun(projectName)] }),
+    centred(subtitle, { size: 40, color: colors.secondary })
+  ];
+
+  if (description) {
+    paragraphs.push(centred(description, { size: 28, color: colors.muted }));
+  }
+
+  paragraphs.push(centred(`Generated: ${date}`, { size: 24, color: colors.muted }));
+  if (owner) paragraphs.push(centred(`Owner: ${owner}`, { size: 24, color: colors.muted }));
+  if (version) paragraphs.push(centred(`Version: ${version}`, { size: 24, color: colors.muted }));
+
+  return paragraphs;
+}
+
+/**
+ * Build table of contents
+ * Mirrors the PDF TOC: document titles plus their h2/h3 headings
+ */
+function buildTableOfContents(documents, colors) {
+  const paragraphs = [
+    new Paragraph({
+      heading: HeadingLevel.HEADING_1,
+      pageBreakBefore: true,
+      children: [new TextRun('Table of Contents')]
+    })
+  ];
+
+  for (const doc of documents) {
+    paragraphs.push(new Paragraph({
+      spacing: { before: 160 },
+      children: [new TextRun({ text: doc.title, bold: true, color: colors.primary })]
+    }));
+
+    for (const heading of doc.headings) {
+      if (heading.level === 2 || heading.level === 3) {
+        paragraphs.push(new Paragraph({
+          indent: { left: heading.level === 2 ? 360 : 720 },
+          spacing: { after: 40 },
+          children: [new TextRun({ text: heading.text, size: heading.level === 3 ? 20 : 22 })]
+        }));
+      }
+    }
+  }
+
+  return paragraphs;
+}
+
+/**
+ * Build document section
+ */
+function buildDocumentSection(doc, colors, state, isFirstContent) {
+  const paragraphs = [
+    new Paragraph({
+      heading: HeadingLevel.HEADING_1,
+      pageBreakBefore: !isFirstContent,
+      children: [new TextRun(doc.title)]
+    }),
+    new Paragraph({
+      spacing: { after: 240 },
+      border: { bottom: { style: BorderStyle.SINGLE, size: 12, color: colors.primary, space: 4 } },
+      children: [new TextRun({ text: doc.relativePath, font: MONOSPACE_FONT, size: 18, color: colors.muted })]
+    })
+  ];
+
+  const tokens = marked.lexer(doc.content, { gfm: true });
+
+  // The document title is already rendered above, so skip a matching leading h1
+  const firstHeading = tokens.find(t => t.type !== 'space');
+  const body = firstHeading?.type === 'heading' && firstHeading.depth === 1 && firstHeading.text === doc.title
+    ? tokens.filter(t => t !== firstHeading)
+    : tokens;
+
+  paragraphs.push(...convertBlocks(body, colors, state));
+  return paragraphs;
+}
+
+/**
+ * Convert block-level markdown tokens to DOCX elements
+ */
+function convertBlocks(tokens, colors, state, context = {}) {
+  const elements = [];
+
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'heading':
+        elements.push(new Paragraph({
+          heading: HEADING_LEVELS[token.depth - 1],
+          children: convertInline(token.tokens, colors)
+        }));
+        break;
+
+      case 'paragraph':
+        elements.push(new Paragraph({
+          style: context.quote ? 'Quote' : undefined,
+          children: convertInline(token.tokens, colors)
+        }));
+        break;
+
+      case 'text':
+        // Bare text appears inside tight list items
+        elements.push(new Paragraph({
+          children: convertInline(token.tokens || [token], colors)
+        }));
+        break;
+
+      case 'code':
+        elements.push(...convertCodeBlock(token));
+        break;
+
+      case 'blockquote':
+        elements.push(...convertBlocks(token.tokens, colors, state, { ...context, quote: true }));
+        break;
+
+      case 'list':
+        elements.push(...convertList(token, colors, state, 0));
+        break;
+
+      case 'table':
+        elements.push(convertTable(token, colors));
+        elements.push(new Paragraph({ children: [] }));
+        break;
+
+      case 'hr':
+        elements.push(new Paragraph({
+          border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: 'D1D5DB', space: 1 } },
+          children: []
+        }));
+        break;
+
+      case 'html': {
+        const text = decodeEntities(token.text.replace(/<[^>]+>/g, '')).trim();
+        if (text) {
+          elements.push(new Paragraph({ children: [new TextRun(text)] }));
+        }
+        break;
+      }
+
+      default:
+        // space and unknown tokens produce no output
+        break;
+    }
+  }
+
+  return elements;
+}
+
+/**
+ * Convert a fenced or indented code block
+ */
+function convertCodeBlock(token) {
+  const lines = token.text.split('\n');
+
+  return lines.map((line, index) => new Paragraph({
+    style: 'CodeBlock',
+    spacing: index === lines.length - 1 ? { after: 200 } : undefined,
+    children: [new TextRun({ text: line || ' ', font: MONOSPACE_FONT })]
+  }));
+}
+
+/**
+ * Convert a list (and nested lists) to numbered or bulleted paragraphs
+ */
+function convertList(token, colors, state, level) {
+  const elements = [];
+  const instance = ++state.listInstance;
+
+  for (const item of token.items) {
+    let first = true;
+
+    for (const child of item.tokens) {
+      if (child.type === 'list') {
+        elements.push(...convertList(child, colors, state, level + 1));
+        continue;
+      }
+
+      if (child.type !== 'text' && child.type !== 'paragraph') {
+        elements.push(...convertBlocks([child], colors, state));
+        continue;
+      }
+
+      const runs = convertInline(child.tokens || [child], colors);
+      if (first && item.task) {
+        runs.unshift(new TextRun(item.checked ? '☑ ' : '☐ '));
+      }
+
+      const listOptions = token.ordered
+        ? { numbering: { reference: ORDERED_LIST_REFERENCE, level, instance } }
+        : { bullet: { level } };
+
+      elements.push(new Paragraph({
+        ...(first ? listOptions : { indent: { left: 720 * (level + 1) } }),
+        children: runs
+      }));
+      first = false;
+    }
+  }
+
+  return elements;
+}
+
+/**
+ * Convert a GFM table
+ */
+function convertTable(token, colors) {
+  const alignment = (align) => ({
+    center: AlignmentType.CENTER,
+    right: AlignmentType.RIGHT
+  })[align] || AlignmentType.LEFT;
+
+  const cell = (content, index, isHeader, isEvenRow = false) => new TableCell({
+    shading: isHeader
+      ? { type: ShadingType.CLEAR, fill: colors.primary, color: 'auto' }
+      : isEvenRow ? { type: ShadingType.CLEAR, fill: 'F9FAFB', color: 'auto' } : undefined,
+    margins: { top: 60, bottom: 60, left: 100, right: 100 },
+    children: [new Paragraph({
+      alignment: alignment(token.align[index]),
+      spacing: { after: 0 },
+      children: convertInline(content.tokens, colors, isHeader ? { bold: true, color: 'FFFFFF' } : {})
+    })]
+  });
+
+  const border = { style: BorderStyle.SINGLE, size: 4, color: 'D1D5DB' };
+
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    borders: {
+      top: border,
+      bottom: border,
+      left: border,
+      right: border,
+      insideHorizontal: border,
+      insideVertical: border
+    },
+    rows: [
+      new TableRow({
+        tableHeader: true,
+        children: token.header.map((content, index) => cell(content, index, true))
+      }),
+      ...token.rows.map((row, rowIndex) => new TableRow({
+        children: row.map((content, index) => cell(content, index, false, rowIndex % 2 === 1))
+      }))
+    ]
+  });
+}
+
+/**
+ * Convert inline markdown tokens to text runs and hyperlinks
+ */
+function convertInline(tokens = [], colors, style = {}) {
+  const runs = [];
+
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'text':
+      case 'escape':
+        if (token.tokens) {
+          runs.push(...convertInline(token.tokens, colors, style));
+        } else {
+          runs.push(new TextRun({ text: decodeEntities(token.text), ...style }));
+        }
+        break;
+
+      case 'strong':
+        runs.push(...convertInline(token.tokens, colors, { ...style, bold: true }));
+        break;
+
+      case 'em':
+        runs.push(...convertInline(token.tokens, colors, { ...style, italics: true }));
+        break;
+
+      case 'del':
+        runs.push(...convertInline(token.tokens, colors, { ...style, strike: true }));
+        break;
+
+      case 'codespan':
+        runs.push(new TextRun({
+          text: decodeEntities(token.text),
+          ...style,
+          font: MONOSPACE_FONT,
+          color: 'DC2626',
+          shading: { type: ShadingType.CLEAR, fill: 'F3F4F6', color: 'auto' }
+        }));
+        break;
+
+      case 'link':
+        if (/^(https?:|mailto:)/.test(token.href)) {
+          runs.push(new ExternalHyperlink({
+            link: token.href,
+            children: convertInline(token.tokens, colors, { ...style, color: colors.secondary, underline: {} })
+          }));
+        } else {
+          runs.push(...convertInline(token.tokens, colors, { ...style, color: colors.secondary }));
+        }
+        break;
+
+      case 'image':
+        runs.push(new TextRun({ text: `[${token.text || 'image'}]`, ...style, italics: true }));
+        break;
+
+      case 'br':
+        runs.push(new TextRun({ text: '', break: 1 }));
+        break;
+
+      case 'html':
+        // Inline HTML tags carry no text worth keeping in Word output
+        break;
+
+      default:
+        if (token.text) {
+          runs.push(new TextRun({ text: decodeEntities(token.text), ...style }));
+        }
+        break;
+    }
+  }
+
+  return runs;
+}
@@ -1,22 +1,30 @@
 /**
  * DocFlow ERD Generator
- * Generate Entity Relationship Diagrams from Prisma schemas, TypeORM entities, or SQL files
+ * Generate Entity Relationship Diagrams from Prisma schemas, TypeORM entities, SQL files or SQL migrations
  */
 
 import fse from 'fs-extra';
-import { join } from 'path';
+import { join, relative, resolve, dirname } from 'path';
 import { glob } from 'glob';
+import { collectORMSchemas } from './orm-schemas.js';
+import { commonDirectory } from '../cli/utils/paths.js';
+import { renderERD, unfenceDiagram, DIAGRAM_FORMATS } from './diagram-renderers.js';
 
 /**
- * Parse Prisma schema file and generate Mermaid ERD
+ * Schema sources collectSchemas can read, for messages when none are found
+ */
+export const SUPPORTED_SCHEMAS = 'Prisma, TypeORM, Drizzle, Sequelize, Mongoose, SQLAlchemy, Django, EF Core, SQL DDL, SQL migrations';
+
+/**
+ * Parse a Prisma schema file (or multi-file schema folder) and generate Mermaid ERD
  */
 export async function generatePrismaERD(schemaPath) {
-  if (!await fse.pathExists(schemaPath)) {
+  const files = await listPrismaFiles(schemaPath);
+  if (files.length === 0) {
     throw new Error(`Prisma schema not found at: ${schemaPath}`);
   }
 
-  const content = await fse.readFile(schemaPath, 'utf-8');
-  const models = parsePrismaModels(content);
+  const models = parsePrismaModels(await readFiles(files));
   return buildMermaidERD(models);
 }
 
@@ -58,28 +66,42 @@ export async function generateSQLERD(sqlPath) {
   }
 
   const content = await fse.readFile(sqlPath, 'utf-8');
-  const tables = parseSQLTables(content);
+  const tables = replaySQLMigrations([content]);
   return buildMermaidERD(tables);
 }
 
 /**
- * Auto-detect schema type and generate ERD
+ * Schema sources enabled by `templates.database.autoGenerate`, for collectSchemas
  */
-export async function generateERD(cwd, options = {}) {
-  const results = {
-    diagrams: [],
-    format: options.format || 'markdown',
-    outputPath: options.output
+export function getSchemaSources(config) {
+  const autoGenerate = config?.templates?.database?.autoGenerate || {};
+  return {
+    prisma: autoGenerate.fromPrisma,
+    typeorm: autoGenerate.fromEntity,
+    orm: autoGenerate.fromOrm,
+    sql: autoGenerate.fromSql,
+    migrations: autoGenerate.fromMigrations
   };
+}
+
+/**
+ * Find and parse every supported schema source in a project
+ * @param {string} cwd - Project root
+ * @param {object} [sources] - Toggle individual sources ({ prisma, typeorm, orm, sql, migrations }, all default to true);
+ *   `orm` covers Drizzle, Sequelize, Mongoose, SQLAlchemy, Django and EF Core, which can also be toggled by name
+ * @returns {Promise<object[]>} Parsed schemas: { type, name, source, entities }
+ */
+export async function collectSchemas(cwd, sources = {}) {
+  const schemas = [];
 
   // Try Prisma
-  const prismaPath = join(cwd, 'prisma', 'schema.prisma');
-  if (await fse.pathExists(prismaPath)) {
-    const diagram = await generatePrismaERD(prismaPath);
-    results.diagrams.push({
+  const prisma = sources.prisma === false ? null : await findPrismaSchema(cwd);
+  if (prisma) {
+    schemas.push({
       type: 'prisma',
       name: 'Prisma Schema',
-      content: diagram
+      source: relative(cwd, prisma.path).replace(/\\/g, '/'),
+      entities: parsePrismaModels(await readFiles(prisma.files))
     });
   }
 
@@ -90,87 +112,274 @@ export async function generateERD(cwd, options = {}) {
     join(cwd, 'src', 'database', 'entities')
   ];
 
-  for (const path of typeormPaths) {
+  for (const path of sources.typeorm === false ? [] : typeormPaths) {
     if (await fse.pathExists(path)) {
-      try {
-        const diagram = await generateTypeORMERD(path);
-        results.diagrams.push({
+      const entityFiles = await glob('**/*.entity.{ts,js}', {
+        cwd: path,
+        absolute: true
+      });
+
+      const entities = [];
+      for (const file of entityFiles.sort()) {
+        const entity = parseTypeORMEntity(await fse.readFile(file, 'utf-8'));
+        if (entity) {
+          entities.push(entity);
+        }
+      }
+
+      if (entities.length > 0) {
+        schemas.push({
           type: 'typeorm',
           name: 'TypeORM Entities',
-          content: diagram
+          source: relative(cwd, path),
+          entities
         });
         break;
-      } catch (e) {
-        // Try next path
       }
+      // Try next path
     }
   }
 
-  // Try SQL
-  const sqlFiles = await glob('**/*.sql', {
+  // Try other ORMs: Drizzle, Sequelize, Mongoose, SQLAlchemy, Django, EF Core
+  schemas.push(...await collectORMSchemas(cwd, sources));
+
+  // Try SQL: standalone DDL files are read together, in path order
+  const sqlFiles = sources.sql === false ? [] : (await glob('**/*.sql', {
     cwd,
-    ignore: ['**/node_modules/**', '**/migrations/**'],
+    ignore: ['**/node_modules/**', ...MIGRATION_DIRECTORIES.map(dir => `**/${dir}/**`)],
     absolute: true
-  });
+  })).sort();
+
+  if (sqlFiles.length > 0) {
+    const tables = replaySQLMigrations(await Promise.all(sqlFiles.map(file => fse.readFile(file, 'utf-8'))));
+    const source = sqlFiles.length === 1 ? sqlFiles[0] : commonDirectory(sqlFiles);
 
-  for (const sqlFile of sqlFiles.slice(0, 1)) { // Only first SQL file
-    try {
-      const diagram = await generateSQLERD(sqlFile);
-      results.diagrams.push({
+    if (tables.length > 0) {
+      schemas.push({
         type: 'sql',
-        name: `SQL Schema (${sqlFile.split(/[/\\]/).pop()})`,
-        content: diagram
+        name: sqlFiles.length === 1 ? `SQL Schema (${sqlFiles[0].split(/[/\\]/).pop()})` : `SQL Schema (${sqlFiles.length} files)`,
+        source: relative(cwd, source).replace(/\\/g, '/') || '.',
+        entities: tables
       });
-    } catch (e) {
-      // Skip this file
     }
   }
 
+  // Try SQL migrations: each migrations directory is replayed in order to its final schema
+  const migrationSets = sources.migrations === false ? [] : await findSQLMigrations(cwd);
+  for (const { directory, files } of migrationSets) {
+    const tables = replaySQLMigrations(await Promise.all(files.map(file => fse.readFile(join(cwd, file), 'utf-8'))));
+    if (tables.length === 0) continue;
+
+    schemas.push({
+      type: 'migrations',
+      name: `SQL Migrations (${directory})`,
+      source: directory,
+      migrations: files.length,
+      entities: tables
+    });
+  }
+
+  return schemas;
+}
+
+/**
+ * Auto-detect schema type and generate ERD
+ * `options.diagramFormat` picks the renderer: mermaid (default), plantuml, dot or d2
+ */
+export async function generateERD(cwd, options = {}) {
+  const results = {
+    diagrams: [],
+    format: options.format || 'markdown',
+    diagramFormat: options.diagramFormat || 'mermaid',
+    outputPath: options.output
+  };
+
+  for (const schema of await collectSchemas(cwd)) {
+    results.diagrams.push({
+      type: schema.type,
+      name: schema.name,
+      content: renderERD(schema.entities, results.diagramFormat)
+    });
+  }
+
   if (results.diagrams.length === 0) {
-    throw new Error('No database schemas found. Supported: Prisma, TypeORM, SQL DDL');
+    throw new Error(`No database schemas found. Supported: ${SUPPORTED_SCHEMAS}`);
   }
 
   return results;
 }
 
+/**
+ * Directory names holding ordered SQL migrations (Prisma, Knex, golang-migrate, Flyway, ...)
+ */
+const MIGRATION_DIRECTORIES = ['migrations', 'migration'];
+
+/**
+ * Prisma's built-in scalar types (anything else is an enum, composite type or model)
+ */
+const PRISMA_SCALARS = ['String', 'Int', 'BigInt', 'Float', 'Boolean', 'DateTime', 'Json', 'Decimal', 'Bytes'];
+
+/**
+ * Locate the Prisma schema
+ * Checks `prisma.schema` in package.json and `schema` in prisma.config.*, then the
+ * multi-file prisma/schema/ folder, then prisma/schema.prisma and schema.prisma.
+ * @returns {Promise<object|null>} { path, files } - path is the schema file or folder
+ */
+export async function findPrismaSchema(cwd) {
+  const candidates = [];
+
+  const pkg = await fse.readJson(join(cwd, 'package.json')).catch(() => null);
+  if (typeof pkg?.prisma?.schema === 'string') {
+    candidates.push(pkg.prisma.schema);
+  }
+
+  for (const configFile of ['prisma.config.ts', 'prisma.config.mts', 'prisma.config.js', 'prisma.config.mjs']) {
+    const configPath = join(cwd, configFile);
+    if (await fse.pathExists(configPath)) {
+      const schema = (await fse.readFile(configPath, 'utf-8')).match(/\bschema:\s*(['"`])([^'"`]+)\1/)?.[2];
+      if (schema) candidates.push(schema);
+    }
+  }
+
+  candidates.push('prisma/schema', 'prisma/schema.prisma', 'schema.prisma');
+
+  for (const candidate of candidates) {
+    const path = resolve(cwd, candidate);
+    const files = await listPrismaFiles(path);
+    if (files.length > 0) {
+      return { path, files };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Schema files for a Prisma schema path
+ * A folder yields every .prisma file in it; a schema file enabling the
+ * `prismaSchemaFolder` preview feature pulls in the .prisma files beside it.
+ */
+async function listPrismaFiles(path) {
+  if (!await fse.pathExists(path)) return [];
+
+  let folder = path;
+  if (!(await fse.stat(path)).isDirectory()) {
+    const content = await fse.readFile(path, 'utf-8');
+    if (!/previewFeatures\s*=\s*\[[^\]]*["']prismaSchemaFolder["']/.test(content)) {
+      return [path];
+    }
+    folder = dirname(path);
+  }
+
+  return (await glob('**/*.prisma', { cwd: folder, absolute: true, ignore: ['**/migrations/**'] })).sort();
+}
+
+/**
+ * Ordered SQL migration files, grouped by migrations directory
+ * Down/undo migrations are skipped; files are replayed in natural path order
+ * (timestamps, V1__ … V10__, 001_ … 010_).
+ * @returns {Promise<object[]>} [{ directory, files }] with project-relative paths
+ */
+export async function findSQLMigrations(cwd) {
+  const files = await glob(`**/{${MIGRATION_DIRECTORIES.join(',')}}/**/*.sql`, {
+    cwd,
+    ignore: ['**/node_modules/**'],
+    posix: true
+  });
+
+  const groups = new Map();
+  for (const file of files) {
+    if (/(?:^|[._/-])(?:down|undo|rollback)\.sql$/i.test(file) || /(?:^|\/)U\d[^/]*__[^/]*\.sql$/.test(file)) continue;
+
+    const directory = file.match(new RegExp(`^(.*?(?:^|/)(?:${MIGRATION_DIRECTORIES.join('|')}))/`))[1];
+    if (!groups.has(directory)) groups.set(directory, []);
+    groups.get(directory).push(file);
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([directory, group]) => ({
+      directory,
+      files: group.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    }));
+}
+
 /**
  * Parse Prisma models from schema content
+ * Descriptions come from `///` doc comments or trailing `//` comments.
+ * Enum fields carry their values (`enumValues`); composite `@@id` marks every
+ * key field as primary and composite `@@unique` is listed in `uniqueConstraints`.
  */
-function parsePrismaModels(content) {
+export function parsePrismaModels(content) {
   const models = [];
-  const modelRegex = /model\s+(\w+)\s*{([^}]+)}/g;
+  const enums = parsePrismaEnums(content);
+  const modelRegex = /((?:^[ \t]*\/\/\/.*\n)*)^[ \t]*model\s+(\w+)\s*{/gm;
   let match;
 
   while ((match = modelRegex.exec(content)) !== null) {
-    const [, name, body] = match;
+    const [, docBlock, name] = match;
+    const end = findPrismaBlockEnd(content, modelRegex.lastIndex);
+    const body = content.slice(modelRegex.lastIndex, end);
+    modelRegex.lastIndex = end;
     const fields = [];
     const relations = [];
+    const primaryKey = [];
+    const uniqueConstraints = [];
+    let docLines = [];
 
     // Parse fields
-    const fieldLines = body.split('\n').filter(line => line.trim() && !line.trim().startsWith('@@'));
-
-    for (const line of fieldLines) {
+    for (const line of body.split('\n')) {
       const trimmed = line.trim();
+
+      if (trimmed.startsWith('///')) {
+        docLines.push(trimmed.slice(3).trim());
+        continue;
+      }
+
+      // Block attributes: composite primary keys and unique constraints
+      if (trimmed.startsWith('@@')) {
+        const keyFields = (attribute) => parseList(extractAttributeArgs(trimmed, attribute)?.match(/\[([^\]]*)\]/)?.[1]);
+        if (trimmed.startsWith('@@id(')) {
+          primaryKey.push(...keyFields('@@id'));
+        } else if (trimmed.startsWith('@@unique(')) {
+          uniqueConstraints.push(keyFields('@@unique'));
+        }
+        continue;
+      }
       if (!trimmed || trimmed.startsWith('//')) continue;
 
+      const { code, comment } = splitTrailingComment(trimmed, '//');
+      const description = docLines.join(' ') || comment;
+      docLines = [];
+
       // Field pattern: name Type @attributes
-      const fieldMatch = trimmed.match(/^(\w+)\s+(\w+(\[\])?(\?)?)\s*(.*)?$/);
+      const fieldMatch = code.match(/^(\w+)\s+(\w+(\[\])?(\?)?)\s*(.*)?$/);
       if (fieldMatch) {
         const [, fieldName, fieldType, isArray, isOptional, attributes] = fieldMatch;
         const cleanType = fieldType.replace(/[\[\]?]/g, '');
 
+        const enumValues = Object.hasOwn(enums, cleanType) ? enums[cleanType] : undefined;
+
         // Check if it's a relation
-        if (cleanType !== cleanType.toLowerCase() &&
-            !['String', 'Int', 'Float', 'Boolean', 'DateTime', 'Json', 'Decimal', 'Bytes'].includes(cleanType)) {
-          relations.push({
+        if (cleanType !== cleanType.toLowerCase() && !PRISMA_SCALARS.includes(cleanType) && !enumValues) {
+          const relation = {
             name: fieldName,
             type: cleanType,
             cardinality: isArray ? 'many' : 'one',
             optional: !!isOptional
-          });
+          };
+
+          const relationArgs = extractAttributeArgs(attributes, '@relation');
+          if (relationArgs) {
+            relation.fields = parseList(relationArgs.match(/fields:\s*\[([^\]]*)\]/)?.[1]);
+            relation.references = parseList(relationArgs.match(/references:\s*\[([^\]]*)\]/)?.[1]);
+            relation.onDelete = relationArgs.match(/onDelete:\s*(\w+)/)?.[1];
+          }
+
+          relations.push(relation);
         } else {
-          const isPrimary = attributes?.includes('@id');
-          const isUnique = attributes?.includes('@unique');
+          const isPrimary = /@id\b/.test(attributes || '');
+          const isUnique = /@unique\b/.test(attributes || '');
 
           fields.push({
             name: fieldName,
@@ -178,22 +387,68 @@ function parsePrismaModels(content) {
             isPrimary,
             isUnique,
             isOptional: !!isOptional,
-            isArray: !!isArray
+            isArray: !!isArray,
+            default: extractAttributeArgs(attributes, '@default') || undefined,
+            enumValues,
+            description: description || undefined
           });
         }
       }
     }
 
-    models.push({ name, fields, relations });
+    // Scalar fields named in @relation(fields: [...]) are foreign keys
+    for (const relation of relations) {
+      (relation.fields || []).forEach((fieldName, i) => {
+        const field = fields.find(f => f.name === fieldName);
+        if (field) {
+          field.references = {
+            table: relation.type,
+            column: relation.references?.[i] || 'id',
+            onDelete: relation.onDelete
+          };
+        }
+      });
+    }
+
+    markCompositeKeys(fields, primaryKey, uniqueConstraints);
+
+    const description = docBlock
+      .split('\n')
+      .map(line => line.trim().replace(/^\/\/\/\s?/, ''))
+      .filter(Boolean)
+      .join(' ');
+
+    models.push({ name, description: description || undefined, fields, relations, uniqueConstraints: uniqueConstraints.filter(keys => keys.length > 1) });
   }
 
   return models;
 }
 
+/**
+ * Parse Prisma enums: { [name]: values }
+ */
+export function parsePrismaEnums(content) {
+  const enums = {};
+  const enumRegex = /^[ \t]*enum\s+(\w+)\s*{/gm;
+  let match;
+
+  while ((match = enumRegex.exec(content)) !== null) {
+    const end = findPrismaBlockEnd(content, enumRegex.lastIndex);
+    enums[match[1]] = content.slice(enumRegex.lastIndex, end)
+      .split('\n')
+      .map(line => splitTrailingComment(line.trim(), '//').code)
+      .filter(line => line && !line.startsWith('@@'))
+      .map(line => line.split(/\s+/)[0]);
+  }
+
+  return enums;
+}
+
 /**
  * Parse TypeORM entity from file content
+ * Descriptions come from `comment:` column options or JSDoc blocks above properties
  */
-function parseTypeORMEntity(content) {
+export function parseTypeORMEntity(content) {
   // Extract entity name from @Entity decorator or class name
   const entityMatch = content.match(/@Entity\(['"]?(\w+)?['"]?\)\s*export\s+class\s+(\w+)/);
   if (!entityMatch) return null;
@@ -208,12 +463,17 @@ function parseTypeORMEntity(content) {
 
   while ((match = columnRegex.exec(content)) !== null) {
     const [, decorator, options, fieldName, fieldType] = match;
+    const comment = options?.match(/comment:\s*(['"`])(.*?)\1/)?.[2];
+    const defaultValue = options?.match(/default:\s*([^,}]+)/)?.[1]?.trim();
+
     fields.push({
       name: fieldName,
       type: fieldType,
       isPrimary: decorator.includes('Primary'),
       isUnique: options?.includes('unique: true'),
-      isOptional: content.includes(`${fieldName}?:`)
+      isOptional: content.includes(`${fieldName}?:`) || /nullable:\s*true/.test(options),
+      default: defaultValue,
+      description: comment || findDocComment(content, match.index)
     });
   }
 
@@ -223,180 +483,644 @@ function parseTypeORMEntity(content) {
     const [, relationType, targetEntity] = match;
 
     // Find the field name (next line typically)
-    const fieldMatch = content.slice(match.index).match(/@(OneToOne|OneToMany|ManyToOne|ManyToMany)[^}]+\}\)\s+(\w+)/);
+    const fieldMatch = content.slice(match.index).match(/@(OneToOne|OneToMany|ManyToOne|ManyToMany)[^}]+\}\)\s+(?:@JoinColumn\(([^)]*)\)\s+)?(\w+)/);
     if (fieldMatch) {
-      relations.push({
-        name: fieldMatch[2],
+      const relation = {
+        name: fieldMatch[3],
         type: targetEntity,
         cardinality: relationType.includes('Many') ? 'many' : 'one'
-      });
+      };
+
+      // Owning side of a relation holds the foreign key column
+      if (relationType === 'ManyToOne' || fieldMatch[2] !== undefined) {
+        relation.fields = [fieldMatch[2]?.match(/name:\s*['"`](\w+)['"`]/)?.[1] || `${relation.name}Id`];
+        const field = fields.find(f => f.name === relation.fields[0]);
+        if (field) {
+          field.references = { table: targetEntity, column: 'id' };
+        }
+      }
+
+      relations.push(relation);
     }
   }
 
-  return { name, fields, relations };
+  return { name, description: findDocComment(content, entityMatch.index), fields, relations };
 }
 
 /**
  * Parse SQL DDL tables
+ * Descriptions come from `--` comments, MySQL `COMMENT '...'` and `COMMENT ON` statements
  */
-function parseSQLTables(content) {
+export function parseSQLTables(content) {
   const tables = [];
-  const tableRegex = /CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?`?(\w+)`?\s*\(([^;]+)\);?/gi;
+  const tableRegex = /CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(?:[`"]?(\w+)[`"]?\.)?[`"]?(\w+)[`"]?\s*\(/gi;
   let match;
 
   while ((match = tableRegex.exec(content)) !== null) {
-    const [, name, body] = match;
-    const fields = [];
-    const relations = [];
+    const [, schema, name] = match;
+    const bodyStart = match.index + match[0].length;
+    const bodyEnd = findClosingParen(content, bodyStart);
+    if (bodyEnd === -1) continue;
 
-    // Parse columns
-    const lines = body.split(',').map(l => l.trim());
-
-    for (const line of lines) {
-      if (line.toUpperCase().includes('PRIMARY KEY') ||
-          line.toUpperCase().includes('FOREIGN KEY') ||
-          line.toUpperCase().includes('CONSTRAINT') ||
-          line.toUpperCase().includes('UNIQUE KEY') ||
-          line.toUpperCase().includes('KEY ')) {
-
-        // Handle foreign keys
-        const fkMatch = line.match(/FOREIGN\s+KEY\s*\(`?(\w+)`?\)\s*REFERENCES\s+`?(\w+)`?/i);
-        if (fkMatch) {
-          relations.push({
-            name: fkMatch[1],
-            type: fkMatch[2],
-            cardinality: 'one'
-          });
-        }
-        continue;
+    const body = content.slice(bodyStart, bodyEnd);
+    const table = {
+      name,
+      schema,
+      description: findLeadingSQLComment(content, match.index),
+      fields: [],
+      relations: [],
+      uniqueConstraints: []
+    };
+
+    // Constraints are applied once every column is known
+    const constraints = [];
+    for (const { text, comment } of splitSQLDefinitions(body)) {
+      if (SQL_CONSTRAINT.test(text)) {
+        constraints.push(text);
+      } else {
+        addSQLColumn(table, text, comment);
       }
+    }
+    constraints.forEach(text => applySQLConstraint(table, text));
 
-      const colMatch = line.match(/`?(\w+)`?\s+(\w+(?:\([^)]+\))?)/i);
-      if (colMatch) {
-        const [, fieldName, fieldType] = colMatch;
-        const isPrimary = line.toUpperCase().includes('PRIMARY KEY');
-        const isUnique = line.toUpperCase().includes('UNIQUE');
-        const isOptional = !line.toUpperCase().includes('NOT NULL');
-
-        fields.push({
-          name: fieldName,
-          type: fieldType.split('(')[0],
-          isPrimary,
-          isUnique,
-          isOptional
-        });
+    tables.push(table);
+  }
+
+  applySQLComments(tables, content);
+  return tables;
+}
+
+/**
+ * Replay SQL scripts in order and return the resulting tables
+ * Handles CREATE TABLE, ALTER TABLE (ADD/DROP/ALTER/MODIFY/RENAME COLUMN, ADD/DROP
+ * CONSTRAINT, RENAME TO), DROP TABLE, CREATE UNIQUE INDEX, CREATE TYPE ... AS ENUM
+ * and COMMENT ON; other statements are ignored.
+ * @param {string[]} scripts - SQL file contents, oldest first
+ * @returns {object[]} Tables, as from parseSQLTables
+ */
+export function replaySQLMigrations(scripts) {
+  const tables = [];
+  const enums = {};
+  const findTable = name => tables.find(t => t.name.toLowerCase() === name.toLowerCase());
+
+  for (const script of scripts) {
+    for (const statement of splitSQLStatements(script)) {
+      const sql = stripSQLComments(statement).replace(/\s+/g, ' ').trim();
+      let match;
+
+      if (/^CREATE\s+TABLE\b/i.test(sql)) {
+        for (const table of parseSQLTables(statement)) {
+          const index = tables.indexOf(findTable(table.name));
+          if (index === -1) tables.push(table);
+          else tables[index] = table;
+        }
+      } else if ((match = sql.match(new RegExp(`^ALTER TABLE (?:ONLY )?(?:IF EXISTS )?${SQL_NAME}\\s*(.*)$`, 'i')))) {
+        const table = findTable(match[1]);
+        if (table) applyAlterTable(table, match[2], tables);
+      } else if ((match = sql.match(/^DROP TABLE (?:IF EXISTS )?(.+?)(?: CASCADE| RESTRICT)?$/i))) {
+        for (const name of parseList(match[1]).map(item => item.split('.').pop())) {
+          const table = findTable(name);
+          if (!table) continue;
+          tables.splice(tables.indexOf(table), 1);
+          tables.forEach(other => removeReferences(other, ref => ref.table.toLowerCase() === name.toLowerCase()));
+        }
+      } else if ((match = sql.match(new RegExp(`^CREATE UNIQUE INDEX .*?\\bON (?:ONLY )?${SQL_NAME}\\s*(?:USING \\w+\\s*)?\\(([^)]*)\\)`, 'i')))) {
+        const table = findTable(match[1]);
+        if (table) markCompositeKeys(table.fields, [], [parseList(match[2])], table.uniqueConstraints);
+      } else if ((match = sql.match(new RegExp(`^CREATE TYPE ${SQL_NAME} AS ENUM\\s*\\((.*)\\)$`, 'i')))) {
+        enums[match[1].toLowerCase()] = [...match[2].matchAll(/'((?:[^']|'')*)'/g)].map(value => value[1].replace(/''/g, "'"));
+      } else if (/^COMMENT ON\b/i.test(sql)) {
+        applySQLComments(tables, statement);
       }
     }
+  }
 
-    tables.push({ name, fields, relations });
+  // Columns typed with a CREATE TYPE ... AS ENUM carry its values
+  for (const field of tables.flatMap(table => table.fields)) {
+    if (Object.hasOwn(enums, field.type.toLowerCase())) field.enumValues = enums[field.type.toLowerCase()];
   }
 
   return tables;
 }
 
 /**
- * Build Mermaid ERD from parsed entities
+ * Optionally schema-qualified, optionally quoted identifier; captures the bare name
+ */
+const SQL_NAME = '(?:[`"]?\\w+[`"]?\\.)?[`"]?(\\w+)[`"]?';
+
+/**
+ * Table-level constraint definition (as opposed to a column)
+ */
+const SQL_CONSTRAINT = /^(?:CONSTRAINT\s+[`"]?\w+[`"]?\s+)?(PRIMARY\s+KEY|FOREIGN\s+KEY|UNIQUE|KEY|INDEX|CHECK)\b/i;
+
+/**
+ * Parse a column definition and add it to the table (replacing a column of the same name)
+ */
+function addSQLColumn(table, text, comment) {
+  const colMatch = text.match(/^[`"]?(\w+)[`"]?\s+[`"]?(\w+)[`"]?((?:\s+(?:PRECISION|VARYING|WITH(?:OUT)?\s+TIME\s+ZONE))*(?:\s*\([^)]*\))?(?:\[\])?)/i);
+  if (!colMatch) return null;
+
+  const [, fieldName, baseType, typeSuffix] = colMatch;
+  const rawType = `${baseType}${typeSuffix}`;
+  const isPrimary = /\bPRIMARY\s+KEY\b/i.test(text);
+  const isUnique = /\bUNIQUE\b/i.test(text);
+  const isOptional = !isPrimary && !/\bNOT\s+NULL\b/i.test(text);
+  const defaultValue = text.match(/\bDEFAULT\s+('(?:[^']|'')*'|-?\d+(?:\.\d+)?|[\w.:]+(?:\([^)]*\))?)/i)?.[1];
+  const inlineComment = text.match(/\bCOMMENT\s+'((?:[^']|'')*)'/i)?.[1]?.replace(/''/g, "'");
+  const references = parseReferences(text);
+
+  const field = {
+    name: fieldName,
+    type: baseType,
+    rawType: rawType.replace(/\s+/g, ' '),
+    isPrimary,
+    isUnique,
+    isOptional,
+    default: defaultValue,
+    description: inlineComment || comment
+  };
+
+  removeSQLColumn(table, fieldName);
+
+  if (references) {
+    field.references = references;
+    table.relations.push({
+      name: fieldName,
+      type: references.table,
+      cardinality: 'one'
+    });
+  }
+
+  table.fields.push(field);
+  return field;
+}
+
+/**
+ * Apply a PRIMARY KEY, UNIQUE or FOREIGN KEY table constraint
+ */
+function applySQLConstraint(table, text) {
+  const constraint = text.match(SQL_CONSTRAINT);
+  if (!constraint) return;
+
+  const kind = constraint[1].toUpperCase().replace(/\s+/g, ' ');
+  const columns = parseList(text.match(/\(([^)]*)\)/)?.[1]);
+
+  if (kind === 'PRIMARY KEY') {
+    markCompositeKeys(table.fields, columns, []);
+  } else if (kind === 'UNIQUE') {
+    markCompositeKeys(table.fields, [], [columns], table.uniqueConstraints);
+  } else if (kind === 'FOREIGN KEY') {
+    // Handle foreign keys
+    const references = parseReferences(text);
+    if (references && columns.length > 0) {
+      const name = text.match(/^CONSTRAINT\s+[`"]?(\w+)/i)?.[1];
+      table.relations.push({
+        name: columns[0],
+        type: references.table,
+        cardinality: 'one'
+      });
+      const field = table.fields.find(f => f.name === columns[0]);
+      if (field) field.references = name ? { ...references, constraint: name } : references;
+    }
+  }
+}
+
+/**
+ * Apply the actions of an ALTER TABLE statement
+ */
+function applyAlterTable(table, actions, tables) {
+  for (const { text } of splitSQLDefinitions(actions)) {
+    let match;
+
+    if ((match = text.match(/^ADD\s+((?:CONSTRAINT|PRIMARY\s+KEY|FOREIGN\s+KEY|UNIQUE|CHECK|INDEX|KEY)\b.*)$/i))) {
+      applySQLConstraint(table, match[1]);
+    } else if ((match = text.match(/^ADD\s+(?:COLUMN\s+)?(?:IF\s+NOT\s+EXISTS\s+)?(.+)$/i))) {
+      addSQLColumn(table, match[1]);
+    } else if ((match = text.match(/^DROP\s+(?:CONSTRAINT|FOREIGN\s+KEY)\s+(?:IF\s+EXISTS\s+)?[`"]?(\w+)/i))) {
+      removeReferences(table, ref => ref.constraint === match[1]);
+    } else if (/^DROP\s+PRIMARY\s+KEY\b/i.test(text)) {
+      table.fields.forEach(field => { field.isPrimary = false; });
+    } else if ((match = text.match(/^DROP\s+(?:COLUMN\s+)?(?:IF\s+EXISTS\s+)?[`"]?(\w+)/i)) && !/^DROP\s+(?:INDEX|KEY)\b/i.test(text)) {
+      removeSQLColumn(table, match[1]);
+    } else if ((match = text.match(/^RENAME\s+(?:COLUMN\s+)?[`"]?(\w+)[`"]?\s+TO\s+[`"]?(\w+)/i)) && !/^RENAME\s+TO\b/i.test(text)) {
+      renameSQLColumn(table, match[1], match[2]);
+    } else if ((match = text.match(/^RENAME\s+TO\s+[`"]?(?:\w+[`"]?\.[`"]?)?(\w+)/i))) {
+      const previous = table.name;
+      table.name = match[1];
+      for (const other of tables) {
+        other.fields.forEach(field => { if (field.references?.table === previous) field.references.table = table.name; });
+        other.relations.forEach(relation => { if (relation.type === previous) relation.type = table.name; });
+      }
+    } else if ((match = text.match(/^MODIFY\s+(?:COLUMN\s+)?([`"]?(\w+)[`"]?\s+.+)$/i))) {
+      // MySQL: MODIFY col definition
+      replaceSQLColumn(table, match[2], match[1]);
+    } else if ((match = text.match(/^CHANGE\s+(?:COLUMN\s+)?[`"]?(\w+)[`"]?\s+(.+)$/i))) {
+      // MySQL: CHANGE old_name new_name definition
+      replaceSQLColumn(table, match[1], match[2]);
+    } else if ((match = text.match(/^ALTER\s+(?:COLUMN\s+)?[`"]?(\w+)[`"]?\s+(.+)$/i))) {
+      alterSQLColumn(table.fields.find(f => f.name === match[1]), match[2]);
+    }
+  }
+}
+
+/**
+ * Redefine a column, keeping its description unless the new definition has one
+ */
+function replaceSQLColumn(table, name, definition) {
+  const existing = table.fields.find(f => f.name === name);
+  removeSQLColumn(table, name);
+
+  const field = addSQLColumn(table, definition);
+  if (field && existing && !field.description) field.description = existing.description;
+}
+
+/**
+ * PostgreSQL-style ALTER COLUMN actions: SET/DROP NOT NULL, [SET DATA] TYPE, SET/DROP DEFAULT
+ */
+function alterSQLColumn(field, action) {
+  if (!field) return;
+
+  let match;
+  if (/^SET\s+NOT\s+NULL/i.test(action)) {
+    field.isOptional = false;
+  } else if (/^DROP\s+NOT\s+NULL/i.test(action)) {
+    field.isOptional = !field.isPrimary;
+  } else if ((match = action.match(/^(?:SET\s+DATA\s+)?TYPE\s+[`"]?(\w+)[`"]?((?:\s+(?:PRECISION|VARYING|WITH(?:OUT)?\s+TIME\s+ZONE))*(?:\s*\([^)]*\))?(?:\[\])?)/i))) {
+    field.type = match[1];
+    field.rawType = `${match[1]}${match[2]}`.replace(/\s+/g, ' ');
+  } else if ((match = action.match(/^SET\s+DEFAULT\s+(.+)$/i))) {
+    field.default = match[1].trim();
+  } else if (/^DROP\s+DEFAULT/i.test(action)) {
+    field.default = undefined;
+  }
+}
+
+/**
+ * Remove a column along with its relation and any unique constraints using it
+ */
+function removeSQLColumn(table, name) {
+  table.fields = table.fields.filter(f => f.name !== name);
+  table.relations = table.relations.filter(r => r.name !== name);
+  table.uniqueConstraints = (table.uniqueConstraints || []).filter(keys => !keys.includes(name));
+}
+
+function renameSQLColumn(table, from, to) {
+  const field = table.fields.find(f => f.name === from);
+  if (field) field.name = to;
+  table.relations.forEach(relation => { if (relation.name === from) relation.name = to; });
+  table.uniqueConstraints = (table.uniqueConstraints || []).map(keys => keys.map(key => key === from ? to : key));
+}
+
+/**
+ * Drop the foreign keys (and their relations) matching `predicate`
+ */
+function removeReferences(table, predicate) {
+  for (const field of table.fields) {
+    if (field.references && predicate(field.references)) {
+      delete field.references;
+      table.relations = table.relations.filter(r => r.name !== field.name);
+    }
+  }
+}
+
+/**
+ * Mark primary key columns and single-column unique constraints
+ * Multi-column unique constraints are added to `composite` when given.
+ */
+function markCompositeKeys(fields, primaryKey, uniqueConstraints, composite) {
+  for (const key of primaryKey) {
+    const field = fields.find(f => f.name === key);
+    if (field) {
+      field.isPrimary = true;
+      field.isOptional = false;
+    }
+  }
+
+  for (const keys of uniqueConstraints) {
+    if (keys.length === 1) {
+      const field = fields.find(f => f.name === keys[0]);
+      if (field) field.isUnique = true;
+    } else if (composite && keys.length > 1) {
+      composite.push(keys);
+    }
+  }
+}
+
+/**
+ * Apply COMMENT ON TABLE / COMMENT ON COLUMN statements (PostgreSQL, Oracle)
+ */
+function applySQLComments(tables, content) {
+  const commentRegex = /COMMENT\s+ON\s+(TABLE|COLUMN)\s+((?:[`"]?\w+[`"]?\.)*[`"]?\w+[`"]?)\s+IS\s+'((?:[^']|'')*)'/gi;
+  let match;
+
+  while ((match = commentRegex.exec(content)) !== null) {
+    const [, kind, target, text] = match;
+    const parts = target.replace(/[`"]/g, '').split('.');
+    const description = text.replace(/''/g, "'");
+
+    if (kind.toUpperCase() === 'TABLE') {
+      const table = tables.find(t => t.name === parts[parts.length - 1]);
+      if (table) table.description = description;
+    } else {
+      const table = tables.find(t => t.name === parts[parts.length - 2]);
+      const field = table?.fields.find(f => f.name === parts[parts.length - 1]);
+      if (field) field.description = description;
+    }
+  }
+}
+
+/**
+ * Split a SQL script into statements at top-level semicolons
+ * Quotes, comments and PostgreSQL dollar-quoted bodies are respected.
+ */
+function splitSQLStatements(script) {
+  const statements = [];
+  let start = 0;
+  let quote = null;
+
+  for (let i = 0; i < script.length; i++) {
+    const char = script[i];
+
+    if (quote) {
+      if (script.startsWith(quote, i)) {
+        i += quote.length - 1;
+        quote = null;
+      }
+    } else if (char === "'" || char === '"' || char === '`') {
+      quote = char;
+    } else if (script.startsWith('--', i)) {
+      quote = '\n';
+    } else if (script.startsWith('/*', i)) {
+      quote = '*/';
+    } else if (char === '$') {
+      const tag = script.slice(i).match(/^\$\w*\$/)?.[0];
+      if (tag) {
+        quote = tag;
+        i += tag.length - 1;
+      }
+    } else if (char === ';') {
+      statements.push(script.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  statements.push(script.slice(start));
+  return statements.filter(statement => stripSQLComments(statement).trim());
+}
+
+/**
+ * Remove `--` and `/* *\/` comments (outside quotes)
  */
-function buildMermaidERD(entities) {
-  const lines = [];
-  lines.push('```mermaid');
-  lines.push('erDiagram');
-  lines.push('');
+function stripSQLComments(sql) {
+  return sql.replace(/('(?:[^']|'')*')|--[^\n]*|\/\*[\s\S]*?\*\//g, (match, quoted) => quoted || ' ');
+}
 
-  // Define entities
-  for (const entity of entities) {
-    if (entity.fields.length === 0) continue;
+/**
+ * Split a line into code and a trailing comment, ignoring markers inside quotes
+ */
+function splitTrailingComment(line, marker) {
+  let quote = null;
 
-    lines.push(`  ${entity.name} {`);
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if (line.startsWith(marker, i)) {
+      return { code: line.slice(0, i).trim(), comment: line.slice(i + marker.length).trim() || undefined };
+    }
+  }
 
-    for (const field of entity.fields) {
-      const type = mapTypeToMermaid(field.type);
-      const key = field.isPrimary ? 'PK' : field.isUnique ? 'UK' : '';
-      const optional = field.isOptional ? '?' : '';
-      const array = field.isArray ? '[]' : '';
+  return { code: line, comment: undefined };
+}
 
-      const keyStr = key ? ` ${key}` : '';
-      const comment = `"${field.name}${optional}${array}"`;
+/**
+ * Index of the `}` closing a Prisma block whose body starts at `start`
+ * Braces inside strings (`@default("{}")`) and comments do not count.
+ */
+function findPrismaBlockEnd(content, start) {
+  let quote = false;
 
-      lines.push(`    ${type} ${field.name}${keyStr} ${comment}`);
+  for (let i = start; i < content.length; i++) {
+    const char = content[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === '"' || char === '\n') quote = false;
+    } else if (char === '"') {
+      quote = true;
+    } else if (content.startsWith('//', i)) {
+      const end = content.indexOf('\n', i);
+      if (end === -1) break;
+      i = end;
+    } else if (char === '}') {
+      return i;
     }
+  }
 
-    lines.push('  }');
-    lines.push('');
+  return content.length;
+}
+
+/**
+ * Extract the argument text of an attribute such as @default(...) or @relation(...)
+ */
+function extractAttributeArgs(attributes, name) {
+  if (!attributes) return null;
+
+  const start = attributes.indexOf(`${name}(`);
+  if (start === -1) return null;
+
+  const argsStart = start + name.length + 1;
+  const argsEnd = findClosingParen(attributes, argsStart);
+  return argsEnd === -1 ? null : attributes.slice(argsStart, argsEnd).trim();
+}
+
+/**
+ * Find the index of the parenthesis closing the group opened just before `start`
+ */
+function findClosingParen(text, start) {
+  let depth = 1;
+  let quote = null;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === '-' && text[i + 1] === '-') {
+      const lineEnd = text.indexOf('\n', i);
+      if (lineEnd === -1) return -1;
+      i = lineEnd;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+      if (depth === 0) return i;
+    }
   }
 
-  // Define relationships
-  for (const entity of entities) {
-    for (const relation of entity.relations) {
-      const target = entities.find(e => e.name === relation.type);
-      if (!target) continue;
+  return -1;
+}
+
+/**
+ * Split a CREATE TABLE body into column/constraint definitions at top-level commas
+ * Each definition carries the trailing `--` comment written on its line
+ */
+function splitSQLDefinitions(body) {
+  const definitions = [];
+  let current = '';
+  let depth = 0;
+  let quote = null;
+  let pendingComment;
 
-      // Determine relationship type
-      const targetHasBackRef = target.relations.some(r => r.type === entity.name);
+  for (const line of body.split('\n')) {
+    const { code, comment } = splitTrailingComment(line, '--');
+    let completed = null;
+
+    for (const char of code) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === "'" || char === '"') {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+      }
 
-      let relationSymbol;
-      if (relation.cardinality === 'many') {
-        relationSymbol = targetHasBackRef ? '}o--o{' : '}o--||';
+      if (char === ',' && depth === 0 && !quote) {
+        if (current.trim()) {
+          const definition = pushDefinition(definitions, current, pendingComment);
+          completed = completed || definition;
+          pendingComment = undefined;
+        }
+        current = '';
       } else {
-        relationSymbol = targetHasBackRef && target.relations.find(r => r.type === entity.name)?.cardinality === 'many'
-          ? '||--o{'
-          : '||--||';
+        current += char;
       }
+    }
+    current += ' ';
 
-      lines.push(`  ${entity.name} ${relationSymbol} ${relation.type} : "${relation.name}"`);
+    // Section headings on their own line are not column descriptions
+    if (!comment || !code.trim()) continue;
+
+    if (completed && !completed.comment) {
+      completed.comment = comment;
+    } else if (current.trim()) {
+      pendingComment = comment;
     }
   }
 
-  lines.push('```');
-  return lines.join('\n');
-}
-
-/**
- * Map database types to Mermaid types
- */
-function mapTypeToMermaid(type) {
-  const typeMap = {
-    'String': 'string',
-    'Int': 'int',
-    'Float': 'float',
-    'Boolean': 'boolean',
-    'DateTime': 'datetime',
-    'Json': 'json',
-    'Decimal': 'decimal',
-    'number': 'int',
-    'string': 'string',
-    'boolean': 'boolean',
-    'Date': 'datetime',
-    'VARCHAR': 'string',
-    'TEXT': 'string',
-    'INTEGER': 'int',
-    'BIGINT': 'bigint',
-    'DECIMAL': 'decimal',
-    'FLOAT': 'float',
-    'BOOLEAN': 'boolean',
-    'TIMESTAMP': 'datetime',
-    'DATETIME': 'datetime',
-    'DATE': 'date'
+  if (current.trim()) {
+    pushDefinition(definitions, current, pendingComment);
+  }
+
+  return definitions;
+}
+
+/**
+ * Append a normalised definition and return it
+ */
+function pushDefinition(definitions, text, comment) {
+  const definition = { text: text.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\s+/g, ' ').trim(), comment };
+  definitions.push(definition);
+  return definition;
+}
+
+/**
+ * Parse a REFERENCES clause into { table, column, onDelete }
+ */
+function parseReferences(text) {
+  const refMatch = text.match(/\bREFERENCES\s+(?:[`"]?\w+[`"]?\.)?[`"]?(\w+)[`"]?\s*(?:\(\s*[`"]?(\w+)[`"]?)?/i);
+  if (!refMatch) return null;
+
+  const onDelete = text.match(/\bON\s+DELETE\s+(CASCADE|SET\s+NULL|SET\s+DEFAULT|RESTRICT|NO\s+ACTION)/i)?.[1];
+
+  return {
+    table: refMatch[1],
+    column: refMatch[2] || 'id',
+    onDelete: onDelete?.toUpperCase().replace(/\s+/g, ' ')
   };
+}
+
+/**
+ * Read the `--` comment lines directly above a statement
+ */
+function findLeadingSQLComment(content, index) {
+  const lines = content.slice(0, index).split('\n');
+  lines.pop(); // text before the statement on its own line
+  const comments = [];
+
+  while (lines.length && /^\s*--/.test(lines[lines.length - 1])) {
+    comments.unshift(lines.pop().replace(/^\s*--\s?/, '').trim());
+  }
+
+  // Prisma Migrate labels each step ("-- CreateTable"); those are not descriptions
+  return comments.filter(line => line && !/^[A-Z][a-z]+[A-Z]\w*$/.test(line)).join(' ') || undefined;
+}
+
+/**
+ * Read the JSDoc block directly above a declaration (skipping decorators)
+ */
+function findDocComment(content, index) {
+  const before = content.slice(0, index).replace(/(?:\s*@\w+\([^)]*\))*\s*$/, '');
+  const start = before.lastIndexOf('/**');
+  if (start === -1 || !before.endsWith('*/')) return undefined;
+
+  const block = before.slice(start + 3, -2);
+  if (block.includes('*/')) return undefined;
+
+  return block
+    .split('\n')
+    .map(line => line.replace(/^\s*\*\s?/, '').trim())
+    .filter(line => line && !line.startsWith('@'))
+    .join(' ') || undefined;
+}
+
+/**
+ * Concatenated contents of several files (a multi-file schema read as one)
+ */
+async function readFiles(files) {
+  const contents = await Promise.all(files.map(file => fse.readFile(file, 'utf-8')));
+  return contents.join('\n');
+}
 
-  return typeMap[type] || type.toLowerCase();
+/**
+ * Parse a comma-separated identifier list, stripping quotes
+ */
+function parseList(text) {
+  if (!text) return [];
+  return text.split(',').map(item => item.trim().replace(/[`"']/g, '')).filter(Boolean);
+}
+
+/**
+ * Build Mermaid ERD from parsed entities
+ */
+export function buildMermaidERD(entities) {
+  return renderERD(entities, 'mermaid');
 }
 
 /**
  * Save ERD diagram to file
+ * @returns {Promise<string[]>} Files holding the diagrams
  */
 export async function saveERD(result, outputPath, format = 'markdown') {
   const dir = join(outputPath, '..');
   await fse.ensureDir(dir);
 
   if (format === 'separate') {
-    // Save each diagram to separate .mmd file
+    // Save each diagram to a separate .mmd / .puml / .dot / .d2 file
+    const extension = DIAGRAM_FORMATS[result.diagramFormat || 'mermaid'].extension;
+    const files = [];
     for (let i = 0; i < result.diagrams.length; i++) {
       const diagram = result.diagrams[i];
-      const filename = outputPath.replace(/\.(md|mmd)$/, `-${diagram.type}.mmd`);
-      await fse.writeFile(filename, diagram.content.replace(/```mermaid\n|\n```/g, ''));
+      const filename = outputPath.replace(/\.(md|mmd)$/, `-${diagram.type}${extension}`);
+      await fse.writeFile(filename, unfenceDiagram(diagram.content));
       console.log(`  Saved: ${filename}`);
+      files.push(filename);
     }
+    return files;
   } else {
     // Save as markdown with embedded diagrams
     const lines = [];
@@ -411,5 +1135,6 @@ export async function saveERD(result, outputPath, format = 'markdown') {
 
     await fse.writeFile(outputPath, lines.join('\n'));
     console.log(`  Saved: ${outputPath}`);
+    return [outputPath];
   }
 }
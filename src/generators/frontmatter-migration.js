@@ -0,0 +1,140 @@
+/**
+ * DocFlow Frontmatter Migration
+ * Add YAML frontmatter to existing documents from their `| Field | Value |`
+ * metadata tables (and the ADR `## Status` section). Tables are left in place.
+ */
+
+import fse from 'fs-extra';
+import { join, relative, basename } from 'path';
+import { glob } from 'glob';
+import { parseMetadataTable, getMetadataValue } from '../cli/utils/metadata.js';
+import { parseFrontmatter, setFrontmatter } from '../cli/utils/frontmatter.js';
+import { parseAdr, getAdrSettings } from '../cli/utils/adr.js';
+import { parseRunbook, getRunbookSettings } from '../cli/utils/runbooks.js';
+import { getFeatureSettings } from '../cli/utils/features.js';
+import { getCustomTypes } from '../cli/utils/doc-types.js';
+import { cleanValue } from '../cli/utils/markdown.js';
+
+/**
+ * Metadata cells left as option hints ("Low / Medium / High", "[Owner]") are unset
+ */
+const CELL = { markdown: true, hint: /\[.*\]$|\s\/\s|\s\|\s/ };
+
+/**
+ * Migrate documents under docs/ (or the given files)
+ * Existing frontmatter values are kept; only missing fields are added.
+ * @param {string} cwd - Project root
+ * @param {object} config - DocFlow configuration
+ * @param {object} options - Migration options
+ * @param {string[]} options.files - Files to migrate (default: docs/**\/*.md except templates)
+ * @param {boolean} options.dryRun - Report changes without writing
+ * @returns {Promise<object>} Result: { migrated: [{ file, data }], skipped, errors: [{ file, message }] }
+ */
+export async function migrateFrontmatter(cwd, config, options = {}) {
+  const files = options.files?.length
+    ? options.files.map(file => join(cwd, file))
+    : (await glob('docs/**/*.md', {
+      cwd,
+      absolute: true,
+      nodir: true,
+      ignore: ['docs/templates/**', '**/node_modules/**']
+    })).sort();
+
+  const types = getTypeDirectories(config);
+  const result = { migrated: [], skipped: 0, errors: [] };
+
+  for (const file of files) {
+    const relativePath = relative(cwd, file).replace(/\\/g, '/');
+    const content = await fse.readFile(file, 'utf-8');
+
+    const { data: existing, error } = parseFrontmatter(content);
+    if (error) {
+      result.errors.push({ file: relativePath, message: error });
+      continue;
+    }
+
+    // Section READMEs and index pages describe a folder, not a document of its type
+    const type = /^(README|index)\.md$/i.test(basename(file))
+      ? undefined
+      : types.find(entry => relativePath.startsWith(`${entry.directory}/`))?.type;
+    const data = extractTableMetadata(content, { type, filename: basename(file) }) || {};
+    const added = Object.fromEntries(Object.entries(data).filter(([key]) => existing[key] === undefined));
+
+    if (Object.keys(added).length === 0) {
+      result.skipped++;
+      continue;
+    }
+
+    if (!options.dryRun) {
+      await fse.writeFile(file, setFrontmatter(content, added, { overwrite: false }));
+    }
+    result.migrated.push({ file: relativePath, data: added });
+  }
+
+  return result;
+}
+
+/**
+ * Frontmatter fields for a document with table-based metadata
+ * @param {string} content - Markdown document
+ * @param {object} options - { type, filename }
+ * @returns {object|null} Fields, or null when the document has no metadata to convert
+ */
+export function extractTableMetadata(content, options = {}) {
+  const { body } = parseFrontmatter(content);
+  const table = parseMetadataTable(body);
+  const adr = options.type === 'adr' ? parseAdr(body) : null;
+
+  if (Object.keys(table).length === 0 && !(adr && adr.status !== 'Unknown')) {
+    return null;
+  }
+
+  const value = (...fields) => {
+    for (const field of fields) {
+      const cleaned = cleanValue(getMetadataValue(table, field), CELL);
+      if (cleaned) return cleaned;
+    }
+    return undefined;
+  };
+
+  const heading = body.match(/^#\s+(.+)$/m)?.[1].trim();
+  const runbook = options.type === 'runbook' ? parseRunbook(body) : null;
+  const tags = value('Tags', 'Labels');
+
+  const data = {
+    id: options.filename?.match(/^([A-Z][A-Z0-9]*-\d+)/)?.[1],
+    type: options.type,
+    title: cleanValue(heading?.replace(/^[A-Z][A-Z0-9]*-\d+:\s*/, ''), CELL),
+    status: adr ? (adr.status === 'Unknown' ? undefined : adr.status) : value('Status'),
+    date: value('Date', 'Created', 'Last Updated'),
+    author: value('Author', 'Authors', 'Created by'),
+    tags: tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : undefined,
+    owner: runbook?.owner || value('Owner'),
+    category: runbook?.category || undefined,
+    severity: runbook?.severity || undefined
+  };
+
+  return Object.fromEntries(Object.entries(data).filter(([, field]) => field !== undefined && field !== null));
+}
+
+/**
+ * Document type for each configured directory, most specific first
+ */
+function getTypeDirectories(config) {
+  const entries = [
+    { type: 'adr', directory: getAdrSettings(config).directory },
+    { type: 'runbook', directory: getRunbookSettings(config).directory },
+    { type: 'feature', directory: getFeatureSettings(config).directory },
+    ...Object.values(getCustomTypes(config)).map(custom => ({ type: custom.name, directory: custom.directory }))
+  ];
+
+  for (const [key, settings] of Object.entries(config?.templates || {})) {
+    if (settings?.directory && !['adr', 'runbooks', 'features', 'custom'].includes(key)) {
+      entries.push({ type: key, directory: settings.directory });
+    }
+  }
+
+  return entries
+    .map(entry => ({ ...entry, directory: entry.directory.replace(/\\/g, '/').replace(/\/+$/, '') }))
+    .sort((a, b) => b.directory.length - a.directory.length);
+}
@@ -0,0 +1,428 @@
+/**
+ * DocFlow HTML Generator
+ * Render documentation to a self-contained static HTML folder (no site generator required)
+ *
+ * (c) 2024-2025 Tom Mangano (TomsTech). All Rights Reserved.
+ */
+
+import fse from 'fs-extra';
+import { join, dirname, relative, resolve, isAbsolute } from 'path';
+import { loadDocuments, buildHTMLHeader, buildHTMLFooter } from './pdf.js';
+import { buildNavigation } from './site.js';
+import { embedMermaidDiagrams } from './diagram-images.js';
+import { anchor, decodeEntities } from '../cli/utils/markdown.js';
+
+const SEARCH_INDEX_FILE = 'search-index.js';
+const SEARCH_TEXT_LIMIT = 5000;
+
+// Files written by the last export, so --force can replace them without touching anything else
+const EXPORT_MANIFEST = '.docflow-export.json';
+
+/**
+ * Generate static HTML documentation
+ * @param {Object} options - Generation options
+ * @param {string[]} options.inputFiles - Array of markdown file paths
+ * @param {string} options.inputDir - Root directory the input files are relative to
+ * @param {string} options.outputDir - Output directory
+ * @param {boolean} options.renderDiagrams - Inline Mermaid blocks as SVG (default: diagrams.mermaid.enabled)
+ * @param {Object} options.config - DocFlow configuration
+ * @returns {Promise<object>} Result with page, diagram and asset counts (diagramError when rendering failed)
+ */
+export async function generateHTML(options) {
+  const { inputFiles, inputDir, outputDir, config } = options;
+  const renderDiagrams = options.renderDiagrams ?? config?.diagrams?.mermaid?.enabled !== false;
+
+  // Same marked pipeline as PDF export, with paths relative to the docs root
+  const documents = await loadDocuments(inputFiles, inputDir);
+  for (const doc of documents) {
+    doc.relativePath = doc.relativePath.replace(/\\/g, '/');
+    doc.outputPath = doc.relativePath.replace(/\.md$/, '.html');
+  }
+
+  // Pages stay viewable offline: no Mermaid script from a CDN. Without a usable
+  // browser the export still succeeds and the diagrams stay as code blocks.
+  let diagrams = 0;
+  let diagramError = null;
+  if (renderDiagrams) {
+    try {
+      diagrams = await embedMermaidDiagrams(documents, config);
+    } catch (error) {
+      diagramError = error.message;
+    }
+  }
+
+  const navigation = buildNavigation(documents.map(doc => ({ file: doc.relativePath, title: doc.title })));
+  await fse.ensureDir(outputDir);
+  const written = [];
+
+  for (const doc of documents) {
+    const page = buildPage(doc, doc.outputPath, navigation, config);
+    const pagePath = join(outputDir, doc.outputPath);
+    await fse.ensureDir(dirname(pagePath));
+    await fse.writeFile(pagePath, page);
+    written.push(doc.outputPath);
+  }
+
+  // Landing page: docs index.md, falling back to README.md or a generated listing
+  const hasIndex = documents.some(doc => doc.outputPath === 'index.html');
+  if (!hasIndex) {
+    const indexDoc = findIndexDocument(documents);
+    const landing = indexDoc
+      ? { ...indexDoc, outputPath: 'index.html' }
+      : buildListingDocument(documents, config);
+    await fse.writeFile(join(outputDir, 'index.html'), buildPage(landing, 'index.html', navigation, config));
+    written.push('index.html');
+  }
+
+  await fse.writeFile(join(outputDir, SEARCH_INDEX_FILE), buildSearchIndex(documents));
+  written.push(SEARCH_INDEX_FILE);
+
+  const assets = await copyAssets(documents, inputDir, outputDir);
+  written.push(...assets);
+  await fse.writeJson(join(outputDir, EXPORT_MANIFEST), { files: written.sort() }, { spaces: 2 });
+
+  return {
+    outputDir,
+    pages: hasIndex ? documents.length : documents.length + 1,
+    diagrams,
+    diagramError,
+    assets: assets.length
+  };
+}
+
+/**
+ * Remove the files a previous export wrote (per its manifest), leaving anything else in place
+ * @returns {Promise<number>} Number of files removed
+ */
+export async function removePreviousExport(outputDir) {
+  const manifestPath = join(outputDir, EXPORT_MANIFEST);
+  if (!await fse.pathExists(manifestPath)) return 0;
+
+  const { files = [] } = await fse.readJson(manifestPath);
+  let removed = 0;
+
+  for (const file of files) {
+    const path = resolve(outputDir, file);
+    const rel = relative(outputDir, path);
+    if (!rel || rel.startsWith('..') || isAbsolute(rel)) continue;
+
+    if (await fse.pathExists(path)) {
+      await fse.remove(path);
+      removed++;
+    }
+
+    await removeEmptyFolders(dirname(path), outputDir);
+  }
+
+  await fse.remove(manifestPath);
+  return removed;
+}
+
+/**
+ * Pick the document used for the landing page
+ */
+function findIndexDocument(documents) {
+  return documents.find(doc => doc.relativePath.toLowerCase() === 'index.md') ||
+    documents.find(doc => doc.relativePath.toLowerCase() === 'readme.md') ||
+    null;
+}
+
+/**
+ * Build a landing page listing every document when the docs have no index
+ */
+function buildListingDocument(documents, config) {
+  const items = documents
+    .map(doc => `<li><a href="${doc.outputPath}">${escapeHtml(doc.title)}</a></li>`)
+    .join('\n');
+
+  return {
+    title: config?.project?.name || 'Documentation',
+    relativePath: 'index.md',
+    outputPath: 'index.html',
+    html: `<h1>${escapeHtml(config?.project?.name || 'Documentation')}</h1>\n<ul>\n${items}\n</ul>`
+  };
+}
+
+/**
+ * Build a complete HTML page
+ */
+function buildPage(doc, pagePath, navigation, config) {
+  const root = relativeRoot(pagePath);
+  const content = addHeadingIds(rewriteLinks(doc.html));
+
+  return [
+    buildHTMLHeader(config, {
+      title: `${doc.title} - ${config?.project?.name || 'Documentation'}`,
+      styles: buildSiteStyles(config),
+      head: `
+  <script src="${root}${SEARCH_INDEX_FILE}"></script>`
+    }),
+    '<div class="site">',
+    buildSidebar(navigation, pagePath, root, config),
+    '<main class="content">',
+    content,
+    '</main>',
+    '</div>',
+    buildSearchScript(root),
+    buildHTMLFooter()
+  ].join('\n');
+}
+
+/**
+ * Build the sidebar from the navigation structure
+ */
+function buildSidebar(navigation, pagePath, root, config) {
+  const link = (item) => {
+    const href = `${item.link.replace(/^\//, '')}.html`;
+    const active = href === pagePath ? ' class="active"' : '';
+    return `<li><a href="${root}${href}"${active}>${escapeHtml(item.text)}</a></li>`;
+  };
+
+  const parts = [
+    '<nav class="sidebar">',
+    `  <a class="site-title" href="${root}index.html">${escapeHtml(config?.project?.name || 'Documentation')}</a>`,
+    '  <input type="search" id="docflow-search" placeholder="Search documentation..." autocomplete="off">',
+    '  <ul id="docflow-search-results" class="search-results"></ul>'
+  ];
+
+  if (navigation.nav.length) {
+    parts.push('  <ul>', ...navigation.nav.map(item => `    ${link(item)}`), '  </ul>');
+  }
+
+  const sections = Object.values(navigation.sidebar).flat()
+    .sort((a, b) => a.text.localeCompare(b.text));
+
+  for (const section of sections) {
+    parts.push(`  <div class="section-title">${escapeHtml(section.text)}</div>`);
+    parts.push('  <ul>', ...section.items.map(item => `    ${link(item)}`), '  </ul>');
+  }
+
+  parts.push('</nav>');
+  return parts.join('\n');
+}
+
+/**
+ * Rewrite relative .md links to their .html equivalents
+ */
+function rewriteLinks(html) {
+  return html.replace(/href="([^"]+)"/g, (match, href) => {
+    if (/^([a-z][a-z0-9+.-]*:|#|\/\/)/i.test(href)) return match;
+    return `href="${href.replace(/\.md(?=$|#|\?)/i, '.html')}"`;
+  });
+}
+
+/**
+ * Add anchor ids to headings so in-page and cross-page anchors resolve
+ */
+function addHeadingIds(html) {
+  return html.replace(/<h([1-6])>([\s\S]*?)<\/h\1>/g, (match, level, inner) => {
+    const text = decodeEntities(inner.replace(/<[^>]+>/g, ''));
+    return `<h${level} id="${anchor(text)}">${inner}</h${level}>`;
+  });
+}
+
+/**
+ * Build the client-side search index as a script (works from file:// without fetch)
+ */
+function buildSearchIndex(documents) {
+  const entries = documents.map(doc => ({
+    title: doc.title,
+    url: doc.outputPath,
+    headings: doc.headings.map(h => h.text),
+    text: stripMarkdown(doc.content).slice(0, SEARCH_TEXT_LIMIT)
+  }));
+
+  return `window.DOCFLOW_SEARCH_INDEX = ${JSON.stringify(entries)};\n`;
+}
+
+/**
+ * Build the inline search script
+ */
+function buildSearchScript(root) {
+  return `<script>
+(function () {
+  var input = document.getElementById('docflow-search');
+  var results = document.getElementById('docflow-search-results');
+  var index = window.DOCFLOW_SEARCH_INDEX || [];
+  var root = ${JSON.stringify(root)};
+
+  function score(entry, terms) {
+    var total = 0;
+    var title = entry.title.toLowerCase();
+    var headings = entry.headings.join(' ').toLowerCase();
+    var text = entry.text.toLowerCase();
+    for (var i = 0; i < terms.length; i++) {
+      var term = terms[i];
+      var hit = 0;
+      if (title.indexOf(term) !== -1) hit += 10;
+      if (headings.indexOf(term) !== -1) hit += 5;
+      if (text.indexOf(term) !== -1) hit += 1;
+      if (!hit) return 0;
+      total += hit;
+    }
+    return total;
+  }
+
+  input.addEventListener('input', function () {
+    var terms = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    results.innerHTML = '';
+    if (!terms.length) return;
+
+    index
+      .map(function (entry) { return { entry: entry, score: score(entry, terms) }; })
+      .filter(function (r) { return r.score > 0; })
+      .sort(function (a, b) { return b.score - a.score; })
+      .slice(0, 10)
+      .forEach(function (r) {
+        var li = document.createElement('li');
+        var a = document.createElement('a');
+        a.href = root + r.entry.url;
+        a.textContent = r.entry.title;
+        li.appendChild(a);
+        results.appendChild(li);
+      });
+  });
+})();
+</script>`;
+}
+
+/**
+ * Build layout styles for the sidebar and content area
+ */
+function buildSiteStyles(config) {
+  const primaryColor = config?.branding?.primary || '#072151';
+  const accentColor = config?.branding?.accent || '#14b8a6';
+
+  return `
+    body { font-size: 11pt; }
+    .site { display: flex; min-height: 100vh; }
+    .sidebar {
+      width: 280px;
+      flex-shrink: 0;
+      background: #f9fafb;
+      border-right: 1px solid #e5e7eb;
+      padding: 1.5em 1em;
+      position: sticky;
+      top: 0;
+      height: 100vh;
+      overflow-y: auto;
+    }
+    .sidebar .site-title {
+      display: block;
+      font-size: 14pt;
+      font-weight: 700;
+      color: ${primaryColor};
+      margin-bottom: 1em;
+    }
+    .sidebar input {
+      width: 100%;
+      padding: 0.4em 0.6em;
+      border: 1px solid #d1d5db;
+      border-radius: 4px;
+      margin-bottom: 0.5em;
+    }
+    .sidebar ul { list-style: none; padding-left: 0; margin: 0 0 1em; }
+    .sidebar li { margin: 0.2em 0; }
+    .sidebar li a.active { font-weight: 600; border-left: 3px solid ${accentColor}; padding-left: 0.4em; }
+    .sidebar .section-title {
+      font-size: 9pt;
+      font-weight: 700;
+      text-transform: uppercase;
+      color: #6b7280;
+      margin: 1em 0 0.3em;
+    }
+    .search-results:empty { display: none; }
+    .search-results { border-bottom: 1px solid #e5e7eb; padding-bottom: 0.5em; }
+    .content { flex: 1; max-width: 960px; padding: 2em 3em; }
+    @media print {
+      .sidebar { display: none; }
+      .content { padding: 0; }
+    }
+  `;
+}
+
+/**
+ * Remove a folder and its parents, up to but not including root, while they are empty
+ */
+async function removeEmptyFolders(dir, root) {
+  while (dir !== root && !relative(root, dir).startsWith('..')) {
+    const entries = await fse.readdir(dir).catch(() => null);
+    if (!entries || entries.length > 0) return;
+    await fse.remove(dir);
+    dir = dirname(dir);
+  }
+}
+
+/**
+ * Copy the local files (images, attachments) the pages link to, keeping their paths
+ * Only referenced files under the input directory are copied, never a whole folder.
+ * @returns {Promise<string[]>} Copied paths, relative to the output directory
+ */
+async function copyAssets(documents, inputDir, outputDir) {
+  const assets = new Set();
+
+  for (const doc of documents) {
+    for (const [, url] of doc.html.matchAll(/\b(?:src|href)="([^"#?]+)[^"]*"/g)) {
+      if (/^([a-z][a-z0-9+.-]*:|\/)/i.test(url)) continue;
+
+      const target = resolve(inputDir, dirname(doc.relativePath), decodePath(decodeEntities(url)));
+      const asset = relative(inputDir, target).replace(/\\/g, '/');
+      if (!asset || asset.startsWith('..') || isAbsolute(asset) || /\.(md|html)$/i.test(asset)) continue;
+
+      if ((await fse.stat(target).catch(() => null))?.isFile()) {
+        assets.add(asset);
+      }
+    }
+  }
+
+  for (const asset of assets) {
+    const destPath = join(outputDir, asset);
+    await fse.ensureDir(dirname(destPath));
+    await fse.copy(join(inputDir, asset), destPath);
+  }
+
+  return [...assets];
+}
+
+/**
+ * Decode a URL-encoded link path, leaving malformed input as-is
+ */
+function decodePath(path) {
+  try {
+    return decodeURIComponent(path);
+  } catch (e) {
+    return path;
+  }
+}
+
+/**
+ * Relative prefix from a page back to the output root
+ */
+function relativeRoot(pagePath) {
+  const depth = pagePath.split('/').length - 1;
+  return '../'.repeat(depth);
+}
+
+/**
+ * Strip markdown syntax for the search index
+ */
+function stripMarkdown(markdown) {
+  return markdown
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[#>*_`|~-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Escape text for HTML output
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
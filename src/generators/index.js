@@ -8,12 +8,36 @@ export {
   generatePrismaERD,
   generateTypeORMERD,
   generateSQLERD,
+  replaySQLMigrations,
   saveERD
 } from './erd.js';
 
+export {
+  generateSchemaDiff,
+  diffSchemas,
+  buildSchemaDiffMarkdown
+} from './schema-diff.js';
+
+export {
+  IMAGE_FORMATS,
+  extractMermaidBlocks,
+  resolveImageFormats,
+  renderMermaidDiagrams,
+  renderDiagramImages,
+  embedMermaidDiagrams
+} from './diagram-images.js';
+
+export {
+  DIAGRAM_FORMATS,
+  renderERD,
+  renderGraph,
+  resolveDiagramFormat
+} from './diagram-renderers.js';
+
 export {
   generateDependencyGraph,
   generateMermaidDiagram,
+  renderDependencyDiagram,
   detectCircularDependencies,
   saveDependencyGraph
 } from './dependency-graph.js';
@@ -0,0 +1,286 @@
+/**
+ * DocFlow Naming Convention Checker
+ * Check file, folder and identifier names against naming.rules
+ *
+ * Files are matched to a naming.rules.files category by location and extension
+ * (first match wins): tests, components, scripts, utilities. Python modules are
+ * checked against naming.rules.variables.python instead, since they must be importable.
+ */
+
+import fse from 'fs-extra';
+import { relative, extname } from 'path';
+import { scanCodebase, extractSymbols } from './coverage.js';
+import { escapeRegex } from '../cli/utils/template.js';
+
+/**
+ * Casing conventions that can be used in naming.rules
+ */
+export const CONVENTIONS = {
+  PascalCase: /^[A-Z][a-zA-Z0-9]*$/,
+  camelCase: /^[a-z][a-zA-Z0-9]*$/,
+  snake_case: /^[a-z][a-z0-9]*(?:_[a-z0-9]+)*$/,
+  'kebab-case': /^[a-z][a-z0-9]*(?:-[a-z0-9]+)*$/,
+  SCREAMING_SNAKE_CASE: /^[A-Z][A-Z0-9]*(?:_[A-Z0-9]+)*$/
+};
+
+/**
+ * File categories for naming.rules.files, in match order
+ */
+const FILE_CATEGORIES = [
+  { name: 'tests', test: path => /(^|\/)(tests?|__tests__)\//.test(path) || /\.(test|spec)\.\w+$/.test(path) },
+  { name: 'components', test: path => /(^|\/)components\//.test(path) || /\.(jsx|tsx)$/.test(path) },
+  { name: 'scripts', test: path => /(^|\/)scripts\//.test(path) || /\.(ps1|psm1)$/.test(path) },
+  { name: 'utilities', test: path => /(^|\/)(utils|utilities|helpers|lib)\//.test(path) }
+];
+
+const LANGUAGES = {
+  '.js': 'javascript',
+  '.jsx': 'javascript',
+  '.ts': 'typescript',
+  '.tsx': 'typescript',
+  '.py': 'python',
+  '.ps1': 'powershell',
+  '.psm1': 'powershell'
+};
+
+/**
+ * Check a name against a convention
+ * A convention is either a key of CONVENTIONS or glob-style patterns separated by `|`
+ * (e.g. "*.test.{ts,js}|*.spec.{ts,js}")
+ */
+export function matchesConvention(name, convention) {
+  if (CONVENTIONS[convention]) {
+    return CONVENTIONS[convention].test(name);
+  }
+
+  return convention.split('|').some(pattern => patternToRegex(pattern.trim()).test(name));
+}
+
+/**
+ * Check the project against naming.rules
+ * @param {string} cwd - Project root
+ * @param {object} config - DocFlow configuration
+ * @param {object} options - Scan options (include/exclude patterns, passed to scanCodebase)
+ * @returns {Promise<object>} Result: { files, violations: [{ file, line, kind, name, expected, message }] }
+ */
+export async function checkNaming(cwd, config, options = {}) {
+  const rules = config?.naming?.rules || {};
+  const files = (await scanCodebase(cwd, options)).sort();
+  const violations = [];
+
+  const folders = new Set();
+
+  for (const file of files) {
+    const relativePath = relative(cwd, file).replace(/\\/g, '/');
+    const segments = relativePath.split('/');
+    segments.slice(0, -1).forEach((_, i) => folders.add(segments.slice(0, i + 1).join('/')));
+
+    violations.push(...checkFileName(relativePath, rules));
+
+    const language = LANGUAGES[extname(file).toLowerCase()];
+    if (!language) continue;
+
+    const content = await fse.readFile(file, 'utf-8');
+    violations.push(...await checkIdentifiers(relativePath, file, content, language, rules));
+  }
+
+  if (rules.folders) {
+    for (const folder of [...folders].sort()) {
+      const name = folder.split('/').pop();
+      // Tooling folders (.github, __tests__, __pycache__) follow their own conventions
+      if (/^[._]/.test(name)) continue;
+
+      if (!matchesConvention(name, rules.folders)) {
+        violations.push(violation(folder, null, 'folder', name, rules.folders));
+      }
+    }
+  }
+
+  return { files: files.length, violations: sortViolations(violations) };
+}
+
+/**
+ * Check a file name against its category rule
+ */
+function checkFileName(relativePath, rules) {
+  const fileName = relativePath.split('/').pop();
+  const ext = extname(fileName).toLowerCase();
+  const fileRules = rules.files || {};
+
+  const category = FILE_CATEGORIES.find(c => fileRules[c.name] && c.test(relativePath));
+
+  if (category?.name === 'tests') {
+    return matchesConvention(fileName, fileRules.tests)
+      ? []
+      : [violation(relativePath, null, 'test file', fileName, fileRules.tests)];
+  }
+
+  // Python modules are imported by name, so they follow the Python identifier rule
+  const expected = ext === '.py' ? rules.variables?.python : fileRules[category?.name];
+  if (!expected) return [];
+
+  // "docusaurus.config.js" is checked as "docusaurus" and "config"
+  const stem = fileName.slice(0, fileName.length - ext.length);
+  if (['index', '__init__', '__main__'].includes(stem)) return [];
+
+  const valid = stem.split('.').every(part => matchesConvention(part, expected));
+  return valid ? [] : [violation(relativePath, null, `${category?.name || 'python'} file`, stem, expected)];
+}
+
+/**
+ * Check functions, methods, exports, variables and constants in a source file
+ */
+async function checkIdentifiers(relativePath, file, content, language, rules) {
+  const variableRule = rules.variables?.[language];
+  const constantRule = rules.constants;
+  const violations = [];
+
+  if (variableRule) {
+    const symbols = await extractSymbols(file, content);
+    const seen = new Set();
+
+    for (const symbol of symbols) {
+      if (symbol.type === 'class' || symbol.type === 'script') continue;
+
+      const key = `${symbol.name}:${symbol.line}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const name = normalizeIdentifier(symbol.name, language);
+      if (!name || isConstantName(name)) continue;
+
+      if (!identifierMatches(name, variableRule, language)) {
+        violations.push(violation(relativePath, symbol.line, symbol.type, symbol.name, variableRule));
+      }
+    }
+  }
+
+  for (const declaration of extractDeclarations(content, language)) {
+    const name = normalizeIdentifier(declaration.name, language);
+    if (!name) continue;
+
+    if (isConstantName(name)) {
+      if (constantRule && !matchesConvention(name, constantRule)) {
+        violations.push(violation(relativePath, declaration.line, 'constant', declaration.name, constantRule));
+      }
+    } else if (variableRule && !identifierMatches(name, variableRule, language)) {
+      violations.push(violation(relativePath, declaration.line, 'variable', declaration.name, variableRule));
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Variable declarations the coverage extractors do not report
+ * JS/TS: const/let/var bindings that are not arrow functions
+ * Python: module-level assignments
+ * PowerShell: $Variable assignments
+ */
+function extractDeclarations(content, language) {
+  const patterns = {
+    javascript: /^[ \t]*(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=(?!\s*(?:async\s+)?\([^)]*\)\s*=>)/gm,
+    python: /^([A-Za-z_]\w*)\s*(?::[^=]+)?=(?!=)/gm,
+    powershell: /^[ \t]*\$(?:(?:script|global|local|private):)?([A-Za-z_]\w*)\s*=(?!=)/gm
+  };
+  const regex = patterns[language === 'typescript' ? 'javascript' : language];
+  const declarations = [];
+  let match;
+
+  while ((match = regex.exec(content)) !== null) {
+    declarations.push({
+      name: match[1],
+      line: content.substring(0, match.index).split('\n').length
+    });
+  }
+
+  return declarations;
+}
+
+/**
+ * Strip language-specific decoration before checking case
+ */
+function normalizeIdentifier(name, language) {
+  if (language === 'python') {
+    // Dunder methods and leading underscores (private) are conventions of their own
+    if (/^__\w+__$/.test(name)) return null;
+    return name.replace(/^_+/, '');
+  }
+  if (language === 'javascript' || language === 'typescript') {
+    return name.replace(/^[_$]+/, '');
+  }
+  return name;
+}
+
+/**
+ * Identifier check, allowing PowerShell Verb-Noun names and JS/TS PascalCase
+ * bindings (components, constructors) alongside camelCase
+ */
+function identifierMatches(name, convention, language) {
+  if (language === 'powershell' && name.includes('-')) {
+    return name.split('-').every(part => matchesConvention(part, convention));
+  }
+  if ((language === 'javascript' || language === 'typescript') && convention === 'camelCase') {
+    return matchesConvention(name, 'camelCase') || matchesConvention(name, 'PascalCase');
+  }
+  return matchesConvention(name, convention);
+}
+
+/**
+ * Upper-case names are declared constants and use naming.rules.constants
+ */
+function isConstantName(name) {
+  return /^[A-Z][A-Z0-9]*(?:[_-][A-Z0-9]*)+$/.test(name) || /^[A-Z]{2,}[0-9]*$/.test(name);
+}
+
+/**
+ * Convert a simple glob (`*`, `?`, `{a,b}`) to an anchored regex
+ * Throws on unmatched or nested braces rather than guessing what was meant.
+ */
+function patternToRegex(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') source += '[^/]*';
+    else if (char === '?') source += '[^/]';
+    else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        throw new Error(`Invalid naming pattern "${pattern}": unmatched "{" at position ${i + 1}`);
+      }
+      const nested = pattern.indexOf('{', i + 1);
+      if (nested !== -1 && nested < end) {
+        throw new Error(`Invalid naming pattern "${pattern}": nested "{" at position ${nested + 1} is not supported`);
+      }
+      const options = pattern.slice(i + 1, end).split(',').map(escapeRegex);
+      source += `(?:${options.join('|')})`;
+      i = end;
+    } else if (char === '}') {
+      throw new Error(`Invalid naming pattern "${pattern}": unmatched "}" at position ${i + 1}`);
+    } else source += escapeRegex(char);
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Build a violation record
+ */
+function violation(file, line, kind, name, expected) {
+  return {
+    file,
+    line,
+    kind,
+    name,
+    expected,
+    message: `${kind} "${name}" should be ${expected}`
+  };
+}
+
+/**
+ * Order by file then line so output is stable
+ */
+function sortViolations(violations) {
+  return violations.sort((a, b) =>
+    a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0)
+  );
+}
@@ -0,0 +1,1229 @@
+/**
+ * DocFlow ORM Schema Parsers
+ * Read Drizzle tables, Sequelize models, Mongoose schemas, SQLAlchemy and Django
+ * models and EF Core entities into the entity model used by buildMermaidERD:
+ * { name, description, fields: [{ name, type, isPrimary, isUnique, isOptional, isArray,
+ *   default, description, enumValues, references }], relations: [{ name, type, cardinality }],
+ *   uniqueConstraints }
+ */
+
+import fse from 'fs-extra';
+import { relative, extname } from 'path';
+import { glob } from 'glob';
+import { commonDirectory } from '../cli/utils/paths.js';
+
+/**
+ * ORM sources: how to recognise a file and how to parse the matching files
+ */
+const ORM_SOURCES = [
+  {
+    type: 'drizzle',
+    name: 'Drizzle Schema',
+    extensions: ['.ts', '.js', '.mjs', '.cjs', '.mts'],
+    matches: content => /from\s+['"]drizzle-orm/.test(content) && /\b(?:pg|mysql|sqlite)Table\s*\(/.test(content),
+    parse: files => parseDrizzleSchema(files.map(file => file.content).join('\n'))
+  },
+  {
+    type: 'sequelize',
+    name: 'Sequelize Models',
+    extensions: ['.ts', '.js', '.mjs', '.cjs', '.mts'],
+    matches: content => /sequelize/i.test(content) && /\.(?:define|init)\s*\(/.test(content),
+    parse: files => parseSequelizeModels(files.map(file => file.content).join('\n'))
+  },
+  {
+    type: 'mongoose',
+    name: 'Mongoose Schemas',
+    extensions: ['.ts', '.js', '.mjs', '.cjs', '.mts'],
+    matches: content => /mongoose/.test(content) && /new\s+(?:mongoose\.)?Schema\b/.test(content),
+    parse: files => parseMongooseSchemas(files.map(file => file.content).join('\n'))
+  },
+  {
+    type: 'sqlalchemy',
+    name: 'SQLAlchemy Models',
+    extensions: ['.py'],
+    matches: content => /\b(?:sqlalchemy|flask_sqlalchemy)\b/.test(content),
+    parse: files => parseSQLAlchemyModels(files.map(file => file.content).join('\n'))
+  },
+  {
+    type: 'django',
+    name: 'Django Models',
+    extensions: ['.py'],
+    matches: content => /from\s+django\.db\s+import\s+models|\bmodels\.Model\b/.test(content),
+    parse: files => parseDjangoModels(files.map(file => file.content).join('\n'))
+  },
+  {
+    type: 'efcore',
+    name: 'EF Core Entities',
+    extensions: ['.cs'],
+    matches: () => true,
+    parse: files => parseEFCoreModels(files.map(file => file.content).join('\n'))
+  }
+];
+
+/**
+ * Find and parse ORM model sources in a project
+ * Each ORM yields one schema covering all of its files.
+ * @param {string} cwd - Project root
+ * @param {object} [sources] - Toggle ORMs by type ({ drizzle, sequelize, ... }) or all with `orm: false`
+ * @returns {Promise<object[]>} Parsed schemas: { type, name, source, entities }
+ */
+export async function collectORMSchemas(cwd, sources = {}) {
+  if (sources.orm === false) return [];
+
+  const enabled = ORM_SOURCES.filter(orm => sources[orm.type] !== false);
+  const extensions = [...new Set(enabled.flatMap(orm => orm.extensions))].map(ext => ext.slice(1));
+  if (extensions.length === 0) return [];
+
+  const files = (await glob(`**/*.{${extensions.join(',')}}`, {
+    cwd,
+    absolute: true,
+    nodir: true,
+    ignore: [
+      '**/node_modules/**', '**/dist/**', '**/build/**', '**/.venv/**', '**/venv/**', '**/site-packages/**',
+      '**/bin/**', '**/obj/**', '**/migrations/**', '**/Migrations/**', '**/test/**', '**/tests/**',
+      '**/*.test.*', '**/*.spec.*', '**/*.d.ts'
+    ]
+  })).sort();
+
+  const matched = new Map(enabled.map(orm => [orm, []]));
+  for (const file of files) {
+    const stat = await fse.stat(file);
+    if (stat.size > 1024 * 1024) continue;
+
+    const content = await fse.readFile(file, 'utf-8');
+    for (const orm of enabled) {
+      if (orm.extensions.includes(extname(file)) && orm.matches(content)) {
+        matched.get(orm).push({ file, content });
+      }
+    }
+  }
+
+  const schemas = [];
+  for (const [orm, ormFiles] of matched) {
+    if (ormFiles.length === 0) continue;
+
+    const entities = mergeEntities(orm.parse(ormFiles));
+    if (entities.length === 0) continue;
+
+    const paths = ormFiles.map(({ file }) => file);
+    schemas.push({
+      type: orm.type,
+      name: orm.name,
+      source: relative(cwd, paths.length === 1 ? paths[0] : commonDirectory(paths)).replace(/\\/g, '/') || '.',
+      entities
+    });
+  }
+
+  return schemas;
+}
+
+/**
+ * Parse Drizzle `pgTable` / `mysqlTable` / `sqliteTable` definitions
+ * Entities are named after their SQL table; `relations()` declarations add relations.
+ */
+export function parseDrizzleSchema(content) {
+  const code = maskComments(content);
+  const tables = [];
+  const variables = {};
+  const enums = {};
+  let match;
+
+  // pgEnum('role', ['admin', 'user'])
+  const enumRegex = /const\s+(\w+)\s*=\s*(?:pg|mysql)Enum\s*\(\s*(['"`])\w+\2\s*,\s*\[([^\]]*)\]/g;
+  while ((match = enumRegex.exec(code)) !== null) {
+    enums[match[1]] = parseStringList(match[3]);
+  }
+
+  const tableRegex = /const\s+(\w+)\s*=\s*(?:pg|mysql|sqlite)Table\s*\(\s*(['"`])(\w+)\2\s*,/g;
+  while ((match = tableRegex.exec(code)) !== null) {
+    const [, variable, , name] = match;
+    const callStart = code.indexOf('(', match.index);
+    const callEnd = findClosing(code, callStart);
+    const columnsStart = code.indexOf('{', match.index + match[0].length);
+    if (callEnd === -1 || columnsStart === -1 || columnsStart > callEnd) continue;
+
+    const columnsEnd = findClosing(code, columnsStart);
+    const table = {
+      name,
+      description: findJSDoc(content, match.index),
+      fields: [],
+      relations: [],
+      uniqueConstraints: [],
+      columnsByKey: {}
+    };
+
+    for (const { key, value, doc } of parseObjectEntries(content.slice(columnsStart + 1, columnsEnd))) {
+      const builder = value.match(/^(?:\w+\.)?(\w+)\s*\(\s*(?:(['"`])(\w+)\2)?/);
+      if (!builder) continue;
+
+      const [, type, , columnName] = builder;
+      const field = {
+        name: columnName || key,
+        type: enums[type] ? type.replace(/Enum$/, '') : type,
+        isPrimary: /\.primaryKey\(/.test(value),
+        isUnique: /\.unique\(/.test(value),
+        isOptional: !/\.(?:notNull|primaryKey)\(/.test(value),
+        isArray: /\.array\(/.test(value),
+        default: value.match(/\.default\(\s*([^)]*?)\s*\)/)?.[1] || (/\.defaultNow\(/.test(value) ? 'now()' : /\.defaultRandom\(/.test(value) ? 'random()' : undefined),
+        enumValues: enums[type] || (/Enum$/.test(type) ? parseStringList(value.match(/\[([^\]]*)\]/)?.[1]) : undefined),
+        description: doc
+      };
+
+      const reference = value.match(/\.references\(\s*\(\)\s*(?::\s*\w+\s*)?=>\s*(\w+)\.(\w+)(?:\s*,\s*\{([^}]*)\})?/);
+      if (reference) {
+        field.references = { table: reference[1], column: reference[2], onDelete: reference[3]?.match(/onDelete:\s*['"`]([\w ]+)['"`]/)?.[1]?.toUpperCase() };
+      }
+
+      table.columnsByKey[key] = field.name;
+      table.fields.push(field);
+    }
+
+    // Third argument: primaryKey({ columns: [t.a, t.b] }), unique().on(t.a, t.b), uniqueIndex().on(t.x)
+    const extras = code.slice(columnsEnd + 1, callEnd);
+    const keyList = text => (text || '').split(',').map(item => item.trim().match(/^\w+\.(\w+)$/)?.[1]).filter(Boolean)
+      .map(key => table.columnsByKey[key] || key);
+
+    for (const pk of extras.matchAll(/primaryKey\(\s*(?:\{\s*(?:name:\s*[^,]+,\s*)?columns:\s*\[([^\]]*)\]|([^)]*))/g)) {
+      markKeys(table, keyList(pk[1] ?? pk[2]), []);
+    }
+    for (const unique of extras.matchAll(/unique(?:Index)?\([^)]*\)\s*\.on\(([^)]*)\)/g)) {
+      markKeys(table, [], [keyList(unique[1])]);
+    }
+
+    variables[variable] = table;
+    tables.push(table);
+  }
+
+  // Foreign keys point at table variables and column keys
+  for (const table of tables) {
+    for (const field of table.fields) {
+      const target = field.references && variables[field.references.table];
+      if (target) {
+        field.references.table = target.name;
+        field.references.column = target.columnsByKey[field.references.column] || field.references.column;
+      }
+    }
+  }
+
+  // relations(users, ({ one, many }) => ({ posts: many(posts), author: one(users, { ... }) }))
+  const relationsRegex = /relations\(\s*(\w+)\s*,/g;
+  while ((match = relationsRegex.exec(code)) !== null) {
+    const table = variables[match[1]];
+    const start = code.indexOf('(', match.index);
+    const end = findClosing(code, start);
+    if (!table || end === -1) continue;
+
+    for (const relation of code.slice(start, end).matchAll(/(\w+)\s*:\s*(one|many)\(\s*(\w+)/g)) {
+      const target = variables[relation[3]];
+      if (target) {
+        table.relations.push({ name: relation[1], type: target.name, cardinality: relation[2] });
+      }
+    }
+  }
+
+  tables.forEach(table => delete table.columnsByKey);
+  return linkForeignKeys(tables);
+}
+
+/**
+ * Parse Sequelize `sequelize.define(...)` and `Model.init(...)` models and their associations
+ * Adds the implicit `id` primary key, timestamps and association foreign keys Sequelize creates.
+ */
+export function parseSequelizeModels(content) {
+  const code = maskComments(content);
+  const models = [];
+  const variables = {};
+  let match;
+
+  const addModel = (variable, name, attributes, options) => {
+    const model = {
+      name,
+      tableName: options.match(/tableName:\s*(['"`])(\w+)\1/)?.[2],
+      description: undefined,
+      fields: [],
+      relations: [],
+      uniqueConstraints: []
+    };
+
+    for (const { key, value, doc } of parseObjectEntries(attributes)) {
+      const options = value.startsWith('{') ? value : `{ type: ${value} }`;
+      const type = options.match(/type:\s*(?:DataTypes|Sequelize|DataType)\.(\w+)/)?.[1] || 'UNKNOWN';
+      const isPrimary = /primaryKey:\s*true/.test(options);
+      const field = {
+        name: options.match(/field:\s*(['"`])(\w+)\1/)?.[2] || key,
+        type,
+        isPrimary,
+        isUnique: /unique:\s*(?:true|['"`])/.test(options),
+        isOptional: !isPrimary && !/allowNull:\s*false/.test(options),
+        default: options.match(/defaultValue:\s*([^,}\n]+)/)?.[1]?.trim(),
+        enumValues: type === 'ENUM' ? parseStringList(options.match(/ENUM\(([^)]*)\)/)?.[1] || options.match(/values:\s*\[([^\]]*)\]/)?.[1]) : undefined,
+        description: options.match(/comment:\s*(['"`])(.*?)\1/)?.[2] || doc
+      };
+
+      const references = options.match(/references:\s*\{([^}]*)\}/)?.[1];
+      if (references) {
+        field.references = {
+          table: references.match(/model:\s*(?:(['"`])(\w+)\1|(\w+))/)?.slice(2).find(Boolean),
+          column: references.match(/key:\s*(['"`])(\w+)\1/)?.[2] || 'id',
+          onDelete: options.match(/onDelete:\s*(['"`])([\w ]+)\1/)?.[2]?.toUpperCase()
+        };
+      }
+
+      model.fields.push(field);
+    }
+
+    if (!model.fields.some(field => field.isPrimary)) {
+      model.fields.unshift({ name: 'id', type: 'INTEGER', isPrimary: true, isUnique: false, isOptional: false });
+    }
+    if (!/timestamps:\s*false/.test(options)) {
+      for (const name of ['createdAt', 'updatedAt']) {
+        if (!model.fields.some(field => field.name === name)) {
+          model.fields.push({ name, type: 'DATE', isPrimary: false, isUnique: false, isOptional: false });
+        }
+      }
+    }
+
+    if (variable) variables[variable] = model;
+    variables[name] = variables[name] || model;
+    models.push(model);
+  };
+
+  // const User = sequelize.define('User', { ... }, { ... })
+  const defineRegex = /(?:(?:const|let|var)\s+(\w+)\s*=\s*)?\w+\.define\s*\(\s*(['"`])(\w+)\2\s*,\s*\{/g;
+  while ((match = defineRegex.exec(code)) !== null) {
+    const start = match.index + match[0].length - 1;
+    const end = findClosing(code, start);
+    if (end === -1) continue;
+    addModel(match[1], match[3], content.slice(start + 1, end), callRemainder(code, end));
+  }
+
+  // User.init({ ... }, { sequelize, modelName: 'User' })
+  const initRegex = /\b(\w+)\.init\s*\(\s*\{/g;
+  while ((match = initRegex.exec(code)) !== null) {
+    const start = match.index + match[0].length - 1;
+    const end = findClosing(code, start);
+    if (end === -1) continue;
+
+    const options = callRemainder(code, end);
+    if (!/\bsequelize\b/.test(options)) continue;
+    addModel(match[1], options.match(/modelName:\s*(['"`])(\w+)\1/)?.[2] || match[1], content.slice(start + 1, end), options);
+  }
+
+  // User.hasMany(Post), Post.belongsTo(User, { foreignKey: 'authorId' }), ...
+  const associationRegex = /\b(\w+)\.(hasMany|hasOne|belongsTo|belongsToMany)\s*\(\s*(?:\w+\.)?(\w+)\s*(?:,\s*(\{[^}]*\}?[^)]*))?\)/g;
+  while ((match = associationRegex.exec(code)) !== null) {
+    const [, sourceVar, kind, targetVar, options = ''] = match;
+    const source = variables[sourceVar];
+    const target = variables[targetVar];
+    if (!source || !target) continue;
+
+    const alias = options.match(/as:\s*(['"`])(\w+)\1/)?.[2];
+    const foreignKey = options.match(/foreignKey:\s*(?:\{\s*name:\s*)?(['"`])(\w+)\1/)?.[2];
+
+    if (kind === 'belongsTo') {
+      source.relations.push({ name: alias || lowerFirst(target.name), type: target.name, cardinality: 'one' });
+      addForeignKey(source, foreignKey || `${alias || lowerFirst(target.name)}Id`, target);
+    } else if (kind === 'belongsToMany') {
+      source.relations.push({ name: alias || `${lowerFirst(target.name)}s`, type: target.name, cardinality: 'many' });
+    } else {
+      source.relations.push({ name: alias || lowerFirst(target.name) + (kind === 'hasMany' ? 's' : ''), type: target.name, cardinality: kind === 'hasMany' ? 'many' : 'one' });
+      addForeignKey(target, foreignKey || `${lowerFirst(source.name)}Id`, source);
+    }
+  }
+
+  return linkForeignKeys(resolveTableNames(models));
+}
+
+/**
+ * Parse Mongoose `new Schema({...})` definitions registered with `model('Name', schema)`
+ * Every document gets `_id`; `ref` fields become references to other models.
+ */
+export function parseMongooseSchemas(content) {
+  const code = maskComments(content);
+  const names = {};
+  const models = [];
+  let match;
+
+  const modelRegex = /\bmodel\s*(?:<[^>]*>)?\s*\(\s*(['"`])(\w+)\1\s*,\s*(\w+)/g;
+  while ((match = modelRegex.exec(code)) !== null) {
+    names[match[3]] = match[2];
+  }
+
+  const schemaRegex = /(?:const|let|var)\s+(\w+)\s*=\s*new\s+(?:mongoose\.)?Schema\s*(?:<[^>]*>)?\s*\(\s*\{/g;
+  while ((match = schemaRegex.exec(code)) !== null) {
+    const start = match.index + match[0].length - 1;
+    const end = findClosing(code, start);
+    if (end === -1) continue;
+
+    const name = names[match[1]] || upperFirst(match[1].replace(/Schema$/, ''));
+    const model = {
+      name,
+      description: findJSDoc(content, match.index),
+      fields: [{ name: '_id', type: 'ObjectId', isPrimary: true, isUnique: false, isOptional: false }],
+      relations: [],
+      uniqueConstraints: []
+    };
+
+    for (const { key, value, doc } of parseObjectEntries(content.slice(start + 1, end))) {
+      const isArray = value.startsWith('[');
+      const inner = isArray ? value.slice(1, findClosing(value, 0)).trim() : value;
+      const isOptions = inner.startsWith('{') && /(?:^|[{,\s])type\s*:/.test(inner.slice(1, findClosing(inner, 0)).split(/[{[]/)[0] + inner);
+      const options = isOptions ? inner : '';
+      const rawType = isOptions
+        ? options.match(/type\s*:\s*\[?\s*([\w.]+)/)?.[1]
+        : inner.startsWith('{') ? 'Object' : inner.match(/^\[?\s*([\w.]+)/)?.[1];
+      const type = (rawType || 'Mixed').split('.').pop();
+      const ref = options.match(/ref\s*:\s*(['"`])(\w+)\1/)?.[2];
+
+      const field = {
+        name: key,
+        type,
+        isPrimary: false,
+        isUnique: /unique\s*:\s*true/.test(options),
+        isOptional: !/required\s*:\s*(?:true|\[\s*true)/.test(options),
+        isArray: isArray || /type\s*:\s*\[/.test(options),
+        default: options.match(/default\s*:\s*([^,}\n]+)/)?.[1]?.trim(),
+        enumValues: parseStringList(options.match(/enum\s*:\s*\[([^\]]*)\]/)?.[1]) || undefined,
+        description: doc
+      };
+      if (field.enumValues?.length === 0) field.enumValues = undefined;
+
+      if (ref) {
+        field.references = { table: ref, column: '_id' };
+        model.relations.push({ name: key, type: ref, cardinality: field.isArray ? 'many' : 'one' });
+      }
+
+      model.fields.push(field);
+    }
+
+    if (/timestamps\s*:\s*true/.test(callRemainder(code, end))) {
+      model.fields.push(
+        { name: 'createdAt', type: 'Date', isPrimary: false, isUnique: false, isOptional: false },
+        { name: 'updatedAt', type: 'Date', isPrimary: false, isUnique: false, isOptional: false }
+      );
+    }
+
+    models.push(model);
+  }
+
+  return models;
+}
+
+/**
+ * Parse SQLAlchemy declarative models (Column / mapped_column, Flask-SQLAlchemy `db.` prefixes)
+ * Entities are named by class; ForeignKey("table.column") targets are mapped back to classes.
+ */
+export function parseSQLAlchemyModels(content) {
+  const models = [];
+
+  for (const cls of parsePythonClasses(content)) {
+    const statements = cls.statements;
+    if (statements.some(s => /^__abstract__\s*=\s*True/.test(s))) continue;
+    if (!statements.some(s => /\b(?:Column|mapped_column)\s*\(|:\s*Mapped\[/.test(s))) continue;
+
+    const model = {
+      name: cls.name,
+      tableName: unquote(statements.map(s => s.match(/^__tablename__\s*=\s*(.+)$/)?.[1]).find(Boolean)) || snakeCase(cls.name),
+      description: cls.doc,
+      fields: [],
+      relations: [],
+      uniqueConstraints: [],
+      pendingRelations: []
+    };
+
+    for (const statement of statements) {
+      const assignment = statement.match(/^(\w+)\s*(?::\s*(.+?))?\s*(?:=\s*(.+))?$/s);
+      if (!assignment || assignment[1].startsWith('__')) continue;
+
+      const [, name, annotation, value = ''] = assignment;
+      const mapped = annotation?.match(/^(?:\w+\.)?Mapped\[(.+)\]$/s)?.[1];
+      const call = value.match(/^(?:\w+\.)?(Column|mapped_column|relationship)\s*\(/);
+
+      if (call?.[1] === 'relationship' || (mapped && !call && /^(?:List|list|Set|set)\[/.test(mapped))) {
+        const args = call ? parseCallArgs(value.slice(value.indexOf('(') + 1, findClosing(value, value.indexOf('(')))) : { positional: [], keywords: {} };
+        const collection = mapped?.match(/^(?:typing\.)?(?:List|list|Set|set)\[\s*['"]?(\w+)['"]?\s*\]$/);
+        const target = unquote(args.positional[0]) || collection?.[1] || mapped?.replace(/^Optional\[(.*)\]$/, '$1').replace(/['"]/g, '').replace(/\s*\|\s*None$/, '').trim();
+        if (!target) continue;
+
+        model.pendingRelations.push({
+          name,
+          type: target,
+          cardinality: collection || args.keywords.secondary ? 'many' : mapped ? 'one' : args.keywords.uselist === 'False' ? 'one' : undefined
+        });
+        continue;
+      }
+
+      if (!call && !mapped) continue;
+
+      const args = call ? parseCallArgs(value.slice(value.indexOf('(') + 1, findClosing(value, value.indexOf('(')))) : { positional: [], keywords: {} };
+      const positional = [...args.positional];
+      const columnName = /^['"]/.test(positional[0] || '') ? unquote(positional.shift()) : name;
+      const foreignKey = positional.find(arg => /^(?:\w+\.)?ForeignKey\(/.test(arg));
+      const typeArg = positional.find(arg => arg !== foreignKey && /^(?:\w+\.)?[A-Z]\w*/.test(arg));
+      const optionalAnnotation = mapped && /^Optional\[|\|\s*None\b|\bNone\s*\|/.test(mapped);
+      const isPrimary = args.keywords.primary_key === 'True';
+
+      const field = {
+        name: columnName,
+        type: typeArg?.match(/^(?:\w+\.)?(\w+)/)[1] || mapped?.replace(/^Optional\[(.*)\]$/, '$1').replace(/\s*\|\s*None$/, '').trim() || 'Unknown',
+        rawType: typeArg?.replace(/^\w+\.(?=[A-Z])/, ''),
+        isPrimary,
+        isUnique: args.keywords.unique === 'True',
+        isOptional: isPrimary ? false
+          : args.keywords.nullable ? args.keywords.nullable === 'True'
+            : call?.[1] === 'mapped_column' || (mapped && !call) ? Boolean(optionalAnnotation) : true,
+        default: args.keywords.default || args.keywords.server_default,
+        description: unquote(args.keywords.comment || args.keywords.doc)
+      };
+
+      if (foreignKey) {
+        const fkArgs = parseCallArgs(foreignKey.slice(foreignKey.indexOf('(') + 1, findClosing(foreignKey, foreignKey.indexOf('('))));
+        const [table, column] = (unquote(fkArgs.positional[0]) || '').split('.').slice(-2);
+        field.references = { table, column: column || 'id', onDelete: unquote(fkArgs.keywords.ondelete)?.toUpperCase() };
+      }
+
+      model.fields.push(field);
+    }
+
+    // __table_args__ = (PrimaryKeyConstraint('a', 'b'), UniqueConstraint('a', 'b'))
+    const tableArgs = statements.find(s => s.startsWith('__table_args__')) || '';
+    for (const pk of tableArgs.matchAll(/PrimaryKeyConstraint\(([^)]*)\)/g)) {
+      markKeys(model, parseStringList(pk[1]), []);
+    }
+    for (const unique of tableArgs.matchAll(/UniqueConstraint\(([^)]*)\)/g)) {
+      markKeys(model, [], [parseStringList(unique[1])]);
+    }
+
+    models.push(model);
+  }
+
+  // Relationship direction: the side holding the foreign key is the "one" side
+  const byTable = Object.fromEntries(models.map(model => [model.tableName, model]));
+  for (const model of models) {
+    for (const relation of model.pendingRelations) {
+      const target = models.find(m => m.name === relation.type);
+      const holdsKey = target && model.fields.some(field => field.references?.table === target.tableName);
+      model.relations.push({ ...relation, cardinality: relation.cardinality || (holdsKey ? 'one' : 'many') });
+    }
+    delete model.pendingRelations;
+
+    for (const field of model.fields) {
+      if (field.references && byTable[field.references.table]) {
+        field.references.table = byTable[field.references.table].name;
+      }
+    }
+  }
+
+  models.forEach(model => delete model.tableName);
+  return linkForeignKeys(models);
+}
+
+/**
+ * Parse Django `models.Model` classes
+ * Adds the implicit `id` key; ForeignKey/OneToOneField become `<name>_id` columns,
+ * ManyToManyField a many relation. Abstract models contribute fields to subclasses.
+ */
+export function parseDjangoModels(content) {
+  const classes = parsePythonClasses(content);
+  const byName = Object.fromEntries(classes.map(cls => [cls.name, cls]));
+  const isModel = (cls, seen = new Set()) => !seen.has(cls.name) && cls.bases.some(base =>
+    /^(?:models\.)?Model$/.test(base) || (byName[base] && isModel(byName[base], new Set([...seen, cls.name]))));
+  const isAbstract = cls => (cls.meta || []).some(s => /^abstract\s*=\s*True/.test(s));
+  const models = [];
+
+  const fieldsOf = (cls, model) => {
+    // Abstract parents contribute their fields
+    for (const base of cls.bases) {
+      if (byName[base] && isAbstract(byName[base])) fieldsOf(byName[base], model);
+    }
+
+    for (const statement of cls.statements) {
+      const match = statement.match(/^(\w+)\s*=\s*(?:models\.)?(\w+)\s*\(/);
+      if (!match || !/(?:Field|ForeignKey)$/.test(match[2])) continue;
+
+      const [, name, kind] = match;
+      const open = statement.indexOf('(', match[0].length - 1);
+      const args = parseCallArgs(statement.slice(open + 1, findClosing(statement, open)));
+      const description = unquote(args.keywords.help_text?.replace(/^_\(|\)$/g, '')) || unquote(args.keywords.verbose_name?.replace(/^_\(|\)$/g, ''));
+
+      if (['ForeignKey', 'OneToOneField', 'ManyToManyField'].includes(kind)) {
+        const rawTarget = unquote(args.keywords.to || args.positional[0]) || '';
+        const target = rawTarget === 'self' ? cls.name : rawTarget.split('.').pop();
+
+        if (kind === 'ManyToManyField') {
+          model.relations.push({ name, type: target, cardinality: 'many' });
+          continue;
+        }
+
+        model.fields.push({
+          name: unquote(args.keywords.db_column) || `${name}_id`,
+          type: kind,
+          isPrimary: args.keywords.primary_key === 'True',
+          isUnique: kind === 'OneToOneField' || args.keywords.unique === 'True',
+          isOptional: args.keywords.null === 'True',
+          description,
+          references: { table: target, column: unquote(args.keywords.to_field) || 'id', onDelete: (args.keywords.on_delete || args.positional[1])?.split('.').pop() }
+        });
+        model.relations.push({ name, type: target, cardinality: 'one' });
+        continue;
+      }
+
+      model.fields.push({
+        name: unquote(args.keywords.db_column) || name,
+        type: kind,
+        isPrimary: args.keywords.primary_key === 'True',
+        isUnique: args.keywords.unique === 'True',
+        isOptional: args.keywords.null === 'True',
+        default: args.keywords.default,
+        enumValues: undefined,
+        description
+      });
+    }
+  };
+
+  for (const cls of classes) {
+    if (!isModel(cls) || isAbstract(cls)) continue;
+
+    const model = { name: cls.name, description: cls.doc, fields: [], relations: [], uniqueConstraints: [] };
+    fieldsOf(cls, model);
+
+    if (!model.fields.some(field => field.isPrimary)) {
+      model.fields.unshift({ name: 'id', type: 'AutoField', isPrimary: true, isUnique: false, isOptional: false });
+    }
+
+    // Meta: unique_together and UniqueConstraint(fields=[...]) name fields, not columns
+    const columns = names => names.map(name => model.relations.some(r => r.name === name && r.cardinality === 'one') ? `${name}_id` : name);
+    for (const statement of cls.meta || []) {
+      const together = statement.match(/^unique_together\s*=\s*(.+)$/s)?.[1];
+      if (together) {
+        const groups = [...together.matchAll(/[([]\s*((?:['"]\w+['"]\s*,?\s*)+)[)\]]/g)].map(group => columns(parseStringList(group[1])));
+        markKeys(model, [], groups.length ? groups : [columns(parseStringList(together))]);
+      }
+      for (const constraint of statement.matchAll(/UniqueConstraint\(\s*fields\s*=\s*[[(]([^\])]*)[\])]/g)) {
+        markKeys(model, [], [columns(parseStringList(constraint[1]))]);
+      }
+    }
+
+    models.push(model);
+  }
+
+  return models;
+}
+
+/**
+ * Parse EF Core entities: classes exposed as `DbSet<T>` (or configured with
+ * `Entity<T>()`) on a DbContext, including properties inherited from base classes
+ */
+export function parseEFCoreModels(content) {
+  const code = maskComments(content);
+  const classes = {};
+  const classRegex = /((?:\s*\[[^\]]*\]\s*)*)(?:public|internal)\s+(?:(?:partial|sealed|abstract)\s+)*class\s+(\w+)(?:<[^>]*>)?(?:\s*:\s*([^{]+?))?\s*\{/g;
+  let match;
+
+  while ((match = classRegex.exec(code)) !== null) {
+    const start = match.index + match[0].length - 1;
+    const end = findClosing(code, start);
+    if (end === -1) continue;
+
+    const cls = {
+      name: match[2],
+      doc: xmlSummary(xmlDocBefore(content, match.index + match[0].search(/\S/))),
+      attributes: match[1],
+      bases: (match[3] || '').split(',').map(base => base.trim().replace(/<.*$/, '')).filter(Boolean),
+      source: content.slice(start + 1, end),
+      body: code.slice(start + 1, end)
+    };
+
+    // Partial classes: combine the declarations
+    const existing = classes[cls.name];
+    if (existing) {
+      existing.doc = existing.doc || cls.doc;
+      existing.attributes += cls.attributes;
+      existing.bases = existing.bases.length ? existing.bases : cls.bases;
+      existing.source += `\n${cls.source}`;
+      existing.body += `\n${cls.body}`;
+    } else {
+      classes[cls.name] = cls;
+    }
+  }
+
+  // Entities are the DbSet<T> / Entity<T>() types of DbContext classes
+  const entityNames = new Set();
+  const fluent = [];
+  for (const cls of Object.values(classes)) {
+    if (!cls.bases.some(base => /DbContext$/.test(base))) continue;
+
+    for (const set of cls.body.matchAll(/DbSet<(\w+)>/g)) entityNames.add(set[1]);
+    for (const entity of cls.body.matchAll(/Entity<(\w+)>\s*\(\s*\)/g)) entityNames.add(entity[1]);
+    fluent.push(cls.body);
+  }
+
+  const entities = [];
+  for (const name of entityNames) {
+    const cls = classes[name];
+    if (!cls) continue;
+
+    // Own properties after inherited ones (BaseEntity { Id, CreatedAt } is common)
+    const chain = [];
+    for (let current = cls; current && !chain.includes(current); current = classes[current.bases[0]]) {
+      chain.unshift(current);
+    }
+
+    const entity = { name, description: cls.doc, fields: [], relations: [], uniqueConstraints: [] };
+    const foreignKeys = [];
+
+    for (const current of chain) {
+      const propertyRegex = /((?:\s*\[[^\]]*\]\s*)*)(?:public|internal|protected)\s+(?:(?:virtual|required|override|new)\s+)*([\w.<>,[\]? ]+?)\s+(\w+)\s*\{\s*get;/g;
+      let property;
+
+      while ((property = propertyRegex.exec(current.body)) !== null) {
+        const [, attributes, rawType, propertyName] = property;
+        const doc = xmlDocBefore(current.source, property.index + property[0].search(/\S/));
+        const type = rawType.replace(/\s+/g, '');
+        const collection = type.match(/^(?:ICollection|IList|List|IEnumerable|HashSet|ISet|IReadOnlyCollection|IReadOnlyList)<(\w+)>$/);
+        const target = collection?.[1] || type.replace(/\?$/, '');
+
+        if (entityNames.has(target)) {
+          entity.relations.push({ name: propertyName, type: target, cardinality: collection ? 'many' : 'one' });
+          const foreignKey = attributes.match(/\[ForeignKey\(\s*(?:nameof\((\w+)\)|"(\w+)")\s*\)\]/);
+          if (foreignKey && !collection) foreignKeys.push({ property: foreignKey[1] || foreignKey[2], target });
+          continue;
+        }
+
+        const foreignKey = attributes.match(/\[ForeignKey\(\s*(?:nameof\((\w+)\)|"(\w+)")\s*\)\]/);
+        if (foreignKey) foreignKeys.push({ property: propertyName, navigation: foreignKey[1] || foreignKey[2] });
+
+        entity.fields = entity.fields.filter(field => field.name !== propertyName);
+        entity.fields.push({
+          name: propertyName,
+          type: type.replace(/\?$/, ''),
+          isPrimary: /\[Key\]/.test(attributes),
+          isUnique: false,
+          isOptional: type.endsWith('?') && !/\[Required\]/.test(attributes),
+          isArray: /\[\]$/.test(type.replace(/\?$/, '')) && type !== 'byte[]',
+          description: xmlSummary(doc)
+        });
+      }
+    }
+
+    // Conventions: Id / <Entity>Id is the key; <Navigation>Id is its foreign key
+    if (!entity.fields.some(field => field.isPrimary)) {
+      const key = entity.fields.find(field => field.name === 'Id') || entity.fields.find(field => field.name.toLowerCase() === `${name.toLowerCase()}id`);
+      if (key) key.isPrimary = true;
+    }
+
+    for (const relation of entity.relations.filter(r => r.cardinality === 'one')) {
+      const explicit = foreignKeys.find(fk => fk.navigation === relation.name || (fk.target === relation.type && fk.property));
+      const field = entity.fields.find(f => f.name === (explicit?.property || `${relation.name}Id`))
+        || entity.fields.find(f => f.name === `${relation.type}Id`);
+      if (field) field.references = { table: relation.type };
+    }
+
+    // [PrimaryKey(nameof(A), nameof(B))] and [Index(nameof(Email), IsUnique = true)]
+    const keyNames = text => [...text.matchAll(/nameof\((\w+)\)|"(\w+)"/g)].map(key => key[1] || key[2]);
+    for (const pk of cls.attributes.matchAll(/\[PrimaryKey\(([^\]]*)\)\]/g)) markKeys(entity, keyNames(pk[1]), []);
+    for (const index of cls.attributes.matchAll(/\[Index\(([^\]]*IsUnique\s*=\s*true[^\]]*)\)\]/g)) {
+      markKeys(entity, [], [keyNames(index[1].replace(/,?\s*(?:IsUnique|Name)\s*=.*$/, ''))]);
+    }
+
+    entities.push(entity);
+  }
+
+  // Fluent API: Entity<T>().HasKey(x => new { x.A, x.B }) / HasIndex(x => x.Email).IsUnique()
+  const memberNames = text => [...text.matchAll(/\w+\.(\w+)/g)].map(member => member[1]);
+  for (const body of fluent) {
+    for (const key of body.matchAll(/Entity<(\w+)>\s*\(\s*\)\s*\.HasKey\(\s*\w+\s*=>\s*(new\s*\{[^}]*\}|\w+\.\w+)\s*\)/g)) {
+      const entity = entities.find(e => e.name === key[1]);
+      if (entity) markKeys(entity, memberNames(key[2]), []);
+    }
+    for (const index of body.matchAll(/Entity<(\w+)>\s*\(\s*\)\s*\.HasIndex\(\s*\w+\s*=>\s*(new\s*\{[^}]*\}|\w+\.\w+)\s*\)\s*\.IsUnique\(/g)) {
+      const entity = entities.find(e => e.name === index[1]);
+      if (entity) markKeys(entity, [], [memberNames(index[2])]);
+    }
+  }
+
+  // Foreign keys point at the target's key (Blog.BlogId, not a fixed Id)
+  for (const field of entities.flatMap(entity => entity.fields).filter(f => f.references)) {
+    const target = entities.find(e => e.name === field.references.table);
+    field.references.column = target?.fields.find(f => f.isPrimary)?.name || 'Id';
+  }
+
+  return entities;
+}
+
+/**
+ * Point references at entity names (ORMs often reference SQL table names) and
+ * add a relation for each foreign key that no declared relation already covers
+ */
+function linkForeignKeys(entities) {
+  for (const entity of entities) {
+    for (const field of entity.fields) {
+      if (!field.references) continue;
+
+      const target = entities.find(e => e.name === field.references.table);
+      const covered = entity.relations.some(r => r.type === field.references.table && r.cardinality === 'one');
+      if (target && !covered) {
+        entity.relations.push({ name: field.name, type: target.name, cardinality: 'one' });
+      }
+    }
+  }
+
+  return entities;
+}
+
+/**
+ * Rewrite references by table name (Sequelize `references.model`) to model names
+ */
+function resolveTableNames(models) {
+  for (const model of models) {
+    for (const field of model.fields) {
+      const target = field.references && models.find(m => m.tableName === field.references.table || m.name === field.references.table);
+      if (target) field.references.table = target.name;
+    }
+  }
+
+  models.forEach(model => delete model.tableName);
+  return models;
+}
+
+/**
+ * Add (or mark) the foreign key column an association creates
+ */
+function addForeignKey(model, name, target) {
+  let field = model.fields.find(f => f.name === name);
+  if (!field) {
+    field = { name, type: 'INTEGER', isPrimary: false, isUnique: false, isOptional: true };
+    model.fields.push(field);
+  }
+  field.references = field.references || { table: target.name, column: 'id' };
+}
+
+/**
+ * Mark primary key fields and unique constraints (multi-column ones go to uniqueConstraints)
+ */
+function markKeys(entity, primaryKey, uniqueConstraints) {
+  for (const key of primaryKey) {
+    const field = entity.fields.find(f => f.name === key);
+    if (field) {
+      field.isPrimary = true;
+      field.isOptional = false;
+    }
+  }
+
+  for (const keys of uniqueConstraints.filter(group => group.length > 0)) {
+    if (keys.length === 1) {
+      const field = entity.fields.find(f => f.name === keys[0]);
+      if (field) field.isUnique = true;
+    } else {
+      entity.uniqueConstraints.push(keys);
+    }
+  }
+}
+
+/**
+ * Python classes with their bases, docstring, top-level body statements and Meta statements
+ * Statements spanning several lines (open brackets, backslashes) are joined.
+ */
+function parsePythonClasses(content) {
+  const lines = content.split('\n');
+  const code = maskPythonComments(content).split('\n');
+  const classes = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const header = code[i].match(/^(\s*)class\s+(\w+)\s*(?:\(([^)]*)\))?\s*:/);
+    if (!header) continue;
+
+    const indent = header[1].length;
+    const body = [];
+    let j = i + 1;
+    for (; j < lines.length; j++) {
+      const line = lines[j];
+      if (line.trim() && line.search(/\S/) <= indent) break;
+      body.push(line);
+    }
+
+    const statements = joinPythonStatements(body);
+    const bodyIndent = Math.min(...statements.map(s => s.indent));
+    const top = statements.filter(s => s.indent === bodyIndent);
+    const docMatch = top[0]?.text.match(/^[rRuU]?("""|'''|"|')([\s\S]*?)\1$/);
+
+    // Nested Meta options (Django)
+    const metaIndex = top.findIndex(s => /^class\s+Meta\b/.test(s.text));
+    const meta = metaIndex === -1 ? [] : statements
+      .slice(statements.indexOf(top[metaIndex]) + 1, metaIndex + 1 < top.length ? statements.indexOf(top[metaIndex + 1]) : undefined)
+      .map(s => s.text);
+
+    classes.push({
+      name: header[2],
+      bases: (header[3] || '').split(',').map(base => base.trim()).filter(Boolean),
+      doc: docMatch ? docMatch[2].replace(/\s+/g, ' ').trim() || undefined : undefined,
+      statements: top.map(s => s.text),
+      meta
+    });
+  }
+
+  return classes;
+}
+
+/**
+ * Copy of Python source with `#` comments and the contents of triple-quoted strings
+ * blanked, so commented-out or documented classes are not read as models
+ */
+function maskPythonComments(text) {
+  let masked = '';
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const triple = text.slice(i, i + 3);
+
+    if (quote) {
+      if (char === '\\') {
+        masked += quote.length === 3 ? (text[i + 1] === '\n' ? ' \n' : '  ') : text.slice(i, i + 2);
+        i++;
+      } else if (text.startsWith(quote, i)) {
+        masked += quote;
+        i += quote.length - 1;
+        quote = null;
+      } else {
+        masked += quote.length === 3 && char !== '\n' ? ' ' : char;
+      }
+    } else if (triple === '"""' || triple === "'''") {
+      quote = triple;
+      masked += triple;
+      i += 2;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      masked += char;
+    } else if (char === '#') {
+      const end = text.indexOf('\n', i);
+      const stop = end === -1 ? text.length : end;
+      masked += ' '.repeat(stop - i);
+      i = stop - 1;
+    } else {
+      masked += char;
+    }
+  }
+
+  return masked;
+}
+
+/**
+ * Join physical Python lines into logical statements: [{ indent, text }]
+ */
+function joinPythonStatements(lines) {
+  const statements = [];
+  let current = null;
+  let depth = 0;
+  let triple = null;
+
+  for (const line of lines) {
+    if (!current) {
+      const stripped = line.replace(/#.*$/, '');
+      if (!stripped.trim() && !triple) continue;
+      current = { indent: line.search(/\S/), text: '' };
+    }
+
+    current.text += (current.text ? '\n' : '') + line.trim();
+
+    // Track brackets and triple-quoted strings outside of simple strings and comments
+    const code = line.replace(/'''|"""/g, quote => `\u0000${quote[0]}`);
+    for (let k = 0; k < code.length; k++) {
+      const char = code[k];
+      if (triple) {
+        if (char === '\u0000' && code[k + 1] === triple) { triple = null; k++; }
+        continue;
+      }
+      if (char === '\u0000') { triple = code[k + 1]; k++; continue; }
+      if (char === '#') break;
+      if (char === '"' || char === "'") {
+        const close = code.indexOf(char, k + 1);
+        k = close === -1 ? code.length : close;
+        continue;
+      }
+      if ('([{'.includes(char)) depth++;
+      if (')]}'.includes(char)) depth--;
+    }
+
+    if (!triple && depth <= 0 && !line.trimEnd().endsWith('\\')) {
+      current.text = current.text.replace(/\s+#[^'"\n]*$/, '');
+      statements.push(current);
+      current = null;
+      depth = 0;
+    }
+  }
+
+  if (current) statements.push(current);
+  return statements;
+}
+
+/**
+ * Split call arguments into positional values and keyword values (as source text)
+ */
+function parseCallArgs(text) {
+  const positional = [];
+  const keywords = {};
+
+  for (const part of splitTopLevel(text)) {
+    const keyword = part.match(/^(\w+)\s*=(?!=)\s*([\s\S]+)$/);
+    if (keyword) keywords[keyword[1]] = keyword[2].trim();
+    else positional.push(part);
+  }
+
+  return { positional, keywords };
+}
+
+/**
+ * Top-level `key: value` entries of a JavaScript object literal body
+ * Each entry carries the JSDoc or `//` comment written above it.
+ */
+function parseObjectEntries(body) {
+  const entries = [];
+
+  for (const part of splitTopLevel(body, { keepComments: true })) {
+    const doc = part.match(/^(?:\/\*\*([\s\S]*?)\*\/|((?:\s*\/\/.*\n)+))/);
+    const text = part.replace(/^(?:\s*(?:\/\*[\s\S]*?\*\/|\/\/.*\n))*/, '').trim();
+    const entry = text.match(/^(?:(['"`])(\w+)\1|(\w+))\s*:\s*([\s\S]+)$/);
+    if (!entry) continue;
+
+    const comment = doc?.[1]
+      ? doc[1].split('\n').map(line => line.replace(/^\s*\*\s?/, '').trim()).filter(line => line && !line.startsWith('@')).join(' ')
+      : doc?.[2]?.split('\n').map(line => line.replace(/^\s*\/\/\s?/, '').trim()).filter(Boolean).join(' ');
+
+    entries.push({ key: entry[2] || entry[3], value: entry[4].trim(), doc: comment || undefined });
+  }
+
+  return entries;
+}
+
+/**
+ * Split text at top-level commas, ignoring brackets, strings and comments
+ */
+function splitTopLevel(text, options = {}) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if (text.startsWith('//', i)) {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? text.length : end;
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+
+  return parts
+    .map(part => options.keepComments ? part.replace(/^[ \t]*\n/, '') : part.replace(/\/\/.*$/gm, '').replace(/\/\*[\s\S]*?\*\//g, '').trim())
+    .filter(part => part.trim());
+}
+
+/**
+ * Index of the bracket closing the one at `start`, skipping strings and comments
+ */
+function findClosing(text, start) {
+  const open = text[start];
+  const close = { '(': ')', '[': ']', '{': '}' }[open];
+  let depth = 0;
+  let quote = null;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if (text.startsWith('//', i)) {
+      const end = text.indexOf('\n', i);
+      if (end === -1) return -1;
+      i = end;
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      if (end === -1) return -1;
+      i = end + 1;
+    } else if (char === open) {
+      depth++;
+    } else if (char === close) {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Text of the remaining arguments of a call, from just after `end` to its closing parenthesis
+ */
+function callRemainder(content, end) {
+  const rest = content.slice(end + 1);
+  let depth = 1;
+
+  for (let i = 0; i < rest.length; i++) {
+    if ('([{'.includes(rest[i])) depth++;
+    if (')]}'.includes(rest[i])) depth--;
+    if (depth === 0) return rest.slice(0, i);
+  }
+
+  return rest;
+}
+
+/**
+ * JSDoc block directly above `index`
+ */
+function findJSDoc(content, index) {
+  const before = content.slice(0, index).replace(/\s*(?:export\s+)?$/, '');
+  if (!before.endsWith('*/')) return undefined;
+
+  const start = before.lastIndexOf('/**');
+  if (start === -1) return undefined;
+
+  return before.slice(start + 3, -2)
+    .split('\n')
+    .map(line => line.replace(/^\s*\*\s?/, '').trim())
+    .filter(line => line && !line.startsWith('@'))
+    .join(' ') || undefined;
+}
+
+/**
+ * Copy of JavaScript / C# source with every comment blanked out
+ * Offsets and line breaks are kept, so matches in the copy index into the original,
+ * which still holds the doc comments used for descriptions.
+ */
+function maskComments(text) {
+  let masked = '';
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote) {
+      if (char === '\\') {
+        masked += text.slice(i, i + 2);
+        i++;
+        continue;
+      }
+      if (char === quote) quote = null;
+      masked += char;
+    } else if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+      masked += char;
+    } else if (text.startsWith('//', i) || text.startsWith('/*', i)) {
+      const end = char === '/' && text[i + 1] === '/'
+        ? (text.indexOf('\n', i) === -1 ? text.length : text.indexOf('\n', i))
+        : (text.indexOf('*/', i + 2) === -1 ? text.length : text.indexOf('*/', i + 2) + 2);
+      masked += text.slice(i, end).replace(/[^\n]/g, ' ');
+      i = end - 1;
+    } else if (char === '/' && /(?:^|[(,=:[!&|?{};])\s*$/.test(masked.slice(-80))) {
+      // Regex literal: its quotes and slashes are not strings or comments
+      let end = i + 1;
+      for (let inClass = false; end < text.length && text[end] !== '\n'; end++) {
+        if (text[end] === '\\') end++;
+        else if (text[end] === '[') inClass = true;
+        else if (text[end] === ']') inClass = false;
+        else if (text[end] === '/' && !inClass) break;
+      }
+      masked += text.slice(i, end + 1);
+      i = end;
+    } else {
+      masked += char;
+    }
+  }
+
+  return masked;
+}
+
+/**
+ * C# `///` lines directly above `index`
+ */
+function xmlDocBefore(text, index) {
+  return text.slice(0, index).match(/((?:[ \t]*\/\/\/.*\n)*)[ \t]*$/)?.[1] || undefined;
+}
+
+/**
+ * Merge entities declared more than once (partial classes, a model split across
+ * files): fields, relations and constraints are combined, the first declaration wins
+ */
+function mergeEntities(entities) {
+  const merged = new Map();
+
+  for (const entity of entities) {
+    const existing = merged.get(entity.name);
+    if (!existing) {
+      merged.set(entity.name, entity);
+      continue;
+    }
+
+    existing.description = existing.description || entity.description;
+    for (const field of entity.fields) {
+      if (!existing.fields.some(f => f.name === field.name)) existing.fields.push(field);
+    }
+    for (const relation of entity.relations) {
+      if (!existing.relations.some(r => r.name === relation.name && r.type === relation.type)) existing.relations.push(relation);
+    }
+    for (const keys of entity.uniqueConstraints || []) {
+      if (!existing.uniqueConstraints.some(other => other.join() === keys.join())) existing.uniqueConstraints.push(keys);
+    }
+  }
+
+  return [...merged.values()];
+}
+
+/**
+ * Text of a C# `/// <summary>` block
+ */
+function xmlSummary(doc) {
+  if (!doc) return undefined;
+
+  const text = doc.split('\n').map(line => line.replace(/^\s*\/\/\/\s?/, '')).join(' ');
+  const summary = text.match(/<summary>([\s\S]*?)<\/summary>/)?.[1] ?? text;
+  return summary.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim() || undefined;
+}
+
+/**
+ * Quoted strings in a list: "'a', 'b'" -> ['a', 'b']
+ */
+function parseStringList(text) {
+  if (!text) return undefined;
+  return [...text.matchAll(/(['"`])((?:(?!\1).)*)\1/g)].map(match => match[2]);
+}
+
+function unquote(value) {
+  if (!value) return undefined;
+  return value.trim().replace(/^[rRuUbBfF]?(['"`])([\s\S]*)\1$/, '$2');
+}
+
+function lowerFirst(text) {
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+function upperFirst(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * "OrderItem" -> "order_item" (Flask-SQLAlchemy's default table name)
+ */
+function snakeCase(text) {
+  return text.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
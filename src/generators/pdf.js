@@ -9,6 +9,9 @@ import fse from 'fs-extra';
 import { join, basename, dirname, relative } from 'path';
 import { marked } from 'marked';
 import puppeteer from 'puppeteer';
+import { parseFrontmatter } from '../cli/utils/frontmatter.js';
+import { anchor } from '../cli/utils/markdown.js';
+import { embedMermaidDiagrams } from './diagram-images.js';
 
 /**
  * Generate PDF from markdown files
@@ -20,8 +23,10 @@ import puppeteer from 'puppeteer';
  * @param {boolean} options.includeCover - Include cover page
  * @param {string} options.customHeader - Custom header text
  * @param {string} options.customFooter - Custom footer text
+ * @param {boolean} options.renderDiagrams - Render Mermaid blocks to SVG (default: diagrams.mermaid.enabled)
  * @param {Object} options.config - DocFlow configuration
  * @param {string} options.cwd - Current working directory
+ * @returns {Promise<object>} Result with the diagram count (diagramError when rendering failed)
  */
 export async function generatePDF(options) {
   const {
@@ -35,6 +40,7 @@ export async function generatePDF(options) {
     config,
     cwd
   } = options;
+  const renderDiagrams = options.renderDiagrams ?? config?.diagrams?.mermaid?.enabled !== false;
 
   // Load and parse markdown files
   const documents = await loadDocuments(inputFiles, cwd);
@@ -42,6 +48,18 @@ export async function generatePDF(options) {
   // Apply template filtering
   const filteredDocs = applyTemplate(documents, template);
 
+  // Replace Mermaid code blocks with diagrams rendered offline; as in the HTML export,
+  // a failed render leaves them as code blocks instead of failing the export
+  let diagrams = 0;
+  let diagramError = null;
+  if (renderDiagrams) {
+    try {
+      diagrams = await embedMermaidDiagrams(filteredDocs, config);
+    } catch (error) {
+      diagramError = error.message;
+    }
+  }
+
   // Build HTML content
   const htmlContent = await buildHTML({
     documents: filteredDocs,
@@ -55,21 +73,24 @@ export async function generatePDF(options) {
 
   // Generate PDF using Puppeteer
   await renderPDF(htmlContent, outputPath);
+
+  return { diagrams, diagramError };
 }
 
 /**
  * Load and parse markdown documents
+ * Shared by the PDF, DOCX and HTML exporters
  */
-async function loadDocuments(filePaths, cwd) {
+export async function loadDocuments(filePaths, cwd) {
   const documents = [];
 
   for (const filePath of filePaths) {
-    const content = await fse.readFile(filePath, 'utf-8');
+    const { data: frontmatter, body: content } = parseFrontmatter(await fse.readFile(filePath, 'utf-8'));
     const relativePath = relative(cwd, filePath);
 
-    // Extract title from first heading or filename
+    // Extract title from first heading, frontmatter or filename
     const titleMatch = content.match(/^#\s+(.+)$/m);
-    const title = titleMatch ? titleMatch[1] : basename(filePath, '.md');
+    const title = titleMatch?.[1] || (frontmatter.title ? String(frontmatter.title) : basename(filePath, '.md'));
 
     // Parse markdown to HTML
     const html = marked.parse(content, {
@@ -83,6 +104,7 @@ async function loadDocuments(filePaths, cwd) {
       path: filePath,
       relativePath,
       title,
+      frontmatter,
       content,
       html,
       headings: extractHeadings(content)
@@ -107,7 +129,7 @@ function extractHeadings(markdown) {
     if (match) {
       const level = match[1].length;
       const text = match[2].trim();
-      const id = text.toLowerCase().replace(/[^\w\s-]/g, '').replace(/\s+/g, '-');
+      const id = anchor(text);
 
       headings.push({ level, text, id });
     }
@@ -119,7 +141,7 @@ function extractHeadings(markdown) {
 /**
  * Apply template filtering to documents
  */
-function applyTemplate(documents, template) {
+export function applyTemplate(documents, template) {
   switch (template) {
     case 'executive':
       // Include only high-level docs
@@ -188,8 +210,13 @@ async function buildHTML(options) {
 
 /**
  * Build HTML header with styles
+ * @param {Object} config - DocFlow configuration (branding colours, project name)
+ * @param {Object} options - Header options
+ * @param {string} options.title - Page title (defaults to project name)
+ * @param {string} options.styles - Extra CSS appended after the base styles
+ * @param {string} options.head - Extra markup inserted before </head>
  */
-function buildHTMLHeader(config) {
+export function buildHTMLHeader(config, options = {}) {
   const primaryColor = config?.branding?.primary || '#072151';
   const secondaryColor = config?.branding?.secondary || '#2978c7';
   const accentColor = config?.branding?.accent || '#14b8a6';
@@ -199,7 +226,7 @@ function buildHTMLHeader(config) {
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${config?.project?.name || 'Documentation'}</title>
+  <title>${options.title || config?.project?.name || 'Documentation'}</title>
   <style>
     * {
       box-sizing: border-box;
@@ -430,6 +457,17 @@ function buildHTMLHeader(config) {
       page-break-inside: avoid;
     }
 
+    figure.diagram {
+      margin: 1em 0;
+      text-align: center;
+      page-break-inside: avoid;
+    }
+
+    figure.diagram svg {
+      max-width: 100%;
+      height: auto;
+    }
+
     a {
       color: ${secondaryColor};
       text-decoration: none;
@@ -449,38 +487,52 @@ function buildHTMLHeader(config) {
       font-size: 9pt;
       color: #6b7280;
     }
-  </style>
+  </style>${options.styles ? `
+  <style>${options.styles}</style>` : ''}${options.head || ''}
 </head>
 <body>`;
 }
 
 /**
- * Build cover page
+ * Get cover page details for a report template
+ * Shared by the PDF and DOCX exporters so both covers carry the same text
  */
-function buildCoverPage(config, template) {
-  const projectName = config?.project?.name || 'Documentation';
-  const description = config?.project?.description || '';
-  const date = new Date().toLocaleDateString('en-AU', {
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric'
-  });
-
+export function getCoverDetails(config, template) {
   const templateTitles = {
     executive: 'Executive Summary',
     technical: 'Technical Documentation',
     full: 'Complete Documentation'
   };
 
+  return {
+    projectName: config?.project?.name || 'Documentation',
+    subtitle: templateTitles[template] || 'Documentation',
+    description: config?.project?.description || '',
+    date: new Date().toLocaleDateString('en-AU', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    }),
+    owner: config?.project?.owner || null,
+    version: config?.version || null
+  };
+}
+
+/**
+ * Build cover page
+ */
+function buildCoverPage(config, template) {
+  const { projectName, subtitle, description, date, owner, version } = getCoverDetails(config, template);
+
   return `
 <div class="cover-page">
   <h1>${projectName}</h1>
-  <div class="subtitle">${templateTitles[template] || 'Documentation'}</div>
+  <div class="subtitle">${subtitle}</div>
   ${description ? `<div class="subtitle" style="font-size: 14pt;">${description}</div>` : ''}
   <div class="meta">
     <p>Generated: ${date}</p>
-    ${config?.project?.owner ? `<p>Owner: ${config.project.owner}</p>` : ''}
-    ${config?.version ? `<p>Version: ${config.version}</p>` : ''}
+    ${owner ? `<p>Owner: ${owner}</p>` : ''}
+    ${version ? `<p>Version: ${version}</p>` : ''}
   </div>
 </div>`;
 }
@@ -531,7 +583,7 @@ function buildDocumentSection(doc, customHeader, customFooter) {
 /**
  * Build HTML footer
  */
-function buildHTMLFooter() {
+export function buildHTMLFooter() {
   return `
 </body>
 </html>`;
@@ -0,0 +1,436 @@
+/**
+ * DocFlow README Generator
+ * Build README.md sections from docflow.config.json and the detected tech stack
+ */
+
+import fse from 'fs-extra';
+import { join } from 'path';
+import {
+  detectProjectType,
+  detectTechStack,
+  detectFrameworks,
+  detectEntryPoints,
+  getCommonCommands,
+  formatProjectType
+} from '../cli/utils/detect.js';
+import { findRegions, upsertRegion } from '../cli/utils/markers.js';
+import { cleanValue } from '../cli/utils/markdown.js';
+
+/**
+ * Sections supported by the README generator, in default order
+ */
+export const README_SECTIONS = [
+  'badges',
+  'overview',
+  'architecture',
+  'installation',
+  'usage',
+  'api',
+  'testing',
+  'deployment',
+  'contributing',
+  'license'
+];
+
+/**
+ * Generate or update README.md
+ * Only content inside docflow regions is rewritten; everything else is preserved.
+ * @param {string} cwd - Project root
+ * @param {object} config - DocFlow configuration
+ * @param {object} options - Generation options
+ * @param {string} options.output - Output path (defaults to README.md)
+ * @param {boolean} options.force - Discard existing content and regenerate from scratch
+ * @returns {Promise<object>} Result with output path and updated/added section names
+ */
+export async function generateReadme(cwd, config, options = {}) {
+  const outputPath = options.output || join(cwd, 'README.md');
+  const sectionNames = (config?.readme?.sections || README_SECTIONS)
+    .filter(name => README_SECTIONS.includes(name));
+
+  const context = await buildReadmeContext(cwd, config);
+
+  let content = '';
+  if (!options.force && await fse.pathExists(outputPath)) {
+    content = await fse.readFile(outputPath, 'utf-8');
+  }
+
+  if (!content.trim()) {
+    content = `# ${context.projectName}\n`;
+  }
+
+  const existing = findRegions(content);
+  const updated = [];
+  const added = [];
+  let previous = null;
+
+  for (const name of sectionNames) {
+    const body = buildSection(name, context);
+    if (existing.includes(name)) {
+      updated.push(name);
+    } else {
+      added.push(name);
+    }
+    content = upsertRegion(content, name, body, { after: previous });
+    previous = name;
+  }
+
+  await fse.writeFile(outputPath, content.endsWith('\n') ? content : `${content}\n`);
+
+  return { outputPath, updated, added };
+}
+
+/**
+ * Collect everything the section builders need
+ */
+async function buildReadmeContext(cwd, config) {
+  const projectType = await detectProjectType(cwd);
+  const techStack = await detectTechStack(cwd);
+  const frameworks = await detectFrameworks(cwd);
+  const entryPoints = await detectEntryPoints(cwd);
+
+  let pkg = null;
+  if (await fse.pathExists(join(cwd, 'package.json'))) {
+    try {
+      pkg = await fse.readJson(join(cwd, 'package.json'));
+    } catch (e) { /* ignore */ }
+  }
+
+  const exists = async (path) => fse.pathExists(join(cwd, path));
+
+  return {
+    config: config || {},
+    projectName: cleanValue(config?.project?.name) || pkg?.name || 'Project',
+    description: cleanValue(config?.project?.description) || pkg?.description || '',
+    slug: getRepoSlug(config),
+    projectType,
+    techStack,
+    frameworks,
+    entryPoints,
+    commands: getCommonCommands(projectType, techStack),
+    pkg,
+    files: {
+      architecture: await exists('docs/architecture/README.md'),
+      adr: await exists(config?.templates?.adr?.directory || 'docs/architecture/adr'),
+      apiReference: await exists(config?.documentation?.apiReference?.output || 'docs/API_REFERENCE.md'),
+      apiDir: await exists(config?.templates?.api?.directory || 'docs/api'),
+      erd: await exists('docs/diagrams/erd.md'),
+      deployment: await exists('docs/deployment/README.md'),
+      contributing: await exists('CONTRIBUTING.md'),
+      codeOfConduct: await exists('CODE_OF_CONDUCT.md'),
+      security: await exists('SECURITY.md'),
+      license: await exists('LICENSE') || await exists('LICENSE.md'),
+    }
+  };
+}
+
+/**
+ * Build a single README section
+ */
+function buildSection(name, context) {
+  const builders = {
+    badges: buildBadges,
+    overview: buildOverview,
+    architecture: buildArchitecture,
+    installation: buildInstallation,
+    usage: buildUsage,
+    api: buildApi,
+    testing: buildTesting,
+    deployment: buildDeployment,
+    contributing: buildContributing,
+    license: buildLicense
+  };
+
+  return builders[name](context);
+}
+
+/**
+ * Build badge row from readme.badges
+ */
+function buildBadges(context) {
+  const badges = context.config.readme?.badges || {};
+  const slug = context.slug;
+
+  if (!slug) {
+    return '<!-- Set project.owner and project.repository in docflow.config.json to enable badges -->';
+  }
+
+  const repoUrl = `https://github.com/${slug}`;
+  const workflowBadge = (label, file) =>
+    `[![${label}](${repoUrl}/actions/workflows/${file}/badge.svg)](${repoUrl}/actions/workflows/${file})`;
+
+  const lines = [];
+
+  if (badges.workflow) {
+    lines.push(workflowBadge('Quality Gates', 'docflow-quality-gates.yml'));
+  }
+  if (badges.version) {
+    lines.push(`[![Version](https://img.shields.io/github/v/release/${slug}?sort=semver)](${repoUrl}/releases)`);
+  }
+  if (badges.coverage) {
+    lines.push(`[![Coverage](https://img.shields.io/codecov/c/github/${slug})](https://codecov.io/gh/${slug})`);
+  }
+  if (badges.security) {
+    lines.push(workflowBadge('Security Scan', 'docflow-security-scan.yml'));
+  }
+  if (badges.documentation) {
+    lines.push(workflowBadge('Documentation', 'docflow-generate-docs.yml'));
+  }
+
+  return lines.length ? lines.join('\n') : '<!-- No badges enabled in readme.badges -->';
+}
+
+/**
+ * Build project overview
+ */
+function buildOverview(context) {
+  const lines = ['## Overview', ''];
+
+  if (context.description) {
+    lines.push(context.description, '');
+  }
+
+  lines.push('| Property | Value |');
+  lines.push('|----------|-------|');
+  lines.push(`| Project Type | ${formatProjectType(context.projectType)} |`);
+  if (context.frameworks.length) {
+    lines.push(`| Frameworks | ${context.frameworks.join(', ')} |`);
+  }
+  if (context.config.project?.language) {
+    lines.push(`| Documentation Language | ${context.config.project.language} |`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build architecture summary from the detected tech stack
+ */
+function buildArchitecture(context) {
+  const lines = ['## Architecture', ''];
+
+  if (context.techStack.length || context.frameworks.length) {
+    lines.push('### Tech Stack', '');
+    for (const item of [...context.frameworks, ...context.techStack]) {
+      lines.push(`- ${item}`);
+    }
+    lines.push('');
+  }
+
+  if (context.entryPoints.length) {
+    lines.push('### Entry Points', '');
+    for (const entry of context.entryPoints) {
+      lines.push(`- \`${entry}\``);
+    }
+    lines.push('');
+  }
+
+  const links = [];
+  if (context.files.architecture) links.push('- [Architecture Overview](docs/architecture/README.md)');
+  if (context.files.adr) {
+    const adrDir = context.config.templates?.adr?.directory || 'docs/architecture/adr';
+    links.push(`- [Architecture Decision Records](${adrDir}/)`);
+  }
+  if (context.files.erd) links.push('- [Entity Relationship Diagrams](docs/diagrams/erd.md)');
+
+  if (links.length) {
+    lines.push('### Further Reading', '', ...links);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build installation instructions
+ */
+function buildInstallation(context) {
+  const installCommands = context.commands
+    .filter(c => /install|restore/i.test(c.description) || /install|restore/.test(c.command));
+
+  const lines = ['## Installation', ''];
+
+  if (context.slug) {
+    lines.push('```bash');
+    lines.push(`git clone https://github.com/${context.slug}.git`);
+    lines.push(`cd ${context.slug.split('/')[1]}`);
+    for (const cmd of installCommands) {
+      lines.push(cmd.command);
+    }
+    lines.push('```');
+  } else if (installCommands.length) {
+    lines.push('```bash');
+    lines.push(...installCommands.map(c => c.command));
+    lines.push('```');
+  } else {
+    lines.push('<!-- Add installation steps -->');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build usage instructions from package scripts or common commands
+ */
+function buildUsage(context) {
+  const lines = ['## Usage', ''];
+  const scripts = context.pkg?.scripts || {};
+  const scriptNames = Object.keys(scripts).filter(name => !/^(pre|post)/.test(name));
+
+  if (scriptNames.length) {
+    lines.push('| Command | Runs |');
+    lines.push('|---------|------|');
+    for (const name of scriptNames) {
+      const command = name === 'test' || name === 'start' ? `npm ${name}` : `npm run ${name}`;
+      lines.push(`| \`${command}\` | \`${scripts[name].replace(/\|/g, '\\|')}\` |`);
+    }
+  } else {
+    const usageCommands = context.commands
+      .filter(c => !/install|restore|\btests?\b|git /i.test(`${c.command} ${c.description}`));
+
+    if (usageCommands.length) {
+      lines.push('```bash');
+      lines.push(usageCommands.map(c => `# ${c.description}\n${c.command}`).join('\n\n'));
+      lines.push('```');
+    } else {
+      lines.push('<!-- Add usage examples -->');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build API documentation pointer
+ */
+function buildApi(context) {
+  const lines = ['## API', ''];
+  const apiReference = context.config.documentation?.apiReference?.output || 'docs/API_REFERENCE.md';
+  const apiDir = context.config.templates?.api?.directory || 'docs/api';
+
+  if (context.files.apiReference) {
+    lines.push(`See the [API Reference](${apiReference}) for all endpoints.`);
+  } else if (context.files.apiDir) {
+    lines.push(`API documentation lives in [\`${apiDir}/\`](${apiDir}/).`);
+  } else {
+    lines.push('<!-- No API documentation found. Run `docflow add api` to create some. -->');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build testing section from test commands and testing config
+ */
+function buildTesting(context) {
+  const lines = ['## Testing', ''];
+  const testCommands = context.commands.filter(c => /\btests?\b|pester/i.test(`${c.command} ${c.description}`));
+
+  if (testCommands.length) {
+    lines.push('```bash');
+    lines.push(testCommands.map(c => `# ${c.description}\n${c.command}`).join('\n\n'));
+    lines.push('```');
+    lines.push('');
+  }
+
+  const phases = context.config.testing?.phases || {};
+  const enabledPhases = Object.entries(phases).filter(([, phase]) => phase?.enabled);
+
+  if (enabledPhases.length) {
+    lines.push('| Phase | Required |');
+    lines.push('|-------|----------|');
+    for (const [name, phase] of enabledPhases) {
+      const label = name === 'e2e' ? 'End-to-end' : name.charAt(0).toUpperCase() + name.slice(1);
+      lines.push(`| ${label} | ${phase.required ? 'Yes' : 'No'} |`);
+    }
+    lines.push('');
+  }
+
+  const coverage = context.config.testing?.coverage;
+  if (coverage?.enabled) {
+    lines.push(`Minimum coverage threshold: **${coverage.threshold}%**`);
+  }
+
+  if (lines.length === 2) {
+    lines.push('<!-- Add testing instructions -->');
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * Build deployment section from cicd config
+ */
+function buildDeployment(context) {
+  const cicd = context.config.cicd || {};
+  const lines = ['## Deployment', ''];
+  const environments = cicd.environments || [];
+
+  if (environments.length) {
+    const requireApproval = cicd.deployment?.requireApproval || [];
+    lines.push(`Deployment strategy: **${cicd.deployment?.strategy || 'manual'}**`, '');
+    lines.push('| Environment | Approval Required |');
+    lines.push('|-------------|-------------------|');
+    for (const env of environments) {
+      lines.push(`| ${env} | ${requireApproval.includes(env) ? 'Yes' : 'No'} |`);
+    }
+    lines.push('');
+  }
+
+  if (context.files.deployment) {
+    lines.push('See the [Deployment Guide](docs/deployment/README.md) for details.');
+  }
+
+  if (lines.length === 2) {
+    lines.push('<!-- Add deployment instructions -->');
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * Build contributing section
+ */
+function buildContributing(context) {
+  const lines = ['## Contributing', ''];
+
+  if (context.files.contributing) {
+    lines.push('Contributions are welcome. Please read [CONTRIBUTING.md](CONTRIBUTING.md) before opening a pull request.');
+  } else {
+    lines.push('Contributions are welcome. Please open an issue to discuss changes before submitting a pull request.');
+  }
+
+  if (context.files.codeOfConduct) {
+    lines.push('', 'This project follows the [Code of Conduct](CODE_OF_CONDUCT.md).');
+  }
+  if (context.files.security) {
+    lines.push('', 'Report security issues as described in [SECURITY.md](SECURITY.md).');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build license section
+ */
+function buildLicense(context) {
+  const lines = ['## License', ''];
+  const license = context.pkg?.license;
+
+  if (license && !license.startsWith('SEE LICENSE')) {
+    lines.push(`Licensed under the ${license} licence.${context.files.license ? ' See [LICENSE](LICENSE) for details.' : ''}`);
+  } else if (context.files.license) {
+    lines.push('See [LICENSE](LICENSE) for details.');
+  } else {
+    lines.push('<!-- Add licence information -->');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Get owner/repo slug from config, ignoring unsubstituted placeholders
+ */
+function getRepoSlug(config) {
+  const owner = cleanValue(config?.project?.owner);
+  const repo = cleanValue(config?.project?.repository);
+  return owner && repo ? `${owner}/${repo}` : null;
+}
@@ -0,0 +1,125 @@
+/**
+ * DocFlow Runbook Catalogue Generator
+ * Maintain the runbook catalogue (README.md in the runbooks directory), grouped
+ * by category and severity, with last-updated ages so stale runbooks stand out
+ */
+
+import fse from 'fs-extra';
+import { join, relative } from 'path';
+import { listRunbooks, getRunbookSettings, RUNBOOK_SEVERITIES } from '../cli/utils/runbooks.js';
+import { getLastCommitDate } from '../cli/utils/git.js';
+import { upsertRegion } from '../cli/utils/markers.js';
+
+const INDEX_REGION = 'runbook-index';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Regenerate the runbook catalogue
+ * Hand-written content outside the docflow region is preserved.
+ * @param {string} cwd - Project root
+ * @param {object} config - DocFlow configuration
+ * @param {object} options - Catalogue options
+ * @param {number} options.staleAfterDays - Age at which a runbook is flagged (default templates.runbooks.staleAfterDays or 90)
+ * @param {Date} options.now - Reference date for ages (default today)
+ * @returns {Promise<object>} Result: { indexPath, runbooks, stale }
+ */
+export async function updateRunbookIndex(cwd, config, options = {}) {
+  const settings = getRunbookSettings(config);
+  const staleAfterDays = options.staleAfterDays || settings.staleAfterDays;
+  const now = options.now || new Date();
+  const indexPath = join(cwd, settings.directory, 'README.md');
+
+  const runbooks = await listRunbooks(cwd, config);
+
+  // Fall back to git history when the Last Updated row is not filled in
+  for (const runbook of runbooks) {
+    if (!runbook.lastUpdated) {
+      runbook.lastUpdated = await getLastCommitDate(cwd, runbook.file);
+    }
+    runbook.ageDays = runbook.lastUpdated ? ageInDays(runbook.lastUpdated, now) : null;
+    runbook.stale = runbook.ageDays === null || runbook.ageDays > staleAfterDays;
+  }
+
+  const existing = await fse.pathExists(indexPath)
+    ? await fse.readFile(indexPath, 'utf-8')
+    : '# Runbooks\n\n> Operational runbook catalogue. The tables below are generated by `docflow runbooks index`.\n';
+
+  const body = buildRunbookIndex(runbooks, {
+    categories: settings.categories,
+    staleAfterDays,
+    linkBase: join(cwd, settings.directory)
+  });
+
+  await fse.ensureDir(join(cwd, settings.directory));
+  await fse.writeFile(indexPath, upsertRegion(existing, INDEX_REGION, body));
+
+  return { indexPath, runbooks, stale: runbooks.filter(runbook => runbook.stale) };
+}
+
+/**
+ * Build the catalogue body: one table per category, ordered by severity
+ * @param {object[]} runbooks - Runbooks with ageDays and stale set
+ * @param {object} options - { categories, staleAfterDays, linkBase }
+ */
+export function buildRunbookIndex(runbooks, options = {}) {
+  if (runbooks.length === 0) {
+    return '_No runbooks yet. Create one with `docflow add runbook`._';
+  }
+
+  const lines = [];
+  const stale = runbooks.filter(runbook => runbook.stale);
+
+  const severityCounts = [...RUNBOOK_SEVERITIES, null]
+    .map(severity => [severity || 'Unrated', runbooks.filter(runbook => runbook.severity === severity).length])
+    .filter(([, count]) => count > 0)
+    .map(([severity, count]) => `${severity}: ${count}`);
+
+  lines.push(`**${runbooks.length} runbook(s)** - ${severityCounts.join(', ')}\n`);
+  if (stale.length) {
+    lines.push(`**${stale.length} stale** (not updated in ${options.staleAfterDays} days, or no date recorded)\n`);
+  }
+
+  // Configured categories first, in config order, then any others alphabetically
+  const configured = options.categories || [];
+  const found = [...new Set(runbooks.map(runbook => runbook.category || 'uncategorised'))];
+  const categories = [
+    ...configured.filter(category => found.includes(category)),
+    ...found.filter(category => !configured.includes(category)).sort()
+  ];
+
+  for (const category of categories) {
+    const entries = runbooks
+      .filter(runbook => (runbook.category || 'uncategorised') === category)
+      .sort((a, b) => severityRank(a.severity) - severityRank(b.severity) || a.number - b.number);
+
+    lines.push(`### ${category.charAt(0).toUpperCase() + category.slice(1)}\n`);
+    lines.push('| Runbook | Title | Severity | Owner | Last Updated | Age |');
+    lines.push('|---------|-------|----------|-------|--------------|-----|');
+
+    for (const runbook of entries) {
+      const link = options.linkBase ? relative(options.linkBase, runbook.path).replace(/\\/g, '/') : runbook.file;
+      const age = runbook.ageDays === null ? 'Unknown' : `${runbook.ageDays} days`;
+      lines.push(`| [${runbook.id}](${link}) | ${runbook.title.replace(/\|/g, '\\|')} | ${runbook.severity || '-'} | ${runbook.owner || '-'} | ${runbook.lastUpdated || '-'} | ${runbook.stale ? `**${age} (stale)**` : age} |`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Sort position for a severity (unrated last)
+ */
+function severityRank(severity) {
+  const index = RUNBOOK_SEVERITIES.indexOf(severity);
+  return index === -1 ? RUNBOOK_SEVERITIES.length : index;
+}
+
+/**
+ * Whole days between a YYYY-MM-DD date and now
+ */
+function ageInDays(date, now) {
+  const then = new Date(`${date}T00:00:00Z`);
+  if (isNaN(then.getTime())) return null;
+  return Math.max(0, Math.floor((now.getTime() - then.getTime()) / DAY_MS));
+}
@@ -0,0 +1,287 @@
+/**
+ * DocFlow Schema Diff
+ * Compare database schemas between two git revisions: added, removed and altered
+ * tables, columns, keys and relations, rendered as PR-comment markdown with an ERD
+ */
+
+import fse from 'fs-extra';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import { collectSchemas, getSchemaSources, buildMermaidERD } from './erd.js';
+import { resolveCommit, getRepositoryRoot, listFilesAtRef, readFilesAtRef } from '../cli/utils/git.js';
+import { escapeCell } from '../cli/utils/markdown.js';
+
+/**
+ * Files the schema parsers may read: Prisma and SQL files, package.json /
+ * prisma.config.* (Prisma schema location) and model sources of the supported ORMs
+ */
+const SCHEMA_FILE = /(?:^|\/)(?:package\.json|prisma\.config\.\w+)$|\.(?:prisma|sql|[cm]?[jt]s|py|cs)$/;
+
+/**
+ * Column properties compared between revisions, with their report labels
+ */
+const COLUMN_PROPERTIES = [
+  { label: 'Type', value: field => `${field.rawType || field.type}${field.isArray ? '[]' : ''}` },
+  { label: 'Nullable', value: field => field.isOptional ? 'Yes' : 'No' },
+  { label: 'Primary key', value: field => field.isPrimary ? 'Yes' : 'No' },
+  { label: 'Unique', value: field => field.isUnique && !field.isPrimary ? 'Yes' : 'No' },
+  { label: 'Default', value: field => field.default ?? '-' },
+  { label: 'Foreign key', value: field => field.references ? `${field.references.table}.${field.references.column}` : '-' },
+  { label: 'Values', value: field => field.enumValues?.join(', ') || '-' }
+];
+
+/**
+ * Diff the database schemas of two git refs
+ * @param {string} cwd - Repository root
+ * @param {object} config - DocFlow configuration (templates.database.autoGenerate toggles sources)
+ * @param {object} options - Diff options
+ * @param {string} options.from - Base ref
+ * @param {string} options.to - Target ref (defaults to HEAD)
+ * @returns {Promise<object>} { from, to, fromCommit, toCommit, schemas, markdown }
+ */
+export async function generateSchemaDiff(cwd, config, options = {}) {
+  const from = options.from;
+  const to = options.to || 'HEAD';
+  const sources = getSchemaSources(config);
+
+  const fromCommit = await resolveCommit(cwd, from);
+  if (!fromCommit) throw new Error(`Unknown git ref: ${from}`);
+  const toCommit = await resolveCommit(cwd, to);
+  if (!toCommit) throw new Error(`Unknown git ref: ${to}`);
+
+  const before = await collectSchemasAtRef(cwd, fromCommit, sources);
+  const after = await collectSchemasAtRef(cwd, toCommit, sources);
+  const schemas = diffSchemas(before, after);
+
+  return {
+    from,
+    to,
+    fromCommit,
+    toCommit,
+    schemas,
+    markdown: buildSchemaDiffMarkdown(schemas, { from, to })
+  };
+}
+
+/**
+ * Run collectSchemas against a revision read from git objects
+ * Schema files are copied out of the commit into a temporary directory, so the
+ * working tree and index are never touched. The whole repository is read, whichever
+ * subdirectory the command runs from.
+ */
+export async function collectSchemasAtRef(cwd, ref, sources = {}) {
+  const repoRoot = await getRepositoryRoot(cwd);
+  const paths = (await listFilesAtRef(repoRoot, ref)).filter(path => SCHEMA_FILE.test(path) && !path.endsWith('.d.ts'));
+  const files = await readFilesAtRef(repoRoot, ref, paths);
+  const root = await fse.mkdtemp(join(tmpdir(), 'docflow-schema-'));
+
+  try {
+    for (const [path, content] of files) {
+      await fse.ensureDir(dirname(join(root, path)));
+      await fse.writeFile(join(root, path), content);
+    }
+    return await collectSchemas(root, sources);
+  } finally {
+    await fse.remove(root);
+  }
+}
+
+/**
+ * Compare two collectSchemas results
+ * Schemas are matched by type (and directory, for migrations), entities by name.
+ * @returns {object[]} Changed schemas: { name, added, removed, altered, before, after }
+ *   where altered is [{ name, changes: [{ kind, action, name, property, from, to }] }]
+ */
+export function diffSchemas(before, after) {
+  const key = schema => schema.type === 'migrations' ? `migrations:${schema.source}` : schema.type;
+  const keys = [...new Set([...after.map(key), ...before.map(key)])];
+  const results = [];
+
+  for (const schemaKey of keys) {
+    const old = before.find(schema => key(schema) === schemaKey);
+    const current = after.find(schema => key(schema) === schemaKey);
+    const oldEntities = old?.entities || [];
+    const newEntities = current?.entities || [];
+
+    const added = newEntities.filter(entity => !oldEntities.some(e => e.name === entity.name));
+    const removed = oldEntities.filter(entity => !newEntities.some(e => e.name === entity.name));
+    const altered = newEntities
+      .map(entity => {
+        const previous = oldEntities.find(e => e.name === entity.name);
+        return previous ? { name: entity.name, changes: diffEntity(previous, entity) } : null;
+      })
+      .filter(entity => entity?.changes.length);
+
+    if (added.length || removed.length || altered.length) {
+      results.push({ name: (current || old).name, added, removed, altered, before: oldEntities, after: newEntities });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Column, relation and unique-constraint changes of one entity
+ */
+function diffEntity(before, after) {
+  const changes = [];
+
+  for (const field of after.fields) {
+    const previous = before.fields.find(f => f.name === field.name);
+    if (!previous) {
+      changes.push({ kind: 'column', action: 'added', name: field.name, to: describeColumn(field) });
+      continue;
+    }
+
+    for (const property of COLUMN_PROPERTIES) {
+      const from = String(property.value(previous));
+      const to = String(property.value(field));
+      if (from !== to) {
+        changes.push({ kind: 'column', action: 'changed', name: field.name, property: property.label, from, to });
+      }
+    }
+  }
+
+  for (const field of before.fields.filter(f => !after.fields.some(other => other.name === f.name))) {
+    changes.push({ kind: 'column', action: 'removed', name: field.name, from: describeColumn(field) });
+  }
+
+  const relationKey = relation => `${relation.name}:${relation.type}`;
+  for (const relation of after.relations) {
+    const previous = before.relations.find(r => relationKey(r) === relationKey(relation));
+    if (!previous) {
+      changes.push({ kind: 'relation', action: 'added', name: relation.name, to: `${relation.type} (${relation.cardinality})` });
+    } else if (previous.cardinality !== relation.cardinality) {
+      changes.push({ kind: 'relation', action: 'changed', name: relation.name, property: 'Cardinality', from: previous.cardinality, to: relation.cardinality });
+    }
+  }
+  for (const relation of before.relations.filter(r => !after.relations.some(other => relationKey(other) === relationKey(r)))) {
+    changes.push({ kind: 'relation', action: 'removed', name: relation.name, from: `${relation.type} (${relation.cardinality})` });
+  }
+
+  const constraintKey = keys => keys.join(' + ');
+  const oldConstraints = (before.uniqueConstraints || []).map(constraintKey);
+  const newConstraints = (after.uniqueConstraints || []).map(constraintKey);
+  for (const constraint of newConstraints.filter(c => !oldConstraints.includes(c))) {
+    changes.push({ kind: 'constraint', action: 'added', name: constraint, to: 'Unique' });
+  }
+  for (const constraint of oldConstraints.filter(c => !newConstraints.includes(c))) {
+    changes.push({ kind: 'constraint', action: 'removed', name: constraint, from: 'Unique' });
+  }
+
+  return changes;
+}
+
+/**
+ * Build the markdown report: summary, per-table changes and an ERD of the changed
+ * tables and their neighbours, with added/altered/removed tables highlighted
+ */
+export function buildSchemaDiffMarkdown(schemas, { from, to }) {
+  const lines = [];
+  lines.push(`## Schema changes: \`${from}\` → \`${to || 'HEAD'}\``);
+  lines.push('');
+
+  if (schemas.length === 0) {
+    lines.push('No database schema changes.');
+    return lines.join('\n') + '\n';
+  }
+
+  for (const schema of schemas) {
+    if (schemas.length > 1) {
+      lines.push(`### ${schema.name}`);
+      lines.push('');
+    }
+
+    const heading = schemas.length > 1 ? '####' : '###';
+    const summary = [
+      schema.added.length ? `${schema.added.length} added` : null,
+      schema.removed.length ? `${schema.removed.length} removed` : null,
+      schema.altered.length ? `${schema.altered.length} altered` : null
+    ].filter(Boolean).join(', ');
+    lines.push(`**Tables:** ${summary}`);
+    lines.push('');
+
+    if (schema.added.length) {
+      lines.push(`${heading} Added tables`);
+      lines.push('');
+      for (const entity of schema.added) {
+        lines.push(`- \`${entity.name}\` (${entity.fields.map(field => `\`${field.name}\``).join(', ') || 'no columns'})`);
+      }
+      lines.push('');
+    }
+
+    if (schema.removed.length) {
+      lines.push(`${heading} Removed tables`);
+      lines.push('');
+      for (const entity of schema.removed) {
+        lines.push(`- \`${entity.name}\``);
+      }
+      lines.push('');
+    }
+
+    for (const entity of schema.altered) {
+      lines.push(`${heading} \`${entity.name}\``);
+      lines.push('');
+      lines.push('| Change | Name | Before | After |');
+      lines.push('|--------|------|--------|-------|');
+      for (const change of entity.changes) {
+        const label = change.action === 'changed'
+          ? change.property
+          : `${change.action === 'added' ? 'Added' : 'Removed'} ${change.kind === 'constraint' ? 'unique constraint' : change.kind}`;
+        lines.push(`| ${label} | \`${escapeCell(change.name)}\` | ${escapeCell(change.from) || '-'} | ${escapeCell(change.to) || '-'} |`);
+      }
+      lines.push('');
+    }
+
+    lines.push(buildDiffERD(schema));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Mermaid ERD of the changed tables plus the tables they relate to
+ */
+function buildDiffERD(schema) {
+  const status = new Map([
+    ...schema.altered.map(entity => [entity.name, 'altered']),
+    ...schema.added.map(entity => [entity.name, 'added'])
+  ]);
+
+  const related = entity => entity.relations.some(r => status.has(r.type)) ||
+    schema.after.some(other => status.has(other.name) && other.relations.some(r => r.type === entity.name));
+  const entities = [
+    ...schema.after.filter(entity => status.has(entity.name) || related(entity)),
+    ...schema.removed
+  ];
+  schema.removed.forEach(entity => status.set(entity.name, 'removed'));
+
+  const diagram = buildMermaidERD(entities).split('\n');
+  const styles = [
+    '  classDef added fill:#dafbe1,stroke:#1a7f37',
+    '  classDef altered fill:#fff8c5,stroke:#9a6700',
+    '  classDef removed fill:#ffebe9,stroke:#cf222e,stroke-dasharray:4'
+  ];
+  for (const kind of ['added', 'altered', 'removed']) {
+    const names = [...status]
+      .filter(([name, value]) => value === kind && entities.some(entity => entity.name === name && entity.fields.length))
+      .map(([name]) => name);
+    if (names.length) styles.push(`  class ${names.join(',')} ${kind}`);
+  }
+
+  diagram.splice(diagram.length - 1, 0, '', ...styles);
+  return diagram.join('\n');
+}
+
+/**
+ * One-line column summary for added/removed columns
+ */
+function describeColumn(field) {
+  return [
+    `${field.rawType || field.type}${field.isArray ? '[]' : ''}`,
+    field.isOptional ? 'nullable' : 'not null',
+    field.isPrimary ? 'PK' : field.isUnique ? 'UK' : null,
+    field.references ? `FK → ${field.references.table}.${field.references.column}` : null
+  ].filter(Boolean).join(', ');
+}
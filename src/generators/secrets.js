@@ -0,0 +1,280 @@
+/**
+ * DocFlow Secret Scanner
+ * Find hard-coded credentials using security.secretScanning patterns and entropy checks
+ */
+
+import fse from 'fs-extra';
+import { relative, resolve } from 'path';
+import { minimatch } from 'minimatch';
+import { scanCodebase, DEFAULT_INCLUDE_PATTERNS, DEFAULT_EXCLUDE_PATTERNS } from './coverage.js';
+
+/**
+ * Inline comment that suppresses findings on its own line and the line below
+ */
+export const ALLOW_SECRET_MARKER = 'docflow:allow-secret';
+
+/**
+ * Patterns used when security.secretScanning.patterns is not configured
+ */
+export const DEFAULT_SECRET_PATTERNS = [
+  'password\\s*[=:]\\s*["\'][^"\']+["\']',
+  'api[_-]?key\\s*[=:]\\s*["\'][\\w-]+["\']',
+  'client[_-]?secret\\s*[=:]\\s*["\'][\\w-]+["\']',
+  'token\\s*[=:]\\s*["\'][\\w-]+["\']',
+  '-----BEGIN.*PRIVATE KEY-----' // docflow:allow-secret
+];
+
+/**
+ * Configuration and infrastructure files scanned in addition to source code
+ */
+const CONFIG_PATTERNS = [
+  '**/*.json', '**/*.yml', '**/*.yaml', '**/*.toml', '**/*.ini', '**/*.properties',
+  '**/*.xml', '**/*.tf', '**/*.tfvars', '**/*.sh', '**/*.env', '**/.env', '**/.env.*',
+  '**/*.pem', '**/*.key', '**/*.cfg', '**/*.conf'
+];
+
+/**
+ * Generated files that are full of hashes
+ */
+const SECRET_EXCLUDE_PATTERNS = [
+  '**/package-lock.json',
+  '**/yarn.lock',
+  '**/pnpm-lock.yaml',
+  '**/*.map'
+];
+
+const ENTROPY_RULE_ID = 'high-entropy-string';
+const MIN_ENTROPY_LENGTH = 20;
+const BASE64_ENTROPY_THRESHOLD = 4.5;
+const HEX_ENTROPY_THRESHOLD = 3.0;
+const MAX_FILE_SIZE = 1024 * 1024;
+
+/**
+ * Build the list of rules from config
+ * @param {object} config - DocFlow configuration
+ * @returns {object[]} Rules: { id, description, regex }
+ */
+export function buildSecretRules(config) {
+  const configured = config?.security?.secretScanning?.patterns;
+  const patterns = configured && configured.length ? configured : DEFAULT_SECRET_PATTERNS;
+
+  return patterns.map((pattern, index) => {
+    let regex;
+    try {
+      regex = new RegExp(pattern, 'gi');
+    } catch (error) {
+      throw new Error(`Invalid pattern in security.secretScanning.patterns[${index}]: ${error.message}`);
+    }
+
+    return {
+      id: `secret-pattern-${index + 1}`,
+      description: `Matches configured pattern /${pattern}/`,
+      regex
+    };
+  });
+}
+
+/**
+ * Scan the project (or specific files) for secrets
+ * @param {string} cwd - Project root
+ * @param {object} config - DocFlow configuration
+ * @param {object} options - Scan options
+ * @param {string[]} options.files - Only scan these files (e.g. staged files from a pre-commit hook)
+ * @param {boolean} options.entropy - Run the entropy check (default true)
+ * @param {string} options.configPath - Config file to skip, since it contains the patterns themselves
+ * @returns {Promise<object>} Result: { files, rules, findings }
+ */
+export async function scanSecrets(cwd, config, options = {}) {
+  const rules = buildSecretRules(config);
+  const exclude = [
+    ...DEFAULT_EXCLUDE_PATTERNS,
+    ...SECRET_EXCLUDE_PATTERNS,
+    ...(config?.security?.secretScanning?.exclude || []).map(toGlob)
+  ];
+
+  // Explicit files are taken as paths, not globs: names such as `[id].ts` must not be
+  // read as patterns, but the exclude patterns still apply to them
+  let files = options.files && options.files.length
+    ? [...new Set(options.files.map(file => resolve(cwd, file)))]
+      .filter(file => !exclude.some(pattern => minimatch(relative(cwd, file).replace(/\\/g, '/'), pattern, { dot: true })))
+    : await scanCodebase(cwd, { include: [...DEFAULT_INCLUDE_PATTERNS, ...CONFIG_PATTERNS], exclude, dot: true });
+
+  const skip = options.configPath ? resolve(cwd, options.configPath) : null;
+  files = files.filter(file => file !== skip).sort();
+
+  const findings = [];
+  let scanned = 0;
+
+  for (const file of files) {
+    const stat = await fse.stat(file).catch(() => null);
+    if (!stat || !stat.isFile() || stat.size > MAX_FILE_SIZE) continue;
+
+    const content = await fse.readFile(file, 'utf-8');
+    if (content.includes('\0')) continue;
+
+    scanned++;
+    const relativePath = relative(cwd, file).replace(/\\/g, '/');
+    for (const finding of scanContent(content, rules, { entropy: options.entropy !== false })) {
+      findings.push({ file: relativePath, ...finding });
+    }
+  }
+
+  return { files: scanned, rules, findings };
+}
+
+/**
+ * Scan text content line by line
+ * @returns {object[]} Findings: { line, column, ruleId, description, match }
+ */
+export function scanContent(content, rules, options = {}) {
+  const lines = content.split('\n');
+  const findings = [];
+
+  lines.forEach((line, index) => {
+    if (line.includes(ALLOW_SECRET_MARKER) || (index > 0 && lines[index - 1].includes(ALLOW_SECRET_MARKER))) {
+      return;
+    }
+
+    const matched = [];
+
+    for (const rule of rules) {
+      rule.regex.lastIndex = 0;
+      let match;
+      while ((match = rule.regex.exec(line)) !== null) {
+        if (match[0].length === 0) {
+          rule.regex.lastIndex++;
+          continue;
+        }
+        matched.push([match.index, match.index + match[0].length]);
+        findings.push({
+          line: index + 1,
+          column: match.index + 1,
+          ruleId: rule.id,
+          description: rule.description,
+          match: redact(match[0])
+        });
+      }
+    }
+
+    if (options.entropy === false) return;
+
+    for (const candidate of findHighEntropyStrings(line)) {
+      // Already reported by a pattern
+      if (matched.some(([start, end]) => candidate.index >= start && candidate.index < end)) continue;
+
+      findings.push({
+        line: index + 1,
+        column: candidate.index + 1,
+        ruleId: ENTROPY_RULE_ID,
+        description: `High-entropy ${candidate.charset} string (entropy ${candidate.entropy.toFixed(2)})`,
+        match: redact(candidate.value)
+      });
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * Find quoted strings that look like random keys
+ */
+function findHighEntropyStrings(line) {
+  const results = [];
+  const quoted = /(["'`])([^"'`\s]{20,})\1/g;
+  let match;
+
+  while ((match = quoted.exec(line)) !== null) {
+    const value = match[2];
+    const index = match.index + 1;
+
+    if (/^[0-9a-f]+$/i.test(value)) {
+      const entropy = shannonEntropy(value);
+      if (value.length >= MIN_ENTROPY_LENGTH && entropy > HEX_ENTROPY_THRESHOLD) {
+        results.push({ value, index, entropy, charset: 'hex' });
+      }
+    } else if (/^[A-Za-z0-9+/=_-]+$/.test(value) && /\d/.test(value) && /[a-z]/.test(value) && /[A-Z]/.test(value)) {
+      const entropy = shannonEntropy(value);
+      if (entropy > BASE64_ENTROPY_THRESHOLD) {
+        results.push({ value, index, entropy, charset: 'base64' });
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Shannon entropy in bits per character
+ */
+export function shannonEntropy(value) {
+  if (!value) return 0;
+
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Build a SARIF 2.1.0 log for code scanning integrations
+ */
+export function formatSarif(result, version) {
+  const rules = [
+    ...result.rules.map(rule => ({
+      id: rule.id,
+      shortDescription: { text: rule.description }
+    })),
+    {
+      id: ENTROPY_RULE_ID,
+      shortDescription: { text: 'High-entropy string that may be a secret' }
+    }
+  ];
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'DocFlow',
+          version,
+          informationUri: 'https://github.com/TomsTech/docflow-template',
+          rules
+        }
+      },
+      results: result.findings.map(finding => ({
+        ruleId: finding.ruleId,
+        level: 'error',
+        message: { text: `${finding.description}: ${finding.match}` },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: finding.file },
+            region: { startLine: finding.line, startColumn: finding.column }
+          }
+        }]
+      }))
+    }]
+  };
+}
+
+/**
+ * Keep a short prefix so findings can be located without echoing the secret
+ */
+function redact(value) {
+  const visible = Math.min(4, Math.floor(value.length / 4));
+  return `${value.slice(0, visible)}${'*'.repeat(Math.min(value.length - visible, 12))}`;
+}
+
+/**
+ * Treat bare file patterns ("*.example") as matching in any directory
+ */
+function toGlob(pattern) {
+  return pattern.includes('/') ? pattern : `**/${pattern}`;
+}
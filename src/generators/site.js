@@ -8,6 +8,7 @@ import { join, relative, dirname, basename } from 'path';
 import { glob } from 'glob';
 import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
+import { parseFrontmatter } from '../cli/utils/frontmatter.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -262,10 +263,6 @@ export async function validateSiteConfig(cwd) {
  */
 export async function generateNavigation(cwd, config) {
   const docsDir = join(cwd, 'docs');
-  const navigation = {
-    nav: [],
-    sidebar: {}
-  };
 
   // Find all markdown files
   const markdownFiles = await glob('**/*.md', {
@@ -273,30 +270,39 @@ export async function generateNavigation(cwd, config) {
     ignore: ['node_modules/**', '.vitepress/**']
   });
 
-  // Build navigation tree
-  const fileTree = {};
+  const entries = [];
 
   for (const file of markdownFiles) {
-    const parts = file.split('/');
+    // Read frontmatter for title
+    const frontmatter = await extractFrontmatter(join(docsDir, file));
+    entries.push({ file, title: frontmatter.title });
+  }
+
+  return buildNavigation(entries);
+}
+
+/**
+ * Build navigation structure from a list of markdown files
+ * @param {object[]} entries - Files relative to the docs root, with optional titles
+ * @param {string} entries[].file - Relative markdown path (forward slashes)
+ * @param {string} [entries[].title] - Display title (defaults to the filename)
+ * @returns {object} Navigation structure with top-level nav and per-section sidebar
+ */
+export function buildNavigation(entries) {
+  const navigation = {
+    nav: [],
+    sidebar: {}
+  };
+
+  for (const entry of entries) {
+    const parts = entry.file.split('/');
     const fileName = parts.pop();
 
     // Skip index files in navigation
     if (fileName.toLowerCase() === 'index.md') continue;
 
-    let current = fileTree;
-    for (const part of parts) {
-      if (!current[part]) {
-        current[part] = { files: [], children: {} };
-      }
-      current = current[part].children;
-    }
-
-    // Read frontmatter for title
-    const filePath = join(docsDir, file);
-    const frontmatter = await extractFrontmatter(filePath);
-
-    const link = '/' + file.replace(/\.md$/, '');
-    const title = frontmatter.title || fileName.replace(/\.md$/, '').replace(/-/g, ' ');
+    const link = '/' + entry.file.replace(/\.md$/, '');
+    const title = entry.title || fileName.replace(/\.md$/, '').replace(/-/g, ' ');
 
     if (parts.length === 0) {
       // Top-level file
@@ -336,8 +342,7 @@ export async function processMarkdown(files) {
 
   for (const file of files) {
     const content = await fse.readFile(file, 'utf-8');
-    const frontmatter = extractFrontmatterFromContent(content);
-    const body = content.replace(/^---[\s\S]*?---\n/, '');
+    const { data: frontmatter, body } = parseFrontmatter(content);
 
     processed.push({
       path: file,
@@ -628,27 +633,7 @@ features:
  */
 async function extractFrontmatter(filePath) {
   const content = await fse.readFile(filePath, 'utf-8');
-  return extractFrontmatterFromContent(content);
-}
-
-/**
- * Extract frontmatter from content string
- */
-function extractFrontmatterFromContent(content) {
-  const match = content.match(/^---\n([\s\S]*?)\n---/);
-  if (!match) return {};
-
-  const frontmatter = {};
-  const lines = match[1].split('\n');
-
-  for (const line of lines) {
-    const [key, ...valueParts] = line.split(':');
-    if (key && valueParts.length) {
-      frontmatter[key.trim()] = valueParts.join(':').trim();
-    }
-  }
-
-  return frontmatter;
+  return parseFrontmatter(content).data;
 }
 
 /**
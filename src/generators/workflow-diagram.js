@@ -6,11 +6,13 @@
 import fse from 'fs-extra';
 import { join, basename } from 'path';
 import { glob } from 'glob';
+import { renderGraph, unfenceDiagram, DIAGRAM_FORMATS } from './diagram-renderers.js';
 
 /**
  * Generate workflow diagram from GitHub Actions YAML
+ * `options.diagramFormat` picks the renderer: mermaid (default), plantuml, dot or d2
  */
-export async function generateWorkflowDiagram(workflowPath) {
+export async function generateWorkflowDiagram(workflowPath, options = {}) {
   if (!await fse.pathExists(workflowPath)) {
     throw new Error(`Workflow file not found: ${workflowPath}`);
   }
@@ -20,7 +22,7 @@ export async function generateWorkflowDiagram(workflowPath) {
 
   return {
     workflow,
-    diagram: buildMermaidFlowchart(workflow),
+    diagram: renderGraph(buildWorkflowGraph(workflow), options.diagramFormat || 'mermaid'),
     name: workflow.name || basename(workflowPath, '.yml')
   };
 }
@@ -35,10 +37,10 @@ export async function generateAllWorkflowDiagrams(cwd, options = {}) {
     throw new Error('No .github/workflows directory found');
   }
 
-  const workflowFiles = await glob('*.{yml,yaml}', {
+  const workflowFiles = (await glob('*.{yml,yaml}', {
     cwd: workflowsPath,
     absolute: true
-  });
+  })).sort();
 
   if (workflowFiles.length === 0) {
     throw new Error('No workflow files found in .github/workflows');
@@ -48,7 +50,7 @@ export async function generateAllWorkflowDiagrams(cwd, options = {}) {
 
   for (const file of workflowFiles) {
     try {
-      const result = await generateWorkflowDiagram(file);
+      const result = await generateWorkflowDiagram(file, options);
       diagrams.push(result);
     } catch (error) {
       console.warn(`  Warning: Failed to parse ${basename(file)}: ${error.message}`);
@@ -58,6 +60,7 @@ export async function generateAllWorkflowDiagrams(cwd, options = {}) {
   return {
     diagrams,
     format: options.format || 'markdown',
+    diagramFormat: options.diagramFormat || 'mermaid',
     outputPath: options.output
   };
 }
@@ -229,78 +232,69 @@ function extractSection(content, startIndex) {
 }
 
 /**
- * Build Mermaid flowchart from workflow
+ * Build the flowchart graph for a workflow: trigger start, jobs with their first
+ * steps, conditions as decision nodes, and an end node
  */
-function buildMermaidFlowchart(workflow) {
-  const lines = [];
-  lines.push('```mermaid');
-  lines.push('flowchart TD');
-  lines.push('');
+function buildWorkflowGraph(workflow) {
+  const graph = {
+    direction: 'TD',
+    groups: [],
+    nodes: [],
+    edges: [],
+    classes: {
+      jobNode: { fill: '#1f77b4', stroke: '#333', strokeWidth: 2, color: '#fff' },
+      stepNode: { fill: '#aec7e8', stroke: '#333', strokeWidth: 1 },
+      condNode: { fill: '#ff7f0e', stroke: '#333', strokeWidth: 2 }
+    }
+  };
 
   // Start node (triggers)
-  if (workflow.triggers.length > 0) {
-    const triggers = workflow.triggers.join(', ');
-    lines.push(`  START([${triggers}])`);
-    lines.push('');
-  } else {
-    lines.push('  START([Workflow Start])');
-    lines.push('');
-  }
+  graph.nodes.push({
+    id: 'START',
+    label: workflow.triggers.length > 0 ? workflow.triggers.join(', ') : 'Workflow Start',
+    shape: 'stadium'
+  });
 
   // Job nodes
   for (const job of workflow.jobs) {
     const jobId = sanitizeId(job.id);
-    const label = escapeLabel(job.name || job.id);
 
     // Job node with condition
     if (job.condition) {
-      const condId = `${jobId}_cond`;
-      lines.push(`  ${condId}{${escapeLabel(job.condition)}}`);
-      lines.push(`  ${jobId}["${label}"]`);
-    } else {
-      lines.push(`  ${jobId}["${label}"]`);
+      graph.nodes.push({ id: `${jobId}_cond`, label: job.condition, shape: 'diamond', className: 'condNode' });
     }
+    graph.nodes.push({ id: jobId, label: job.name || job.id, shape: 'box', className: 'jobNode' });
 
     // Add steps as subnodes (optional detail)
     if (job.steps.length > 0 && job.steps.length <= 5) {
       for (let i = 0; i < job.steps.length; i++) {
         const step = job.steps[i];
         const stepId = `${jobId}_step${i}`;
-        const stepLabel = escapeLabel(step.name);
 
         if (step.condition) {
-          const stepCondId = `${stepId}_cond`;
-          lines.push(`  ${stepCondId}{${escapeLabel(step.condition)}}`);
-          lines.push(`  ${stepId}["${stepLabel}"]`);
-        } else {
-          lines.push(`  ${stepId}["${stepLabel}"]`);
+          graph.nodes.push({ id: `${stepId}_cond`, label: step.condition, shape: 'diamond', className: 'condNode' });
         }
+        graph.nodes.push({ id: stepId, label: step.name, shape: 'box', className: 'stepNode' });
       }
     }
-
-    lines.push('');
   }
 
   // End node
-  lines.push('  END([End])');
-  lines.push('');
+  graph.nodes.push({ id: 'END', label: 'End', shape: 'stadium' });
 
   // Connections
-  const jobsWithoutDeps = workflow.jobs.filter(j => j.needs.length === 0);
+  const connect = (from, to, condition) => {
+    if (condition) {
+      graph.edges.push({ from, to: `${to}_cond` });
+      graph.edges.push({ from: `${to}_cond`, to, label: 'true' });
+    } else {
+      graph.edges.push({ from, to });
+    }
+  };
 
   // Connect start to jobs without dependencies
-  if (jobsWithoutDeps.length > 0) {
-    for (const job of jobsWithoutDeps) {
-      const jobId = sanitizeId(job.id);
-
-      if (job.condition) {
-        const condId = `${jobId}_cond`;
-        lines.push(`  START --> ${condId}`);
-        lines.push(`  ${condId} -->|true| ${jobId}`);
-      } else {
-        lines.push(`  START --> ${jobId}`);
-      }
-    }
+  for (const job of workflow.jobs.filter(j => j.needs.length === 0)) {
+    connect('START', sanitizeId(job.id), job.condition);
   }
 
   // Connect jobs based on needs
@@ -308,78 +302,32 @@ function buildMermaidFlowchart(workflow) {
     const jobId = sanitizeId(job.id);
 
     for (const need of job.needs) {
-      const needId = sanitizeId(need);
-
-      if (job.condition) {
-        const condId = `${jobId}_cond`;
-        lines.push(`  ${needId} --> ${condId}`);
-        lines.push(`  ${condId} -->|true| ${jobId}`);
-      } else {
-        lines.push(`  ${needId} --> ${jobId}`);
-      }
+      connect(sanitizeId(need), jobId, job.condition);
     }
 
     // Connect job to steps
+    const isDependency = workflow.jobs.some(j => j.needs.includes(job.id));
     if (job.steps.length > 0 && job.steps.length <= 5) {
       for (let i = 0; i < job.steps.length; i++) {
-        const stepId = `${jobId}_step${i}`;
         const prevStepId = i === 0 ? jobId : `${jobId}_step${i - 1}`;
-
-        if (job.steps[i].condition) {
-          const stepCondId = `${stepId}_cond`;
-          lines.push(`  ${prevStepId} --> ${stepCondId}`);
-          lines.push(`  ${stepCondId} -->|true| ${stepId}`);
-        } else {
-          lines.push(`  ${prevStepId} --> ${stepId}`);
-        }
+        connect(prevStepId, `${jobId}_step${i}`, job.steps[i].condition);
       }
 
       // Connect last step to end if no other job depends on this
-      const lastStepId = `${jobId}_step${job.steps.length - 1}`;
-      const isDependency = workflow.jobs.some(j => j.needs.includes(job.id));
       if (!isDependency) {
-        lines.push(`  ${lastStepId} --> END`);
+        graph.edges.push({ from: `${jobId}_step${job.steps.length - 1}`, to: 'END' });
       }
-    } else {
+    } else if (!isDependency) {
       // No steps or too many steps, connect job directly to end
-      const isDependency = workflow.jobs.some(j => j.needs.includes(job.id));
-      if (!isDependency) {
-        lines.push(`  ${jobId} --> END`);
-      }
-    }
-  }
-
-  lines.push('');
-
-  // Styling
-  lines.push('  classDef jobNode fill:#1f77b4,stroke:#333,stroke-width:2px,color:#fff');
-  lines.push('  classDef stepNode fill:#aec7e8,stroke:#333,stroke-width:1px');
-  lines.push('  classDef condNode fill:#ff7f0e,stroke:#333,stroke-width:2px');
-
-  for (const job of workflow.jobs) {
-    const jobId = sanitizeId(job.id);
-    lines.push(`  class ${jobId} jobNode`);
-
-    if (job.condition) {
-      lines.push(`  class ${jobId}_cond condNode`);
-    }
-
-    for (let i = 0; i < Math.min(job.steps.length, 5); i++) {
-      const stepId = `${jobId}_step${i}`;
-      lines.push(`  class ${stepId} stepNode`);
-
-      if (job.steps[i].condition) {
-        lines.push(`  class ${stepId}_cond condNode`);
-      }
+      graph.edges.push({ from: jobId, to: 'END' });
     }
   }
 
-  lines.push('```');
-  return lines.join('\n');
+  return graph;
 }
 
 /**
- * Sanitize ID for Mermaid
+ * Sanitize ID for diagram identifiers and file names
  */
 function sanitizeId(id) {
   return id
@@ -387,32 +335,25 @@ function sanitizeId(id) {
     .replace(/^(\d)/, 'n$1');
 }
 
-/**
- * Escape label text for Mermaid
- */
-function escapeLabel(text) {
-  return text
-    .replace(/"/g, '#quot;')
-    .replace(/\[/g, '#91;')
-    .replace(/\]/g, '#93;')
-    .replace(/\n/g, ' ')
-    .trim();
-}
-
 /**
  * Save workflow diagrams to file
+ * @returns {Promise<string[]>} Files holding the diagrams
  */
 export async function saveWorkflowDiagrams(result, outputPath, format = 'markdown') {
   const dir = join(outputPath, '..');
   await fse.ensureDir(dir);
 
   if (format === 'separate') {
-    // Save each diagram to separate .mmd file
+    // Save each diagram to a separate .mmd / .puml / .dot / .d2 file
+    const extension = DIAGRAM_FORMATS[result.diagramFormat || 'mermaid'].extension;
+    const files = [];
     for (const wf of result.diagrams) {
-      const filename = outputPath.replace(/\.(md|mmd)$/, `-${sanitizeId(wf.name)}.mmd`);
-      await fse.writeFile(filename, wf.diagram.replace(/```mermaid\n|\n```/g, ''));
+      const filename = outputPath.replace(/\.(md|mmd)$/, `-${sanitizeId(wf.name)}${extension}`);
+      await fse.writeFile(filename, unfenceDiagram(wf.diagram));
       console.log(`  Saved: ${filename}`);
+      files.push(filename);
     }
+    return files;
   } else {
     // Save as markdown with embedded diagrams
     const lines = [];
@@ -457,5 +398,6 @@ export async function saveWorkflowDiagrams(result, outputPath, format = 'markdow
 
     await fse.writeFile(outputPath, lines.join('\n'));
     console.log(`  Saved: ${outputPath}`);
+    return [outputPath];
   }
 }
@@ -7,10 +7,38 @@ import { test, describe } from 'node:test';
 import assert from 'node:assert';
 import fse from 'fs-extra';
 import { join } from 'path';
+import { execFileSync, spawnSync } from 'node:child_process';
+import Ajv from 'ajv';
+import JSZip from 'jszip';
 
 // Import functions to test
-import { detectProjectType, detectTechStack } from '../src/cli/utils/detect.js';
+import { detectProjectType, detectTechStack, detectProjectVersion } from '../src/cli/utils/detect.js';
 import { scanCodebase, extractSymbols, checkDocumentation } from '../src/generators/coverage.js';
+import { upsertRegion, findRegions } from '../src/cli/utils/markers.js';
+import { parseSQLTables, parsePrismaModels, replaySQLMigrations } from '../src/generators/erd.js';
+import { collectORMSchemas, parseDrizzleSchema, parseSequelizeModels, parseSQLAlchemyModels, parseDjangoModels, parseEFCoreModels } from '../src/generators/orm-schemas.js';
+import { diffSchemas, buildSchemaDiffMarkdown, generateSchemaDiff } from '../src/generators/schema-diff.js';
+import { renderERD, renderGraph, resolveDiagramFormat } from '../src/generators/diagram-renderers.js';
+import { extractMermaidBlocks, resolveImageFormats, embedMermaidDiagrams } from '../src/generators/diagram-images.js';
+import { generateDOCX } from '../src/generators/docx.js';
+import { generateHTML, removePreviousExport } from '../src/generators/html.js';
+import { groupEndpoints } from '../src/generators/api-reference.js';
+import { parseCommit, computeBump, bumpVersion, generateChangelog } from '../src/generators/changelog.js';
+import { parseAdr, updateAdr } from '../src/cli/utils/adr.js';
+import { buildSecretRules, scanContent, scanSecrets } from '../src/generators/secrets.js';
+import { checkNaming, matchesConvention } from '../src/generators/naming.js';
+import { lintDocumentation } from '../src/generators/content-lint.js';
+import { substituteVariables, processTemplate } from '../src/cli/utils/template.js';
+import { buildRunbookIndex } from '../src/generators/runbook-index.js';
+import { findAdrReferences } from '../src/cli/utils/features.js';
+import { resolveTemplateContext } from '../src/cli/utils/variables.js';
+import { getCustomTypes, answerQuestions, getCustomTemplate } from '../src/cli/utils/doc-types.js';
+import { parseFrontmatter, setFrontmatter } from '../src/cli/utils/frontmatter.js';
+import { extractTableMetadata } from '../src/generators/frontmatter-migration.js';
+import { loadPack, registerPack, resolveTemplate, templateStamp, parseTemplateStamp } from '../src/cli/utils/packs.js';
+import { diffLines, formatUnifiedDiff, mergeLines } from '../src/cli/utils/diff.js';
+import { copyTemplates, upgradeTemplates } from '../src/cli/utils/scaffold.js';
+import { cleanValue } from '../src/cli/utils/markdown.js';
 
 /**
  * Project Type Detection Tests
@@ -195,3 +223,1377 @@ describe('checkDocumentation', () => {
     assert.strictEqual(isDocumented, false, 'Should detect missing docs');
   });
 });
+
+/**
+ * Generated Region Tests
+ */
+describe('upsertRegion', () => {
+  test('should replace region content and keep hand-written text', () => {
+    const content = '# Title\n\nIntro\n\n<!-- docflow:start overview -->\nold\n<!-- docflow:end overview -->\n\nFooter\n';
+    const result = upsertRegion(content, 'overview', 'new');
+
+    assert.ok(result.includes('<!-- docflow:start overview -->\nnew\n<!-- docflow:end overview -->'));
+    assert.ok(!result.includes('old'));
+    assert.ok(result.startsWith('# Title\n\nIntro'));
+    assert.ok(result.endsWith('Footer\n'));
+  });
+
+  test('should insert missing region after the named region', () => {
+    const content = '<!-- docflow:start badges -->\nb\n<!-- docflow:end badges -->\n\nManual notes\n';
+    const result = upsertRegion(content, 'overview', 'o', { after: 'badges' });
+
+    assert.deepStrictEqual(findRegions(result), ['badges', 'overview']);
+    assert.ok(result.indexOf('overview') < result.indexOf('Manual notes'));
+  });
+});
+
+/**
+ * Schema Parsing Tests
+ */
+describe('parseSQLTables', () => {
+  test('should extract keys, foreign keys and column comments', () => {
+    const sql = `CREATE TABLE orders (
+      id INT PRIMARY KEY,
+      total DECIMAL(10,2) NOT NULL, -- order total in cents
+      user_id INT REFERENCES users(id) ON DELETE CASCADE
+    );`;
+    const [table] = parseSQLTables(sql);
+    const [id, total, userId] = table.fields;
+
+    assert.strictEqual(table.fields.length, 3);
+    assert.strictEqual(id.isPrimary, true);
+    assert.strictEqual(total.rawType, 'DECIMAL(10,2)');
+    assert.strictEqual(total.description, 'order total in cents');
+    assert.deepStrictEqual(userId.references, { table: 'users', column: 'id', onDelete: 'CASCADE' });
+  });
+
+  test('should replay migrations to the final schema', () => {
+    const tables = replaySQLMigrations([
+      `-- CreateTable
+      CREATE TABLE "users" ("id" SERIAL NOT NULL, "name" TEXT, CONSTRAINT "users_pkey" PRIMARY KEY ("id"));
+      CREATE TABLE "legacy" ("id" INT PRIMARY KEY);`,
+      `CREATE TYPE "Role" AS ENUM ('USER', 'ADMIN');
+      CREATE TABLE "posts" ("id" INT PRIMARY KEY, "author_id" INT, "legacy_id" INT REFERENCES legacy(id));
+      ALTER TABLE "posts" ADD CONSTRAINT "posts_author_fkey" FOREIGN KEY ("author_id") REFERENCES "users"("id") ON DELETE CASCADE;
+      ALTER TABLE "users" DROP COLUMN "name", ADD COLUMN "role" "Role" NOT NULL;
+      ALTER TABLE "users" RENAME COLUMN "role" TO "kind";
+      DROP TABLE IF EXISTS "legacy";`
+    ]);
+
+    assert.deepStrictEqual(tables.map(t => t.name), ['users', 'posts']);
+    assert.deepStrictEqual(tables[0].fields.map(f => f.name), ['id', 'kind']);
+    assert.strictEqual(tables[0].description, undefined);
+    assert.deepStrictEqual(tables[0].fields[1].enumValues, ['USER', 'ADMIN']);
+    assert.strictEqual(tables[1].fields[1].references.constraint, 'posts_author_fkey');
+    assert.strictEqual(tables[1].fields[2].references, undefined);
+    assert.deepStrictEqual(tables[1].relations.map(r => r.type), ['users']);
+  });
+});
+
+describe('parsePrismaModels', () => {
+  test('should read enums, relation keys and composite keys', () => {
+    const [membership] = parsePrismaModels(`
+      enum Role {
+        OWNER
+        MEMBER
+      }
+      model Membership {
+        orgId  Int
+        userId Int
+        email  String
+        role   Role @default(MEMBER)
+        org    Org  @relation(fields: [orgId], references: [id])
+        @@id([orgId, userId])
+        @@unique([orgId, email])
+      }`);
+
+    assert.deepStrictEqual(membership.fields.filter(f => f.isPrimary).map(f => f.name), ['orgId', 'userId']);
+    assert.deepStrictEqual(membership.uniqueConstraints, [['orgId', 'email']]);
+    assert.deepStrictEqual(membership.fields.find(f => f.name === 'role').enumValues, ['OWNER', 'MEMBER']);
+    assert.deepStrictEqual(membership.relations.map(r => r.type), ['Org']);
+    assert.deepStrictEqual(membership.fields[0].references, { table: 'Org', column: 'id', onDelete: undefined });
+  });
+
+  test('should not end a model at braces in strings or comments', () => {
+    const [user, post] = parsePrismaModels(`
+      model User {
+        id   Int     @id
+        /// Settings such as {"theme": "dark"}
+        meta Json    @default("{}")
+        tags String  @default("}") // closes with }
+        name String?
+      }
+      model Post {
+        id Int @id
+      }`);
+
+    assert.deepStrictEqual(user.fields.map(f => f.name), ['id', 'meta', 'tags', 'name']);
+    assert.strictEqual(user.fields[1].description, 'Settings such as {"theme": "dark"}');
+    assert.strictEqual(user.fields[3].isOptional, true);
+    assert.strictEqual(post.name, 'Post');
+  });
+});
+
+describe('ORM schema parsers', () => {
+  test('should read Drizzle tables with references and composite keys', () => {
+    const [users, tags] = parseDrizzleSchema(`
+      export const users = pgTable('users', {
+        id: serial('id').primaryKey(),
+        email: text('email').notNull().unique(),
+      });
+      export const tags = pgTable('user_tags', {
+        userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }),
+        tag: text('tag'),
+      }, (t) => ({ pk: primaryKey({ columns: [t.userId, t.tag] }) }));`);
+
+    assert.strictEqual(users.fields[1].isUnique, true);
+    assert.deepStrictEqual(tags.fields.filter(f => f.isPrimary).map(f => f.name), ['user_id', 'tag']);
+    assert.deepStrictEqual(tags.fields[0].references, { table: 'users', column: 'id', onDelete: 'CASCADE' });
+    assert.deepStrictEqual(tags.relations, [{ name: 'user_id', type: 'users', cardinality: 'one' }]);
+  });
+
+  test('should map SQLAlchemy foreign keys from tables to classes', () => {
+    const [, invoice] = parseSQLAlchemyModels([
+      'class Account(Base):',
+      '    __tablename__ = "accounts"',
+      '    id: Mapped[int] = mapped_column(primary_key=True)',
+      '    invoices: Mapped[List["Invoice"]] = relationship(back_populates="account")',
+      '',
+      'class Invoice(Base):',
+      '    __tablename__ = "invoices"',
+      '    id = Column(Integer, primary_key=True)',
+      '    account_id = Column(Integer, ForeignKey("accounts.id"),',
+      '                        nullable=False)',
+      '    account = relationship("Account")'
+    ].join('\n'));
+
+    assert.strictEqual(invoice.fields[1].isOptional, false);
+    assert.strictEqual(invoice.fields[1].references.table, 'Account');
+    assert.deepStrictEqual(invoice.relations, [{ name: 'account', type: 'Account', cardinality: 'one' }]);
+  });
+
+  test('should add Django implicit keys and inherited abstract fields', () => {
+    const [player] = parseDjangoModels([
+      'class Stamped(models.Model):',
+      '    created = models.DateTimeField(auto_now_add=True)',
+      '    class Meta:',
+      '        abstract = True',
+      '',
+      'class Player(Stamped):',
+      '    team = models.ForeignKey("Team", on_delete=models.CASCADE)',
+      '    class Meta:',
+      '        unique_together = [("team", "created")]'
+    ].join('\n'));
+
+    assert.deepStrictEqual(player.fields.map(f => f.name), ['id', 'created', 'team_id']);
+    assert.deepStrictEqual(player.uniqueConstraints, [['team_id', 'created']]);
+    assert.deepStrictEqual(player.relations, [{ name: 'team', type: 'Team', cardinality: 'one' }]);
+  });
+
+  test('should read EF Core entities from DbSet properties', () => {
+    const [order] = parseEFCoreModels(`
+      public abstract class BaseEntity { public int Id { get; set; } }
+      public class Order : BaseEntity {
+        public string? Note { get; set; }
+        public int CustomerId { get; set; }
+        public Customer Customer { get; set; }
+      }
+      public class Customer : BaseEntity { public List<Order> Orders { get; set; } }
+      public class ShopContext : DbContext {
+        public DbSet<Order> Orders { get; set; }
+        public DbSet<Customer> Customers { get; set; }
+      }`);
+
+    assert.deepStrictEqual(order.fields.map(f => [f.name, f.isPrimary, f.isOptional]), [['Id', true, false], ['Note', false, true], ['CustomerId', false, false]]);
+    assert.deepStrictEqual(order.fields[2].references, { table: 'Customer', column: 'Id' });
+  });
+
+  test('should point EF Core foreign keys at the target key', () => {
+    const [blog, post] = parseEFCoreModels(`
+      public class BloggingContext : DbContext {
+        public DbSet<Blog> Blogs { get; set; }
+        public DbSet<Post> Posts { get; set; }
+      }
+      public class Blog { public int BlogId { get; set; } }
+      public class Post {
+        public int PostId { get; set; }
+        public int BlogId { get; set; }
+        public Blog Blog { get; set; }
+      }`);
+
+    assert.strictEqual(blog.fields[0].isPrimary, true);
+    assert.deepStrictEqual(post.fields[1].references, { table: 'Blog', column: 'BlogId' });
+  });
+
+  test('should ignore models in comments and docstrings', () => {
+    const models = parseSequelizeModels(`
+      // const User = sequelize.define('User', { name: DataTypes.STRING })
+      /* Post.init({ title: DataTypes.STRING }, { sequelize }) */
+      const pattern = /['"]/;
+      /** Accounts */
+      const Account = sequelize.define('Account', {
+        // legacy: DataTypes.STRING,
+        email: DataTypes.STRING
+      });`);
+
+    assert.deepStrictEqual(models.map(m => [m.name, m.description]), [['Account', undefined]]);
+    assert.deepStrictEqual(models[0].fields.map(f => f.name), ['id', 'email', 'createdAt', 'updatedAt']);
+
+    const django = parseDjangoModels(`
+from django.db import models
+
+class Note(models.Model):
+    """Example:
+
+class Fake(models.Model):
+    pass
+"""
+    # class Hidden(models.Model):
+    body = models.TextField()`);
+
+    assert.deepStrictEqual(django.map(m => m.name), ['Note']);
+  });
+
+  test('should merge entities declared more than once', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-orm-merge');
+    await fse.outputFile(join(tmpDir, 'Data', 'AppDb.cs'), 'public class AppDb : DbContext { public DbSet<User> Users { get; set; } }');
+    await fse.outputFile(join(tmpDir, 'Data', 'User.cs'), 'public partial class User { public int Id { get; set; } }');
+    await fse.outputFile(join(tmpDir, 'Data', 'UserProfile.cs'), 'public partial class User { public string? Bio { get; set; } }');
+    await fse.outputFile(join(tmpDir, 'models', 'a.js'), "const sequelize = require('sequelize');\nconst Tag = sequelize.define('Tag', { name: DataTypes.STRING });");
+    await fse.outputFile(join(tmpDir, 'models', 'b.js'), "const sequelize = require('sequelize');\nconst Tag = sequelize.define('Tag', { color: DataTypes.STRING });");
+
+    try {
+      const schemas = await collectORMSchemas(tmpDir);
+      const efcore = schemas.find(schema => schema.type === 'efcore');
+      const sequelize = schemas.find(schema => schema.type === 'sequelize');
+
+      assert.deepStrictEqual(efcore.entities.map(e => [e.name, e.fields.map(f => f.name)]), [['User', ['Id', 'Bio']]]);
+      assert.deepStrictEqual(sequelize.entities.map(e => [e.name, e.fields.map(f => f.name)]), [['Tag', ['id', 'name', 'createdAt', 'updatedAt', 'color']]]);
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+});
+
+describe('schema diff', () => {
+  const field = (name, extra = {}) => ({ name, type: 'Int', isPrimary: false, isUnique: false, isOptional: false, ...extra });
+  const before = [{ type: 'prisma', name: 'Prisma Schema', entities: [
+    { name: 'User', fields: [field('id', { isPrimary: true }), field('nick', { type: 'String', isOptional: true })], relations: [] },
+    { name: 'Legacy', fields: [field('id', { isPrimary: true })], relations: [] }
+  ] }];
+  const after = [{ type: 'prisma', name: 'Prisma Schema', entities: [
+    { name: 'User', fields: [field('id', { isPrimary: true, type: 'BigInt' }), field('email', { type: 'String', isUnique: true })], relations: [{ name: 'tags', type: 'Tag', cardinality: 'many' }] },
+    { name: 'Tag', fields: [field('id', { isPrimary: true })], relations: [] }
+  ] }];
+
+  test('should report added, removed and altered tables', () => {
+    const [schema] = diffSchemas(before, after);
+
+    assert.deepStrictEqual(schema.added.map(e => e.name), ['Tag']);
+    assert.deepStrictEqual(schema.removed.map(e => e.name), ['Legacy']);
+    assert.deepStrictEqual(schema.altered[0].changes.map(c => [c.kind, c.action, c.name]), [
+      ['column', 'changed', 'id'],
+      ['column', 'added', 'email'],
+      ['column', 'removed', 'nick'],
+      ['relation', 'added', 'tags']
+    ]);
+    assert.deepStrictEqual(diffSchemas(after, after), []);
+  });
+
+  test('should highlight changed tables in the ERD', () => {
+    const markdown = buildSchemaDiffMarkdown(diffSchemas(before, after), { from: 'main', to: 'HEAD' });
+
+    assert.ok(markdown.includes('| Type | `id` | Int | BigInt |'));
+    assert.ok(markdown.includes('  class Tag added'));
+    assert.ok(markdown.includes('  class User altered'));
+    assert.ok(markdown.includes('  class Legacy removed'));
+  });
+
+  test('should read schemas at a ref when run from a subdirectory', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-schema-diff');
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: tmpDir, encoding: 'utf-8' });
+    await fse.outputFile(join(tmpDir, 'prisma', 'schema.prisma'), 'model User {\n  id Int @id\n}\n');
+
+    try {
+      git('init', '-q');
+      git('add', '-A');
+      git('commit', '-qm', 'initial schema');
+      await fse.appendFile(join(tmpDir, 'prisma', 'schema.prisma'), '\nmodel Post {\n  id Int @id\n}\n');
+      git('commit', '-qam', 'add posts');
+
+      const { schemas } = await generateSchemaDiff(join(tmpDir, 'prisma'), {}, { from: 'HEAD~1' });
+
+      assert.deepStrictEqual(schemas.map(schema => schema.added.map(entity => entity.name)), [['Post']]);
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+});
+
+describe('diagram renderers', () => {
+  const entities = [
+    { name: 'users', fields: [{ name: 'id', type: 'Int', isPrimary: true }], relations: [{ name: 'posts', type: 'posts', cardinality: 'many' }] },
+    { name: 'posts', fields: [{ name: 'author_id', type: 'Int', references: { table: 'users', column: 'id' } }], relations: [{ name: 'author', type: 'users', cardinality: 'one' }] }
+  ];
+
+  test('should render ERDs in every format', () => {
+    assert.ok(renderERD(entities, 'mermaid').includes('  users }o--o{ posts : "posts"'));
+    assert.ok(renderERD(entities, 'plantuml').includes('  * author_id : Int <<FK>>'));
+    assert.ok(renderERD(entities, 'dot').includes('"posts" -> "users" [label="author", arrowtail=teetee, arrowhead=crowodot];'));
+    assert.ok(renderERD(entities, 'd2').startsWith('```d2\ndirection: right'));
+  });
+
+  test('should address grouped D2 nodes by their container', () => {
+    const d2 = renderGraph({
+      groups: [{ id: 'src', label: 'src', nodes: ['src_a'] }],
+      nodes: [{ id: 'src_a', label: 'a.js' }, { id: 'chalk', label: 'chalk', shape: 'stadium' }],
+      edges: [{ from: 'src_a', to: 'chalk', label: 'dynamic', dashed: true }]
+    }, 'd2');
+
+    assert.ok(d2.includes('src.src_a -> chalk: "dynamic" {style.stroke-dash: 3}'));
+  });
+
+  test('should prefer --diagram-format over diagrams.<type>.format', () => {
+    const config = { diagrams: { erd: { format: 'plantuml' } } };
+
+    assert.strictEqual(resolveDiagramFormat(config, 'erd'), 'plantuml');
+    assert.strictEqual(resolveDiagramFormat(config, 'erd', 'dot'), 'dot');
+    assert.strictEqual(resolveDiagramFormat(config, 'workflows'), 'mermaid');
+    assert.throws(() => resolveDiagramFormat(config, 'erd', 'svg'), /Supported: mermaid, plantuml, dot, d2/);
+  });
+});
+
+describe('diagram images', () => {
+  test('should extract the source of each mermaid block', () => {
+    const markdown = '# ERD\n\n```mermaid\nerDiagram\n  users { int id PK }\n```\n\n```plantuml\n@startuml\n@enduml\n```\n\n```mermaid\nflowchart TB\n  a --> b\n```\n';
+
+    assert.deepStrictEqual(extractMermaidBlocks(markdown), [
+      'erDiagram\n  users { int id PK }',
+      'flowchart TB\n  a --> b'
+    ]);
+  });
+
+  test('should resolve image formats from --images and diagrams.mermaid.images', () => {
+    const config = { diagrams: { mermaid: { images: ['png'] } } };
+
+    assert.deepStrictEqual(resolveImageFormats(config), ['png']);
+    assert.deepStrictEqual(resolveImageFormats(config, true), ['svg', 'png']);
+    assert.deepStrictEqual(resolveImageFormats(config, 'svg, SVG'), ['svg']);
+    assert.deepStrictEqual(resolveImageFormats({}), []);
+    assert.throws(() => resolveImageFormats(config, 'jpg'), /Unknown image format "jpg"/);
+  });
+
+  test('should not start a browser when documents have no mermaid blocks', async () => {
+    const documents = [{ html: '<pre><code class="language-js">const a = 1;</code></pre>' }];
+
+    assert.strictEqual(await embedMermaidDiagrams(documents, {}), 0);
+    assert.strictEqual(documents[0].html, '<pre><code class="language-js">const a = 1;</code></pre>');
+  });
+});
+
+/**
+ * Word Export Tests
+ */
+describe('docx export', () => {
+  test('should write headings, tables and brand colours into the document', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-docx');
+    const outputPath = join(tmpDir, 'out.docx');
+    await fse.ensureDir(tmpDir);
+    await fse.writeFile(join(tmpDir, 'guide.md'), '# Guide\n\nIntro with **bold** text.\n\n## Setup\n\n| Name | Value |\n| --- | --- |\n| port | 8080 |\n');
+
+    try {
+      await generateDOCX({
+        inputFiles: [join(tmpDir, 'guide.md')],
+        outputPath,
+        includeCover: false,
+        includeToc: false,
+        config: { project: { name: 'Acme' }, branding: { primary: '#123456', secondary: '#abcdef' } },
+        cwd: tmpDir
+      });
+
+      const zip = await JSZip.loadAsync(await fse.readFile(outputPath));
+      const document = await zip.file('word/document.xml').async('string');
+      const styles = await zip.file('word/styles.xml').async('string');
+      const style = (id) => styles.match(new RegExp(`<w:style [^>]*w:styleId="${id}"[\\s\\S]*?</w:style>`))?.[0];
+      const texts = (xml) => [...xml.matchAll(/<w:t[^>]*>([^<]*)<\/w:t>/g)].map(match => match[1]);
+
+      assert.match(document, /<w:pStyle w:val="Heading1"\/><\/w:pPr><w:r><w:t[^>]*>Guide<\/w:t>/);
+      assert.match(document, /<w:pStyle w:val="Heading2"\/><\/w:pPr><w:r><w:t[^>]*>Setup<\/w:t>/);
+      assert.match(document, /<w:b\/><w:bCs\/><\/w:rPr><w:t[^>]*>bold<\/w:t>/);
+
+      const table = document.match(/<w:tbl>[\s\S]*?<\/w:tbl>/)?.[0];
+      assert.ok(table, 'expected a table');
+      assert.deepStrictEqual(texts(table), ['Name', 'Value', 'port', '8080']);
+      assert.strictEqual((table.match(/<w:tr>/g) || []).length, 2);
+      assert.match(table, /<w:shd w:fill="123456"/);
+
+      assert.match(style('Heading1'), /<w:color w:val="123456"\/>/);
+      assert.match(style('Heading2'), /<w:color w:val="ABCDEF"\/>/i);
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+});
+
+/**
+ * HTML Export Tests
+ */
+describe('html export', () => {
+  const exportSite = async (tmpDir) => {
+    const docsDir = join(tmpDir, 'docs');
+    await fse.outputFile(join(docsDir, 'index.md'), '# Home\n\nSee [setup](guides/setup.md#install), [spec](https://example.com/spec.md) and [top](#home).\n');
+    await fse.outputFile(join(docsDir, 'guides', 'setup.md'), '# Setup Guide\n\n## Install\n\nRun `npm install` to fetch **dependencies**.\n\nBack to [home](../index.md).\n');
+
+    const outputDir = join(tmpDir, 'site');
+    await generateHTML({
+      inputFiles: [join(docsDir, 'index.md'), join(docsDir, 'guides', 'setup.md')],
+      inputDir: docsDir,
+      outputDir,
+      renderDiagrams: false,
+      config: { project: { name: 'Acme' } }
+    });
+    return (file) => fse.readFile(join(outputDir, file), 'utf-8');
+  };
+
+  test('should rewrite relative .md links and leave external links alone', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-html-links');
+
+    try {
+      const read = await exportSite(tmpDir);
+      const index = await read('index.html');
+
+      assert.ok(index.includes('<a href="guides/setup.html#install">setup</a>'));
+      assert.ok(index.includes('<a href="https://example.com/spec.md">spec</a>'));
+      assert.ok(index.includes('<a href="#home">top</a>'));
+      assert.ok((await read('guides/setup.html')).includes('<a href="../index.html">home</a>'));
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+
+  test('should build the sidebar relative to each page and mark the current one', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-html-sidebar');
+
+    try {
+      const read = await exportSite(tmpDir);
+      const sidebar = (html) => html.slice(html.indexOf('<nav class="sidebar">'), html.indexOf('</nav>'));
+      const page = sidebar(await read('guides/setup.html'));
+
+      assert.ok(page.includes('<a class="site-title" href="../index.html">Acme</a>'));
+      assert.ok(page.includes('<div class="section-title">Guides</div>'));
+      assert.ok(page.includes('<a href="../guides/setup.html" class="active">Setup Guide</a>'));
+      assert.ok(sidebar(await read('index.html')).includes('<a href="guides/setup.html">Setup Guide</a>'));
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+
+  test('should write a search index with titles, urls, headings and plain text', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-html-search');
+
+    try {
+      const read = await exportSite(tmpDir);
+      const script = await read('search-index.js');
+      const entries = JSON.parse(script.replace(/^window\.DOCFLOW_SEARCH_INDEX = /, '').replace(/;\s*$/, ''));
+      const setup = entries.find(entry => entry.url === 'guides/setup.html');
+
+      assert.deepStrictEqual(entries.map(entry => entry.url).sort(), ['guides/setup.html', 'index.html']);
+      assert.strictEqual(setup.title, 'Setup Guide');
+      assert.deepStrictEqual(setup.headings, ['Setup Guide', 'Install']);
+      assert.ok(setup.text.includes('Run npm install to fetch dependencies'));
+      assert.ok(!/[`*#]/.test(setup.text));
+      assert.ok((await read('index.html')).includes('<script src="search-index.js"></script>'));
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+
+  test('should remove only the files a previous export wrote', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-html-replace');
+
+    try {
+      await exportSite(tmpDir);
+      await fse.writeFile(join(tmpDir, 'site', 'notes.txt'), 'keep');
+
+      assert.strictEqual(await removePreviousExport(join(tmpDir, 'site')), 3);
+      assert.deepStrictEqual(await fse.readdir(join(tmpDir, 'site')), ['notes.txt']);
+      assert.ok(await fse.pathExists(join(tmpDir, 'docs', 'guides', 'setup.md')));
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+
+  test('should copy only the assets the pages reference', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-html-assets');
+    await fse.outputFile(join(tmpDir, 'docs', 'guide.md'), '# Guide\n\n![Logo](img/my%20logo.png)\n\n[Spec](spec.pdf#page=2) and ![Remote](https://example.com/a.png)\n');
+    await fse.outputFile(join(tmpDir, 'docs', 'img', 'my logo.png'), 'png');
+    await fse.outputFile(join(tmpDir, 'docs', 'spec.pdf'), 'pdf');
+    await fse.outputFile(join(tmpDir, 'docs', 'unused.png'), 'png');
+    await fse.outputFile(join(tmpDir, 'docs-html', 'old.png'), 'png');
+
+    try {
+      const result = await generateHTML({
+        inputFiles: [join(tmpDir, 'docs', 'guide.md')],
+        inputDir: tmpDir,
+        outputDir: join(tmpDir, 'site'),
+        renderDiagrams: false,
+        config: {}
+      });
+
+      assert.strictEqual(result.assets, 2);
+      assert.ok(await fse.pathExists(join(tmpDir, 'site', 'docs', 'img', 'my logo.png')));
+      assert.ok(await fse.pathExists(join(tmpDir, 'site', 'docs', 'spec.pdf')));
+      assert.ok(!await fse.pathExists(join(tmpDir, 'site', 'docs', 'unused.png')));
+      assert.ok(!await fse.pathExists(join(tmpDir, 'site', 'docs-html')));
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+});
+
+/**
+ * API Reference Tests
+ */
+describe('groupEndpoints', () => {
+  const spec = {
+    tags: [{ name: 'Admin' }, { name: 'Users' }],
+    paths: {
+      '/api/v1/users': { get: { tags: ['Users'] }, post: { tags: ['Users'] } },
+      '/api/v1/users/{id}': { parameters: [{ name: 'id', in: 'path' }], delete: { tags: ['Admin'] } }
+    }
+  };
+
+  test('should group by first path resource, skipping api and version prefixes', () => {
+    const groups = groupEndpoints(spec, 'resource');
+
+    assert.deepStrictEqual(groups.map(g => g.name), ['users']);
+    assert.strictEqual(groups[0].endpoints.length, 3);
+    assert.strictEqual(groups[0].endpoints[2].parameters[0].name, 'id');
+  });
+
+  test('should group by tag in declared tag order', () => {
+    const groups = groupEndpoints(spec, 'tag');
+
+    assert.deepStrictEqual(groups.map(g => [g.name, g.endpoints.length]), [['Admin', 1], ['Users', 2]]);
+  });
+});
+
+/**
+ * Changelog Tests
+ */
+describe('conventional commits', () => {
+  test('should parse type, scope and BREAKING CHANGE footers', () => {
+    const commit = parseCommit('feat(api): add users\n\nBody text\n\nBREAKING CHANGE: ids are now UUIDs', 'abcdef1234');
+
+    assert.strictEqual(commit.type, 'feat');
+    assert.strictEqual(commit.scope, 'api');
+    assert.strictEqual(commit.subject, 'add users');
+    assert.strictEqual(commit.breaking, true);
+    assert.deepStrictEqual(commit.breakingNotes, ['ids are now UUIDs']);
+  });
+
+  test('should compute the next version from bump rules', () => {
+    const rules = { feat: 'minor', fix: 'patch', breaking: 'major' };
+
+    assert.strictEqual(computeBump([parseCommit('fix: a'), parseCommit('feat: b')], rules), 'minor');
+    assert.strictEqual(computeBump([parseCommit('fix!: a')], rules), 'major');
+    assert.strictEqual(computeBump([parseCommit('style: a')], rules), null);
+    assert.strictEqual(bumpVersion('v1.4.2', 'minor'), '1.5.0');
+  });
+
+  test('should replace the section for the same version when run again before tagging', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-changelog');
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: tmpDir, encoding: 'utf-8' });
+    await fse.ensureDir(tmpDir);
+    await fse.writeJson(join(tmpDir, 'package.json'), { version: '1.0.0' });
+    await fse.writeFile(join(tmpDir, 'CHANGELOG.md'), '# Changelog\n\n## [Unreleased]\n\n## [1.0.0] - 2024-01-01\n\n- First release\n');
+
+    try {
+      git('init', '-q');
+      git('add', '-A');
+      git('commit', '-qm', 'feat: add search');
+
+      await generateChangelog(tmpDir, {});
+      git('commit', '-q', '--allow-empty', '-m', 'fix: handle empty query');
+      const result = await generateChangelog(tmpDir, {});
+      const content = await fse.readFile(join(tmpDir, 'CHANGELOG.md'), 'utf-8');
+
+      assert.strictEqual(result.replaced, true);
+      assert.deepStrictEqual(content.match(/^## .*$/gm).map(h => h.replace(/ - .*$/, '')), ['## [Unreleased]', '## [1.1.0]', '## [1.0.0]']);
+      assert.ok(content.includes('- add search'));
+      assert.ok(content.includes('- handle empty query'));
+      assert.ok(content.endsWith('## [1.0.0] - 2024-01-01\n\n- First release\n'));
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+});
+
+/**
+ * Value Cleaning Tests
+ */
+describe('cleanValue', () => {
+  test('should treat empty values, dashes and placeholders as unset', () => {
+    assert.strictEqual(cleanValue(undefined), null);
+    assert.strictEqual(cleanValue('  -  '), null);
+    assert.strictEqual(cleanValue('{{PROJECT_NAME}}'), null);
+    assert.strictEqual(cleanValue(' docflow '), 'docflow');
+  });
+
+  test('should strip markdown formatting before applying template hints', () => {
+    assert.strictEqual(cleanValue('**`2024-01-01`**', { markdown: true }), '2024-01-01');
+    assert.strictEqual(cleanValue('[ADR-005](ADR-005-x.md)', { markdown: true }), 'ADR-005');
+    assert.strictEqual(cleanValue('ADR-XXX (if applicable)', { hint: /XXX|if applicable/i }), null);
+  });
+});
+
+/**
+ * ADR Parsing Tests
+ */
+describe('parseAdr', () => {
+  test('should read status from the metadata table and ignore template placeholders', () => {
+    const content = '# ADR-004: Use Redis\n\n## Metadata\n\n| Field | Value |\n|-------|-------|\n| **Status** | Superseded |\n| **Date** | 2024-03-01 |\n| **Supersedes** | ADR-XXX (if applicable) |\n| **Superseded by** | ADR-007 |\n';
+    const adr = parseAdr(content);
+
+    assert.strictEqual(adr.title, 'Use Redis');
+    assert.strictEqual(adr.status, 'Superseded');
+    assert.strictEqual(adr.date, '2024-03-01');
+    assert.strictEqual(adr.supersedes, null);
+    assert.strictEqual(adr.supersededBy, 'ADR-007');
+  });
+
+  test('should read status from a Status section and flag unfilled values', () => {
+    assert.strictEqual(parseAdr('# ADR-001: A\n\n## Status\n\nAccepted\n').status, 'Accepted');
+    assert.strictEqual(parseAdr('| Field | Value |\n|---|---|\n| **Status** | Proposed / Accepted |\n').status, 'Unknown');
+  });
+});
+
+/**
+ * Secret Scanning Tests
+ */
+describe('scanContent', () => {
+  test('should report pattern and entropy matches and honour the allowlist comment', () => {
+    const rules = buildSecretRules({ security: { secretScanning: { patterns: ['password\\s*[=:]\\s*["\'][^"\']+["\']'] } } });
+    const content = [
+      'const password = "hunter2";',
+      'const key = "AKIAJx7Q9zLpW3mN8vK2rT5yB4cD6fH1gJ0sE";',
+      'const label = "a perfectly ordinary sentence";',
+      'const other = "x"; // docflow:allow-secret',
+      '// docflow:allow-secret',
+      'const password = "fixture";'
+    ].join('\n');
+
+    const findings = scanContent(content, rules);
+
+    assert.deepStrictEqual(findings.map(f => [f.line, f.ruleId]), [
+      [1, 'secret-pattern-1'],
+      [2, 'high-entropy-string']
+    ]);
+    assert.ok(!findings[0].match.includes('hunter2'), 'matches should be redacted');
+  });
+
+  test('should scan explicit files with glob characters in their names', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-secrets-files');
+    await fse.outputFile(join(tmpDir, 'src', 'pages', '[id].ts'), 'const password = "hunter2";\n');
+    await fse.outputFile(join(tmpDir, 'src', '{a,b}.js'), 'const password = "hunter2";\n');
+    await fse.outputFile(join(tmpDir, 'node_modules', 'pkg', '[id].js'), 'const password = "hunter2";\n');
+
+    try {
+      const { files, findings } = await scanSecrets(tmpDir, {}, {
+        files: ['src/pages/[id].ts', join(tmpDir, 'src', '{a,b}.js'), 'node_modules/pkg/[id].js'],
+        entropy: false
+      });
+
+      assert.strictEqual(files, 2);
+      assert.deepStrictEqual(findings.map(f => f.file), ['src/pages/[id].ts', 'src/{a,b}.js']);
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+});
+
+/**
+ * Naming Convention Tests
+ */
+describe('checkNaming', () => {
+  test('should report file, folder and identifier violations with line numbers', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-naming');
+    await fse.ensureDir(join(tmpDir, 'src', 'My_Utils'));
+    await fse.ensureDir(join(tmpDir, 'src', 'utils'));
+    await fse.writeFile(join(tmpDir, 'src', 'My_Utils', 'index.js'), 'export const ok = 1;\n');
+    await fse.writeFile(join(tmpDir, 'src', 'utils', 'stringHelpers.js'), 'export function format_name() {}\nconst MAX_SIZE = 10;\nconst user_name = "a";\n');
+    await fse.writeFile(join(tmpDir, 'src', 'utils', 'date-format.js'), 'export const formatDate = (d) => d;\n');
+
+    const config = {
+      naming: {
+        rules: {
+          files: { utilities: 'kebab-case' },
+          folders: 'kebab-case',
+          variables: { javascript: 'camelCase' },
+          constants: 'SCREAMING_SNAKE_CASE'
+        }
+      }
+    };
+
+    try {
+      const { violations } = await checkNaming(tmpDir, config);
+
+      assert.deepStrictEqual(violations.map(v => [v.file, v.line, v.name]), [
+        ['src/My_Utils', null, 'My_Utils'],
+        ['src/utils/stringHelpers.js', null, 'stringHelpers'],
+        ['src/utils/stringHelpers.js', 1, 'format_name'],
+        ['src/utils/stringHelpers.js', 3, 'user_name']
+      ]);
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+
+  test('should match brace patterns and reject unbalanced braces', () => {
+    assert.ok(matchesConvention('user.test.ts', '*.test.{ts,js}|*.spec.{ts,js}'));
+    assert.ok(!matchesConvention('user.test.py', '*.test.{ts,js}'));
+    assert.throws(() => matchesConvention('user.test.ts', '*.test.{ts,js'), /Invalid naming pattern "\*\.test\.\{ts,js": unmatched "\{" at position 8/);
+    assert.throws(() => matchesConvention('user.test.ts', '*.test.ts}'), /Invalid naming pattern "\*\.test\.ts\}": unmatched "\}" at position 10/);
+    assert.throws(() => matchesConvention('a.ts', '*.{ts,{js,mjs}}'), /nested "\{" at position 7 is not supported/);
+  });
+});
+
+/**
+ * Documentation Content Lint Tests
+ */
+describe('lintDocumentation', () => {
+  test('should report broken anchors, missing metadata, placeholders and duplicate numbers', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-content-lint');
+    const adrDir = join(tmpDir, 'docs', 'architecture', 'adr');
+    await fse.ensureDir(adrDir);
+    await fse.writeFile(join(adrDir, 'ADR-001-a.md'), '# ADR-001: A\n\n| Field | Value |\n|---|---|\n| **Status** | Accepted |\n\n[B](ADR-001-b.md#context) [gone](#nowhere)\n');
+    await fse.writeFile(join(adrDir, 'ADR-001-b.md'), '# ADR-001: B\n\n| Field | Value |\n|---|---|\n| **Status** | Accepted |\n| **Date** | 2024-01-01 |\n\n## Context\n\n{{OWNER}} `{{IN_CODE}}`\n');
+
+    try {
+      const { issues } = await lintDocumentation(tmpDir, {});
+
+      assert.deepStrictEqual(issues.map(i => [i.file.split('/').pop(), i.line, i.rule]), [
+        ['ADR-001-a.md', null, 'missing-metadata'],
+        ['ADR-001-a.md', null, 'duplicate-number'],
+        ['ADR-001-a.md', 7, 'broken-anchor'],
+        ['ADR-001-b.md', null, 'duplicate-number'],
+        ['ADR-001-b.md', 10, 'unresolved-placeholder']
+      ]);
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+
+  test('should report filtered and dotted placeholders on their own lines only', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-content-lint-placeholders');
+    await fse.ensureDir(join(tmpDir, 'docs'));
+    await fse.writeFile(join(tmpDir, 'docs', 'guide.md'), '# Guide\n\n{{TITLE | upper}}\n\n{{project.name}}\n\n{{projectXname:none}}\n');
+
+    try {
+      const { issues } = await lintDocumentation(tmpDir, {});
+
+      assert.deepStrictEqual(issues.map(i => [i.line, i.message]), [
+        [3, 'Unsubstituted placeholder: {{TITLE}}'],
+        [5, 'Unsubstituted placeholder: {{project.name}}'],
+        [7, 'Unsubstituted placeholder: {{projectXname}}']
+      ]);
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+});
+
+/**
+ * ADR Lifecycle Tests
+ */
+describe('updateAdr', () => {
+  test('should update metadata table rows in place', () => {
+    const content = '# ADR-002: B\n\n| Field | Value |\n|-------|-------|\n| **Status** | Accepted |\n| **Superseded by** | ADR-XXX (if applicable) |\n\n## Context\n';
+    const updated = updateAdr(content, { status: 'Superseded', supersededBy: '[ADR-005](ADR-005-x.md)' });
+
+    assert.ok(updated.includes('| **Status** | Superseded |'));
+    assert.ok(updated.includes('| **Superseded by** | [ADR-005](ADR-005-x.md) |'));
+    assert.strictEqual(parseAdr(updated).supersededBy, 'ADR-005');
+  });
+
+  test('should rewrite the Status section when there is no metadata table', () => {
+    const content = '# ADR-001: A\n\n## Status\n\nProposed\n\n## Context\n\nText\n';
+    const updated = updateAdr(content, { status: 'Superseded', supersededBy: 'ADR-002' });
+    const adr = parseAdr(updated);
+
+    assert.strictEqual(adr.status, 'Superseded');
+    assert.strictEqual(adr.supersededBy, 'ADR-002');
+    assert.ok(updated.includes('## Context\n\nText'));
+  });
+
+  test('should move the supersession link and keep the index out of the ADR directory README', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-adr-supersede');
+    const adrDir = join(tmpDir, 'docs', 'architecture', 'adr');
+    const adr = (number, title) => `# ADR-00${number}: ${title}\n\n| Field | Value |\n|-------|-------|\n| **Status** | Accepted |\n| **Supersedes** | - |\n| **Superseded by** | - |\n`;
+    await fse.ensureDir(adrDir);
+
+    try {
+      await fse.writeFile(join(adrDir, 'README.md'), '# ADR-XXX: [Title]\n\nTemplate copy\n');
+      await fse.writeFile(join(adrDir, 'ADR-001-a.md'), adr(1, 'A'));
+      await fse.writeFile(join(adrDir, 'ADR-002-b.md'), adr(2, 'B'));
+      await fse.writeFile(join(adrDir, 'ADR-003-c.md'), adr(3, 'C'));
+
+      const cli = join(process.cwd(), 'bin', 'docflow.js');
+      execFileSync('node', [cli, 'adr', 'supersede', '1', '2'], { cwd: tmpDir, encoding: 'utf-8' });
+      execFileSync('node', [cli, 'adr', 'supersede', '1', '3'], { cwd: tmpDir, encoding: 'utf-8' });
+
+      const read = name => fse.readFile(join(adrDir, name), 'utf-8').then(parseAdr);
+      assert.strictEqual((await read('ADR-001-a.md')).supersededBy, 'ADR-003');
+      assert.strictEqual((await read('ADR-002-b.md')).supersedes, null);
+      assert.strictEqual((await read('ADR-003-c.md')).supersedes, 'ADR-001');
+
+      assert.strictEqual(await fse.readFile(join(adrDir, 'README.md'), 'utf-8'), '# ADR-XXX: [Title]\n\nTemplate copy\n');
+      assert.ok((await fse.readFile(join(adrDir, 'index.md'), 'utf-8')).includes('<!-- docflow:start adr-index -->'));
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+});
+
+/**
+ * Runbook Catalogue Tests
+ */
+describe('runbooks', () => {
+  test('should substitute variables containing a slash but leave block tags alone', () => {
+    const result = substituteVariables('Owner: {{TEAM/PERSON}} {{#if X}}y{{/if}}', { 'TEAM/PERSON': 'SRE' });
+    assert.strictEqual(result, 'Owner: SRE {{#if X}}y{{/if}}');
+  });
+
+  test('should group the catalogue by category and order by severity', () => {
+    const runbook = (number, category, severity, stale = false) => ({
+      number, id: `RB-00${number}`, title: `Runbook ${number}`, category, severity, owner: null,
+      lastUpdated: '2024-01-01', ageDays: stale ? 400 : 10, stale, file: `docs/runbooks/RB-00${number}.md`
+    });
+    const body = buildRunbookIndex([
+      runbook(1, 'recovery', 'Low'),
+      runbook(2, 'incident', 'Medium'),
+      runbook(3, 'incident', 'Critical', true),
+      runbook(4, null, null)
+    ], { categories: ['incident', 'recovery'], staleAfterDays: 90 });
+
+    const headings = body.split('\n').filter(line => line.startsWith('### '));
+    assert.deepStrictEqual(headings, ['### Incident', '### Recovery', '### Uncategorised']);
+    assert.ok(body.indexOf('RB-003') < body.indexOf('RB-002'), 'Critical should come before Medium');
+    assert.ok(body.includes('**400 days (stale)**'));
+  });
+});
+
+/**
+ * Feature Spec / ADR Linking Tests
+ */
+describe('feature ADR links', () => {
+  test('should find ADR references outside code blocks, normalised by number', () => {
+    const content = 'See ADR-7 and [ADR-002](x.md).\n\n```\nADR-009\n```\n\nAgain ADR-007\n';
+    assert.deepStrictEqual(findAdrReferences(content), [
+      { id: 'ADR-007', number: 7, line: 1 },
+      { id: 'ADR-002', number: 2, line: 1 }
+    ]);
+  });
+
+  test('should insert a region at the end of a named section', () => {
+    const content = '# Doc\n\n## Related Documents\n\n- [A](a.md)\n\n---\n\n## Changelog\n';
+    const updated = upsertRegion(content, 'related-adrs', '- [ADR-001](adr.md)', { heading: 'Related Documents' });
+
+    assert.ok(updated.includes('- [A](a.md)\n\n<!-- docflow:start related-adrs -->\n- [ADR-001](adr.md)\n<!-- docflow:end related-adrs -->\n\n---'));
+  });
+
+  test('should flag feature specs that reference missing or superseded ADRs', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-feature-adr');
+    await fse.ensureDir(join(tmpDir, 'docs', 'architecture', 'adr'));
+    await fse.ensureDir(join(tmpDir, 'docs', 'features'));
+    await fse.writeFile(join(tmpDir, 'docs', 'architecture', 'adr', 'ADR-001-a.md'), '# ADR-001: A\n\n## Status\n\nSuperseded\n\nSuperseded by ADR-002\n');
+    await fse.writeFile(join(tmpDir, 'docs', 'features', 'FEATURE-001-x.md'), '# X\n\nUses ADR-001 and ADR-004.\n');
+
+    try {
+      const { issues } = await lintDocumentation(tmpDir, {});
+      const featureIssues = issues.filter(i => i.rule.startsWith('feature-adr'));
+
+      assert.deepStrictEqual(featureIssues.map(i => [i.rule, i.line]), [
+        ['feature-adr-superseded', 3],
+        ['feature-adr-missing', 3]
+      ]);
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+
+  test('should check feature ADR links in plain validate and refuse superseded ADRs in add', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-feature-adr-cli');
+    const cli = join(process.cwd(), 'bin', 'docflow.js');
+    await fse.ensureDir(join(tmpDir, 'docs', 'architecture', 'adr'));
+    await fse.ensureDir(join(tmpDir, 'docs', 'features'));
+    await fse.writeJson(join(tmpDir, 'docflow.config.json'), {
+      version: '1.0.0',
+      project: { name: 'Test' },
+      templates: { features: { enabled: true, linkToAdr: true } }
+    });
+    await fse.writeFile(join(tmpDir, 'docs', 'architecture', 'adr', 'ADR-001-a.md'), '# ADR-001: A\n\n## Status\n\nSuperseded\n\nSuperseded by ADR-002\n');
+    await fse.writeFile(join(tmpDir, 'docs', 'features', 'FEATURE-001-x.md'), '# X\n\nUses ADR-001 and ADR-004.\n');
+
+    try {
+      const validate = spawnSync('node', [cli, 'validate', '--json'], { cwd: tmpDir, encoding: 'utf-8' });
+      assert.strictEqual(validate.status, 1);
+      assert.deepStrictEqual(JSON.parse(validate.stdout).adrLinks.errors, [
+        'docs/features/FEATURE-001-x.md:3  References ADR-001, which is superseded; use ADR-002',
+        'docs/features/FEATURE-001-x.md:3  References ADR-004, which does not exist'
+      ]);
+
+      const add = spawnSync('node', [cli, 'add', 'feature', '-n', 'Y', '--adr', '1', '--json'], { cwd: tmpDir, input: '', encoding: 'utf-8' });
+      assert.strictEqual(add.status, 1);
+      assert.match(add.stderr, /ADR-001 is superseded by ADR-002/);
+      assert.deepStrictEqual(await fse.readdir(join(tmpDir, 'docs', 'features')), ['FEATURE-001-x.md']);
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+});
+
+/**
+ * Template Engine Tests
+ */
+describe('template engine', () => {
+  test('should resolve dotted paths, filters, else branches and nested blocks', () => {
+    const template = '{{project.name | slug}}: {{#each items}}{{name | upper}}{{#if @last}}.{{else}}, {{/if}}{{/each}}' +
+      ' {{#if draft}}draft{{else}}final{{/if}} {{when | date:DD/MM/YYYY}} {{missing}}';
+    const result = processTemplate(template, {
+      variables: { project: { name: 'My App' }, items: [{ name: 'a' }, { name: 'b' }], when: '2024-03-05T12:00:00Z' }
+    });
+
+    assert.strictEqual(result, 'my-app: A, B. final 05/03/2024 {{missing}}');
+  });
+
+  test('should include partials with the current scope', () => {
+    const result = processTemplate('{{> header}}', { variables: { TITLE: 'Doc' } }, { partials: { header: '# {{TITLE}}' } });
+    assert.strictEqual(result, '# Doc');
+  });
+
+  test('should report unclosed and mismatched blocks with line numbers', () => {
+    assert.throws(() => processTemplate('a\n{{#if X}}\nb', {}, { name: 't.md' }), /Unclosed \{\{#if X\}\} \(t\.md, line 2\)/);
+    assert.throws(() => processTemplate('{{#each L}}\n{{/if}}', {}), /\{\{\/if\}\} closes \{\{#each L\}\} opened on line 1 \(line 2\)/);
+  });
+});
+
+/**
+ * Template Variable Resolution Tests
+ */
+describe('template variables', () => {
+  test('should read the version from pyproject.toml and Cargo.toml', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-version');
+    await fse.ensureDir(tmpDir);
+
+    try {
+      await fse.writeFile(join(tmpDir, 'pyproject.toml'), '[build-system]\nversion = "0"\n\n[tool.poetry]\nname = "x"\nversion = "2.1.0"\n');
+      assert.strictEqual(await detectProjectVersion(tmpDir, 'python'), '2.1.0');
+
+      await fse.writeFile(join(tmpDir, 'Cargo.toml'), '[package]\nname = "x"\nversion = \'0.4.2\'\n');
+      assert.strictEqual(await detectProjectVersion(tmpDir, 'rust'), '0.4.2');
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+
+  test('should evaluate templates.variables against config and package metadata', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-variables');
+    await fse.ensureDir(tmpDir);
+    await fse.writeJson(join(tmpDir, 'package.json'), { name: 'pkg', version: '1.4.0' });
+
+    try {
+      const context = await resolveTemplateContext(tmpDir, {
+        project: { name: 'Portal', owner: '{{GITHUB_OWNER}}' },
+        templates: {
+          variables: {
+            PROJECT_NAME: '{{project.name | upper}}',
+            OWNER: '{{project.owner}}',
+            VERSION: 'v{{version}}',
+            DATE: '{{date:YYYY-MM-DD}}'
+          }
+        }
+      });
+
+      assert.strictEqual(context.variables.PROJECT_NAME, 'PORTAL');
+      assert.strictEqual(context.variables.VERSION, 'v1.4.0');
+      assert.match(context.variables.DATE, /^\d{4}-\d{2}-\d{2}$/);
+      assert.strictEqual(context.variables.OWNER, undefined);
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+});
+
+/**
+ * Custom Document Type Tests
+ */
+describe('custom document types', () => {
+  const config = {
+    templates: {
+      custom: {
+        postmortem: {
+          directory: 'docs/postmortems',
+          prefix: 'PM',
+          questions: [
+            { name: 'service', message: 'Affected service', required: true },
+            { name: 'impact', message: 'Impact', choices: ['High', 'Low'], default: 'Low' }
+          ]
+        },
+        rfc: { directory: 'docs/rfcs', autoNumber: false, enabled: false }
+      }
+    }
+  };
+
+  test('should apply defaults and render a starter template from the questions', () => {
+    const types = getCustomTypes(config);
+
+    assert.strictEqual(types.postmortem.autoNumber, true);
+    assert.strictEqual(types.rfc.prefix, 'RFC');
+    assert.strictEqual(types.rfc.enabled, false);
+
+    const content = processTemplate(getCustomTemplate(types.postmortem), {
+      variables: { PREFIX: 'PM', NUMBER: '004', TITLE: 'DB outage', service: 'billing', impact: 'High' }
+    });
+    assert.ok(content.startsWith('# PM-004: DB outage'));
+    assert.ok(content.includes('| **Service** | billing |'));
+  });
+
+  test('should use provided values and defaults without a terminal', async () => {
+    const { postmortem } = getCustomTypes(config);
+    const prompt = () => assert.fail('should not prompt');
+
+    assert.deepStrictEqual(await answerQuestions(postmortem, { service: 'billing' }, prompt), { service: 'billing', impact: 'Low' });
+    await assert.rejects(() => answerQuestions(postmortem, {}, prompt), /Missing value for "service"/);
+  });
+
+  test('should reject custom types named after built-in types', () => {
+    assert.throws(() => getCustomTypes({ templates: { custom: { adr: { directory: 'x' } } } }), /clashes with a built-in type/);
+  });
+
+  test('should compile the config schema without strict mode warnings', async () => {
+    const warnings = [];
+    const logger = { log() {}, warn: (...args) => warnings.push(args.join(' ')), error() {} };
+    const validate = new Ajv({ allErrors: true, logger }).compile(await fse.readJson(join(process.cwd(), 'docflow.schema.json')));
+
+    assert.deepStrictEqual(warnings, []);
+    assert.strictEqual(validate({
+      version: '1.0.0',
+      project: { name: 'Test' },
+      templates: { custom: { rfc: { directory: 'docs/rfcs', questions: [{ name: 'draft', message: 'Draft?', default: true }] } } }
+    }), true);
+  });
+});
+
+/**
+ * Scriptable Add Tests
+ */
+describe('docflow add (non-interactive)', () => {
+  test('should render from --var and --from-json without writing on --dry-run', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-add');
+    await fse.ensureDir(tmpDir);
+    await fse.writeJson(join(tmpDir, 'docflow.config.json'), {
+      version: '1.0.0',
+      project: { name: 'Test' },
+      templates: { custom: { rfc: { directory: 'docs/rfcs', questions: [{ name: 'area', message: 'Area' }] } } }
+    });
+    await fse.writeJson(join(tmpDir, 'input.json'), { NAME: 'Faster builds', area: 'ci' });
+
+    try {
+      const output = execFileSync('node', [
+        join(process.cwd(), 'bin', 'docflow.js'), 'add', 'rfc',
+        '--from-json', 'input.json', '--var', 'area=build', '--tags', 'ci,speed', '--dry-run', '--json'
+      ], { cwd: tmpDir, input: '', encoding: 'utf-8' });
+      const result = JSON.parse(output);
+
+      assert.strictEqual(result.id, 'RFC-001');
+      assert.strictEqual(result.file, 'docs/rfcs/RFC-001-faster-builds.md');
+      assert.ok(result.content.includes('| **Area** | build |'));
+      assert.ok(result.content.includes('| **Tags** | ci, speed |'));
+      assert.strictEqual(await fse.pathExists(join(tmpDir, 'docs', 'rfcs')), false);
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+
+  test('should read --from-json from an absolute path', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-add-absolute');
+    const inputDir = join(process.cwd(), '.test-tmp-add-input');
+    await fse.ensureDir(tmpDir);
+    await fse.writeJson(join(tmpDir, 'docflow.config.json'), {
+      version: '1.0.0',
+      project: { name: 'Test' },
+      templates: { custom: { rfc: { directory: 'docs/rfcs' } } }
+    });
+    await fse.outputJson(join(inputDir, 'vars.json'), { NAME: 'Absolute input' });
+
+    try {
+      const output = execFileSync('node', [
+        join(process.cwd(), 'bin', 'docflow.js'), 'add', 'rfc',
+        '--from-json', join(inputDir, 'vars.json'), '--dry-run', '--json'
+      ], { cwd: tmpDir, input: '', encoding: 'utf-8' });
+
+      assert.strictEqual(JSON.parse(output).file, 'docs/rfcs/RFC-001-absolute-input.md');
+    } finally {
+      await fse.remove(tmpDir);
+      await fse.remove(inputDir);
+    }
+  });
+
+  test('should reject a --from-json name that is not a string', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-add-invalid-name');
+    await fse.ensureDir(tmpDir);
+    await fse.writeJson(join(tmpDir, 'docflow.config.json'), {
+      version: '1.0.0',
+      project: { name: 'Test' },
+      templates: { custom: { rfc: { directory: 'docs/rfcs' } } }
+    });
+    await fse.writeJson(join(tmpDir, 'input.json'), { NAME: 5 });
+
+    try {
+      const add = spawnSync('node', [
+        join(process.cwd(), 'bin', 'docflow.js'), 'add', 'rfc', '--from-json', 'input.json', '--json'
+      ], { cwd: tmpDir, input: '', encoding: 'utf-8' });
+
+      assert.strictEqual(add.status, 1);
+      assert.ok(add.stderr.includes('The name must be a non-empty string'));
+      assert.ok(!add.stderr.includes('TypeError'));
+      assert.strictEqual(await fse.pathExists(join(tmpDir, 'docs', 'rfcs')), false);
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+});
+
+/**
+ * Frontmatter Tests
+ */
+describe('frontmatter', () => {
+  test('should write standard fields in order and read them back', () => {
+    const content = setFrontmatter('# ADR-001: Use Kafka\n\nBody\n', {
+      title: 'Use Kafka: events', id: 'ADR-001', tags: ['messaging'], owner: null, status: 'Proposed'
+    });
+
+    assert.ok(content.startsWith('---\nid: ADR-001\ntitle: "Use Kafka: events"\nstatus: Proposed\ntags: [messaging]\n---\n\n# ADR-001'));
+
+    const { data, body } = parseFrontmatter(content);
+    assert.deepStrictEqual(data, { id: 'ADR-001', title: 'Use Kafka: events', status: 'Proposed', tags: ['messaging'] });
+    assert.strictEqual(body, '\n# ADR-001: Use Kafka\n\nBody\n');
+  });
+
+  test('should report invalid YAML without throwing', () => {
+    const { data, error } = parseFrontmatter('---\ntags: [a\n---\n# T\n');
+    assert.deepStrictEqual(data, {});
+    assert.match(error, /Invalid YAML frontmatter/);
+  });
+
+  test('should keep ADR frontmatter status in step and fall back to it when there is no table', () => {
+    const content = '---\nstatus: Proposed\n---\n\n# ADR-001: A\n\n## Status\n\nProposed\n';
+    const updated = updateAdr(content, { status: 'Accepted' });
+
+    assert.strictEqual(parseFrontmatter(updated).data.status, 'Accepted');
+    assert.strictEqual(parseAdr('---\nstatus: Deprecated\n---\n# ADR-002: B\n').status, 'Deprecated');
+  });
+
+  test('should convert metadata tables to frontmatter fields', () => {
+    const content = '# RB-007: Restart cache\n\n| Field | Value |\n|-------|-------|\n' +
+      '| **Severity** | High |\n| **Owner** | SRE |\n| **Last Updated** | 2024-02-01 |\n| **Tags** | cache, redis |\n| **Status** | Draft / Final |\n';
+
+    assert.deepStrictEqual(extractTableMetadata(content, { type: 'runbook', filename: 'RB-007-restart-cache.md' }), {
+      id: 'RB-007',
+      type: 'runbook',
+      title: 'Restart cache',
+      date: '2024-02-01',
+      tags: ['cache', 'redis'],
+      owner: 'SRE',
+      severity: 'High'
+    });
+    assert.strictEqual(extractTableMetadata('# Notes\n\nNo table\n'), null);
+  });
+});
+
+/**
+ * Template Pack Tests
+ */
+describe('template packs', () => {
+  test('should load a pack, register it and resolve its templates', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-pack');
+    await fse.ensureDir(join(tmpDir, 'packs', 'acme'));
+    await fse.writeJson(join(tmpDir, 'packs', 'acme', 'docflow-pack.json'), {
+      name: 'acme-docs',
+      version: '1.2.0',
+      templates: { runbook: { file: 'runbook.md', prompts: [{ name: 'team', message: 'Team?' }] } },
+      config: { templates: { runbooks: { template: 'pack:acme-docs:runbook', directory: 'ops' } } }
+    });
+    await fse.writeFile(join(tmpDir, 'packs', 'acme', 'runbook.md'), '# {{TITLE}}\n');
+
+    try {
+      const pack = await loadPack(tmpDir, 'packs/acme');
+      const config = registerPack({ templates: { runbooks: { directory: 'docs/runbooks' } } }, pack);
+
+      assert.deepStrictEqual(config.templates.packs, [{ name: 'acme-docs', version: '1.2.0', source: 'packs/acme' }]);
+      assert.deepStrictEqual(config.templates.runbooks, { directory: 'docs/runbooks', template: 'pack:acme-docs:runbook' });
+
+      const resolved = await resolveTemplate(tmpDir, config, 'pack:acme-docs:runbook');
+      assert.strictEqual(resolved.path, join(tmpDir, 'packs', 'acme', 'runbook.md'));
+      assert.strictEqual(resolved.prompts[0].name, 'team');
+      assert.deepStrictEqual(parseTemplateStamp(templateStamp(resolved.pack, resolved.key)), { name: 'acme-docs', key: 'runbook', version: '1.2.0' });
+
+      await assert.rejects(resolveTemplate(tmpDir, config, 'pack:acme-docs:adr'), /has no "adr" template/);
+      await assert.rejects(resolveTemplate(tmpDir, { templates: {} }, 'pack:acme-docs:runbook'), /not registered/);
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+
+  test('should stamp documents created by docflow add and diff them against the pack', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-pack-add');
+    await fse.outputJson(join(tmpDir, 'packs', 'acme', 'docflow-pack.json'), {
+      name: 'acme-docs',
+      version: '1.2.0',
+      templates: { adr: { file: 'adr.md' } }
+    });
+    await fse.writeFile(join(tmpDir, 'packs', 'acme', 'adr.md'), '# ADR-{{NUMBER}}: {{TITLE}}\n\n## Status\n\nProposed\n\n## Context\n\nBy {{AUTHOR}}\n');
+    await fse.writeJson(join(tmpDir, 'docflow.config.json'), {
+      version: '1.0.0',
+      project: { name: 'Test' },
+      templates: {
+        adr: { enabled: true, template: 'pack:acme-docs:adr' },
+        packs: [{ name: 'acme-docs', version: '1.2.0', source: 'packs/acme' }]
+      }
+    });
+
+    try {
+      execFileSync('node', [join(process.cwd(), 'bin', 'docflow.js'), 'add', 'adr', '-n', 'Use Postgres', '--json'], { cwd: tmpDir, input: '', encoding: 'utf-8' });
+      const file = join(tmpDir, 'docs', 'architecture', 'adr', 'ADR-001-use-postgres.md');
+      const { data } = parseFrontmatter(await fse.readFile(file, 'utf-8'));
+
+      assert.strictEqual(data.template, 'pack:acme-docs:adr@1.2.0');
+
+      const diff = () => execFileSync('node', [join(process.cwd(), 'bin', 'docflow.js'), 'template', 'diff'], { cwd: tmpDir, encoding: 'utf-8' });
+      assert.match(diff(), /ADR-001-use-postgres\.md {2}acme-docs:adr 1\.2\.0, no differences/);
+
+      await fse.appendFile(join(tmpDir, 'packs', 'acme', 'adr.md'), '\n## Consequences\n');
+      const changes = diff().split('\n').filter(line => /^\s*[+-](?![+-])/.test(line));
+      assert.deepStrictEqual(changes.map(line => line.trim()), ['+', '+## Consequences']);
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+
+  test('should format line changes as a unified diff', () => {
+    const ops = diffLines('# Title\n\nA\nB\nC\n', '# Title\n\nA\nB2\nC\nD\n');
+
+    assert.strictEqual(formatUnifiedDiff(ops, { fromFile: 'old.md', toFile: 'new.md', context: 1 }),
+      '--- old.md\n+++ new.md\n@@ -3,3 +3,4 @@\n A\n-B\n+B2\n C\n+D');
+    assert.strictEqual(formatUnifiedDiff(diffLines('same\n', 'same\n')), '');
+  });
+});
+
+/**
+ * Template Upgrade Tests
+ */
+describe('scaffold upgrade', () => {
+  test('should merge separate changes and mark overlapping ones as conflicts', () => {
+    const base = '# Title\n\nIntro\n\n## Steps\n\nOne\n';
+
+    assert.deepStrictEqual(mergeLines(base, '# Title\n\nOur intro\n\n## Steps\n\nOne\n', '# Title\n\nIntro\n\n## Steps\n\nOne\nTwo\n'), {
+      content: '# Title\n\nOur intro\n\n## Steps\n\nOne\nTwo\n',
+      conflicts: 0
+    });
+    assert.deepStrictEqual(mergeLines(base, base.replace('One', 'Ours'), base.replace('One', 'Theirs'), { oursLabel: 'local', theirsLabel: 'template' }), {
+      content: '# Title\n\nIntro\n\n## Steps\n\n<<<<<<< local\nOurs\n=======\nTheirs\n>>>>>>> template\n',
+      conflicts: 1
+    });
+  });
+
+  test('should merge a template update into an edited scaffolded file', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-upgrade');
+    const template = join(tmpDir, 'security.md');
+    const sources = { security: { path: template, stamp: 'pack:acme:security@1.0.0', version: '1.0.0' } };
+    const file = join(tmpDir, 'docs', 'security', 'README.md');
+
+    await fse.ensureDir(tmpDir);
+    await fse.writeFile(template, '# Security\n\nOwner: {{AUTHOR}}\n\n## Threats\n\nNone\n');
+
+    try {
+      await copyTemplates(tmpDir, ['security'], false, { DATE: '2024-01-01', AUTHOR: 'Ana' }, sources);
+      await fse.writeFile(file, (await fse.readFile(file, 'utf-8')).replace('Owner: Ana', 'Owner: SRE'));
+      await fse.writeFile(template, '# Security\n\nOwner: {{AUTHOR}}\n\n## Threats\n\nSpoofing\n');
+
+      const report = await upgradeTemplates(tmpDir, ['security'], { DATE: '2024-06-01', AUTHOR: 'Bo' }, {
+        security: { ...sources.security, stamp: 'pack:acme:security@1.1.0', version: '1.1.0' }
+      });
+      const { data, body } = parseFrontmatter(await fse.readFile(file, 'utf-8'));
+
+      assert.strictEqual(report[0].status, 'merged');
+      assert.strictEqual(report[0].from, 'pack:acme:security@1.0.0');
+      assert.strictEqual(body.trimStart(), '# Security\n\nOwner: SRE\n\n## Threats\n\nSpoofing\n');
+      assert.strictEqual(data.template, 'pack:acme:security@1.1.0');
+      assert.strictEqual(data.date, '2024-01-01');
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+
+  test('should take the title from the first H1 outside code and follow it on upgrade', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-scaffold-title');
+    const template = join(tmpDir, 'runbooks.md');
+    const file = join(tmpDir, 'docs', 'runbooks', 'README.md');
+    const variables = { DATE: '2024-01-01', AUTHOR: 'Ana' };
+    const source = (version) => ({ runbooks: { path: template, stamp: `pack:acme:runbooks@${version}`, version } });
+
+    await fse.ensureDir(tmpDir);
+
+    try {
+      await fse.writeFile(template, '```bash\n# Check service status\n```\n\n# RB-{{NUMBER}}: {{TITLE}}\n');
+      await copyTemplates(tmpDir, ['runbooks'], false, variables, source('1.0.0'));
+      let { data } = parseFrontmatter(await fse.readFile(file, 'utf-8'));
+      assert.strictEqual(data.type, 'runbook');
+      assert.strictEqual(data.title, undefined);
+
+      await fse.remove(file);
+      await fse.remove(join(tmpDir, '.docflow'));
+      await fse.writeFile(template, '# Runbooks\n\n```bash\n# Check service status\n```\n');
+      await copyTemplates(tmpDir, ['runbooks'], false, variables, source('1.0.0'));
+      ({ data } = parseFrontmatter(await fse.readFile(file, 'utf-8')));
+      assert.strictEqual(data.title, 'Runbooks');
+
+      await fse.writeFile(template, '# Operational Runbooks\n\n```bash\n# Check service status\n```\n');
+      await upgradeTemplates(tmpDir, ['runbooks'], variables, source('1.1.0'));
+      ({ data } = parseFrontmatter(await fse.readFile(file, 'utf-8')));
+      assert.strictEqual(data.title, 'Operational Runbooks');
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+
+  test('should keep reporting a conflict until its markers are resolved', async () => {
+    const tmpDir = join(process.cwd(), '.test-tmp-upgrade-conflict');
+    const template = join(tmpDir, 'security.md');
+    const file = join(tmpDir, 'docs', 'security', 'README.md');
+    const variables = { DATE: '2024-01-01', AUTHOR: 'Ana' };
+    const source = (version) => ({ security: { path: template, stamp: `pack:acme:security@${version}`, version } });
+
+    await fse.ensureDir(tmpDir);
+    await fse.writeFile(template, '# Security\n\n## Threats\n\nNone\n');
+
+    try {
+      await copyTemplates(tmpDir, ['security'], false, variables, source('1.0.0'));
+      await fse.writeFile(file, (await fse.readFile(file, 'utf-8')).replace('None', 'Phishing'));
+      await fse.writeFile(template, '# Security\n\n## Threats\n\nSpoofing\n');
+
+      const first = await upgradeTemplates(tmpDir, ['security'], variables, source('1.1.0'));
+      const second = await upgradeTemplates(tmpDir, ['security'], variables, source('1.1.0'));
+
+      assert.strictEqual(first[0].status, 'conflict');
+      assert.deepStrictEqual([second[0].status, second[0].conflicts], ['conflict', 1]);
+
+      await fse.writeFile(file, (await fse.readFile(file, 'utf-8')).replace(/<<<<<<< .*\n([\s\S]*?)=======\n[\s\S]*?>>>>>>> .*\n/, '$1'));
+      const resolved = await upgradeTemplates(tmpDir, ['security'], variables, source('1.1.0'));
+      assert.strictEqual(resolved[0].status, 'unchanged');
+    } finally {
+      await fse.remove(tmpDir);
+    }
+  });
+});